@@ -0,0 +1,11 @@
+-- Migration: Add build_quantity to mo_queue
+-- Date: 2026-10-18
+-- Description: Quantity builds of finished goods that are not barcode-tracked. The row's
+--              work order makes build_quantity finished goods and its barcode column holds
+--              the run's reference. NULL for regular builds (one finished good per barcode).
+
+ALTER TABLE mo_queue
+ADD COLUMN build_quantity INT NULL AFTER tracking_values;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT id, barcode, bom_num, build_quantity, status FROM mo_queue WHERE build_quantity IS NOT NULL ORDER BY id DESC LIMIT 10;
@@ -0,0 +1,10 @@
+-- Migration: Add error_category column to mo_queue
+-- Date: 2026-10-18
+-- Description: Stores the categorized failure reason set by the retry policy
+--              (transient, permanent, auth) so failed items can be triaged and requeued by category
+
+ALTER TABLE mo_queue
+ADD COLUMN error_category VARCHAR(20) NULL AFTER retry_count;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT error_category, COUNT(*) FROM mo_queue WHERE status = 'Failed' GROUP BY error_category;
@@ -0,0 +1,29 @@
+-- Migration: Add job_runs table and link mo_queue rows to their run
+-- Date: 2026-10-18
+-- Description: Persists queue processing history (trigger, processor instance, timing, totals, MOs created, final status)
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  triggered_by VARCHAR(20),
+  instance_id VARCHAR(100) NULL,
+  status VARCHAR(20) DEFAULT 'running',
+  started_at DATETIME,
+  ended_at DATETIME NULL,
+  total_items INT DEFAULT 0,
+  processed_items INT DEFAULT 0,
+  success_items INT DEFAULT 0,
+  failed_items INT DEFAULT 0,
+  mos_created TEXT,
+  error_message TEXT,
+  INDEX idx_started_at (started_at),
+  INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Link each queue row to the run that processed it (NULL = not yet processed)
+ALTER TABLE mo_queue
+ADD COLUMN job_run_id INT NULL;
+
+CREATE INDEX idx_job_run_id ON mo_queue(job_run_id);
+
+-- Verification query (optional - run manually to verify)
+-- SELECT id, triggered_by, instance_id, status, started_at, ended_at, success_items, failed_items FROM job_runs ORDER BY id DESC LIMIT 10;
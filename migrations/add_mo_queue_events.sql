@@ -0,0 +1,22 @@
+-- Migration: Add mo_queue_events table
+-- Date: 2026-10-18
+-- Description: Append-only timeline of processing steps for each queue item
+--              (MO created/issued, WO assigned, pick opened/split/finished, WO completed, retries, failures)
+
+CREATE TABLE IF NOT EXISTS mo_queue_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  queue_id INT NOT NULL,
+  barcode VARCHAR(100),
+  mo_number VARCHAR(50),
+  wo_number VARCHAR(50),
+  event_type VARCHAR(40) NOT NULL,
+  status_code INT NULL,
+  message TEXT,
+  details TEXT,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_queue_id (queue_id),
+  INDEX idx_barcode (barcode)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT event_type, wo_number, status_code, message, created_at FROM mo_queue_events WHERE barcode = 'ABC123' ORDER BY created_at;
@@ -0,0 +1,16 @@
+-- Migration: Add orchestrator_leases table
+-- Date: 2026-10-18
+-- Description: Lease lock shared by all orchestrator instances pointed at this database.
+--              Only the holder of the 'queue_processor' lease runs the scheduler and queue jobs;
+--              a standby takes over once expires_at has passed.
+
+CREATE TABLE IF NOT EXISTS orchestrator_leases (
+  lease_name VARCHAR(50) PRIMARY KEY,
+  holder VARCHAR(100) NOT NULL,
+  acquired_at DATETIME NOT NULL,
+  renewed_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT lease_name, holder, renewed_at, expires_at, expires_at > NOW() AS active FROM orchestrator_leases;
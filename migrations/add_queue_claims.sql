@@ -0,0 +1,14 @@
+-- Migration: Add claim columns to mo_queue
+-- Date: 2026-10-18
+-- Description: Items are claimed into a 'Processing' state by the running instance (claimed_by)
+--              and kept alive with a heartbeat. Stale claims are recovered at startup and are
+--              either resumed or flagged with status 'Review'.
+
+ALTER TABLE mo_queue
+ADD COLUMN claimed_by VARCHAR(100) NULL,
+ADD COLUMN claimed_at DATETIME NULL,
+ADD COLUMN heartbeat_at DATETIME NULL,
+ADD INDEX idx_claimed_by (claimed_by);
+
+-- Verification query (optional - run manually to verify)
+-- SELECT id, barcode, wo_number, claimed_by, heartbeat_at FROM mo_queue WHERE status = 'Processing';
@@ -0,0 +1,12 @@
+-- Migration: Add components to mo_queue
+-- Date: 2026-10-18
+-- Description: Serialized raw goods a build consumes, as JSON [{ partId, serials }], one entry
+--              per part (board, battery, ...). serial_numbers keeps every serial and
+--              raw_goods_part_id the first part. Rows queued before this change have no
+--              components and are read as a single component.
+
+ALTER TABLE mo_queue
+ADD COLUMN components LONGTEXT NULL AFTER raw_goods_part_id;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT id, barcode, raw_goods_part_id, components FROM mo_queue WHERE components IS NOT NULL ORDER BY id DESC LIMIT 10;
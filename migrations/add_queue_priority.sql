@@ -0,0 +1,13 @@
+-- Migration: Add priority and due_date to mo_queue
+-- Date: 2026-10-18
+-- Description: Pending items are processed by priority (higher first, 0-100, default 50),
+--              then by due date (items without one last), then in queue order.
+--              Each priority level is batched onto its own MO(s).
+
+ALTER TABLE mo_queue
+ADD COLUMN priority INT NOT NULL DEFAULT 50,
+ADD COLUMN due_date DATE NULL,
+ADD INDEX idx_priority (status, priority, due_date);
+
+-- Verification query (optional - run manually to verify)
+-- SELECT id, barcode, priority, due_date FROM mo_queue WHERE status = 'Pending' ORDER BY priority DESC, due_date IS NULL, due_date, id;
@@ -0,0 +1,12 @@
+-- Migration: Add requeue tracking columns to mo_queue
+-- Date: 2026-10-18
+-- Description: Records who put a failed or dead-lettered item back into the queue, when,
+--              and how many times. Items whose retries are used up now get status 'DeadLetter'.
+
+ALTER TABLE mo_queue
+ADD COLUMN requeued_by VARCHAR(100) NULL,
+ADD COLUMN requeued_at DATETIME NULL,
+ADD COLUMN requeue_count INT DEFAULT 0;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT id, barcode, status, requeued_by, requeued_at, requeue_count FROM mo_queue WHERE requeue_count > 0;
@@ -0,0 +1,11 @@
+-- Migration: Add tracking_values to mo_queue
+-- Date: 2026-10-18
+-- Description: Lot number, expiration date, revision and other value tracking of a build,
+--              as JSON { "<partId>": { "<partTrackingId>": "value" } } covering the consumed
+--              raw goods and the finished good. NULL when no part on the BOM is value-tracked.
+
+ALTER TABLE mo_queue
+ADD COLUMN tracking_values LONGTEXT NULL AFTER components;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT id, barcode, tracking_values FROM mo_queue WHERE tracking_values IS NOT NULL ORDER BY id DESC LIMIT 10;
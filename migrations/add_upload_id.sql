@@ -0,0 +1,11 @@
+-- Migration: Add upload_id to mo_queue
+-- Date: 2026-10-18
+-- Description: Identifies the CSV upload (or disassembly submission) each row came from,
+--              so BATCH_STRATEGY=upload can put every upload on its own MO(s).
+--              Rows queued before this change have no upload_id and batch together.
+
+ALTER TABLE mo_queue
+ADD COLUMN upload_id VARCHAR(50) NULL;
+
+-- Verification query (optional - run manually to verify)
+-- SELECT upload_id, COUNT(*) AS items, MIN(datetime) AS queued_at FROM mo_queue GROUP BY upload_id ORDER BY queued_at DESC LIMIT 10;
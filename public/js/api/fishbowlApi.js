@@ -63,25 +63,27 @@ export async function fishbowlREST(endpoint, method = 'POST', payload = null) {
 }
 
 /**
- * Execute SQL query via Fishbowl
- * (serverUrl is loaded from secure config on backend)
+ * Run a named Fishbowl query
+ * (queries and their parameter types are defined on the backend)
  */
-export async function fishbowlQuery(sql) {
+export async function fishbowlNamedQuery(name, params = {}) {
   if (!sessionToken) {
     throw new Error('Not logged in. Please login first.');
   }
 
-  const response = await fetch('/api/data-query', {
+  const response = await fetch(`/api/named-query/${encodeURIComponent(name)}`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       token: sessionToken,
-      sql: sql
+      params: params
     })
   });
 
   if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // Rejected queries carry the reason in the body
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error || `HTTP ${response.status}: ${response.statusText}`);
   }
 
   const data = await response.json();
@@ -95,8 +97,7 @@ export async function fishbowlQuery(sql) {
  */
 export async function detectDatabaseName() {
   try {
-    const sql = 'SELECT DATABASE() as current_db';
-    const rows = await fishbowlQuery(sql);
+    const rows = await fishbowlNamedQuery('currentDatabase');
 
     if (!rows || rows.length === 0) {
       throw new Error('Could not detect database name');
@@ -43,18 +43,10 @@ export async function initializeQueueTable(databaseName) {
  */
 export async function getQueueStats() {
   try {
-    const { fishbowlQuery } = await import('./fishbowlApi.js');
+    const { fishbowlNamedQuery } = await import('./fishbowlApi.js');
     const { kv } = await import('../utils/helpers.js');
 
-    const sql = `
-      SELECT
-        status,
-        COUNT(*) as count,
-        COUNT(DISTINCT mo_number) as mo_count
-      FROM mo_queue
-      GROUP BY status
-    `;
-    const rows = await fishbowlQuery(sql);
+    const rows = await fishbowlNamedQuery('queueStatusCounts');
 
     const stats = {
       pending: 0,
@@ -75,8 +67,7 @@ export async function getQueueStats() {
       stats.total += count;
     });
 
-    const moSQL = "SELECT COUNT(DISTINCT mo_number) as mo_count FROM mo_queue WHERE mo_number IS NOT NULL";
-    const moResult = await fishbowlQuery(moSQL);
+    const moResult = await fishbowlNamedQuery('queueMOCount');
     stats.moCount = parseInt(kv(moResult[0], 'mo_count') || 0);
 
     return stats;
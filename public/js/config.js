@@ -21,3 +21,6 @@ export const OPERATION_TYPES = {
   BUILD: 'build',
   DISASSEMBLE: 'disassemble'
 };
+
+// Fishbowl part tracking types with date values (Date, Expiration Date)
+export const DATE_TRACKING_TYPES = [20, 30];
@@ -6,7 +6,7 @@
 import { log } from './utils/helpers.js';
 import { login, logout, loadConfig, restoreSessionIfAvailable } from './services/authService.js';
 import { loadLocationGroups, onLocationGroupChange, selectBOM, selectOperationType } from './services/workOrderService.js';
-import { loadCSV, validateAndPrepare, saveToQueue, handleDragOver, handleDragLeave, handleDrop } from './services/csvService.js';
+import { loadCSV, validateAndPrepare, saveToQueue, handleDragOver, handleDragLeave, handleDrop, addComponentMapping } from './services/csvService.js';
 import {
   renderAvailableFGList,
   addSelectedFG,
@@ -110,6 +110,7 @@ function setupEventListeners() {
 
   // Step 2: BUILD path (CSV)
   document.getElementById('csvFile')?.addEventListener('change', loadCSV);
+  document.getElementById('btnAddComponent')?.addEventListener('click', () => addComponentMapping());
   document.getElementById('btnValidate')?.addEventListener('click', validateAndPrepare);
   document.getElementById('btnSaveToQueue')?.addEventListener('click', saveToQueue);
 
@@ -167,8 +167,8 @@ export async function restoreSessionIfAvailable() {
 
     // Test if token is still valid by making a simple query
     try {
-      const { fishbowlQuery } = await import('../api/fishbowlApi.js');
-      await fishbowlQuery('SELECT 1 as test');
+      const { fishbowlNamedQuery } = await import('../api/fishbowlApi.js');
+      await fishbowlNamedQuery('sessionCheck');
 
       log('[SESSION] Session restored successfully\n');
 
@@ -500,7 +500,9 @@ function showScheduledJobsManager(scheduledJobs, failedJobs) {
                     <tr>
                       <th>Barcode</th>
                       <th>WO Number</th>
+                      <th>Status</th>
                       <th>Error</th>
+                      <th>Action</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -508,12 +510,15 @@ function showScheduledJobsManager(scheduledJobs, failedJobs) {
                       <tr>
                         <td>${job.barcode || 'N/A'}</td>
                         <td>${job.wo_number || 'N/A'}</td>
+                        <td>${job.status === 'DeadLetter' ? 'Dead letter' : job.status === 'Review' ? 'Needs review' : 'Failed'}${job.error_category ? ` (${job.error_category})` : ''}</td>
                         <td style="max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${job.error_message || 'Unknown error'}">${(job.error_message || 'Unknown error').substring(0, 50)}...</td>
+                        <td><button class="btn btn-sm btn-primary requeue-failed" data-job-id="${job.id}">Requeue</button></td>
                       </tr>
                     `).join('')}
                   </tbody>
                 </table>
               </div>
+              <button class="btn btn-primary btn-block" id="btnRequeueAllFailed">Requeue All Failed Jobs</button>
               <button class="btn btn-warning btn-block" id="btnClearAllFailed">Clear All Failed Jobs</button>
             ` : ''}
           </div>
@@ -540,6 +545,17 @@ function showScheduledJobsManager(scheduledJobs, failedJobs) {
     }
   });
 
+  $('.requeue-failed').on('click', async function() {
+    const id = $(this).data('job-id');
+    await requeueFailedJobs([id]);
+  });
+
+  $('#btnRequeueAllFailed').on('click', async function() {
+    if (confirm(`Requeue all ${failedJobs.length} failed job(s)?`)) {
+      await requeueFailedJobs(failedJobs.map(job => job.id));
+    }
+  });
+
   $('#btnClearAllFailed').on('click', async function() {
     if (confirm(`Clear all ${failedJobs.length} failed job(s)?`)) {
       await clearFailedJobs();
@@ -644,6 +660,57 @@ async function clearFailedJobs() {
   }
 }
 
+/**
+ * Put failed jobs back into the queue
+ * @param {Array<number>} ids - Queue item IDs to requeue
+ */
+async function requeueFailedJobs(ids) {
+  const { sessionCredentials } = await import('../utils/state.js');
+
+  try {
+    const response = await fetch('/api/mysql/requeue-failed-jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: ids, requeuedBy: sessionCredentials.username })
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      alert(`Successfully requeued ${result.requeuedCount} failed job(s)`);
+      log(`[QUEUE] Requeued ${result.requeuedCount} failed job(s)\n`);
+
+      // Check if there are any remaining jobs
+      const scheduledResponse = await fetch('/api/mysql/scheduled-jobs');
+      const scheduledData = await scheduledResponse.json();
+      const failedResponse = await fetch('/api/mysql/failed-jobs');
+      const failedData = await failedResponse.json();
+
+      const scheduledJobs = scheduledData.jobs || [];
+      const failedJobs = failedData.jobs || [];
+
+      // If no jobs remaining, close modal completely
+      if (scheduledJobs.length === 0 && failedJobs.length === 0) {
+        $('#jobManagerModal').modal('hide');
+        // Remove modal and backdrop completely to prevent overlay issues
+        setTimeout(() => {
+          $('#jobManagerModal').remove();
+          $('.modal-backdrop').remove();
+          $('body').removeClass('modal-open');
+        }, 500);
+      } else {
+        // Refresh the modal with remaining jobs
+        $('#jobManagerModal').modal('hide');
+        showScheduledJobsManager(scheduledJobs, failedJobs);
+      }
+    } else {
+      alert(`Failed to requeue jobs: ${result.error || 'Unknown error'}`);
+    }
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
 /**
  * Logout from Fishbowl
  */
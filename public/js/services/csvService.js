@@ -5,7 +5,8 @@
 
 import { log, kv, populateSelect, setHTML } from '../utils/helpers.js';
 import { state, sessionToken, sessionCredentials, getServerUrl } from '../utils/state.js';
-import { fishbowlQuery } from '../api/fishbowlApi.js';
+import { fishbowlNamedQuery } from '../api/fishbowlApi.js';
+import { DATE_TRACKING_TYPES } from '../config.js';
 
 /**
  * Load CSV file from file input
@@ -51,6 +52,7 @@ async function processCSVFile(file) {
     showMappingInterface();
     await loadLocations();
     await loadRawGoods();
+    await loadValueTracking();
   } catch (e) {
     log(`[ERROR] Error loading CSV: ${e.message}\n`);
     alert(`Error: ${e.message}`);
@@ -125,16 +127,92 @@ export function showMappingInterface() {
   });
   document.getElementById('csvPreview').innerHTML = tableHtml + '</table>';
 
-  const opts = firstRow.map((col, idx) => `<option value="${idx}">${idx + 1}: ${col || `Column ${idx + 1}`}</option>`).join('');
-  document.getElementById('serialColumn').innerHTML = document.getElementById('barcodeColumn').innerHTML = opts;
+  document.getElementById('barcodeColumn').innerHTML = columnOptions();
 
   const lowerHeaders = firstRow.map(h => (h || '').toLowerCase());
-  const serialIdx = lowerHeaders.findIndex(h => h.includes('serial') || h.includes('sn'));
   const barcodeIdx = lowerHeaders.findIndex(h => h.includes('barcode') || h.includes('bc'));
-
-  document.getElementById('serialColumn').value = serialIdx !== -1 ? serialIdx : 0;
   document.getElementById('barcodeColumn').value = barcodeIdx !== -1 ? barcodeIdx : Math.min(1, firstRow.length - 1);
-  log('CSV columns detected automatically\n');
+
+  // One component per serial column (e.g. "Board Serial", "Battery SN")
+  const serialIdxs = lowerHeaders
+    .map((h, idx) => (h.includes('serial') || h.includes('sn')) && idx !== barcodeIdx ? idx : -1)
+    .filter(idx => idx !== -1);
+
+  document.getElementById('componentMappings').innerHTML = '';
+  (serialIdxs.length ? serialIdxs : [0]).forEach(idx => addComponentMapping(idx));
+
+  // Optional per-row FG location and location group ("FG Location", "Location Group")
+  const locationGroupIdx = lowerHeaders.findIndex(h => h.includes('location group') || h.includes('locationgroup'));
+  const fgLocationIdx = lowerHeaders.findIndex((h, idx) => idx !== locationGroupIdx && h.includes('location'));
+  document.getElementById('fgLocationColumn').innerHTML = '<option value="">None (use the location above)</option>' + columnOptions();
+  document.getElementById('fgLocationColumn').value = fgLocationIdx !== -1 ? fgLocationIdx : '';
+  document.getElementById('locationGroupColumn').innerHTML = '<option value="">None (use the selected location group)</option>' + columnOptions();
+  document.getElementById('locationGroupColumn').value = locationGroupIdx !== -1 ? locationGroupIdx : '';
+
+  // Optional build quantity ("Quantity", "Qty") for quantity builds of non-barcoded finished goods
+  const buildQuantityIdx = lowerHeaders.findIndex(h => h.includes('quantity') || h.includes('qty'));
+  document.getElementById('buildQuantityColumn').innerHTML = '<option value="">None (one finished good per barcode)</option>' + columnOptions();
+  document.getElementById('buildQuantityColumn').value = buildQuantityIdx !== -1 ? buildQuantityIdx : '';
+
+  log(`CSV columns detected automatically (${Math.max(serialIdxs.length, 1)} serial column(s))\n`);
+}
+
+/**
+ * Column options for the CSV column selects
+ * @returns {string} Option HTML
+ */
+function columnOptions() {
+  return state.csvData.rows[0]
+    .map((col, idx) => `<option value="${idx}">${idx + 1}: ${col || `Column ${idx + 1}`}</option>`)
+    .join('');
+}
+
+/**
+ * Raw good part options for a component's part select
+ * @returns {string} Option HTML
+ */
+function rawGoodOptions() {
+  if (!state.rawGoods.length) return '<option value="">Loading...</option>';
+  return '<option value="">Select raw good part</option>' +
+    state.rawGoods.map(part => `<option value="${part.partId}">${part.label}</option>`).join('');
+}
+
+/**
+ * Add a serialized component: a serial number column and the raw good part its serials belong to
+ * @param {number} serialIdx - CSV column preselected for the serials
+ */
+export function addComponentMapping(serialIdx = 0) {
+  const container = document.getElementById('componentMappings');
+  const row = document.createElement('div');
+  row.className = 'row component-mapping';
+  row.style.marginBottom = '5px';
+  row.innerHTML = `
+    <div class="col-sm-5"><select class="form-control component-serial-column">${columnOptions()}</select></div>
+    <div class="col-sm-5"><select class="form-control component-part">${rawGoodOptions()}</select></div>
+    <div class="col-sm-2"><button type="button" class="btn btn-default btn-remove-component">Remove</button></div>
+  `;
+  row.querySelector('.component-serial-column').value = serialIdx;
+  row.querySelector('.btn-remove-component').addEventListener('click', () => {
+    if (container.querySelectorAll('.component-mapping').length > 1) row.remove();
+  });
+
+  container.appendChild(row);
+  fillComponentParts();
+}
+
+/**
+ * Fill the part select of every component, keeping existing choices
+ * With one tracked raw good per component, parts are assigned in BOM order
+ */
+function fillComponentParts() {
+  const selects = [...document.querySelectorAll('#componentMappings .component-part')];
+  const autoAssign = state.rawGoods.length > 0 && state.rawGoods.length === selects.length;
+
+  selects.forEach((select, idx) => {
+    const current = select.value;
+    select.innerHTML = rawGoodOptions();
+    select.value = current || (autoAssign ? state.rawGoods[idx].partId : '');
+  });
 }
 
 /**
@@ -145,8 +223,7 @@ export async function loadLocations() {
     log('Loading locations...\n');
     const select = document.getElementById('fgLocation');
 
-    const sql = `SELECT DISTINCT CONCAT(locationgroup.name,'-',location.name) AS location_list FROM location JOIN locationgroup ON locationgroup.id = location.locationgroupid WHERE location.activeflag = 1 AND locationgroup.activeflag = 1 AND locationgroup.id = ${state.locationGroup} ORDER BY locationgroup.name, location.name`;
-    const rows = await fishbowlQuery(sql);
+    const rows = await fishbowlNamedQuery('activeLocationsForGroup', { locationGroupId: state.locationGroup });
 
     if (!rows.length) {
       select.innerHTML = '<option value="">No locations found</option>';
@@ -176,7 +253,7 @@ export async function loadLocations() {
 export async function loadRawGoods() {
   try {
     log('Loading raw goods with serial tracking...\n');
-    const select = document.getElementById('rawGoodPart');
+    state.rawGoods = [];
 
     const response = await fetch('/api/get-raw-goods', {
       method: 'POST',
@@ -194,69 +271,269 @@ export async function loadRawGoods() {
     const rows = await response.json();
 
     if (!rows || !rows.length) {
-      select.innerHTML = '<option value="">No tracked raw goods found</option>';
+      document.querySelectorAll('#componentMappings .component-part').forEach(select => {
+        select.innerHTML = '<option value="">No tracked raw goods found</option>';
+      });
       log('[ERROR] No raw goods with serial tracking found for this BOM\n');
       alert('ERROR: No raw goods with serial tracking (Part Tracking Type = Serial Number) found for this BOM.\n\nPlease verify the BOM configuration.');
       return;
     }
 
-    const opts = rows.map(r => {
-      const partId = kv(r, 'part_id');
-      const listValue = kv(r, 'list_values');
-      return `<option value="${partId}">${listValue}</option>`;
-    });
-    populateSelect('rawGoodPart', opts, '<img src="images/clipboard.svg" class="icon" alt="Clipboard"> Select raw good part');
+    state.rawGoods = rows.map(r => ({ partId: String(kv(r, 'part_id')), label: kv(r, 'list_values') }));
+    fillComponentParts();
 
     log(`[OK] Loaded ${rows.length} tracked raw good(s)\n`);
   } catch (e) {
     log(`[ERROR] Error loading raw goods: ${e.message}\n`);
-    document.getElementById('rawGoodPart').innerHTML = '<option value="">Error loading raw goods</option>';
+    document.querySelectorAll('#componentMappings .component-part').forEach(select => {
+      select.innerHTML = '<option value="">Error loading raw goods</option>';
+    });
   }
 }
 
+/**
+ * Load the lot / date / revision tracking of the BOM's parts and show one mapping per tracking
+ * Each takes its value from a CSV column, or a default value for the whole upload
+ */
+export async function loadValueTracking() {
+  const container = document.getElementById('trackingMappings');
+  const group = document.getElementById('trackingMappingsGroup');
+
+  try {
+    state.valueTracking = [];
+    container.innerHTML = '';
+    group.style.display = 'none';
+
+    const rows = await fishbowlNamedQuery('valueTrackingForBom', { bomNum: state.bom });
+
+    state.valueTracking = rows.map(r => ({
+      partId: String(kv(r, 'part_id')),
+      partNum: kv(r, 'part_num'),
+      finishedGood: Number(kv(r, 'bomitem_typeid')) === 10,
+      trackingId: String(kv(r, 'parttracking_id')),
+      name: kv(r, 'parttracking_name'),
+      abbr: kv(r, 'parttracking_abbr'),
+      typeId: Number(kv(r, 'parttracking_typeid'))
+    }));
+
+    if (!state.valueTracking.length) return;
+
+    const headers = state.csvData.rows[0].map(h => (h || '').trim().toLowerCase());
+
+    state.valueTracking.forEach(tracking => {
+      const label = `${tracking.partNum}${tracking.finishedGood ? ' (Finished Good)' : ''} - ${tracking.name}`;
+      const isDate = DATE_TRACKING_TYPES.includes(tracking.typeId);
+
+      // Preselect a column named after the tracking ("Lot Number", "LOT", "ADH-400 Lot Number")
+      const names = [tracking.name, tracking.abbr, `${tracking.partNum} ${tracking.name}`, `${tracking.partNum} ${tracking.abbr}`]
+        .filter(Boolean)
+        .map(name => name.toLowerCase());
+      const columnIdx = headers.findIndex(h => names.includes(h));
+
+      const row = document.createElement('div');
+      row.className = 'row tracking-mapping';
+      row.style.marginBottom = '5px';
+      row.dataset.partId = tracking.partId;
+      row.dataset.trackingId = tracking.trackingId;
+      row.dataset.typeId = tracking.typeId;
+      row.dataset.label = label;
+      row.innerHTML = `
+        <div class="col-sm-4"><p class="form-control-static">${label}</p></div>
+        <div class="col-sm-4"><select class="form-control tracking-column"><option value="">Default value</option>${columnOptions()}</select></div>
+        <div class="col-sm-4"><input type="${isDate ? 'date' : 'text'}" class="form-control tracking-default" placeholder="Default ${tracking.name}"></div>
+      `;
+      row.querySelector('.tracking-column').value = columnIdx !== -1 ? columnIdx : '';
+
+      container.appendChild(row);
+    });
+
+    group.style.display = 'block';
+    log(`[OK] Loaded ${state.valueTracking.length} lot / date tracking(s) for this BOM\n`);
+  } catch (e) {
+    log(`[ERROR] Error loading part tracking: ${e.message}\n`);
+  }
+}
+
+/**
+ * Read the lot / date tracking mappings from the UI
+ * @returns {Array<Object>} [{ partId, trackingId, typeId, label, columnIdx, defaultValue }]
+ */
+function readTrackingMappings() {
+  return [...document.querySelectorAll('#trackingMappings .tracking-mapping')].map(row => {
+    const column = row.querySelector('.tracking-column').value;
+    return {
+      partId: row.dataset.partId,
+      trackingId: row.dataset.trackingId,
+      typeId: Number(row.dataset.typeId),
+      label: row.dataset.label,
+      columnIdx: column === '' ? null : parseInt(column, 10),
+      defaultValue: row.querySelector('.tracking-default').value.trim()
+    };
+  });
+}
+
+/**
+ * Whether a date tracking value is in a format the server accepts (YYYY-MM-DD or M/D/YYYY)
+ * @param {string} value - Value
+ * @returns {boolean}
+ */
+function isTrackingDate(value) {
+  return /^\d{4}-\d{1,2}-\d{1,2}/.test(value) || /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(value);
+}
+
+/**
+ * Read the serialized component mappings from the UI
+ * @returns {Array<Object>} [{ serialIdx, partId, label }]
+ */
+function readComponentMappings() {
+  return [...document.querySelectorAll('#componentMappings .component-mapping')].map(row => {
+    const partId = row.querySelector('.component-part').value;
+    return {
+      serialIdx: parseInt(row.querySelector('.component-serial-column').value, 10),
+      partId,
+      label: state.rawGoods.find(part => part.partId === partId)?.label || partId
+    };
+  });
+}
+
+/**
+ * Read an optional CSV column select
+ * @param {string} id - Select element ID
+ * @returns {number|null} Column index, or null when no column is mapped
+ */
+function optionalColumn(id) {
+  const value = document.getElementById(id).value;
+  return value === '' ? null : parseInt(value, 10);
+}
+
+/**
+ * Check the per-row FG locations / location groups against Fishbowl
+ * @param {Map} itemLocations - barcode -> { fgLocation, locationGroup }
+ * @returns {Promise<Map>} barcode -> { fgLocation, locationGroupId, locationGroupName, error }
+ */
+async function validateItemLocations(itemLocations) {
+  const keyOf = locations => `${locations.fgLocation}|${locations.locationGroup}`;
+  const entries = [...new Map([...itemLocations.values()].map(locations => [keyOf(locations), locations])).values()];
+
+  log(`Checking ${entries.length} FG location / location group combination(s) in Fishbowl...\n`);
+
+  const response = await fetch('/api/validate-item-locations', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: sessionToken, locationGroupId: state.locationGroup, entries })
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const { results } = await response.json();
+  const byKey = new Map(results.map((result, idx) => [keyOf(entries[idx]), result]));
+
+  const invalid = results.filter(result => result.error).length;
+  log(invalid > 0 ? `[WARN] ${invalid} FG location / location group combination(s) are not valid\n` : '[OK] All FG locations and location groups found\n');
+
+  return new Map([...itemLocations].map(([barcode, locations]) => [barcode, byKey.get(keyOf(locations))]));
+}
+
 /**
  * Validate CSV data and prepare for queue
  * STEP 3: Validate
  */
 export async function validateAndPrepare() {
   const fgLocation = document.getElementById('fgLocation').value;
-  if (!fgLocation) return alert('Please select a finished good location');
-
-  const rawGoodPartId = document.getElementById('rawGoodPart').value;
-  if (!rawGoodPartId) return alert('Please select a raw good part for serial number allocation');
+  const fgLocationIdx = optionalColumn('fgLocationColumn');
+  const locationGroupIdx = optionalColumn('locationGroupColumn');
+  if (!fgLocation && fgLocationIdx === null) return alert('Please select a finished good location or an FG location column');
 
   const hasHeaders = document.getElementById('hasHeaders').checked;
-  const serialIdx = parseInt(document.getElementById('serialColumn').value, 10);
   const barcodeIdx = parseInt(document.getElementById('barcodeColumn').value, 10);
+  const buildQuantityIdx = optionalColumn('buildQuantityColumn');
+  // Quantity builds may have no serialized components; unassigned component rows are ignored then
+  const componentMappings = readComponentMappings().filter(c => buildQuantityIdx === null || c.partId);
+  const trackingMappings = readTrackingMappings();
+
+  if (!componentMappings.length && buildQuantityIdx === null) return alert('Please add at least one serialized component');
+  if (componentMappings.some(c => !c.partId)) return alert('Please select a raw good part for every serial number column');
+  if (new Set(componentMappings.map(c => c.partId)).size !== componentMappings.length) return alert('Each raw good part can only be mapped once');
+  if (new Set(componentMappings.map(c => c.serialIdx)).size !== componentMappings.length) return alert('Each serial number column can only be mapped once');
+  if (componentMappings.some(c => c.serialIdx === barcodeIdx)) return alert('Serial and Barcode columns cannot be the same');
 
-  if (serialIdx === barcodeIdx) return alert('Serial and Barcode columns cannot be the same');
+  const unmappedTracking = trackingMappings.find(t => t.columnIdx === null && !t.defaultValue);
+  if (unmappedTracking) return alert(`Please select a CSV column or enter a default value for ${unmappedTracking.label}`);
 
   log(`\n${'='.repeat(60)}\nVALIDATING CSV DATA\n${'='.repeat(60)}\n`);
 
-  const dataRows = [];
+  // barcode -> [{ partId, serials }] in mapping order
+  const chunks = new Map();
+  // barcode -> { partId: { partTrackingId: value } }; the first non-empty cell of a barcode's rows wins
+  const trackingValues = new Map();
+  // barcode -> { fgLocation, locationGroup }; likewise the first non-empty cell wins
+  const itemLocations = new Map();
+  // barcode (run reference) -> build quantity; likewise the first non-empty cell wins
+  const buildQuantities = new Map();
+  let serialCount = 0;
   for (let i = hasHeaders ? 1 : 0; i < state.csvData.rows.length; i++) {
     const row = state.csvData.rows[i];
-    const serial = (row[serialIdx] || '').trim();
     const barcode = (row[barcodeIdx] || '').trim();
-    if (serial && barcode) dataRows.push({ serial, barcode });
+    if (!barcode) continue;
+
+    const quantity = buildQuantityIdx !== null ? (row[buildQuantityIdx] || '').trim() : '';
+    if (quantity && !buildQuantities.has(barcode)) {
+      if (!/^\d+$/.test(quantity) || parseInt(quantity, 10) <= 0) return alert(`Build quantity "${quantity}" of ${barcode} is not a positive whole number`);
+      buildQuantities.set(barcode, parseInt(quantity, 10));
+      if (!chunks.has(barcode)) chunks.set(barcode, componentMappings.map(c => ({ partId: c.partId, serials: [] })));
+    }
+
+    componentMappings.forEach((mapping, idx) => {
+      const serial = (row[mapping.serialIdx] || '').trim();
+      if (!serial) return;
+      if (!chunks.has(barcode)) chunks.set(barcode, componentMappings.map(c => ({ partId: c.partId, serials: [] })));
+      chunks.get(barcode)[idx].serials.push(serial);
+      serialCount++;
+    });
+
+    trackingMappings.filter(t => t.columnIdx !== null).forEach(t => {
+      const value = (row[t.columnIdx] || '').trim();
+      if (!value) return;
+      const values = trackingValues.get(barcode) || {};
+      values[t.partId] = values[t.partId] || {};
+      if (values[t.partId][t.trackingId] === undefined) values[t.partId][t.trackingId] = value;
+      trackingValues.set(barcode, values);
+    });
+
+    const locations = itemLocations.get(barcode) || { fgLocation: '', locationGroup: '' };
+    if (!locations.fgLocation && fgLocationIdx !== null) locations.fgLocation = (row[fgLocationIdx] || '').trim();
+    if (!locations.locationGroup && locationGroupIdx !== null) locations.locationGroup = (row[locationGroupIdx] || '').trim();
+    itemLocations.set(barcode, locations);
   }
 
-  if (!dataRows.length) return alert('No valid data rows found');
+  // Defaults fill whatever the CSV left empty
+  for (const barcode of chunks.keys()) {
+    const values = trackingValues.get(barcode) || {};
+    trackingMappings.filter(t => t.defaultValue).forEach(t => {
+      values[t.partId] = values[t.partId] || {};
+      if (values[t.partId][t.trackingId] === undefined) values[t.partId][t.trackingId] = t.defaultValue;
+    });
+    trackingValues.set(barcode, values);
 
-  const chunks = new Map();
-  dataRows.forEach(row => {
-    if (!chunks.has(row.barcode)) chunks.set(row.barcode, []);
-    chunks.get(row.barcode).push(row.serial);
-  });
+    const locations = itemLocations.get(barcode);
+    locations.fgLocation = locations.fgLocation || fgLocation;
+  }
 
-  state.mapping = { hasHeaders, serialIdx, barcodeIdx };
+  if (!chunks.size) return alert('No valid data rows found');
+
+  state.mapping = { hasHeaders, barcodeIdx, components: componentMappings, tracking: trackingMappings, fgLocationIdx, locationGroupIdx, buildQuantityIdx };
   state.chunks = chunks;
 
-  log(`Parsed ${dataRows.length} serial(s) across ${chunks.size} barcode(s)\n`);
+  log(`Parsed ${serialCount} serial(s) for ${componentMappings.length} component(s) across ${chunks.size} barcode(s)\n`);
+  if (buildQuantities.size > 0) {
+    log(`[INFO] ${buildQuantities.size} quantity build(s) of ${[...buildQuantities.values()].reduce((total, quantity) => total + quantity, 0)} finished good(s) in total\n`);
+  }
 
   const allSerials = [], allBarcodes = [];
-  for (const [barcode, serials] of state.chunks) {
-    allSerials.push(...serials);
+  for (const [barcode, components] of state.chunks) {
+    components.forEach(component => allSerials.push(...component.serials));
     allBarcodes.push(barcode);
   }
   const uniqueSerials = [...new Set(allSerials)];
@@ -264,12 +541,10 @@ export async function validateAndPrepare() {
 
   log(`Checking ${uniqueSerials.length} unique serial(s) in Fishbowl...\n`);
 
-  const serialsInClause = uniqueSerials.map(s => `'${s.replace(/'/g, "''")}'`).join(',');
-  const findSerialsSQL = `SELECT DISTINCT tisn.serialnum AS serial FROM serialnum tisn JOIN serial s ON s.id = tisn.serialid JOIN tag t ON t.id = s.tagid WHERE tisn.parttrackingid = 4 AND tisn.serialnum IN (${serialsInClause})`;
-
   let foundSerials = [];
   try {
-    foundSerials = await fishbowlQuery(findSerialsSQL);
+    // Uploads of quantity builds alone may have no serials
+    foundSerials = uniqueSerials.length > 0 ? await fishbowlNamedQuery('existingSerials', { serials: uniqueSerials }) : [];
     log(`[OK] Found ${foundSerials.length} serial(s) in Fishbowl\n`);
   } catch (e) {
     log(`[ERROR] Error querying serials: ${e.message}\n`);
@@ -277,48 +552,88 @@ export async function validateAndPrepare() {
   }
 
   log(`Checking ${uniqueBarcodes.length} unique barcode(s) in Fishbowl...\n`);
-  const barcodesInClause = uniqueBarcodes.map(b => `'${b.replace(/'/g, "''")}'`).join(',');
-  const findBarcodesSQL = `SELECT DISTINCT tisn.serialnum AS barcode FROM serialnum tisn JOIN serial s ON s.id = tisn.serialid JOIN tag t ON t.id = s.tagid WHERE tisn.parttrackingid = 5 AND tisn.serialnum IN (${barcodesInClause})`;
 
   let existingBarcodes = [];
   try {
-    existingBarcodes = await fishbowlQuery(findBarcodesSQL);
+    existingBarcodes = await fishbowlNamedQuery('existingBarcodes', { barcodes: uniqueBarcodes });
     log(existingBarcodes.length > 0 ? `[WARN] Found ${existingBarcodes.length} barcode(s) that already exist in Fishbowl\n` : '[OK] No barcode conflicts found\n');
   } catch (e) {
     log(`[ERROR] Error querying barcodes: ${e.message}\n`);
     return alert('Error validating barcodes. Check the log for details.');
   }
 
+  // Per-row locations are checked in Fishbowl; the location picked above came from Fishbowl already
+  let locationResults = null;
+  if (fgLocationIdx !== null || locationGroupIdx !== null) {
+    try {
+      locationResults = await validateItemLocations(new Map([...itemLocations].filter(([barcode]) => chunks.has(barcode))));
+    } catch (e) {
+      log(`[ERROR] Error validating locations: ${e.message}\n`);
+      return alert('Error validating locations. Check the log for details.');
+    }
+  }
+
   const foundSerialSet = new Set(foundSerials.map(r => String(kv(r, 'serial')).trim()));
   const existingBarcodeSet = new Set(existingBarcodes.map(r => String(kv(r, 'barcode')).trim()));
   const validChunks = new Map();
-  const excludedDueToBarcodeExists = [], excludedDueToMissingSerials = [];
+  const validLocations = new Map();
+  const excludedDueToBarcodeExists = [], excludedDueToMissingSerials = [], excludedDueToMissingComponents = [], excludedDueToMissingTracking = [], excludedDueToInvalidLocation = [];
+
+  for (const [barcode, components] of state.chunks) {
+    const serials = components.flatMap(component => component.serials);
+    // Quantity builds only carry the components they have serials for
+    const missingComponents = buildQuantities.has(barcode) ? [] : componentMappings.filter((_, idx) => components[idx].serials.length === 0).map(c => c.label);
+    const values = trackingValues.get(barcode);
+    const missingTracking = trackingMappings
+      .filter(t => {
+        const value = values[t.partId]?.[t.trackingId];
+        return value === undefined || (DATE_TRACKING_TYPES.includes(t.typeId) && !isTrackingDate(value));
+      })
+      .map(t => t.label);
+    const locationResult = locationResults ? locationResults.get(barcode) : null;
 
-  for (const [barcode, serials] of state.chunks) {
     if (existingBarcodeSet.has(String(barcode).trim())) {
       excludedDueToBarcodeExists.push({ barcode, serials, reason: 'Barcode already exists in Fishbowl' });
       log(`[WARN] Excluding barcode ${barcode}: Already exists in Fishbowl\n`);
+    } else if (missingComponents.length > 0) {
+      excludedDueToMissingComponents.push({ barcode, serials, missingComponents, reason: `No serials for ${missingComponents.join(', ')}` });
+      log(`[WARN] Excluding barcode ${barcode}: No serials for ${missingComponents.join(', ')}\n`);
+    } else if (missingTracking.length > 0) {
+      excludedDueToMissingTracking.push({ barcode, serials, missingTracking, reason: `Missing or invalid ${missingTracking.join(', ')}` });
+      log(`[WARN] Excluding barcode ${barcode}: Missing or invalid ${missingTracking.join(', ')}\n`);
+    } else if (locationResult?.error) {
+      excludedDueToInvalidLocation.push({ barcode, serials, reason: locationResult.error });
+      log(`[WARN] Excluding barcode ${barcode}: ${locationResult.error}\n`);
     } else {
       const missingSerials = serials.filter(s => !foundSerialSet.has(String(s).trim()));
       if (missingSerials.length > 0) {
         excludedDueToMissingSerials.push({ barcode, serials, missingSerials, reason: `${missingSerials.length} serial(s) not found in Fishbowl` });
         log(`[WARN] Excluding barcode ${barcode}: ${missingSerials.length} serial(s) not found\n   Missing: ${missingSerials.join(', ')}\n`);
       } else {
-        validChunks.set(barcode, serials);
+        validChunks.set(barcode, components);
+        validLocations.set(barcode, {
+          fgLocation: itemLocations.get(barcode).fgLocation,
+          locationGroupId: locationResult ? locationResult.locationGroupId : state.locationGroup
+        });
       }
     }
   }
 
-  const excludedChunks = [...excludedDueToBarcodeExists, ...excludedDueToMissingSerials];
+  const excludedChunks = [...excludedDueToBarcodeExists, ...excludedDueToMissingComponents, ...excludedDueToMissingTracking, ...excludedDueToInvalidLocation, ...excludedDueToMissingSerials];
 
   log(`\n${'='.repeat(60)}\nVALIDATION SUMMARY\n${'='.repeat(60)}\nTotal Barcodes: ${state.chunks.size}\n[OK] Valid: ${validChunks.size}\n[ERROR] Excluded: ${excludedChunks.length}\n`);
 
   state.validationResults = {
     valid: validChunks,
     excludedBarcodeExists: excludedDueToBarcodeExists,
+    excludedMissingComponents: excludedDueToMissingComponents,
+    excludedMissingTracking: excludedDueToMissingTracking,
+    excludedInvalidLocation: excludedDueToInvalidLocation,
     excludedMissingSerials: excludedDueToMissingSerials,
-    fgLocation: fgLocation,
-    rawGoodPartId: rawGoodPartId
+    trackingValues,
+    itemLocations: validLocations,
+    buildQuantities,
+    fgLocation: fgLocation
   };
 
   displayValidationResults();
@@ -330,7 +645,8 @@ export async function validateAndPrepare() {
 export function displayValidationResults() {
   const results = state.validationResults;
   const validCount = results.valid.size;
-  const excludedCount = results.excludedBarcodeExists.length + results.excludedMissingSerials.length;
+  const excludedCount = results.excludedBarcodeExists.length + results.excludedMissingComponents.length +
+    results.excludedMissingTracking.length + results.excludedInvalidLocation.length + results.excludedMissingSerials.length;
 
   let summaryHtml = `
     <strong>Validation Complete:</strong><br>
@@ -340,9 +656,20 @@ export function displayValidationResults() {
 
   if (validCount > 0) {
     let totalSerials = 0;
-    for (const serials of results.valid.values()) totalSerials += serials.length;
+    for (const components of results.valid.values()) components.forEach(component => { totalSerials += component.serials.length; });
     summaryHtml += `Total Serials (Valid): <strong>${totalSerials}</strong><br>`;
-    summaryHtml += `Finished Good Location: <strong>${results.fgLocation}</strong><br>`;
+    summaryHtml += `Serialized Components: <strong>${state.mapping.components.map(c => c.label).join(', ')}</strong><br>`;
+    if (state.mapping.tracking.length > 0) {
+      summaryHtml += `Lot / Date Tracking: <strong>${state.mapping.tracking.map(t => t.label).join(', ')}</strong><br>`;
+    }
+    const fgLocations = new Set([...results.itemLocations.values()].map(locations => locations.fgLocation));
+    const locationGroups = new Set([...results.itemLocations.values()].map(locations => String(locations.locationGroupId)));
+    summaryHtml += fgLocations.size > 1
+      ? `Finished Good Locations: <strong>${fgLocations.size} (from the CSV)</strong><br>`
+      : `Finished Good Location: <strong>${[...fgLocations][0]}</strong><br>`;
+    if (locationGroups.size > 1) {
+      summaryHtml += `Location Groups: <strong>${locationGroups.size} (one MO batch each)</strong><br>`;
+    }
   }
 
   document.getElementById('validationSummary').innerHTML = summaryHtml;
@@ -358,6 +685,30 @@ export function displayValidationResults() {
       issuesHtml += '<br>';
     }
 
+    if (results.excludedMissingComponents.length > 0) {
+      issuesHtml += `<strong>Missing Components (${results.excludedMissingComponents.length}):</strong><br>`;
+      results.excludedMissingComponents.forEach(item => {
+        issuesHtml += `<img src="images/package.svg" class="icon" alt="Package"> ${item.barcode}: no serials for ${item.missingComponents.join(', ')}<br>`;
+      });
+      issuesHtml += '<br>';
+    }
+
+    if (results.excludedMissingTracking.length > 0) {
+      issuesHtml += `<strong>Missing Lot / Date Tracking (${results.excludedMissingTracking.length}):</strong><br>`;
+      results.excludedMissingTracking.forEach(item => {
+        issuesHtml += `<img src="images/package.svg" class="icon" alt="Package"> ${item.barcode}: missing or invalid ${item.missingTracking.join(', ')}<br>`;
+      });
+      issuesHtml += '<br>';
+    }
+
+    if (results.excludedInvalidLocation.length > 0) {
+      issuesHtml += `<strong>Invalid FG Location / Location Group (${results.excludedInvalidLocation.length}):</strong><br>`;
+      results.excludedInvalidLocation.forEach(item => {
+        issuesHtml += `<img src="images/package.svg" class="icon" alt="Package"> ${item.barcode}: ${item.reason}<br>`;
+      });
+      issuesHtml += '<br>';
+    }
+
     if (results.excludedMissingSerials.length > 0) {
       issuesHtml += `<strong>Missing Serial Numbers (${results.excludedMissingSerials.length}):</strong><br>`;
       results.excludedMissingSerials.forEach(item => {
@@ -404,6 +755,27 @@ export function downloadExcludedCSV() {
     });
   });
 
+  // Add barcodes missing a component - ALL serials in the chunk get this error
+  results.excludedMissingComponents.forEach(item => {
+    item.serials.forEach(serial => {
+      csvContent += `"${item.barcode}","${serial}","Missing Component","No serials for ${item.missingComponents.join(', ')}"\n`;
+    });
+  });
+
+  // Add barcodes missing lot / date tracking - ALL serials in the chunk get this error
+  results.excludedMissingTracking.forEach(item => {
+    item.serials.forEach(serial => {
+      csvContent += `"${item.barcode}","${serial}","Missing Tracking","Missing or invalid ${item.missingTracking.join(', ')}"\n`;
+    });
+  });
+
+  // Add barcodes with an invalid FG location / location group - ALL serials in the chunk get this error
+  results.excludedInvalidLocation.forEach(item => {
+    item.serials.forEach(serial => {
+      csvContent += `"${item.barcode}","${serial}","Invalid Location","${item.reason}"\n`;
+    });
+  });
+
   // Add barcodes with missing serials - show each serial with its specific status
   results.excludedMissingSerials.forEach(item => {
     const barcode = item.barcode;
@@ -451,6 +823,8 @@ export async function saveToQueue() {
   document.querySelector('input[name="scheduleOption"][value="immediate"]').checked = true;
   document.getElementById('scheduleOptions').style.display = 'none';
   document.getElementById('scheduleHour').value = '';
+  document.getElementById('queuePriority').value = 'normal';
+  document.getElementById('queueDueDate').value = '';
 
   // Set minimum date to today (using local time, not UTC)
   const now = new Date();
@@ -559,6 +933,9 @@ async function performSaveToQueue() {
     scheduledFor = `${scheduleDate} ${scheduleHour}:${scheduleMinute}:00`;
   }
 
+  const priority = document.getElementById('queuePriority').value;
+  const dueDate = document.getElementById('queueDueDate').value || null;
+
   // Close the modal
   $('#scheduleModal').modal('hide');
 
@@ -570,6 +947,7 @@ async function performSaveToQueue() {
     } else {
       log(`[INFO] Job will be available for immediate processing\n`);
     }
+    log(`[INFO] Priority: ${priority}${dueDate ? `, due ${dueDate}` : ''}\n`);
 
     // Get config to get database name
     const configResponse = await fetch('/api/load-config');
@@ -614,16 +992,17 @@ async function performSaveToQueue() {
     log(`Saving ${results.valid.size} barcode(s) to queue...\n`);
 
     const items = [];
-    for (const [barcode, serials] of results.valid) {
-      const serialsJson = JSON.stringify(serials);
+    for (const [barcode, components] of results.valid) {
+      const withSerials = components.filter(component => component.serials.length > 0);
       items.push({
         barcode: barcode,
-        serialNumbers: serialsJson,
-        fgLocation: results.fgLocation,
-        rawGoodsPartId: results.rawGoodPartId,
+        ...(withSerials.length > 0 ? { components: withSerials.map(component => ({ partId: parseInt(component.partId, 10), serials: component.serials })) } : {}),
+        ...(results.buildQuantities.has(barcode) ? { buildQuantity: results.buildQuantities.get(barcode) } : {}),
+        trackingValues: results.trackingValues.get(barcode) || {},
+        fgLocation: results.itemLocations.get(barcode).fgLocation,
         bomNum: state.bom,
         bomId: state.bomId,
-        locationGroupId: state.locationGroup
+        locationGroupId: results.itemLocations.get(barcode).locationGroupId
       });
     }
 
@@ -633,12 +1012,15 @@ async function performSaveToQueue() {
       body: JSON.stringify({
         database: database,
         items: items,
-        scheduledFor: scheduledFor
+        scheduledFor: scheduledFor,
+        priority: priority,
+        dueDate: dueDate
       })
     });
 
     if (!insertResponse.ok) {
-      throw new Error('Failed to insert records');
+      const errorData = await insertResponse.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to insert records');
     }
 
     const insertResult = await insertResponse.json();
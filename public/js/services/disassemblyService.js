@@ -249,6 +249,9 @@ export async function confirmDisassembly() {
   try {
     log(`\n[DISASSEMBLY] Queuing ${state.selectedFinishedGoods.length} finished goods for disassembly...\n`);
 
+    // All FGs in this submission share an upload ID (used by BATCH_STRATEGY=upload)
+    const uploadId = `disassembly-${Date.now()}`;
+
     // Queue each FG for disassembly
     for (const fg of state.selectedFinishedGoods) {
       // Query the original WO structure to get exact parts, quantities, and tracking
@@ -283,7 +286,8 @@ export async function confirmDisassembly() {
           bomId: state.bomId,
           locationGroupId: state.locationGroup,
           operationType: 'disassemble',
-          originalWoStructure: JSON.stringify(woStructure) // Store complete WO structure
+          originalWoStructure: JSON.stringify(woStructure), // Store complete WO structure
+          uploadId: uploadId
         };
 
         const response = await fetch('/api/queue-work-order', {
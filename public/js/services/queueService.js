@@ -160,6 +160,7 @@ export async function processQueue() {
         <p><strong>Progress:</strong> <span id="progressText">0 / 0</span></p>
         <p><strong>Time Elapsed:</strong> <span id="timeElapsed">0s</span></p>
         <p><strong>Estimated Time Remaining:</strong> <span id="timeRemaining">Calculating...</span></p>
+        <p><strong>Current Group:</strong> <span id="currentGroup">-</span></p>
         <p><strong>Current MO:</strong> <span id="currentMO">-</span></p>
         <p><strong>Current WO:</strong> <span id="currentWO">-</span></p>
         <div class="progress" style="margin-top:10px;">
@@ -295,6 +296,8 @@ export async function pollQueueStatus() {
     clearInterval(pollInterval);
   }
 
+  let lastPausedReason = null;
+
   pollInterval = setInterval(async () => {
     try {
       const statusResponse = await fetch('/api/queue-status');
@@ -377,8 +380,19 @@ export async function pollQueueStatus() {
         }
       }
 
-      document.getElementById('statusText').textContent = status.status.toUpperCase();
+      // Circuit breaker pauses the job while Fishbowl is down
+      if (status.pausedReason !== lastPausedReason) {
+        if (status.pausedReason) {
+          log(`[PAUSED] ${status.pausedReason} - job resumes automatically when Fishbowl recovers\n`);
+        } else if (lastPausedReason) {
+          log('[RESUMED] Fishbowl is responding again\n');
+        }
+        lastPausedReason = status.pausedReason;
+      }
+
+      document.getElementById('statusText').textContent = status.paused ? 'PAUSED' : status.status.toUpperCase();
       document.getElementById('progressText').textContent = `${status.processedItems} / ${status.totalItems}`;
+      document.getElementById('currentGroup').textContent = formatGroupProgress(status);
       document.getElementById('currentMO').textContent = status.currentMO || '-';
       document.getElementById('currentWO').textContent = status.currentWO || '-';
 
@@ -796,6 +810,7 @@ export async function checkAndResumeJob() {
           <p><strong>Progress:</strong> <span id="progressText">${status.processedItems} / ${status.totalItems}</span></p>
           <p><strong>Time Elapsed:</strong> <span id="timeElapsed">${initialElapsed}</span></p>
           <p><strong>Estimated Time Remaining:</strong> <span id="timeRemaining">Calculating...</span></p>
+          <p><strong>Current Group:</strong> <span id="currentGroup">${formatGroupProgress(status)}</span></p>
           <p><strong>Current MO:</strong> <span id="currentMO">${status.currentMO || '-'}</span></p>
           <p><strong>Current WO:</strong> <span id="currentWO">${status.currentWO || '-'}</span></p>
           <div class="progress" style="margin-top:10px;">
@@ -900,6 +915,18 @@ function formatDuration(milliseconds) {
   }
 }
 
+/**
+ * Format progress of the BOM/location group currently being processed
+ */
+function formatGroupProgress(status) {
+  const groups = status.groups || [];
+  const groupIndex = groups.findIndex(g => g.key === status.currentGroup);
+  if (groupIndex === -1) return '-';
+
+  const group = groups[groupIndex];
+  return `${group.bomNum} (${groupIndex + 1} of ${groups.length}) - ${group.processedItems} / ${group.totalItems}`;
+}
+
 /**
  * Calculate duration between two timestamps
  */
@@ -5,7 +5,7 @@
 
 import { log, kv, populateSelect } from '../utils/helpers.js';
 import { state } from '../utils/state.js';
-import { fishbowlQuery } from '../api/fishbowlApi.js';
+import { fishbowlNamedQuery } from '../api/fishbowlApi.js';
 import { enableStep } from '../ui/stepManager.js';
 
 // Store BOM data globally (similar to window.bomData in original)
@@ -32,8 +32,7 @@ export function setBomData(data) {
 export async function loadLocationGroups() {
   try {
     log('Loading location groups...\n');
-    const sql = "SELECT locationgroup.name AS locationgroupnamelistvalue, locationgroup.id AS locgid FROM locationgroup WHERE locationgroup.activeflag = 1 ORDER BY 1";
-    const rows = await fishbowlQuery(sql);
+    const rows = await fishbowlNamedQuery('activeLocationGroups');
 
     if (!rows.length) {
       populateSelect('locationGroupSelect', [], 'No location groups found');
@@ -80,8 +79,7 @@ export async function onLocationGroupChange() {
 export async function loadBOMs(locGroupId) {
   try {
     log(`Loading BOMs for location group ${locGroupId}...\n`);
-    const sql = `SELECT bom.id AS bomid, bom.num, CONCAT(bom.num,' - ',bom.description) AS bom_list_value, locationgroup.id AS locgid, location.id AS locid, CONCAT(locationgroup.name,'-',location.name) AS location_list_value FROM bom JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 10 LEFT JOIN defaultlocation df ON df.partId = bomitem.partid AND df.locationGroupId = ${locGroupId} LEFT JOIN location ON location.id = df.locationid LEFT JOIN locationgroup ON locationgroup.id = location.locationgroupid WHERE bom.activeflag = 1 GROUP BY bom.id, bom.num, bom.description, locationgroup.id, location.id, locationgroup.name, location.name ORDER BY bom.num`;
-    const rows = await fishbowlQuery(sql);
+    const rows = await fishbowlNamedQuery('bomsForLocationGroup', { locationGroupId: locGroupId });
 
     if (!rows.length) {
       populateSelect('bomSelect', [], 'No BOMs found');
@@ -81,7 +81,9 @@ export function resetPage(preserveResults = false) {
 
   // Reset Step 3
   document.getElementById('csvPreview').innerHTML = '';
-  document.getElementById('serialColumn').innerHTML = '';
+  document.getElementById('componentMappings').innerHTML = '';
+  document.getElementById('trackingMappings').innerHTML = '';
+  document.getElementById('trackingMappingsGroup').style.display = 'none';
   document.getElementById('barcodeColumn').innerHTML = '';
   document.getElementById('fgLocation').innerHTML = '<option value="">Loading locations...</option>';
   document.getElementById('hasHeaders').checked = true;
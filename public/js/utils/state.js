@@ -13,6 +13,8 @@ export const state = {
   bomId: null,
   bomDefaultLocation: null,
   csvData: null,
+  rawGoods: [], // Serial-tracked raw goods on the BOM: [{ partId, label }]
+  valueTracking: [], // Lot / date / revision tracking of the BOM's parts: [{ partId, partNum, finishedGood, trackingId, name, abbr, typeId }]
   mapping: null,
   chunks: null,
   validationResults: null,
@@ -55,6 +57,8 @@ export function resetState() {
   state.bomId = null;
   state.bomDefaultLocation = null;
   state.csvData = null;
+  state.rawGoods = [];
+  state.valueTracking = [];
   state.mapping = null;
   state.chunks = null;
   state.validationResults = null;
@@ -23,7 +23,7 @@ const { validateConfig } = require('./src/utils/configValidator');
 validateConfig();
 
 const { app, logger } = require('./src/app');
-const { PORT } = require('./src/config');
+const { PORT, FISHBOWL_SIMULATOR } = require('./src/config');
 const { logoutAllTokens } = require('./src/services/authService');
 const { loadTokens } = require('./src/db/tokenStore');
 const { getCurrentJob } = require('./src/services/jobService');
@@ -35,6 +35,7 @@ const { getPendingCount } = require('./src/db/queries');
 // ============================================================================
 
 let server;
+let simulatorServer = null;
 let isShuttingDown = false;
 
 async function gracefulShutdown(signal) {
@@ -85,6 +86,10 @@ async function gracefulShutdown(signal) {
   const { stopScheduler } = require('./src/services/schedulerService');
   stopScheduler();
 
+  // Hand the processing lease to a standby instance
+  const { stopLeaderElection } = require('./src/services/leaderService');
+  await stopLeaderElection(logger);
+
   // Close HTTP server (fast, no await needed - server.close is synchronous for stopping new connections)
   logger.info('SHUTDOWN - Closing HTTP server');
   if (server) {
@@ -93,6 +98,10 @@ async function gracefulShutdown(signal) {
     });
   }
 
+  if (simulatorServer) {
+    simulatorServer.close();
+  }
+
   // Close all database connection pools
   logger.info('SHUTDOWN - Closing database connection pools');
   try {
@@ -138,6 +147,12 @@ process.on('unhandledRejection', (reason, promise) => {
 // START SERVER
 // ============================================================================
 
+// Sandbox/training mode: local Fishbowl simulator on its own port
+if (FISHBOWL_SIMULATOR) {
+  const { startSimulator } = require('./src/simulator/simulatorServer');
+  simulatorServer = startSimulator(logger);
+}
+
 server = app.listen(PORT, async () => {
   logger.info('='.repeat(60));
   logger.info('MANUFACTURING ORCHESTRATOR PROXY SERVER');
@@ -194,6 +209,18 @@ server = app.listen(PORT, async () => {
     logger.info('No orphaned tokens found - starting fresh');
   }
 
+  // Settle queue items a crashed processor left in Processing
+  const { runStartupRecovery } = require('./src/services/claimRecoveryService');
+  try {
+    await runStartupRecovery(logger);
+  } catch (error) {
+    logger.warn('STARTUP - Stale claim recovery failed', { error: error.message });
+  }
+
+  // Compete for the processing lease with other instances on the same database
+  const { startLeaderElection } = require('./src/services/leaderService');
+  startLeaderElection(logger);
+
   // Start automatic job scheduler for scheduled work orders
   const { startScheduler } = require('./src/services/schedulerService');
   startScheduler();
@@ -1,6 +1,5 @@
 const express = require('express');
 const Logger = require('./utils/logger');
-const { LOG_FILE, LOG_LEVEL } = require('./config');
 const setupMiddleware = require('./middleware');
 const setupRoutes = require('./routes');
 
@@ -8,8 +7,8 @@ const setupRoutes = require('./routes');
  * Express Application Setup
  */
 
-// Create logger instance
-const logger = new Logger(LOG_FILE, LOG_LEVEL);
+// Shared logger instance (LOG_FILE / LOG_LEVEL)
+const logger = Logger.getAppLogger();
 
 // Create Express app
 const app = express();
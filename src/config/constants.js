@@ -8,13 +8,29 @@
 module.exports = {
   // Queue Processing
   BATCH_SIZE: parseInt(process.env.BATCH_SIZE) || 100,
+  BATCH_STRATEGY: process.env.BATCH_STRATEGY || 'fixed', // fixed, slot, fg_location, upload, day (see utils/batchStrategy)
+  INVENTORY_PREFLIGHT: process.env.INVENTORY_PREFLIGHT || 'review', // review, block, off (see utils/inventoryPreflight)
+  // Where pick items take their stock from: available, mo_group, preferred_group, fifo (comma-separated, see utils/pickLocations)
+  PICK_LOCATION_RULES: (process.env.PICK_LOCATION_RULES || 'available,mo_group,fifo')
+    .split(',').map(rule => rule.trim()).filter(Boolean),
+  PICK_PREFERRED_LOCATION_GROUP: parseInt(process.env.PICK_PREFERRED_LOCATION_GROUP) || null, // Location group ID for preferred_group
   MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 1,
+  RETRY_BASE_DELAY_MS: parseInt(process.env.RETRY_BASE_DELAY_MS) || 2000, // Doubled on each retry
+  RETRY_MAX_DELAY_MS: parseInt(process.env.RETRY_MAX_DELAY_MS) || 30000,
   CONCURRENT_WO_LIMIT: parseInt(process.env.CONCURRENT_WO_LIMIT) || 1, // Set to 1 for sequential, increase for parallel
+  ADAPTIVE_LATENCY_TARGET_MS: parseInt(process.env.ADAPTIVE_LATENCY_TARGET_MS) || 5000, // Concurrency backs off above this average
+  CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5, // Consecutive outage failures before the job pauses
+  CIRCUIT_RESET_TIMEOUT_MS: parseInt(process.env.CIRCUIT_RESET_TIMEOUT_MS) || 30000, // Pause before probing Fishbowl again
+  CLAIM_HEARTBEAT_INTERVAL_MS: parseInt(process.env.CLAIM_HEARTBEAT_INTERVAL_MS) || 15000, // 15 seconds
+  CLAIM_STALE_AFTER_MS: parseInt(process.env.CLAIM_STALE_AFTER_MS) || 120000, // 2 minutes without a heartbeat
+  LEADER_LEASE_TTL_MS: parseInt(process.env.LEADER_LEASE_TTL_MS) || 30000, // Standby takes over once the lease expires
+  LEADER_LEASE_RENEW_INTERVAL_MS: parseInt(process.env.LEADER_LEASE_RENEW_INTERVAL_MS) || 10000,
 
   // Polling & Timeouts
   POLL_INTERVAL_MS: parseInt(process.env.POLL_INTERVAL_MS) || 1000,
   JOB_TIMEOUT_MS: parseInt(process.env.JOB_TIMEOUT_MS) || 3600000, // 1 hour
   API_REQUEST_TIMEOUT_MS: parseInt(process.env.API_REQUEST_TIMEOUT_MS) || 30000, // 30 seconds
+  IN_CLAUSE_CHUNK_SIZE: parseInt(process.env.IN_CLAUSE_CHUNK_SIZE) || 500, // Longer IN lists are split across several queries
 
   // Logging
   LOG_MAX_SIZE: process.env.LOG_MAX_SIZE || '10m',
@@ -30,6 +46,13 @@ module.exports = {
   SSL_VERIFY: process.env.SSL_VERIFY !== 'false', // Default to true, explicitly set to 'false' to disable
   ENCRYPTION_REQUIRED: process.env.ENCRYPTION_REQUIRED !== 'false', // Require ENCRYPTION_KEY env var
   SESSION_CLEANUP_INTERVAL_MS: parseInt(process.env.SESSION_CLEANUP_INTERVAL_MS) || 3600000, // 1 hour
+  // Legacy request types the browser may send through /api/fishbowl/:endpoint (comma-separated)
+  LEGACY_PROXY_ALLOWED_REQUESTS: (process.env.LEGACY_PROXY_ALLOWED_REQUESTS || 'GetPickRq,GetWorkOrderRq,PartGetRq,InvQtyRq,LocationQueryRq')
+    .split(',').map(type => type.trim()).filter(Boolean),
+  // REST calls the browser may send through the /api catch-all, as 'METHOD path' (comma-separated,
+  // e.g. 'GET parts'; a path also allows its sub-paths). The UI needs none, so none by default
+  REST_PROXY_ALLOWED_PATHS: (process.env.REST_PROXY_ALLOWED_PATHS || '')
+    .split(',').map(entry => entry.trim()).filter(Boolean),
 
   // Cache
   CACHE_TTL_MS: parseInt(process.env.CACHE_TTL_MS) || 300000, // 5 minutes
@@ -52,12 +75,40 @@ module.exports = {
     ERROR: 'error'
   },
 
-  // Queue Item Status
+  // Queue Item Status (mo_queue.status)
   QUEUE_STATUS: {
-    PENDING: 'pending',
-    PROCESSING: 'processing',
-    COMPLETED: 'completed',
-    FAILED: 'failed'
+    PENDING: 'Pending',
+    PROCESSING: 'Processing',
+    COMPLETED: 'Success',
+    FAILED: 'Failed',
+    DEAD_LETTER: 'DeadLetter',
+    REVIEW: 'Review',
+    CLOSED_SHORT: 'closed_short'
+  },
+
+  // Queue Item Events (mo_queue_events.event_type)
+  QUEUE_EVENTS: {
+    MO_CREATED: 'mo_created',
+    MO_ISSUED: 'mo_issued',
+    WO_ASSIGNED: 'wo_assigned',
+    PICK_OPENED: 'pick_opened',
+    PICK_SPLIT: 'pick_split',
+    PICK_FINISHED: 'pick_finished',
+    WO_COMPLETED: 'wo_completed',
+    RETRY: 'retry',
+    FAILED: 'failed',
+    DEAD_LETTERED: 'dead_lettered',
+    REQUEUED: 'requeued',
+    CLAIM_RECOVERED: 'claim_recovered',
+    PREFLIGHT_HELD: 'preflight_held'
+  },
+
+  // Queue priority (higher runs first; any whole number from LOW to RUSH is accepted)
+  QUEUE_PRIORITY: {
+    LOW: 0,
+    NORMAL: 50,
+    HIGH: 75,
+    RUSH: 100
   },
 
   // MO Types
@@ -66,6 +117,24 @@ module.exports = {
     DISASSEMBLE: 'DISASSEMBLE'
   },
 
+  // Fishbowl part tracking types (parttracking.typeid)
+  PART_TRACKING_TYPES: {
+    TEXT: 10,
+    DATE: 20,
+    EXPIRATION_DATE: 30,
+    SERIAL_NUMBER: 40,
+    MONEY: 50,
+    QUANTITY: 60,
+    COUNT: 70,
+    CHECKBOX: 80
+  },
+
+  // Part tracking IDs of a stock Fishbowl company, used until setup maps the roles
+  DEFAULT_TRACKING_ROLES: {
+    componentSerial: 4,
+    fgIdentifier: 5
+  },
+
   // HTTP Status Codes
   HTTP_STATUS: {
     OK: 200,
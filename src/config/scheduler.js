@@ -4,6 +4,8 @@
 
 const SCHEDULER_CHECK_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_CHECK_INTERVAL_SECONDS) || 60;
 const SCHEDULE_GRANULARITY = process.env.SCHEDULE_GRANULARITY || 'hourly';
+// Scheduled runs plan and report only, without writing to Fishbowl or mo_queue
+const SCHEDULER_DRY_RUN = process.env.SCHEDULER_DRY_RUN === 'true';
 
 // Validate granularity setting
 if (!['hourly', 'any-time'].includes(SCHEDULE_GRANULARITY)) {
@@ -13,5 +15,6 @@ if (!['hourly', 'any-time'].includes(SCHEDULE_GRANULARITY)) {
 module.exports = {
   SCHEDULER_CHECK_INTERVAL_SECONDS,
   SCHEDULER_CHECK_INTERVAL_MS: SCHEDULER_CHECK_INTERVAL_SECONDS * 1000,
-  SCHEDULE_GRANULARITY
+  SCHEDULE_GRANULARITY,
+  SCHEDULER_DRY_RUN
 };
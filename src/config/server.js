@@ -1,3 +1,4 @@
+const os = require('os');
 const path = require('path');
 
 module.exports = {
@@ -6,6 +7,11 @@ module.exports = {
   LOG_LEVEL: process.env.LOG_LEVEL || 'INFO', // ERROR, WARN, INFO, or DEBUG
   CONFIG_FILE: path.join(__dirname, '../../config.json'),
   TOKEN_FILE: path.join(__dirname, '../../active-tokens.json'),
+  AUDIT_LOG_FILE: path.join(__dirname, '../../audit.log'), // Rejected proxy requests (one JSON object per line)
+  CAPTURE_DIR: process.env.CAPTURE_DIR || path.join(__dirname, '../../captures'), // Fishbowl traffic archives of captured jobs
+
+  // Identifies this process as the owner of claimed queue items (hostname:pid unless overridden)
+  INSTANCE_ID: process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`,
 
   // TLS certificate validation - configurable via environment variable
   // Set NODE_TLS_REJECT_UNAUTHORIZED=false for development with self-signed certs
@@ -14,6 +20,12 @@ module.exports = {
     ? process.env.NODE_TLS_REJECT_UNAUTHORIZED
     : '0', // Default to permissive for backward compatibility
 
+  // Fishbowl simulator (sandbox/training mode): serves a fake Fishbowl on its own port
+  // and refuses logins and Fishbowl calls to any other server while on
+  FISHBOWL_SIMULATOR: process.env.FISHBOWL_SIMULATOR === 'true',
+  FISHBOWL_SIMULATOR_PORT: parseInt(process.env.FISHBOWL_SIMULATOR_PORT) || 2457,
+  SIMULATOR_FIXTURE_FILE: process.env.SIMULATOR_FIXTURE_FILE || path.join(__dirname, '../simulator/fixtures/sandbox.json'),
+
   // UI inactivity timeout
   UI_INACTIVITY_TIMEOUT_MINUTES: parseInt(process.env.UI_INACTIVITY_TIMEOUT_MINUTES) || 2,
   UI_INACTIVITY_TIMEOUT_MS: (parseInt(process.env.UI_INACTIVITY_TIMEOUT_MINUTES) || 2) * 60 * 1000
@@ -0,0 +1,406 @@
+/**
+ * Named Fishbowl Queries
+ *
+ * Every query sent to the Fishbowl data-query endpoint is declared here with
+ * typed parameters (see utils/queryBuilder). BROWSER_QUERIES lists the ones
+ * the UI may run through /api/named-query/:name; the rest are server-only.
+ * Reference lookups listed in CACHED_QUERIES are served from the reference
+ * cache (services/referenceCache) while fresh, except in captured jobs and
+ * replays, whose archive must hold every response.
+ * Component serial and FG barcode tracking IDs are the serialTrackingId and
+ * barcodeTrackingId parameters, filled from the tracking roles chosen in setup
+ * (utils/trackingRoles).
+ */
+
+const { getFishbowlClient } = require('../services/fishbowlClient');
+const { CACHE_REGIONS, getReferenceCache, referenceCacheKey } = require('../services/referenceCache');
+const { PARAM_TYPES, defineQuery, runQuery } = require('../utils/queryBuilder');
+const { isCaptureActive } = require('../utils/trafficCapture');
+const { withTrackingRoles } = require('../utils/trackingRoles');
+
+const { STRING, INT, LIST, INT_LIST, SERIAL_LIST } = PARAM_TYPES;
+
+const LOCATION_COLUMNS = `
+  location.id as location_id,
+  location.typeid as location_typeid,
+  location.name as location_name,
+  location.description as location_description,
+  location.countedAsAvailable,
+  location.activeflag,
+  location.pickable,
+  location.receivable,
+  location.sortorder,
+  locationgroup.id as locationgroup_id,
+  locationgroup.name as locationgroup_name,
+  tag.id as tag_id,
+  tag.num as tag_num
+`;
+
+const FISHBOWL_QUERIES = {
+  // Locations
+  locationByName: defineQuery('locationByName', `
+    SELECT ${LOCATION_COLUMNS}
+    FROM location
+    JOIN locationgroup ON locationgroup.id = location.locationgroupid
+    LEFT JOIN tag ON tag.locationid = location.id
+    WHERE locationgroup.name = :locationGroupName
+      AND location.name = :locationName
+  `, { locationGroupName: STRING, locationName: STRING }),
+
+  locationById: defineQuery('locationById', `
+    SELECT ${LOCATION_COLUMNS}
+    FROM location
+    JOIN locationgroup ON locationgroup.id = location.locationgroupid
+    LEFT JOIN tag ON tag.locationid = location.id
+    WHERE location.id = :locationId
+  `, { locationId: INT }),
+
+  receivableLocationsForGroup: defineQuery('receivableLocationsForGroup', `
+    SELECT
+      location.id AS location_id,
+      locationgroup.id AS locationgroup_id,
+      CONCAT(locationgroup.name,' - ',location.name) AS list_value,
+      location.name AS location_name,
+      locationgroup.name AS locationgroup_name
+    FROM locationgroup
+    JOIN location ON location.locationgroupid = locationgroup.id
+    WHERE locationgroup.id = :locationGroupId
+      AND location.activeflag = 1
+      AND location.receivable = 1
+    ORDER BY location.name
+  `, { locationGroupId: INT }),
+
+  // Manufacturing orders and work orders
+  workOrdersForMO: defineQuery('workOrdersForMO', `
+    SELECT wo.num, wo.id FROM wo
+    JOIN moitem ON moitem.id = wo.moitemid
+    JOIN mo ON mo.id = moitem.moid
+    WHERE mo.num = :moNumber
+    ORDER BY wo.id
+  `, { moNumber: STRING }),
+
+  moIdByNumber: defineQuery('moIdByNumber', `
+    SELECT id FROM mo WHERE num = :moNumber
+  `, { moNumber: STRING }),
+
+  mosMatchingPattern: defineQuery('mosMatchingPattern', `
+    SELECT num FROM mo WHERE num LIKE :pattern
+  `, { pattern: STRING }),
+
+  mosByNumber: defineQuery('mosByNumber', `
+    SELECT mo.num FROM mo WHERE mo.num IN (:moNumbers)
+  `, { moNumbers: LIST }),
+
+  workOrderStatuses: defineQuery('workOrderStatuses', `
+    SELECT wo.num, wo.statusid FROM wo WHERE wo.num IN (:woNumbers)
+  `, { woNumbers: LIST }),
+
+  workOrderStructure: defineQuery('workOrderStructure', `
+    SELECT
+      bomitemtype.name AS woitem_type,
+      woitem.partId AS partid,
+      woitem.qtyUsed AS woitem_qty,
+      GROUP_CONCAT(DISTINCT trackinginfosn.serialNum) AS serial_numbers
+    FROM wo
+    JOIN woitem ON woitem.woid = wo.id
+    JOIN bomitemtype ON bomitemtype.id = woitem.typeid
+    LEFT JOIN trackinginfo ON trackinginfo.recordId = woitem.id AND trackinginfo.tableid = -355941248
+    LEFT JOIN trackinginfosn ON trackinginfosn.trackingInfoId = trackinginfo.id
+    WHERE wo.num = :woNumber
+      AND woitem.qtyused > 0
+    GROUP BY bomitemtype.name, woitem.partId, woitem.qtyUsed
+    ORDER BY bomitemtype.name, woitem.partId
+  `, { woNumber: STRING }),
+
+  // Parts, BOMs and inventory
+  partDetails: defineQuery('partDetails', `
+    SELECT
+      part.id AS part_id,
+      part.num AS part_num,
+      part.description AS part_description,
+      part.uomid AS uom_id
+    FROM part
+    WHERE part.id IN (:partIds)
+  `, { partIds: INT_LIST }),
+
+  finishedGoodPartForBom: defineQuery('finishedGoodPartForBom', `
+    SELECT bomitem.partid
+    FROM bom
+    JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 10
+    WHERE bom.num = :bomNum AND bom.id = :bomId
+  `, { bomNum: STRING, bomId: INT }),
+
+  rawGoodsForBom: defineQuery('rawGoodsForBom', `
+    SELECT DISTINCT
+      part.num AS part_num,
+      part.id AS part_id,
+      CONCAT(part.num,' - ',part.description) AS list_values
+    FROM bom
+    JOIN bomitem ON bomitem.bomId = bom.id
+    JOIN part ON part.id = bomitem.partid
+    JOIN parttotracking ON parttotracking.partid = bomitem.partid
+    JOIN parttracking ON parttracking.id = parttotracking.parttrackingid
+    WHERE bom.num = :bomNum
+      AND bomitem.typeid = 20
+      AND parttracking.id = :serialTrackingId
+    ORDER BY part.num
+  `, { bomNum: STRING, serialTrackingId: INT }),
+
+  finishedGoodsOnHand: defineQuery('finishedGoodsOnHand', `
+    SELECT DISTINCT
+      sn.SerialNum AS barcode,
+      p.id AS fg_part_id,
+      p.num AS fg_part_num,
+      p.description AS fg_description,
+      l.name AS location_name,
+      lg.name AS location_group_name,
+      CONCAT(lg.name, '-', l.name) AS full_location
+    FROM part p
+    JOIN tag t ON t.partid = p.id
+    JOIN serial s ON s.tagid = t.id
+    JOIN serialnum sn ON sn.serialid = s.id AND sn.parttrackingid = :barcodeTrackingId
+    JOIN location l ON l.id = t.locationid
+    JOIN locationgroup lg ON lg.id = l.locationgroupid
+    WHERE p.id = :partId
+      AND t.qty > 0
+  `, { partId: INT, barcodeTrackingId: INT }),
+
+  serialLocations: defineQuery('serialLocations', `
+    SELECT
+      serialnum.SerialNum as serial,
+      location.id as location_id,
+      location.name as location_name,
+      locationgroup.id as locationgroup_id,
+      locationgroup.name as locationgroup_name,
+      location.typeid as location_typeid,
+      location.description as location_description,
+      location.pickable as location_pickable,
+      location.receivable as location_receivable,
+      location.activeflag as location_active,
+      location.countedAsAvailable as location_counted_as_available,
+      tag.id as tag_id,
+      tag.num as tag_num,
+      tag.dateCreated as tag_date_created,
+      serial.committedFlag as serial_committed
+    FROM bom
+    JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 20
+    JOIN part ON part.id = bomitem.partid
+    JOIN tag ON tag.partid = part.id
+    JOIN serial ON serial.tagid = tag.id
+    JOIN serialnum ON serialnum.serialid = serial.id AND serialnum.parttrackingid = :serialTrackingId
+    JOIN location ON location.id = tag.locationid
+    JOIN locationgroup ON locationgroup.id = location.locationgroupid
+    WHERE bom.num = :bomNum
+      AND part.id = :partId
+      AND serialnum.SerialNum IN (:serials)
+    ORDER BY location.id, serialnum.SerialNum
+  `, { bomNum: STRING, partId: INT, serials: SERIAL_LIST, serialTrackingId: INT }),
+
+  // Tags holding available quantity of a part, with their locations (pick source of untracked raw goods)
+  partPickLocations: defineQuery('partPickLocations', `
+    SELECT
+      location.id as location_id,
+      location.name as location_name,
+      locationgroup.id as locationgroup_id,
+      locationgroup.name as locationgroup_name,
+      location.typeid as location_typeid,
+      location.description as location_description,
+      location.pickable as location_pickable,
+      location.receivable as location_receivable,
+      location.activeflag as location_active,
+      location.countedAsAvailable as location_counted_as_available,
+      tag.id as tag_id,
+      tag.num as tag_num,
+      tag.dateCreated as tag_date_created,
+      tag.qty - tag.qtyCommitted as qty_available
+    FROM tag
+    JOIN location ON location.id = tag.locationid
+    JOIN locationgroup ON locationgroup.id = location.locationgroupid
+    WHERE tag.partid = :partId
+      AND tag.qty - tag.qtyCommitted > 0
+    ORDER BY location.id, tag.id
+  `, { partId: INT }),
+
+  // Available quantity of a BOM's raw goods without component serials, at pickable locations of a location group
+  bomComponentAvailability: defineQuery('bomComponentAvailability', `
+    SELECT
+      part.id AS part_id,
+      part.num AS part_num,
+      SUM(bomitem.quantity) AS qty_per_build,
+      COALESCE((
+        SELECT SUM(tag.qty - tag.qtyCommitted)
+        FROM tag
+        JOIN location ON location.id = tag.locationid
+        WHERE tag.partid = part.id
+          AND location.locationgroupid = :locationGroupId
+          AND location.activeflag = 1
+          AND location.pickable = 1
+          AND location.countedAsAvailable = 1
+      ), 0) AS qty_available
+    FROM bom
+    JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 20
+    JOIN part ON part.id = bomitem.partid
+    WHERE bom.num = :bomNum
+      AND part.id NOT IN (
+        SELECT parttotracking.partid FROM parttotracking WHERE parttotracking.parttrackingid = :serialTrackingId
+      )
+    GROUP BY part.id, part.num
+    ORDER BY part.num
+  `, { locationGroupId: INT, bomNum: STRING, serialTrackingId: INT }),
+
+  partTrackingDefinitions: defineQuery('partTrackingDefinitions', `
+    SELECT
+      parttracking.id AS parttracking_id,
+      parttracking.name AS parttracking_name,
+      parttracking.abbr AS parttracking_abbr,
+      parttracking.typeid AS parttracking_typeid,
+      parttracking.activeflag AS parttracking_active
+    FROM parttracking
+    ORDER BY parttracking.id
+  `),
+
+  // Non-serial tracking (lot, expiration date, revision, ...) of a BOM's finished good and raw goods
+  valueTrackingForBom: defineQuery('valueTrackingForBom', `
+    SELECT DISTINCT
+      bomitem.typeid AS bomitem_typeid,
+      part.id AS part_id,
+      part.num AS part_num,
+      parttracking.id AS parttracking_id,
+      parttracking.name AS parttracking_name,
+      parttracking.abbr AS parttracking_abbr,
+      parttracking.typeid AS parttracking_typeid
+    FROM bom
+    JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid IN (10, 20)
+    JOIN part ON part.id = bomitem.partid
+    JOIN parttotracking ON parttotracking.partid = part.id
+    JOIN parttracking ON parttracking.id = parttotracking.parttrackingid
+    WHERE bom.num = :bomNum
+      AND parttracking.activeflag = 1
+      AND parttracking.typeid <> 40
+    ORDER BY bomitem.typeid, part.num, parttracking.id
+  `, { bomNum: STRING }),
+
+  // UI lookups
+  activeLocationGroups: defineQuery('activeLocationGroups', `
+    SELECT locationgroup.name AS locationgroupnamelistvalue, locationgroup.id AS locgid
+    FROM locationgroup
+    WHERE locationgroup.activeflag = 1
+    ORDER BY 1
+  `),
+
+  bomsForLocationGroup: defineQuery('bomsForLocationGroup', `
+    SELECT bom.id AS bomid, bom.num, CONCAT(bom.num,' - ',bom.description) AS bom_list_value,
+      locationgroup.id AS locgid, location.id AS locid,
+      CONCAT(locationgroup.name,'-',location.name) AS location_list_value
+    FROM bom
+    JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 10
+    LEFT JOIN defaultlocation df ON df.partId = bomitem.partid AND df.locationGroupId = :locationGroupId
+    LEFT JOIN location ON location.id = df.locationid
+    LEFT JOIN locationgroup ON locationgroup.id = location.locationgroupid
+    WHERE bom.activeflag = 1
+    GROUP BY bom.id, bom.num, bom.description, locationgroup.id, location.id, locationgroup.name, location.name
+    ORDER BY bom.num
+  `, { locationGroupId: INT }),
+
+  activeLocationsForGroup: defineQuery('activeLocationsForGroup', `
+    SELECT DISTINCT CONCAT(locationgroup.name,'-',location.name) AS location_list
+    FROM location
+    JOIN locationgroup ON locationgroup.id = location.locationgroupid
+    WHERE location.activeflag = 1
+      AND locationgroup.activeflag = 1
+      AND locationgroup.id = :locationGroupId
+    ORDER BY locationgroup.name, location.name
+  `, { locationGroupId: INT }),
+
+  existingSerials: defineQuery('existingSerials', `
+    SELECT DISTINCT tisn.serialnum AS serial
+    FROM serialnum tisn
+    JOIN serial s ON s.id = tisn.serialid
+    JOIN tag t ON t.id = s.tagid
+    WHERE tisn.parttrackingid = :serialTrackingId AND tisn.serialnum IN (:serials)
+  `, { serials: LIST, serialTrackingId: INT }),
+
+  existingBarcodes: defineQuery('existingBarcodes', `
+    SELECT DISTINCT tisn.serialnum AS barcode
+    FROM serialnum tisn
+    JOIN serial s ON s.id = tisn.serialid
+    JOIN tag t ON t.id = s.tagid
+    WHERE tisn.parttrackingid = :barcodeTrackingId AND tisn.serialnum IN (:barcodes)
+  `, { barcodes: LIST, barcodeTrackingId: INT }),
+
+  queueStatusCounts: defineQuery('queueStatusCounts', `
+    SELECT
+      status,
+      COUNT(*) as count,
+      COUNT(DISTINCT mo_number) as mo_count
+    FROM mo_queue
+    GROUP BY status
+  `),
+
+  queueMOCount: defineQuery('queueMOCount', `
+    SELECT COUNT(DISTINCT mo_number) as mo_count FROM mo_queue WHERE mo_number IS NOT NULL
+  `),
+
+  sessionCheck: defineQuery('sessionCheck', 'SELECT 1 as test'),
+
+  currentDatabase: defineQuery('currentDatabase', 'SELECT DATABASE() as current_db')
+};
+
+// Queries the UI may run by name
+const BROWSER_QUERIES = [
+  'activeLocationGroups',
+  'bomsForLocationGroup',
+  'activeLocationsForGroup',
+  'existingSerials',
+  'existingBarcodes',
+  'valueTrackingForBom',
+  'queueStatusCounts',
+  'queueMOCount',
+  'sessionCheck',
+  'currentDatabase'
+];
+
+// Reference lookups served from the cache, by region
+const CACHED_QUERIES = {
+  locationByName: CACHE_REGIONS.LOCATIONS,
+  locationById: CACHE_REGIONS.LOCATIONS,
+  receivableLocationsForGroup: CACHE_REGIONS.LOCATIONS,
+  activeLocationGroups: CACHE_REGIONS.LOCATIONS,
+  activeLocationsForGroup: CACHE_REGIONS.LOCATIONS,
+  finishedGoodPartForBom: CACHE_REGIONS.BOMS,
+  rawGoodsForBom: CACHE_REGIONS.BOMS,
+  bomsForLocationGroup: CACHE_REGIONS.BOMS,
+  partTrackingDefinitions: CACHE_REGIONS.PART_TRACKING,
+  valueTrackingForBom: CACHE_REGIONS.PART_TRACKING
+};
+
+/**
+ * Run a named query
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string} name - Key in FISHBOWL_QUERIES
+ * @param {Object} values - Parameter name -> value
+ * @param {Object} options - { chunkSize, timeoutMs, signal }
+ * @returns {Promise<Array>} Query results
+ */
+async function runFishbowlQuery(serverUrl, token, name, values = {}, options = {}) {
+  const query = Object.prototype.hasOwnProperty.call(FISHBOWL_QUERIES, name) ? FISHBOWL_QUERIES[name] : null;
+  if (!query) {
+    throw new Error(`Unknown Fishbowl query: ${name}`);
+  }
+
+  const params = await withTrackingRoles(query, values);
+  const run = () => runQuery(getFishbowlClient(serverUrl, token), query, params, options);
+
+  const region = CACHED_QUERIES[name];
+  if (!region || isCaptureActive()) {
+    return await run();
+  }
+  return await getReferenceCache(region).getOrLoad(referenceCacheKey(serverUrl, name, params), run);
+}
+
+module.exports = {
+  FISHBOWL_QUERIES,
+  BROWSER_QUERIES,
+  runFishbowlQuery
+};
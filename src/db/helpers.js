@@ -92,7 +92,35 @@ async function batchUpdateMONumber(connection, moNumber, batchIds) {
   );
 }
 
+/**
+ * Add a column to an existing table if it doesn't exist
+ * Check if column exists first (IF NOT EXISTS only works in MySQL 8.0.23+)
+ *
+ * @param {Connection} connection - MySQL connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column definition (and optional extra ALTER clauses)
+ * @returns {Promise<boolean>} True if the column was added
+ */
+async function addColumnIfMissing(connection, table, column, definition) {
+  const [columns] = await connection.query(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = ?
+      AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (columns.length > 0) {
+    return false;
+  }
+
+  await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
 module.exports = {
   assignWONumbersToQueueItems,
-  batchUpdateMONumber
+  batchUpdateMONumber,
+  addColumnIfMissing
 };
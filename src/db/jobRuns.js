@@ -0,0 +1,190 @@
+/**
+ * Database query functions for job_runs table
+ * Persists the history of queue processing runs so results survive restarts
+ */
+
+const { addColumnIfMissing } = require('./helpers');
+
+/**
+ * Create job_runs table if it doesn't exist
+ * @param {Connection} connection - MySQL connection
+ */
+async function createJobRunsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      triggered_by VARCHAR(20),
+      instance_id VARCHAR(100) NULL,
+      status VARCHAR(20) DEFAULT 'running',
+      started_at DATETIME,
+      ended_at DATETIME NULL,
+      total_items INT DEFAULT 0,
+      processed_items INT DEFAULT 0,
+      success_items INT DEFAULT 0,
+      failed_items INT DEFAULT 0,
+      mos_created TEXT,
+      error_message TEXT,
+      INDEX idx_started_at (started_at),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Processor that ran the job, so a restarted instance can close its interrupted runs
+  await addColumnIfMissing(connection, 'job_runs', 'instance_id', 'VARCHAR(100) NULL AFTER triggered_by');
+}
+
+/**
+ * Record the start of a job run
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} jobStatus - Current JobStatus instance
+ * @param {string} instanceId - Instance ID of the processor running the job
+ * @returns {Promise<number>} New job run ID
+ */
+async function createJobRun(connection, jobStatus, instanceId) {
+  const [result] = await connection.query(
+    `INSERT INTO job_runs (triggered_by, instance_id, status, started_at, total_items) VALUES (?, ?, 'running', ?, ?)`,
+    [jobStatus.triggeredBy || 'ui', instanceId || null, new Date(jobStatus.startTime || Date.now()), jobStatus.totalItems]
+  );
+  return result.insertId;
+}
+
+/**
+ * Link queue items to the job run processing them
+ * @param {Connection} connection - MySQL connection
+ * @param {number} jobRunId - Job run ID
+ * @param {Array<number>} ids - Queue item IDs
+ */
+async function linkQueueItemsToJobRun(connection, jobRunId, ids) {
+  if (!ids || ids.length === 0) {
+    return;
+  }
+
+  await connection.query(
+    `UPDATE mo_queue SET job_run_id = ? WHERE id IN (?)`,
+    [jobRunId, ids]
+  );
+}
+
+/**
+ * Record the final state of a job run
+ * @param {Connection} connection - MySQL connection
+ * @param {number} jobRunId - Job run ID
+ * @param {Object} jobStatus - Current JobStatus instance
+ */
+async function finishJobRun(connection, jobRunId, jobStatus) {
+  await connection.query(
+    `UPDATE job_runs
+     SET status = ?, ended_at = ?, total_items = ?, processed_items = ?,
+         success_items = ?, failed_items = ?, mos_created = ?, error_message = ?
+     WHERE id = ?`,
+    [
+      jobStatus.status,
+      new Date(jobStatus.endTime || Date.now()),
+      jobStatus.totalItems,
+      jobStatus.processedItems,
+      jobStatus.successItems,
+      jobStatus.failedItems,
+      JSON.stringify(jobStatus.mosCreated || []),
+      jobStatus.error,
+      jobRunId
+    ]
+  );
+}
+
+/**
+ * Get job runs still recorded as running
+ * The caller decides which of them belong to a processor that is gone (see claimRecoveryService)
+ * @param {Connection} connection - MySQL connection
+ * @returns {Promise<Array>} Rows with id, instance_id and started_at
+ */
+async function getRunningJobRuns(connection) {
+  const [rows] = await connection.query(
+    `SELECT id, instance_id, started_at FROM job_runs WHERE status = 'running' ORDER BY id`
+  );
+  return rows;
+}
+
+/**
+ * Close job runs whose processor stopped before they finished
+ * @param {Connection} connection - MySQL connection
+ * @param {Array<number>} ids - Job run IDs
+ * @returns {Promise<number>} Number of runs marked interrupted
+ */
+async function markJobRunsInterrupted(connection, ids) {
+  if (!ids || ids.length === 0) {
+    return 0;
+  }
+
+  const [result] = await connection.query(
+    `UPDATE job_runs
+     SET status = 'interrupted', ended_at = NOW(),
+         error_message = COALESCE(error_message, 'Processor stopped before the run finished')
+     WHERE status = 'running' AND id IN (?)`,
+    [ids]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Parse a job_runs row for API responses
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function formatJobRun(row) {
+  let mosCreated = [];
+  try {
+    mosCreated = row.mos_created ? JSON.parse(row.mos_created) : [];
+  } catch (e) {
+    mosCreated = [];
+  }
+  return { ...row, mos_created: mosCreated };
+}
+
+/**
+ * Get recent job runs (newest first)
+ * @param {Connection} connection - MySQL connection
+ * @param {number} limit - Maximum rows to return
+ * @returns {Promise<Array>} Job runs
+ */
+async function getJobRuns(connection, limit = 50) {
+  const [rows] = await connection.query(
+    `SELECT * FROM job_runs ORDER BY id DESC LIMIT ?`,
+    [limit]
+  );
+  return rows.map(formatJobRun);
+}
+
+/**
+ * Get a single job run with the queue items it processed
+ * @param {Connection} connection - MySQL connection
+ * @param {number} jobRunId - Job run ID
+ * @returns {Promise<Object|null>} Job run with items, or null if not found
+ */
+async function getJobRun(connection, jobRunId) {
+  const [rows] = await connection.query(`SELECT * FROM job_runs WHERE id = ?`, [jobRunId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [items] = await connection.query(`
+    SELECT id, barcode, mo_number, wo_number, bom_num, location_group_id,
+           operation_type, status, error_message, error_category, retry_count
+    FROM mo_queue
+    WHERE job_run_id = ?
+    ORDER BY id
+  `, [jobRunId]);
+
+  return { ...formatJobRun(rows[0]), items };
+}
+
+module.exports = {
+  createJobRunsTable,
+  createJobRun,
+  linkQueueItemsToJobRun,
+  finishJobRun,
+  getRunningJobRuns,
+  markJobRunsInterrupted,
+  getJobRuns,
+  getJobRun
+};
@@ -0,0 +1,96 @@
+/**
+ * Database query functions for orchestrator_leases table
+ * A lease is a named lock with an expiry. Instances sharing the database renew
+ * the lease while they hold it; anyone may take it over once it has expired.
+ */
+
+/**
+ * Create orchestrator_leases table if it doesn't exist
+ * @param {Connection} connection - MySQL connection
+ */
+async function createLeasesTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS orchestrator_leases (
+      lease_name VARCHAR(50) PRIMARY KEY,
+      holder VARCHAR(100) NOT NULL,
+      acquired_at DATETIME NOT NULL,
+      renewed_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+/**
+ * Acquire or renew a lease
+ * Succeeds when the lease is free, already held by this holder, or expired.
+ * Both statements are single-row atomic updates, so two instances racing for
+ * an expired lease cannot both win.
+ * @param {Connection} connection - MySQL connection
+ * @param {string} leaseName - Lease name
+ * @param {string} holder - Instance ID
+ * @param {number} ttlSeconds - Lease duration from now
+ * @returns {Promise<boolean>} True if this holder now owns the lease
+ */
+async function acquireLease(connection, leaseName, holder, ttlSeconds) {
+  const [insertResult] = await connection.query(
+    `INSERT IGNORE INTO orchestrator_leases (lease_name, holder, acquired_at, renewed_at, expires_at)
+     VALUES (?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [leaseName, holder, ttlSeconds]
+  );
+
+  if (insertResult.affectedRows === 1) {
+    return true;
+  }
+
+  // acquired_at is assigned before holder so it still compares against the previous holder
+  const [updateResult] = await connection.query(
+    `UPDATE orchestrator_leases
+     SET acquired_at = IF(holder = ?, acquired_at, NOW()),
+         holder = ?,
+         renewed_at = NOW(),
+         expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE lease_name = ? AND (holder = ? OR expires_at <= NOW())`,
+    [holder, holder, ttlSeconds, leaseName, holder]
+  );
+
+  return updateResult.affectedRows === 1;
+}
+
+/**
+ * Give up a lease so a standby can take over immediately
+ * @param {Connection} connection - MySQL connection
+ * @param {string} leaseName - Lease name
+ * @param {string} holder - Instance ID
+ * @returns {Promise<boolean>} True if the lease was held and released
+ */
+async function releaseLease(connection, leaseName, holder) {
+  const [result] = await connection.query(
+    `DELETE FROM orchestrator_leases WHERE lease_name = ? AND holder = ?`,
+    [leaseName, holder]
+  );
+  return result.affectedRows === 1;
+}
+
+/**
+ * Get the current state of a lease
+ * @param {Connection} connection - MySQL connection
+ * @param {string} leaseName - Lease name
+ * @returns {Promise<Object|null>} Lease row with expires_in_seconds, or null if never taken
+ */
+async function getLease(connection, leaseName) {
+  const [rows] = await connection.query(
+    `SELECT lease_name, holder, acquired_at, renewed_at, expires_at,
+            TIMESTAMPDIFF(SECOND, NOW(), expires_at) AS expires_in_seconds
+     FROM orchestrator_leases
+     WHERE lease_name = ?`,
+    [leaseName]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  createLeasesTable,
+  acquireLease,
+  releaseLease,
+  getLease
+};
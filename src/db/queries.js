@@ -2,6 +2,9 @@
  * Database query functions for mo_queue table
  */
 
+const { addColumnIfMissing } = require('./helpers');
+const { QUEUE_PRIORITY } = require('../config/constants');
+
 /**
  * Create mo_queue table if it doesn't exist
  * @param {Connection} connection - MySQL connection
@@ -16,6 +19,9 @@ async function createMOQueueTable(connection) {
       serial_numbers TEXT,
       fg_location VARCHAR(100),
       raw_goods_part_id INT,
+      components LONGTEXT NULL,
+      tracking_values LONGTEXT NULL,
+      build_quantity INT NULL,
       fg_part_id INT,
       bom_num VARCHAR(50),
       bom_id INT,
@@ -25,11 +31,25 @@ async function createMOQueueTable(connection) {
       wo_number VARCHAR(50),
       error_message TEXT,
       retry_count INT DEFAULT 0,
+      error_category VARCHAR(20) NULL,
       original_wo_structure LONGTEXT,
+      job_run_id INT NULL,
+      requeued_by VARCHAR(100) NULL,
+      requeued_at DATETIME NULL,
+      requeue_count INT DEFAULT 0,
+      claimed_by VARCHAR(100) NULL,
+      claimed_at DATETIME NULL,
+      heartbeat_at DATETIME NULL,
+      priority INT NOT NULL DEFAULT 50,
+      due_date DATE NULL,
+      upload_id VARCHAR(50) NULL,
       INDEX idx_status (status),
       INDEX idx_mo_number (mo_number),
       INDEX idx_barcode (barcode),
-      INDEX idx_bom_num (bom_num)
+      INDEX idx_bom_num (bom_num),
+      INDEX idx_job_run_id (job_run_id),
+      INDEX idx_claimed_by (claimed_by),
+      INDEX idx_priority (status, priority, due_date)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
   `;
 
@@ -84,6 +104,38 @@ async function createMOQueueTable(connection) {
       ADD INDEX idx_scheduled_for (scheduled_for)
     `);
   }
+
+  // Link each queue row to the job run that processed it (see job_runs table)
+  await addColumnIfMissing(connection, 'mo_queue', 'job_run_id', 'INT NULL, ADD INDEX idx_job_run_id (job_run_id)');
+
+  // Categorized failure reason (transient, permanent, auth) set by the retry policy
+  await addColumnIfMissing(connection, 'mo_queue', 'error_category', 'VARCHAR(20) NULL AFTER retry_count');
+
+  // Audit trail for failed items put back into the queue by an operator
+  await addColumnIfMissing(connection, 'mo_queue', 'requeued_by', 'VARCHAR(100) NULL');
+  await addColumnIfMissing(connection, 'mo_queue', 'requeued_at', 'DATETIME NULL');
+  await addColumnIfMissing(connection, 'mo_queue', 'requeue_count', 'INT DEFAULT 0');
+
+  // Owner and heartbeat of items being processed (status 'Processing')
+  await addColumnIfMissing(connection, 'mo_queue', 'claimed_by', 'VARCHAR(100) NULL, ADD INDEX idx_claimed_by (claimed_by)');
+  await addColumnIfMissing(connection, 'mo_queue', 'claimed_at', 'DATETIME NULL');
+  await addColumnIfMissing(connection, 'mo_queue', 'heartbeat_at', 'DATETIME NULL');
+
+  // Processing order: higher priority first, then earliest due date
+  await addColumnIfMissing(connection, 'mo_queue', 'priority', 'INT NOT NULL DEFAULT 50');
+  await addColumnIfMissing(connection, 'mo_queue', 'due_date', 'DATE NULL, ADD INDEX idx_priority (status, priority, due_date)');
+
+  // CSV upload / disassembly submission the row came from (BATCH_STRATEGY=upload)
+  await addColumnIfMissing(connection, 'mo_queue', 'upload_id', 'VARCHAR(50) NULL');
+
+  // Serialized components of a build as JSON [{ partId, serials }] (see utils/queueComponents)
+  await addColumnIfMissing(connection, 'mo_queue', 'components', 'LONGTEXT NULL AFTER raw_goods_part_id');
+
+  // Lot / expiration date / revision values as JSON { partId: { partTrackingId: value } } (see utils/trackingValues)
+  await addColumnIfMissing(connection, 'mo_queue', 'tracking_values', 'LONGTEXT NULL AFTER components');
+
+  // Quantity builds: finished goods made by the row's WO (NULL = one per barcode, see utils/queueComponents)
+  await addColumnIfMissing(connection, 'mo_queue', 'build_quantity', 'INT NULL AFTER tracking_values');
 }
 
 /**
@@ -99,6 +151,7 @@ async function getMOQueueCount(connection) {
 /**
  * Get pending items from mo_queue that are ready to process
  * Only returns items where scheduled_for is NULL or <= current time
+ * Ordered by priority (highest first), then due date (none last), then queue order
  * @param {Connection} connection - MySQL connection
  * @returns {Promise<Array>} Pending items ready to process
  */
@@ -107,7 +160,7 @@ async function getPendingItems(connection) {
     SELECT * FROM mo_queue
     WHERE status = 'Pending'
       AND (scheduled_for IS NULL OR scheduled_for <= NOW())
-    ORDER BY id
+    ORDER BY priority DESC, due_date IS NULL, due_date, id
   `);
   return pendingItems;
 }
@@ -194,19 +247,25 @@ async function queueWorkOrder(connection, params) {
     serialNumbers,
     fgLocationId,
     rawGoodsPartId,
+    components,
+    trackingValues,
+    buildQuantity,
     fgPartId,
     bomNum,
     bomId,
     locationGroupId,
     operationType,
     originalWoStructure,
-    scheduledFor
+    scheduledFor,
+    priority,
+    dueDate,
+    uploadId
   } = params;
 
   const insertSQL = `
     INSERT INTO mo_queue
-    (datetime, mo_number, barcode, serial_numbers, fg_location, raw_goods_part_id, fg_part_id, bom_num, bom_id, location_group_id, operation_type, status, scheduled_for, wo_number, error_message, retry_count, original_wo_structure)
-    VALUES (NOW(), NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pending', ?, NULL, NULL, 0, ?)
+    (datetime, mo_number, barcode, serial_numbers, fg_location, raw_goods_part_id, components, tracking_values, build_quantity, fg_part_id, bom_num, bom_id, location_group_id, operation_type, status, scheduled_for, wo_number, error_message, retry_count, original_wo_structure, priority, due_date, upload_id)
+    VALUES (NOW(), NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pending', ?, NULL, NULL, 0, ?, ?, ?, ?)
   `;
 
   await connection.query(insertSQL, [
@@ -214,31 +273,38 @@ async function queueWorkOrder(connection, params) {
     serialNumbers,
     fgLocationId ? fgLocationId.toString() : null,
     rawGoodsPartId,
+    components || null,
+    trackingValues || null,
+    buildQuantity || null,
     fgPartId,
     bomNum,
     bomId,
     locationGroupId,
     operationType,
     scheduledFor || null,
-    originalWoStructure || null
+    originalWoStructure || null,
+    priority ?? QUEUE_PRIORITY.NORMAL,
+    dueDate || null,
+    uploadId || null
   ]);
 }
 
 /**
  * Batch queue work orders
  * @param {Connection} connection - MySQL connection
- * @param {Array<Object>} items - Array of work order items
+ * @param {Array<Object>} items - Array of work order items (item.priority / item.dueDate override the defaults)
  * @param {string|null} scheduledFor - Optional datetime string for scheduling (applies to all items)
+ * @param {Object} defaults - { priority, dueDate, uploadId } applied to items that don't set their own
  * @returns {Promise<number>} Number of inserted records
  */
-async function batchQueueWorkOrders(connection, items, scheduledFor = null) {
+async function batchQueueWorkOrders(connection, items, scheduledFor = null, defaults = {}) {
   if (!items || items.length === 0) {
     return 0;
   }
 
   const insertSQL = `
     INSERT INTO mo_queue
-    (datetime, mo_number, barcode, serial_numbers, fg_location, raw_goods_part_id, bom_num, bom_id, location_group_id, status, scheduled_for, wo_number, error_message, retry_count)
+    (datetime, mo_number, barcode, serial_numbers, fg_location, raw_goods_part_id, components, tracking_values, build_quantity, bom_num, bom_id, location_group_id, status, scheduled_for, wo_number, error_message, retry_count, priority, due_date, upload_id)
     VALUES ?
   `;
 
@@ -250,6 +316,9 @@ async function batchQueueWorkOrders(connection, items, scheduledFor = null) {
     item.serialNumbers, // Already JSON string
     item.fgLocation,
     item.rawGoodsPartId,
+    item.components || null, // JSON string, null for single-component items
+    item.trackingValues || null, // JSON string, null when no part is value-tracked
+    item.buildQuantity || null, // null for one finished good per barcode
     item.bomNum,
     item.bomId,
     item.locationGroupId,
@@ -257,7 +326,10 @@ async function batchQueueWorkOrders(connection, items, scheduledFor = null) {
     scheduledFor, // scheduled_for
     null, // wo_number
     null, // error_message
-    0 // retry_count
+    0, // retry_count
+    item.priority ?? defaults.priority ?? QUEUE_PRIORITY.NORMAL, // priority
+    item.dueDate || defaults.dueDate || null, // due_date
+    defaults.uploadId || null // upload_id
   ]);
 
   const [result] = await connection.query(insertSQL, [values]);
@@ -285,7 +357,7 @@ async function getScheduledJobs(connection) {
 }
 
 /**
- * Get failed jobs (status = 'Failed')
+ * Get failed jobs (status = 'Failed', 'DeadLetter' or 'Review')
  * @param {Connection} connection - MySQL connection
  * @returns {Promise<Array>} Failed jobs
  */
@@ -295,12 +367,15 @@ async function getFailedJobs(connection) {
       id,
       barcode,
       wo_number,
+      status,
       error_message,
+      error_category,
       retry_count,
+      requeue_count,
       scheduled_for,
       datetime
     FROM mo_queue
-    WHERE status = 'Failed'
+    WHERE status IN ('Failed', 'DeadLetter', 'Review')
     ORDER BY datetime DESC
     LIMIT 100
   `);
@@ -330,19 +405,166 @@ async function deleteScheduledJobs(connection, scheduledFor) {
 async function clearFailedJobs(connection, ids = null) {
   if (ids && Array.isArray(ids) && ids.length > 0) {
     const [result] = await connection.query(
-      `DELETE FROM mo_queue WHERE status = 'Failed' AND id IN (?)`,
+      `DELETE FROM mo_queue WHERE status IN ('Failed', 'DeadLetter', 'Review') AND id IN (?)`,
       [ids]
     );
     return result.affectedRows;
   } else {
     // Clear all failed jobs
     const [result] = await connection.query(
-      `DELETE FROM mo_queue WHERE status = 'Failed'`
+      `DELETE FROM mo_queue WHERE status IN ('Failed', 'DeadLetter', 'Review')`
     );
     return result.affectedRows;
   }
 }
 
+/**
+ * Find failed, dead-lettered and review items matching a requeue selection
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} selection - { ids, barcodes, errorCategory } (at least one required)
+ * @returns {Promise<Array>} Matching mo_queue rows
+ */
+async function getRequeueCandidates(connection, selection) {
+  const { ids, barcodes, errorCategory } = selection;
+  const conditions = [];
+  const params = [];
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    conditions.push('id IN (?)');
+    params.push(ids);
+  }
+  if (Array.isArray(barcodes) && barcodes.length > 0) {
+    conditions.push('barcode IN (?)');
+    params.push(barcodes);
+  }
+  if (errorCategory) {
+    conditions.push('error_category = ?');
+    params.push(errorCategory);
+  }
+
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const [rows] = await connection.query(`
+    SELECT id, barcode, mo_number, wo_number, status, error_message, error_category, retry_count
+    FROM mo_queue
+    WHERE status IN ('Failed', 'DeadLetter', 'Review') AND ${conditions.join(' AND ')}
+    ORDER BY id
+  `, params);
+  return rows;
+}
+
+/**
+ * Put failed items back into the queue
+ * Resets status and retry count, applies optional corrections and records who requeued them.
+ * Items failed by MO creation lose their MO / WO numbers so they get a new MO
+ * @param {Connection} connection - MySQL connection
+ * @param {Array<number>} ids - Queue item IDs to requeue
+ * @param {Object} corrections - { serialNumbers, fgLocation, rawGoodsPartId, components, trackingValues } (all optional)
+ *   serialNumbers / rawGoodsPartId describe a single component and clear the row's components;
+ *   components (JSON) replaces all three; trackingValues (JSON or null) replaces the lot / date values
+ * @param {string} requeuedBy - Who requested the requeue
+ * @returns {Promise<number>} Number of requeued records
+ */
+async function requeueFailedJobs(connection, ids, corrections, requeuedBy) {
+  if (!ids || ids.length === 0) {
+    return 0;
+  }
+
+  // MO creation failures never produced an MO, so the items must not resume one as a partial MO.
+  // These come first: MySQL applies assignments left to right and error_message is cleared below
+  const assignments = [
+    `mo_number = IF(error_message LIKE 'MO creation failed%', NULL, mo_number)`,
+    `wo_number = IF(error_message LIKE 'MO creation failed%', NULL, wo_number)`,
+    `status = 'Pending'`,
+    'error_message = NULL',
+    'error_category = NULL',
+    'retry_count = 0',
+    'requeued_by = ?',
+    'requeued_at = NOW()',
+    'requeue_count = COALESCE(requeue_count, 0) + 1'
+  ];
+  const params = [requeuedBy];
+
+  if (corrections.serialNumbers !== undefined) {
+    assignments.push('serial_numbers = ?');
+    params.push(corrections.serialNumbers);
+  }
+  if (corrections.fgLocation !== undefined) {
+    assignments.push('fg_location = ?');
+    params.push(corrections.fgLocation);
+  }
+  if (corrections.rawGoodsPartId !== undefined) {
+    assignments.push('raw_goods_part_id = ?');
+    params.push(corrections.rawGoodsPartId);
+  }
+  if (corrections.components !== undefined) {
+    assignments.push('components = ?');
+    params.push(corrections.components);
+  } else if (corrections.serialNumbers !== undefined || corrections.rawGoodsPartId !== undefined) {
+    assignments.push('components = NULL');
+  }
+  if (corrections.trackingValues !== undefined) {
+    assignments.push('tracking_values = ?');
+    params.push(corrections.trackingValues);
+  }
+
+  const [result] = await connection.query(
+    `UPDATE mo_queue SET ${assignments.join(', ')} WHERE status IN ('Failed', 'DeadLetter', 'Review') AND id IN (?)`,
+    [...params, ids]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Change the priority and/or due date of pending items
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} selection - { ids, barcodes, scheduledFor } (at least one required)
+ * @param {Object} changes - { priority, dueDate } (undefined = unchanged, dueDate null = cleared)
+ * @returns {Promise<number>} Number of updated records
+ */
+async function reprioritizePendingItems(connection, selection, changes) {
+  const { ids, barcodes, scheduledFor } = selection;
+  const conditions = [];
+  const conditionParams = [];
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    conditions.push('id IN (?)');
+    conditionParams.push(ids);
+  }
+  if (Array.isArray(barcodes) && barcodes.length > 0) {
+    conditions.push('barcode IN (?)');
+    conditionParams.push(barcodes);
+  }
+  if (scheduledFor) {
+    conditions.push('scheduled_for = ?');
+    conditionParams.push(scheduledFor);
+  }
+
+  const assignments = [];
+  const params = [];
+
+  if (changes.priority !== undefined) {
+    assignments.push('priority = ?');
+    params.push(changes.priority);
+  }
+  if (changes.dueDate !== undefined) {
+    assignments.push('due_date = ?');
+    params.push(changes.dueDate);
+  }
+
+  if (conditions.length === 0 || assignments.length === 0) {
+    return 0;
+  }
+
+  const [result] = await connection.query(
+    `UPDATE mo_queue SET ${assignments.join(', ')} WHERE status = 'Pending' AND ${conditions.join(' AND ')}`,
+    [...params, ...conditionParams]
+  );
+  return result.affectedRows;
+}
+
 module.exports = {
   createMOQueueTable,
   getMOQueueCount,
@@ -356,5 +578,8 @@ module.exports = {
   getScheduledJobs,
   getFailedJobs,
   deleteScheduledJobs,
-  clearFailedJobs
+  clearFailedJobs,
+  getRequeueCandidates,
+  requeueFailedJobs,
+  reprioritizePendingItems
 };
@@ -0,0 +1,109 @@
+/**
+ * Queue item claiming
+ * Items move from Pending to Processing under an owner (INSTANCE_ID) and a heartbeat,
+ * so in-flight work survives a crash and is never picked up twice
+ */
+
+const { QUEUE_STATUS } = require('../config/constants');
+
+/**
+ * Atomically claim pending items for this instance
+ * Only rows still Pending are claimed; rows taken by another processor are left alone
+ * @param {Connection} connection - MySQL connection
+ * @param {Array<number>} ids - Queue item IDs to claim
+ * @param {string} owner - Claiming instance ID
+ * @returns {Promise<Array<number>>} IDs actually claimed by this owner
+ */
+async function claimQueueItems(connection, ids, owner) {
+  if (!ids || ids.length === 0) {
+    return [];
+  }
+
+  await connection.query(
+    `UPDATE mo_queue
+     SET status = ?, claimed_by = ?, claimed_at = NOW(), heartbeat_at = NOW()
+     WHERE status = ? AND id IN (?)`,
+    [QUEUE_STATUS.PROCESSING, owner, QUEUE_STATUS.PENDING, ids]
+  );
+
+  const [rows] = await connection.query(
+    `SELECT id FROM mo_queue WHERE status = ? AND claimed_by = ? AND id IN (?)`,
+    [QUEUE_STATUS.PROCESSING, owner, ids]
+  );
+  return rows.map(row => row.id);
+}
+
+/**
+ * Refresh the heartbeat on every item this instance is processing
+ * @param {Connection} connection - MySQL connection
+ * @param {string} owner - Instance ID
+ * @returns {Promise<number>} Number of claims refreshed
+ */
+async function heartbeatClaims(connection, owner) {
+  const [result] = await connection.query(
+    `UPDATE mo_queue SET heartbeat_at = NOW() WHERE status = ? AND claimed_by = ?`,
+    [QUEUE_STATUS.PROCESSING, owner]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Return this instance's unfinished claims to Pending (e.g. after a stop request)
+ * MO and WO numbers are kept so the next run resumes the partial MO
+ * @param {Connection} connection - MySQL connection
+ * @param {string} owner - Instance ID
+ * @returns {Promise<number>} Number of released items
+ */
+async function releaseClaims(connection, owner) {
+  const [result] = await connection.query(
+    `UPDATE mo_queue SET status = ?, claimed_by = NULL, claimed_at = NULL, heartbeat_at = NULL
+     WHERE status = ? AND claimed_by = ?`,
+    [QUEUE_STATUS.PENDING, QUEUE_STATUS.PROCESSING, owner]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Get items in Processing that are not owned by this instance
+ * The caller decides which of them are stale (see claimRecoveryService)
+ * @param {Connection} connection - MySQL connection
+ * @param {string} owner - Current instance ID
+ * @returns {Promise<Array>} Claimed rows with heartbeat age in seconds
+ */
+async function getForeignClaims(connection, owner) {
+  const [rows] = await connection.query(`
+    SELECT id, barcode, mo_number, wo_number, operation_type, claimed_by, claimed_at, heartbeat_at,
+           TIMESTAMPDIFF(SECOND, COALESCE(heartbeat_at, claimed_at), NOW()) AS heartbeat_age_seconds
+    FROM mo_queue
+    WHERE status = ? AND (claimed_by IS NULL OR claimed_by <> ?)
+    ORDER BY id
+  `, [QUEUE_STATUS.PROCESSING, owner]);
+  return rows;
+}
+
+/**
+ * Settle a claim without processing the item (recovered claims, inventory pre-flight holds)
+ * @param {Connection} connection - MySQL connection
+ * @param {number} id - Queue item ID
+ * @param {string} status - New status (Pending to resume, Success, or Review)
+ * @param {Object} options - { errorMessage, clearMONumber }
+ */
+async function settleClaim(connection, id, status, options = {}) {
+  const { errorMessage = null, clearMONumber = false } = options;
+
+  await connection.query(
+    `UPDATE mo_queue
+     SET status = ?, error_message = ?, claimed_by = NULL, claimed_at = NULL, heartbeat_at = NULL
+         ${clearMONumber ? ', mo_number = NULL' : ''}
+     WHERE id = ? AND status = ?`,
+    [status, errorMessage, id, QUEUE_STATUS.PROCESSING]
+  );
+}
+
+module.exports = {
+  claimQueueItems,
+  heartbeatClaims,
+  releaseClaims,
+  getForeignClaims,
+  settleClaim
+};
@@ -0,0 +1,107 @@
+/**
+ * Database query functions for mo_queue_events table
+ * Append-only timeline of what happened to each queue item
+ */
+
+/**
+ * Create mo_queue_events table if it doesn't exist
+ * @param {Connection} connection - MySQL connection
+ */
+async function createQueueEventsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS mo_queue_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      queue_id INT NOT NULL,
+      barcode VARCHAR(100),
+      mo_number VARCHAR(50),
+      wo_number VARCHAR(50),
+      event_type VARCHAR(40) NOT NULL,
+      status_code INT NULL,
+      message TEXT,
+      details TEXT,
+      created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_queue_id (queue_id),
+      INDEX idx_barcode (barcode)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+/**
+ * Append events for one or more queue items
+ * @param {Connection} connection - MySQL connection
+ * @param {Array<Object>} queueItems - mo_queue rows the events belong to
+ * @param {string} eventType - One of constants.QUEUE_EVENTS
+ * @param {Object} event - { message, statusCode, details }
+ */
+async function recordQueueEvents(connection, queueItems, eventType, event = {}) {
+  if (!queueItems || queueItems.length === 0) {
+    return;
+  }
+
+  const values = queueItems.map(item => [
+    item.id,
+    item.barcode,
+    item.mo_number || null,
+    item.wo_number || null,
+    eventType,
+    event.statusCode ?? null,
+    event.message || null,
+    event.details ? JSON.stringify(event.details) : null
+  ]);
+
+  await connection.query(`
+    INSERT INTO mo_queue_events
+    (queue_id, barcode, mo_number, wo_number, event_type, status_code, message, details)
+    VALUES ?
+  `, [values]);
+}
+
+/**
+ * Create an event recorder bound to a single queue item
+ * Recording is best-effort: failures are logged and never interrupt processing
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} queueItem - mo_queue row
+ * @param {Object} logger - Logger instance
+ * @returns {Function} async (eventType, event) => void
+ */
+function createEventRecorder(connection, queueItem, logger) {
+  return async (eventType, event = {}) => {
+    try {
+      await recordQueueEvents(connection, [queueItem], eventType, event);
+    } catch (error) {
+      logger.warn(`EVENTS - Could not record ${eventType} for queue item ${queueItem.id}`, { error: error.message });
+    }
+  };
+}
+
+/**
+ * Get the full event timeline for a barcode (oldest first)
+ * @param {Connection} connection - MySQL connection
+ * @param {string} barcode - Finished good barcode
+ * @returns {Promise<Array>} Events
+ */
+async function getQueueEventsByBarcode(connection, barcode) {
+  const [rows] = await connection.query(`
+    SELECT id, queue_id, barcode, mo_number, wo_number, event_type, status_code, message, details, created_at
+    FROM mo_queue_events
+    WHERE barcode = ?
+    ORDER BY created_at, id
+  `, [barcode]);
+
+  return rows.map(row => {
+    let details = null;
+    try {
+      details = row.details ? JSON.parse(row.details) : null;
+    } catch (e) {
+      details = row.details;
+    }
+    return { ...row, details };
+  });
+}
+
+module.exports = {
+  createQueueEventsTable,
+  recordQueueEvents,
+  createEventRecorder,
+  getQueueEventsByBarcode
+};
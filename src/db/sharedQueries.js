@@ -5,8 +5,8 @@
  * Reduces code duplication and ensures consistency
  */
 
-const { fishbowlQuery } = require('../services/fishbowlApi');
-const { escapeSqlString, escapeSqlNumber } = require('../utils/sqlHelpers');
+const { runFishbowlQuery } = require('./fishbowlQueries');
+const { CACHE_REGIONS, getReferenceCache, referenceCacheKey } = require('../services/referenceCache');
 
 /**
  * Get location details by LocationGroup-Location format
@@ -16,58 +16,17 @@ const { escapeSqlString, escapeSqlNumber } = require('../utils/sqlHelpers');
  * @returns {Promise<Object|null>} Location details or null if not found
  */
 async function getLocationByName(locationString, serverUrl, token) {
-  let locationQuerySql;
+  let rows;
 
   if (locationString.includes('-')) {
     // Format: LocationGroup-Location
-    const [locGroupName, locName] = locationString.split('-');
-    locationQuerySql = `
-      SELECT
-        location.id as location_id,
-        location.typeid as location_typeid,
-        location.name as location_name,
-        location.description as location_description,
-        location.countedAsAvailable,
-        location.activeflag,
-        location.pickable,
-        location.receivable,
-        location.sortorder,
-        locationgroup.id as locationgroup_id,
-        locationgroup.name as locationgroup_name,
-        tag.id as tag_id,
-        tag.num as tag_num
-      FROM location
-      JOIN locationgroup ON locationgroup.id = location.locationgroupid
-      LEFT JOIN tag ON tag.locationid = location.id
-      WHERE locationgroup.name = '${escapeSqlString(locGroupName)}'
-        AND location.name = '${escapeSqlString(locName)}'
-    `;
+    const [locationGroupName, locationName] = locationString.split('-');
+    rows = await runFishbowlQuery(serverUrl, token, 'locationByName', { locationGroupName, locationName });
   } else {
     // Format: Location ID
-    const locationId = parseInt(locationString);
-    locationQuerySql = `
-      SELECT
-        location.id as location_id,
-        location.typeid as location_typeid,
-        location.name as location_name,
-        location.description as location_description,
-        location.countedAsAvailable,
-        location.activeflag,
-        location.pickable,
-        location.receivable,
-        location.sortorder,
-        locationgroup.id as locationgroup_id,
-        locationgroup.name as locationgroup_name,
-        tag.id as tag_id,
-        tag.num as tag_num
-      FROM location
-      JOIN locationgroup ON locationgroup.id = location.locationgroupid
-      LEFT JOIN tag ON tag.locationid = location.id
-      WHERE location.id = ${escapeSqlNumber(locationId, 'locationId')}
-    `;
+    rows = await runFishbowlQuery(serverUrl, token, 'locationById', { locationId: parseInt(locationString) });
   }
 
-  const rows = await fishbowlQuery(locationQuerySql, serverUrl, token);
   return rows.length > 0 ? rows[0] : null;
 }
 
@@ -79,15 +38,7 @@ async function getLocationByName(locationString, serverUrl, token) {
  * @returns {Promise<Array>} Array of {num, id} objects
  */
 async function getWorkOrdersForMO(moNumber, serverUrl, token) {
-  const sql = `
-    SELECT wo.num, wo.id FROM wo
-    JOIN moitem ON moitem.id = wo.moitemid
-    JOIN mo ON mo.id = moitem.moid
-    WHERE mo.num = '${escapeSqlString(moNumber)}'
-    ORDER BY wo.id
-  `;
-
-  return await fishbowlQuery(sql, serverUrl, token);
+  return await runFishbowlQuery(serverUrl, token, 'workOrdersForMO', { moNumber });
 }
 
 /**
@@ -98,8 +49,7 @@ async function getWorkOrdersForMO(moNumber, serverUrl, token) {
  * @returns {Promise<number|null>} MO ID or null if not found
  */
 async function getMOIdByNumber(moNumber, serverUrl, token) {
-  const sql = `SELECT id FROM mo WHERE num = '${escapeSqlString(moNumber)}'`;
-  const rows = await fishbowlQuery(sql, serverUrl, token);
+  const rows = await runFishbowlQuery(serverUrl, token, 'moIdByNumber', { moNumber });
   return rows.length > 0 ? rows[0].id : null;
 }
 
@@ -112,8 +62,55 @@ async function getMOIdByNumber(moNumber, serverUrl, token) {
  * @returns {Promise<Array>} Array of {num} objects
  */
 async function getExistingMOsByPattern(moPattern, serverUrl, token) {
-  const sql = `SELECT num FROM mo WHERE num LIKE '${escapeSqlString(moPattern)}'`;
-  return await fishbowlQuery(sql, serverUrl, token);
+  return await runFishbowlQuery(serverUrl, token, 'mosMatchingPattern', { pattern: moPattern });
+}
+
+/**
+ * Get part details (number, description, UOM) by part ID
+ * Parts are cached one by one, so only parts not seen recently are queried,
+ * and nothing is queried when every part is cached
+ * @param {Array<number>} partIds - Part IDs
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @returns {Promise<Array>} Array of {part_id, part_num, part_description, uom_id} objects
+ */
+async function getPartDetails(partIds, serverUrl, token) {
+  const cache = getReferenceCache(CACHE_REGIONS.PARTS);
+  const partKey = partId => referenceCacheKey(serverUrl, 'part', partId);
+
+  const rows = [];
+  const missing = [];
+
+  [...new Set(partIds.map(Number))].forEach(partId => {
+    const cached = cache.get(partKey(partId));
+    if (cached) {
+      rows.push(cached);
+    } else {
+      missing.push(partId);
+    }
+  });
+
+  if (missing.length === 0) {
+    return rows;
+  }
+
+  const loaded = await runFishbowlQuery(serverUrl, token, 'partDetails', { partIds: missing });
+  loaded.forEach(row => {
+    cache.set(partKey(Number(row.part_id)), row);
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+/**
+ * Get part tracking definitions (serial, barcode, lot, ...)
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @returns {Promise<Array>} Array of {parttracking_id, parttracking_name, parttracking_abbr, parttracking_typeid, parttracking_active} objects
+ */
+async function getPartTrackingDefinitions(serverUrl, token) {
+  return await runFishbowlQuery(serverUrl, token, 'partTrackingDefinitions');
 }
 
 /**
@@ -178,6 +175,8 @@ module.exports = {
   getWorkOrdersForMO,
   getMOIdByNumber,
   getExistingMOsByPattern,
+  getPartDetails,
+  getPartTrackingDefinitions,
   buildLocationObject,
   parseMOSequence,
   buildMONumber
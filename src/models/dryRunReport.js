@@ -0,0 +1,97 @@
+/**
+ * Dry Run Report Model
+ * Collects what a dry-run job would have done: planned MOs, per work order
+ * plans (serial locations, pick split, FG destination) and every Fishbowl
+ * write that was captured instead of being sent
+ */
+
+class DryRunReport {
+  constructor() {
+    this.createdAt = new Date().toISOString();
+    this.mos = [];               // Planned (or resumed) MOs
+    this.workOrders = [];        // Per queue item plans
+    this.writes = [];            // Captured Fishbowl writes, in call order
+    this.preflight = [];         // Inventory pre-flight reports of new build batches
+  }
+
+  /**
+   * Capture a Fishbowl write instead of sending it
+   * @param {string} endpoint - REST endpoint or legacy request type (e.g. 'SavePickRq')
+   * @param {string} method - HTTP method, or 'LEGACY' for legacy requests
+   * @param {Object|null} payload - Payload that would have been sent
+   * @param {Object} context - { moNum, woNum, barcode }
+   */
+  captureWrite(endpoint, method, payload, context = {}) {
+    this.writes.push({
+      sequence: this.writes.length + 1,
+      endpoint,
+      method,
+      moNum: context.moNum || null,
+      woNum: context.woNum || null,
+      barcode: context.barcode || null,
+      payload: payload || null
+    });
+  }
+
+  /**
+   * Add a planned MO
+   * @param {Object} mo - { moNum, bomNum, locationGroupId, operationType, itemCount, isPartial }
+   */
+  addMO(mo) {
+    this.mos.push(mo);
+  }
+
+  /**
+   * Add the inventory pre-flight report of a batch
+   * @param {Object} preflight - { moNum, mode, heldItems, ...checkBatchInventory report }
+   */
+  addPreflight(preflight) {
+    this.preflight.push(preflight);
+  }
+
+  /**
+   * Add the plan (or failure) for a single queue item
+   * @param {Object} plan - { moNum, woNum, barcode, status, ... }
+   */
+  addWorkOrder(plan) {
+    this.workOrders.push(plan);
+  }
+
+  /**
+   * Summarize the report for status polling
+   * @returns {Object}
+   */
+  getSummary() {
+    const count = (status) => this.workOrders.filter(wo => wo.status === status).length;
+
+    return {
+      mos: this.mos.length,
+      workOrders: this.workOrders.length,
+      planned: count('planned'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      writes: this.writes.length,
+      preflight: this.preflight.length,
+      missingSerials: this.workOrders.reduce((total, wo) => total + (wo.missingSerials ? wo.missingSerials.length : 0), 0),
+      missingTracking: this.workOrders.reduce((total, wo) => total + (wo.missingTracking ? wo.missingTracking.length : 0), 0),
+      preflightHeld: this.preflight.reduce((total, preflight) => total + preflight.heldItems, 0)
+    };
+  }
+
+  /**
+   * Get full report as plain object
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      createdAt: this.createdAt,
+      summary: this.getSummary(),
+      mos: this.mos,
+      workOrders: this.workOrders,
+      writes: this.writes,
+      preflight: this.preflight
+    };
+  }
+}
+
+module.exports = DryRunReport;
@@ -20,6 +20,16 @@ class JobStatus {
     this.error = null;
     this.results = [];
     this.triggeredBy = null;     // 'ui' or 'scheduler'
+    this.groups = [];            // Per BOM/location group progress
+    this.currentGroup = null;    // Key of the group being processed
+    this.jobRunId = null;        // job_runs row for this run
+    this.mosCreated = [];        // MO numbers created during this run
+    this.dryRun = false;         // Reads only; writes are captured in dryRunReport
+    this.dryRunReport = null;    // DryRunReport for dry-run jobs
+    this.reauthentications = 0;  // Times the Fishbowl session was renewed mid-run
+    this.pausedReason = null;    // Set while the job waits for Fishbowl (circuit breaker open)
+    this.capture = null;         // TrafficCapture when Fishbowl traffic is recorded for this run
+    this.preflight = [];         // Inventory pre-flight reports of batches that fell short
   }
 
   /**
@@ -41,6 +51,84 @@ class JobStatus {
     this.error = null;
     this.results = [];
     this.triggeredBy = null;
+    this.groups = [];
+    this.currentGroup = null;
+    this.jobRunId = null;
+    this.mosCreated = [];
+    this.dryRun = false;
+    this.dryRunReport = null;
+    this.reauthentications = 0;
+    this.pausedReason = null;
+    this.capture = null;
+    this.preflight = [];
+  }
+
+  /**
+   * Register a BOM/location group to be processed in this job
+   * @param {Object} group - { key, bomNum, bomId, locationGroupId, totalItems }
+   * @returns {Object} Group progress entry
+   */
+  addGroup({ key, bomNum, bomId, locationGroupId, totalItems }) {
+    const entry = {
+      key,
+      bomNum,
+      bomId,
+      locationGroupId,
+      status: 'pending',         // pending, running, completed, stopped
+      totalItems,
+      processedItems: 0,
+      successItems: 0,
+      failedItems: 0,
+      currentBatch: 0,
+      totalBatches: 0,
+      currentMO: null
+    };
+    this.groups.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get progress entry for the group currently being processed
+   * @returns {Object|null}
+   */
+  getCurrentGroup() {
+    return this.groups.find(group => group.key === this.currentGroup) || null;
+  }
+
+  /**
+   * Record the outcome of a single queue item
+   * Updates job totals and the current group's progress
+   * @param {boolean} succeeded - Whether the item completed successfully
+   * @param {Object} result - Optional result entry to append to results
+   */
+  recordItemResult(succeeded, result = null) {
+    const group = this.getCurrentGroup();
+
+    if (succeeded) {
+      this.successItems++;
+      if (group) group.successItems++;
+    } else {
+      this.failedItems++;
+      if (group) group.failedItems++;
+    }
+
+    this.processedItems++;
+    if (group) group.processedItems++;
+
+    if (result) {
+      this.results.push(group ? { ...result, bomNum: group.bomNum, locationGroupId: group.locationGroupId } : result);
+    }
+  }
+
+  /**
+   * Remove an item from the totals without recording a result
+   * Used when another processor already claimed the item
+   */
+  skipItem() {
+    const group = this.getCurrentGroup();
+
+    this.totalItems--;
+    if (group) group.totalItems--;
   }
 
   /**
@@ -63,7 +151,18 @@ class JobStatus {
       totalBatches: this.totalBatches,
       error: this.error,
       results: this.results,
-      triggeredBy: this.triggeredBy
+      triggeredBy: this.triggeredBy,
+      groups: this.groups.map(group => ({ ...group })),
+      currentGroup: this.currentGroup,
+      jobRunId: this.jobRunId,
+      mosCreated: [...this.mosCreated],
+      dryRun: this.dryRun,
+      reauthentications: this.reauthentications,
+      paused: this.pausedReason !== null,
+      pausedReason: this.pausedReason,
+      dryRunSummary: this.dryRunReport ? this.dryRunReport.getSummary() : null,
+      captureId: this.capture ? this.capture.id : null,
+      preflight: [...this.preflight]
     };
   }
 }
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { CACHE_REGIONS, invalidateReferenceCache, getReferenceCacheStatus } = require('../services/referenceCache');
+
+/**
+ * Reference Cache Routes
+ * Status and invalidation of the cached Fishbowl reference data
+ * (parts, BOMs, locations, part tracking)
+ */
+
+function setupCacheRoutes(logger) {
+  // Hit/miss counts and entry counts per region
+  router.get('/cache/status', (req, res) => {
+    res.json({
+      success: true,
+      regions: getReferenceCacheStatus()
+    });
+  });
+
+  // Clear one region ({ region }) or every region (no body)
+  router.post('/cache/invalidate', (req, res) => {
+    const region = req.body?.region || null;
+
+    if (region && !Object.values(CACHE_REGIONS).includes(region)) {
+      return res.status(400).json({
+        error: `Unknown cache region: ${region}`,
+        regions: Object.values(CACHE_REGIONS)
+      });
+    }
+
+    const removed = invalidateReferenceCache(region);
+    logger.info(`CACHE - Invalidated ${region || 'all regions'}`, { removed });
+
+    res.json({
+      success: true,
+      removed
+    });
+  });
+
+  return router;
+}
+
+module.exports = setupCacheRoutes;
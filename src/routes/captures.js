@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { getCaptureFile, listCaptures, readCapture } = require('../utils/trafficCapture');
+const { CaptureReplayError, replayQueueItem } = require('../services/captureReplayService');
+
+/**
+ * Capture Routes
+ * Download the Fishbowl traffic archives of captured jobs and replay their
+ * queue items offline
+ */
+
+function setupCaptureRoutes(logger) {
+  // Archives, newest first
+  router.get('/captures', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        captures: await listCaptures()
+      });
+    } catch (error) {
+      logger.error('CAPTURE - Error listing captures', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Download an archive; ?queueItemId= narrows it to the job header and that queue item
+  router.get('/captures/:id', async (req, res) => {
+    const { id } = req.params;
+    const file = getCaptureFile(id);
+
+    if (!file) {
+      return res.status(404).json({ error: `Capture not found: ${id}` });
+    }
+
+    if (req.query.queueItemId === undefined) {
+      return res.download(file, `${id}.jsonl`);
+    }
+
+    const queueItemId = parseInt(req.query.queueItemId);
+    if (isNaN(queueItemId)) {
+      return res.status(400).json({ error: 'queueItemId must be a number' });
+    }
+
+    try {
+      const entries = (await readCapture(id)).filter(entry => entry.type === 'capture' || entry.queueItemId === queueItemId);
+
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="${id}-item-${queueItemId}.jsonl"`);
+      res.send(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    } catch (error) {
+      logger.error('CAPTURE - Error reading capture', { id, error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Run a captured queue item's work order processor again against the recorded responses
+  router.post('/captures/:id/replay', async (req, res) => {
+    const { id } = req.params;
+    const queueItemId = parseInt(req.body?.queueItemId);
+
+    if (isNaN(queueItemId)) {
+      return res.status(400).json({ error: 'queueItemId is required' });
+    }
+
+    try {
+      const report = await replayQueueItem(id, queueItemId);
+      if (!report) {
+        return res.status(404).json({ error: `Capture not found: ${id}` });
+      }
+
+      logger.info(`CAPTURE - Replayed queue item ${queueItemId} of ${id}: ${report.status}`, {
+        callsReplayed: report.callsReplayed,
+        callsRecorded: report.callsRecorded,
+        error: report.error
+      });
+
+      res.json({
+        success: true,
+        replay: report
+      });
+    } catch (error) {
+      if (error instanceof CaptureReplayError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('CAPTURE - Error replaying queue item', { id, queueItemId, error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = setupCaptureRoutes;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { loadConfig, saveConfig } = require('../utils/secureConfig');
 const { SCHEDULE_GRANULARITY } = require('../config');
+const { BATCH_SIZE, BATCH_STRATEGY } = require('../config/constants');
 
 /**
  * Configuration Routes
@@ -11,7 +12,9 @@ function setupConfigRoutes(logger) {
   // Get scheduler settings (public endpoint for frontend)
   router.get('/scheduler-settings', async (req, res) => {
     res.json({
-      scheduleGranularity: SCHEDULE_GRANULARITY
+      scheduleGranularity: SCHEDULE_GRANULARITY,
+      batchStrategy: BATCH_STRATEGY,
+      batchSize: BATCH_SIZE
     });
   });
   // Save configuration (used by frontend after database detection)
@@ -1,18 +1,144 @@
 const express = require('express');
 const router = express.Router();
-const { fetchWithNode, getHttpsOptions } = require('../utils/helpers');
 const { normalizeUrl } = require('../utils/urlHelpers');
 const { loadConfig } = require('../utils/secureConfig');
+const { validateReadOnlySql } = require('../utils/readOnlySql');
+const { buildQuery } = require('../utils/queryBuilder');
+const { withTrackingRoles } = require('../utils/trackingRoles');
+const { FISHBOWL_QUERIES, BROWSER_QUERIES, runFishbowlQuery } = require('../db/fishbowlQueries');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { LEGACY_PROXY_ALLOWED_REQUESTS, REST_PROXY_ALLOWED_PATHS } = require('../config/constants');
+const { getFishbowlClient, FishbowlAbortError, FishbowlTimeoutError, FishbowlCircuitOpenError } = require('../services/fishbowlClient');
 
 /**
  * Fishbowl API Proxy Routes
+ * Responses are passed through as-is; a Fishbowl call still in flight is
+ * cancelled when the browser disconnects. Calls go through the shared client
+ * for the token, so they use the renewed session if a job re-authenticated it.
+ * The UI runs named queries (BROWSER_QUERIES) with typed parameters. Raw SQL
+ * on /data-query is kept for compatibility and must pass the read-only guard;
+ * legacy calls are limited to LEGACY_PROXY_ALLOWED_REQUESTS and the REST
+ * catch-all to REST_PROXY_ALLOWED_PATHS; it never forwards legacy or data-query
+ * paths, which only go through their own guarded routes. Refused requests are
+ * written to the audit log.
  */
 
+/**
+ * Create an AbortSignal that fires if the client goes away before we respond
+ * @param {Object} res - Express response
+ * @returns {AbortSignal}
+ */
+function cancelOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Check a call sent to the REST catch-all
+ * The path is resolved the way the URL to Fishbowl will be, so dot segments
+ * cannot step from an allowed path into another one
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Path below /api/
+ * @returns {Object} { allowed, reason, path } where path is the resolved path below /api/
+ */
+function checkRestProxyRequest(method, endpoint) {
+  const resolved = new URL(`/api/${endpoint}`, 'http://fishbowl').pathname;
+  if (!resolved.startsWith('/api/')) {
+    return { allowed: false, reason: 'Path outside the Fishbowl API', path: resolved };
+  }
+
+  const path = resolved.substring('/api/'.length);
+  const lowerPath = path.toLowerCase();
+  if (lowerPath.startsWith('legacy') || lowerPath.startsWith('data-query')) {
+    return { allowed: false, reason: 'Legacy and data-query calls must use their own routes', path };
+  }
+
+  const allowed = REST_PROXY_ALLOWED_PATHS.some(entry => {
+    const [allowedMethod, allowedPath = ''] = entry.split(/\s+/).map(part => part.replace(/^\/+/, ''));
+    return allowedMethod.toUpperCase() === method &&
+      (path === allowedPath || path.startsWith(`${allowedPath}/`));
+  });
+
+  return allowed ? { allowed, reason: null, path } : { allowed, reason: 'REST call not allowed', path };
+}
+
+/**
+ * HTTP status to answer with when a proxied call fails
+ * @param {Error} error - Error from the Fishbowl client
+ * @returns {number}
+ */
+function proxyErrorStatus(error) {
+  if (error instanceof FishbowlTimeoutError) return 504;
+  if (error instanceof FishbowlCircuitOpenError) return 503;
+  return 500;
+}
+
 function setupFishbowlRoutes(logger) {
-  // Data query
+  // Named query
+  router.post('/named-query/:name', async (req, res) => {
+    const { name } = req.params;
+    const { token, params } = req.body;
+
+    if (!BROWSER_QUERIES.includes(name)) {
+      logger.warn(`NAMED QUERY REJECTED - ${name} is not an allowed query`, { ip: req.ip });
+      await recordAuditEvent('named_query_rejected', req, { reason: 'Query not allowed', query: name }, logger);
+      return res.status(404).json({ error: `Unknown query: ${name}` });
+    }
+
+    try {
+      // Load serverUrl from secure config
+      const config = await loadConfig();
+      let serverUrl = config?.fishbowl?.serverUrl;
+
+      if (!serverUrl) {
+        return res.status(400).json({ error: 'Server URL not configured' });
+      }
+
+      // Normalize serverUrl (remove trailing slash)
+      serverUrl = normalizeUrl(serverUrl);
+
+      // Parameter errors are the caller's fault (tracking IDs come from the config)
+      try {
+        buildQuery(FISHBOWL_QUERIES[name], await withTrackingRoles(FISHBOWL_QUERIES[name], params || {}));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const rows = await runFishbowlQuery(serverUrl, token, name, params || {}, { signal: cancelOnDisconnect(res) });
+      logger.api(`NAMED QUERY ${name} - Rows: ${rows.length}`);
+
+      res.json(rows);
+
+    } catch (error) {
+      if (error instanceof FishbowlAbortError) {
+        logger.api(`NAMED QUERY ${name} - Cancelled, client disconnected`);
+        return;
+      }
+      logger.error(`NAMED QUERY ERROR: ${name}`, { error: error.message });
+      res.status(proxyErrorStatus(error)).json({ error: error.message });
+    }
+  });
+
+  // Data query (deprecated: the UI uses /named-query)
   router.post('/data-query', async (req, res) => {
     const { token, sql } = req.body;
 
+    const check = validateReadOnlySql(sql);
+    if (!check.valid) {
+      logger.warn(`SQL QUERY REJECTED - ${check.reason}`, { ip: req.ip });
+      await recordAuditEvent('sql_rejected', req, {
+        reason: check.reason,
+        tables: check.tables,
+        sql: typeof sql === 'string' ? sql.substring(0, 2000) : null
+      }, logger);
+      return res.status(400).json({ error: `Query rejected: ${check.reason}` });
+    }
+
     try {
       // Load serverUrl from secure config
       const config = await loadConfig();
@@ -31,61 +157,32 @@ function setupFishbowlRoutes(logger) {
         url: `${serverUrl}/api/data-query`
       });
 
-      const url = new URL(`${serverUrl}/api/data-query`);
-      const isHttps = url.protocol === 'https:';
-      const httpModule = isHttps ? require('https') : require('http');
-
-      const options = {
-        hostname: url.hostname,
-        port: url.port,
-        path: url.pathname,
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'text/plain',
-          'Content-Length': Buffer.byteLength(sql)
-        },
-        ...getHttpsOptions()
-      };
-
-      const promise = new Promise((resolve, reject) => {
-        const apiReq = httpModule.request(options, (apiRes) => {
-          let data = '';
-
-          apiRes.on('data', (chunk) => {
-            data += chunk;
-          });
-
-          apiRes.on('end', () => {
-            try {
-              const parsed = JSON.parse(data);
-              const rowCount = Array.isArray(parsed) ? parsed.length : 'N/A';
-              logger.api(`SQL QUERY RESPONSE - Status: ${apiRes.statusCode}, Rows: ${rowCount}`);
-              resolve(parsed);
-            } catch (e) {
-              logger.error('SQL QUERY - Invalid JSON response', {
-                error: e.message,
-                dataPreview: data.substring(0, 500)
-              });
-              reject(new Error('Invalid JSON response'));
-            }
-          });
-        });
+      const response = await getFishbowlClient(serverUrl, token)
+        .send('GET', '/api/data-query', sql, { contentType: 'text/plain', signal: cancelOnDisconnect(res) });
 
-        apiReq.on('error', (error) => {
-          reject(error);
+      let data;
+      try {
+        data = JSON.parse(response.text);
+      } catch (e) {
+        logger.error('SQL QUERY - Invalid JSON response', {
+          error: e.message,
+          dataPreview: response.text.substring(0, 500)
         });
+        throw new Error('Invalid JSON response');
+      }
 
-        apiReq.write(sql);
-        apiReq.end();
-      });
+      const rowCount = Array.isArray(data) ? data.length : 'N/A';
+      logger.api(`SQL QUERY RESPONSE - Status: ${response.status}, Rows: ${rowCount} (${response.durationMs}ms)`);
 
-      const data = await promise;
       res.json(data);
 
     } catch (error) {
+      if (error instanceof FishbowlAbortError) {
+        logger.api('SQL QUERY - Cancelled, client disconnected');
+        return;
+      }
       logger.error('SQL QUERY ERROR', { error: error.message, stack: error.stack });
-      res.status(500).json({ error: error.message });
+      res.status(proxyErrorStatus(error)).json({ error: error.message });
     }
   });
 
@@ -114,83 +211,37 @@ function setupFishbowlRoutes(logger) {
         serverUrl,
         woNumber
       });
-      const sql = `
-        SELECT
-          bomitemtype.name AS woitem_type,
-          woitem.partId AS partid,
-          woitem.qtyUsed AS woitem_qty,
-          GROUP_CONCAT(DISTINCT trackinginfosn.serialNum) AS serial_numbers
-        FROM wo
-        JOIN woitem ON woitem.woid = wo.id
-        JOIN bomitemtype ON bomitemtype.id = woitem.typeid
-        LEFT JOIN trackinginfo ON trackinginfo.recordId = woitem.id AND trackinginfo.tableid = -355941248
-        LEFT JOIN trackinginfosn ON trackinginfosn.trackingInfoId = trackinginfo.id
-        WHERE wo.num = '${woNumber.replace(/'/g, "''")}'
-          AND woitem.qtyused > 0
-        GROUP BY bomitemtype.name, woitem.partId, woitem.qtyUsed
-        ORDER BY bomitemtype.name, woitem.partId
-      `;
+      const [sql] = buildQuery(FISHBOWL_QUERIES.workOrderStructure, { woNumber });
 
       logger.api('WO STRUCTURE - Executing SQL', { sqlPreview: sql.substring(0, 200) });
 
-      const url = new URL(`${serverUrl}/api/data-query`);
-      const isHttps = url.protocol === 'https:';
-      const httpModule = isHttps ? require('https') : require('http');
-
-      const options = {
-        hostname: url.hostname,
-        port: url.port,
-        path: url.pathname,
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'text/plain',
-          'Content-Length': Buffer.byteLength(sql)
-        },
-        ...getHttpsOptions()
-      };
-
-      const promise = new Promise((resolve, reject) => {
-        const apiReq = httpModule.request(options, (apiRes) => {
-          let data = '';
-
-          apiRes.on('data', (chunk) => {
-            data += chunk;
-          });
-
-          apiRes.on('end', () => {
-            logger.api(`WO STRUCTURE - Fishbowl response status: ${apiRes.statusCode}`);
-            try {
-              const parsed = JSON.parse(data);
-              logger.api(`WO STRUCTURE RESPONSE - Items: ${Array.isArray(parsed) ? parsed.length : 'N/A'}`);
-              if (apiRes.statusCode !== 200) {
-                logger.error('WO STRUCTURE - Non-200 status', { statusCode: apiRes.statusCode, response: parsed });
-                reject(new Error(`Fishbowl API returned status ${apiRes.statusCode}`));
-              } else {
-                resolve(parsed);
-              }
-            } catch (e) {
-              logger.error('WO STRUCTURE - Invalid JSON response', { error: e.message, dataPreview: data.substring(0, 500) });
-              reject(new Error('Invalid JSON response from Fishbowl'));
-            }
-          });
-        });
+      const response = await getFishbowlClient(serverUrl, token)
+        .send('GET', '/api/data-query', sql, { contentType: 'text/plain', signal: cancelOnDisconnect(res) });
 
-        apiReq.on('error', (error) => {
-          logger.error('WO STRUCTURE - HTTP request error', { error: error.message });
-          reject(error);
-        });
+      logger.api(`WO STRUCTURE - Fishbowl response status: ${response.status}`);
 
-        apiReq.write(sql);
-        apiReq.end();
-      });
+      let data;
+      try {
+        data = JSON.parse(response.text);
+      } catch (e) {
+        logger.error('WO STRUCTURE - Invalid JSON response', { error: e.message, dataPreview: response.text.substring(0, 500) });
+        throw new Error('Invalid JSON response from Fishbowl');
+      }
+
+      logger.api(`WO STRUCTURE RESPONSE - Items: ${Array.isArray(data) ? data.length : 'N/A'}`);
+      if (response.status !== 200) {
+        logger.error('WO STRUCTURE - Non-200 status', { statusCode: response.status, response: data });
+        throw new Error(`Fishbowl API returned status ${response.status}`);
+      }
 
-      const data = await promise;
       res.json(data);
 
     } catch (error) {
+      if (error instanceof FishbowlAbortError) {
+        return;
+      }
       logger.error('WO STRUCTURE ERROR', { error: error.message, stack: error.stack, woNumber });
-      res.status(500).json({ error: error.message });
+      res.status(proxyErrorStatus(error)).json({ error: error.message });
     }
   });
 
@@ -199,6 +250,15 @@ function setupFishbowlRoutes(logger) {
     const { endpoint } = req.params;
     const { token, payload } = req.body;
 
+    if (!LEGACY_PROXY_ALLOWED_REQUESTS.includes(endpoint)) {
+      logger.warn(`LEGACY API REJECTED - ${endpoint} is not an allowed request type`, { ip: req.ip });
+      await recordAuditEvent('legacy_request_rejected', req, {
+        reason: 'Request type not allowed',
+        requestType: endpoint
+      }, logger);
+      return res.status(403).json({ error: `Legacy request type not allowed: ${endpoint}` });
+    }
+
     try {
       // Load serverUrl from secure config
       const config = await loadConfig();
@@ -217,22 +277,19 @@ function setupFishbowlRoutes(logger) {
         payloadPreview: payload ? JSON.stringify(payload).substring(0, 300) : 'No payload'
       });
 
-      const response = await fetchWithNode(`${serverUrl}/api/legacy/external/${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
+      const response = await getFishbowlClient(serverUrl, token)
+        .send('POST', `/api/legacy/external/${endpoint}`, JSON.stringify(payload), { signal: cancelOnDisconnect(res) });
 
-      const data = await response.json();
-      logger.api(`LEGACY API RESPONSE: ${endpoint} - Status: ${response.status}`);
+      const data = JSON.parse(response.text);
+      logger.api(`LEGACY API RESPONSE: ${endpoint} - Status: ${response.status} (${response.durationMs}ms)`);
 
       res.json(data);
     } catch (error) {
+      if (error instanceof FishbowlAbortError) {
+        return;
+      }
       logger.error(`LEGACY API ERROR: ${endpoint}`, { error: error.message });
-      res.status(500).json({ error: error.message });
+      res.status(proxyErrorStatus(error)).json({ error: error.message });
     }
   });
 
@@ -242,10 +299,20 @@ function setupFishbowlRoutes(logger) {
       return next();
     }
 
-    const endpoint = req.path.substring(1);
     const { token, method, payload } = req.body;
+    const httpMethod = String(method || req.method).toUpperCase();
 
-    const httpMethod = method || req.method;
+    const check = checkRestProxyRequest(httpMethod, req.path.substring(1));
+    if (!check.allowed) {
+      logger.warn(`REST API REJECTED - ${httpMethod} /api${req.path}: ${check.reason}`, { ip: req.ip });
+      await recordAuditEvent('rest_request_rejected', req, {
+        reason: check.reason,
+        method: httpMethod,
+        requestPath: req.path
+      }, logger);
+      return res.status(403).json({ error: `REST call not allowed: ${httpMethod} /api${req.path}` });
+    }
+    const endpoint = check.path;
 
     try {
       // Load serverUrl from secure config
@@ -265,27 +332,20 @@ function setupFishbowlRoutes(logger) {
         payloadPreview: payload ? JSON.stringify(payload).substring(0, 300) : null
       });
 
-      const options = {
-        method: httpMethod,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      };
-
-      if (payload && httpMethod !== 'GET') {
-        options.body = JSON.stringify(payload);
-      }
-
-      const response = await fetchWithNode(`${serverUrl}/api/${endpoint}`, options);
+      const body = payload && httpMethod !== 'GET' ? JSON.stringify(payload) : null;
+      const response = await getFishbowlClient(serverUrl, token)
+        .send(httpMethod, `/api/${endpoint}`, body, { signal: cancelOnDisconnect(res) });
 
-      const data = await response.json();
-      logger.api(`REST API RESPONSE: ${httpMethod} /api/${endpoint} - Status: ${response.status}`);
+      const data = JSON.parse(response.text);
+      logger.api(`REST API RESPONSE: ${httpMethod} /api/${endpoint} - Status: ${response.status} (${response.durationMs}ms)`);
 
       res.json(data);
     } catch (error) {
+      if (error instanceof FishbowlAbortError) {
+        return;
+      }
       logger.error(`REST API ERROR: /api/${endpoint}`, { error: error.message });
-      res.status(500).json({ error: error.message });
+      res.status(proxyErrorStatus(error)).json({ error: error.message });
     }
   });
 
@@ -3,6 +3,10 @@ const router = express.Router();
 const { getPool } = require('../db/connection');
 const { getFishbowlConfig } = require('../config/fishbowl');
 const { getCurrentJob } = require('../services/jobService');
+const { getLeaderStatus } = require('../services/leaderService');
+const { circuitBreaker, concurrencyLimiter } = require('../services/fishbowlClient');
+const { getReferenceCacheStatus } = require('../services/referenceCache');
+const { CIRCUIT_STATES } = require('../utils/circuitBreaker');
 const constants = require('../config/constants');
 
 /**
@@ -38,7 +42,8 @@ function setupHealthRoutes(logger) {
       checks: {
         database: { status: 'unknown' },
         config: { status: 'unknown' },
-        job: { status: 'unknown' }
+        job: { status: 'unknown' },
+        leader: { status: 'unknown' }
       }
     };
 
@@ -102,6 +107,7 @@ function setupHealthRoutes(logger) {
         status: 'ok',
         currentStatus: currentJob.status,
         stopRequested: currentJob.stopRequested,
+        pausedReason: currentJob.pausedReason,
         ...(currentJob.status === 'running' && {
           currentWO: currentJob.currentWO,
           currentMO: currentJob.currentMO,
@@ -116,6 +122,30 @@ function setupHealthRoutes(logger) {
       };
     }
 
+    // Check processing lease (leader election)
+    const leaderStatus = getLeaderStatus();
+    health.checks.leader = {
+      status: leaderStatus.lastError ? 'error' : 'ok',
+      ...leaderStatus
+    };
+
+    // Fishbowl circuit breaker and adaptive concurrency
+    const circuitStatus = circuitBreaker.getStatus();
+    health.checks.fishbowlCircuit = {
+      status: circuitStatus.state === CIRCUIT_STATES.CLOSED ? 'ok' : 'error',
+      ...circuitStatus,
+      concurrency: concurrencyLimiter.getStatus()
+    };
+    if (circuitStatus.state !== CIRCUIT_STATES.CLOSED) {
+      health.status = 'degraded';
+    }
+
+    // Reference data cache hit/miss counts
+    health.checks.referenceCache = {
+      status: 'ok',
+      regions: getReferenceCacheStatus()
+    };
+
     // Add system info
     health.system = {
       platform: process.platform,
@@ -132,8 +162,10 @@ function setupHealthRoutes(logger) {
     health.configuration = {
       sslVerify: constants.SSL_VERIFY,
       batchSize: constants.BATCH_SIZE,
+      batchStrategy: constants.BATCH_STRATEGY,
       dbPoolSize: constants.DB_POOL_SIZE,
-      concurrentWOLimit: constants.CONCURRENT_WO_LIMIT
+      concurrentWOLimit: constants.CONCURRENT_WO_LIMIT,
+      cacheTtlMs: constants.CACHE_TTL_MS
     };
 
     const statusCode = health.status === 'ok' ? 200 : 503;
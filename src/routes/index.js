@@ -4,6 +4,9 @@ const setupSetupRoutes = require('./setup');
 const setupConfigRoutes = require('./config');
 const setupMySQLRoutes = require('./mysql');
 const setupQueueRoutes = require('./queue');
+const setupJobRoutes = require('./jobs');
+const setupCacheRoutes = require('./cache');
+const setupCaptureRoutes = require('./captures');
 const setupFishbowlRoutes = require('./fishbowl');
 const setupHealthRoutes = require('./health');
 
@@ -31,6 +34,15 @@ function setupRoutes(app, logger) {
   // Queue management routes
   app.use('/api', setupQueueRoutes(logger));
 
+  // Job run history routes
+  app.use('/api', setupJobRoutes(logger));
+
+  // Reference data cache routes
+  app.use('/api', setupCacheRoutes(logger));
+
+  // Fishbowl traffic capture and replay routes
+  app.use('/api', setupCaptureRoutes(logger));
+
   // Fishbowl proxy routes (must be last as it has catch-all)
   app.use('/api', setupFishbowlRoutes(logger));
 }
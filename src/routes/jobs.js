@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { createConnection } = require('../db/connection');
+const { getJobRuns, getJobRun } = require('../db/jobRuns');
+const { loadConfig } = require('../utils/secureConfig');
+
+/**
+ * Job History Routes
+ * Past queue processing runs recorded in the job_runs table
+ */
+
+function setupJobRoutes(logger) {
+  // List recent job runs
+  router.get('/jobs', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    // Load database from secure config
+    const config = await loadConfig();
+    const database = config?.fishbowl?.database;
+
+    if (!database) {
+      return res.status(500).json({ error: 'Server configuration not complete' });
+    }
+
+    let connection;
+
+    try {
+      connection = await createConnection(database);
+
+      const jobs = await getJobRuns(connection, limit);
+
+      res.json({
+        success: true,
+        jobs: jobs
+      });
+
+    } catch (error) {
+      logger.error('JOBS - Error getting job runs', { error: error.message });
+      res.status(500).json({ error: error.message });
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  });
+
+  // Get a single job run with its queue items
+  router.get('/jobs/:id', async (req, res) => {
+    const jobRunId = parseInt(req.params.id, 10);
+
+    if (isNaN(jobRunId)) {
+      return res.status(400).json({ error: 'Job ID must be a number' });
+    }
+
+    // Load database from secure config
+    const config = await loadConfig();
+    const database = config?.fishbowl?.database;
+
+    if (!database) {
+      return res.status(500).json({ error: 'Server configuration not complete' });
+    }
+
+    let connection;
+
+    try {
+      connection = await createConnection(database);
+
+      const job = await getJobRun(connection, jobRunId);
+
+      if (!job) {
+        return res.status(404).json({ error: `Job ${jobRunId} not found` });
+      }
+
+      res.json({
+        success: true,
+        job: job
+      });
+
+    } catch (error) {
+      logger.error('JOBS - Error getting job run', { jobRunId, error: error.message });
+      res.status(500).json({ error: error.message });
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = setupJobRoutes;
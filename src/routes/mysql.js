@@ -1,4 +1,5 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { createConnection } = require('../db/connection');
 const {
@@ -10,9 +11,21 @@ const {
   getScheduledJobs,
   getFailedJobs,
   deleteScheduledJobs,
-  clearFailedJobs
+  clearFailedJobs,
+  getRequeueCandidates,
+  requeueFailedJobs,
+  reprioritizePendingItems
 } = require('../db/queries');
+const { createJobRunsTable } = require('../db/jobRuns');
+const { createLeasesTable } = require('../db/leases');
+const { createQueueEventsTable, getQueueEventsByBarcode, recordQueueEvents } = require('../db/queueEvents');
 const { loadConfig } = require('../utils/secureConfig');
+const { validateSerialNumbers } = require('../utils/sqlHelpers');
+const { ERROR_CATEGORIES } = require('../utils/retryPolicy');
+const { normalizePriority, normalizeDueDate } = require('../utils/queuePriority');
+const { normalizeComponents, componentColumns, normalizeBuildQuantity } = require('../utils/queueComponents');
+const { normalizeTrackingValues, trackingValuesColumn } = require('../utils/trackingValues');
+const { QUEUE_EVENTS } = require('../config/constants');
 
 /**
  * MySQL Routes
@@ -47,6 +60,9 @@ function setupMySQLRoutes(logger) {
       logger.info('MYSQL - Creating mo_queue table (if not exists)...');
 
       await createMOQueueTable(connection);
+      await createJobRunsTable(connection);
+      await createQueueEventsTable(connection);
+      await createLeasesTable(connection);
       logger.info('MYSQL - Table ready (created or already exists)');
 
       const rowCount = await getMOQueueCount(connection);
@@ -183,11 +199,12 @@ function setupMySQLRoutes(logger) {
 
   // Queue work order
   router.post('/queue-work-order', async (req, res) => {
+    // Builds consuming several serialized parts send components ([{ partId, serials }])
+    // instead of serialNumbers + rawGoodsPartId; lot-tracked parts add trackingValues.
+    // Quantity builds of non-barcoded finished goods send buildQuantity and may have no serials
     const {
       barcode,
-      serialNumbers,
       fgLocationId,
-      rawGoodsPartId,
       fgPartId,
       bomNum,
       bomId,
@@ -195,11 +212,32 @@ function setupMySQLRoutes(logger) {
       operationType,
       originalWoStructure
     } = req.body;
+    let { serialNumbers, rawGoodsPartId } = req.body;
 
-    if (!barcode || !serialNumbers || !bomNum || !bomId || !locationGroupId || !operationType) {
+    if (!barcode || !(serialNumbers || req.body.components || req.body.buildQuantity) || !bomNum || !bomId || !locationGroupId || !operationType) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
+    let priority;
+    let dueDate;
+    let components = null;
+    let trackingValues;
+    let buildQuantity;
+    try {
+      priority = normalizePriority(req.body.priority);
+      dueDate = normalizeDueDate(req.body.dueDate);
+      trackingValues = trackingValuesColumn(normalizeTrackingValues(req.body.trackingValues));
+      buildQuantity = normalizeBuildQuantity(req.body.buildQuantity);
+      if (buildQuantity && operationType !== 'build') {
+        throw new Error('Build quantity only applies to builds');
+      }
+      if (req.body.components) {
+        ({ components, serialNumbers, rawGoodsPartId } = componentColumns(normalizeComponents(req.body.components)));
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     // Load database from secure config
     const config = await loadConfig();
     const database = config?.fishbowl?.database;
@@ -208,7 +246,7 @@ function setupMySQLRoutes(logger) {
       return res.status(500).json({ error: 'Server configuration not complete' });
     }
 
-    logger.info('QUEUE WORK ORDER - Queueing', { barcode, operationType });
+    logger.info('QUEUE WORK ORDER - Queueing', { barcode, operationType, buildQuantity });
 
     let connection;
 
@@ -220,12 +258,19 @@ function setupMySQLRoutes(logger) {
         serialNumbers,
         fgLocationId,
         rawGoodsPartId,
+        components,
+        trackingValues,
+        buildQuantity,
         fgPartId,
         bomNum,
         bomId,
         locationGroupId,
         operationType,
-        originalWoStructure
+        originalWoStructure,
+        priority,
+        dueDate,
+        // Disassembly submissions queue one row per request and share an uploadId
+        uploadId: req.body.uploadId ? req.body.uploadId.toString().trim().substring(0, 50) : null
       });
 
       logger.info(`QUEUE WORK ORDER - Successfully queued ${barcode} for ${operationType}`);
@@ -254,10 +299,37 @@ function setupMySQLRoutes(logger) {
       return res.status(400).json({ error: 'Items array is required' });
     }
 
+    // priority / dueDate apply to every item unless an item sets its own
+    let defaults;
+    let queueItems;
+    try {
+      defaults = {
+        priority: normalizePriority(req.body.priority),
+        dueDate: normalizeDueDate(req.body.dueDate),
+        // One upload ID per request so BATCH_STRATEGY=upload keeps each upload on its own MO(s)
+        uploadId: crypto.randomUUID()
+      };
+      queueItems = items.map(item => ({
+        ...item,
+        // components ([{ partId, serials }]) replace serialNumbers + rawGoodsPartId for multi-part builds
+        ...(item.components ? componentColumns(normalizeComponents(item.components)) : {}),
+        // Lot / expiration date / revision values: { partId: { partTrackingId: value } }
+        trackingValues: trackingValuesColumn(normalizeTrackingValues(item.trackingValues)),
+        // Quantity builds: the row's WO makes buildQuantity finished goods without barcodes
+        buildQuantity: normalizeBuildQuantity(item.buildQuantity),
+        priority: item.priority !== undefined ? normalizePriority(item.priority) : undefined,
+        dueDate: item.dueDate !== undefined ? normalizeDueDate(item.dueDate) : undefined
+      }));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     logger.info('MYSQL - Batch queueing work orders...', {
       database,
       count: items.length,
-      scheduledFor: scheduledFor || 'immediate'
+      scheduledFor: scheduledFor || 'immediate',
+      priority: defaults.priority,
+      dueDate: defaults.dueDate
     });
 
     let connection;
@@ -265,14 +337,17 @@ function setupMySQLRoutes(logger) {
     try {
       connection = await createConnection(database);
 
-      const insertedCount = await batchQueueWorkOrders(connection, items, scheduledFor);
+      const insertedCount = await batchQueueWorkOrders(connection, queueItems, scheduledFor, defaults);
 
       logger.info(`MYSQL - Successfully queued ${insertedCount} work order(s)${scheduledFor ? ` for ${scheduledFor}` : ' (immediate)'}`);
 
       res.json({
         success: true,
         insertedCount: insertedCount,
-        scheduledFor: scheduledFor || null
+        scheduledFor: scheduledFor || null,
+        priority: defaults.priority,
+        dueDate: defaults.dueDate,
+        uploadId: defaults.uploadId
       });
 
     } catch (error) {
@@ -357,6 +432,247 @@ function setupMySQLRoutes(logger) {
     }
   });
 
+  // Requeue failed / dead-lettered jobs
+  router.post('/mysql/requeue-failed-jobs', async (req, res) => {
+    const { ids, barcodes, errorCategory, serialNumbers, fgLocation, rawGoodsPartId, components, trackingValues, requeuedBy } = req.body;
+
+    const hasIds = Array.isArray(ids) && ids.length > 0;
+    const hasBarcodes = Array.isArray(barcodes) && barcodes.length > 0;
+
+    if (!hasIds && !hasBarcodes && !errorCategory) {
+      return res.status(400).json({ error: 'ids, barcodes or errorCategory is required' });
+    }
+
+    if (errorCategory && !Object.values(ERROR_CATEGORIES).includes(errorCategory)) {
+      return res.status(400).json({ error: `errorCategory must be one of: ${Object.values(ERROR_CATEGORIES).join(', ')}` });
+    }
+
+    const corrections = {};
+
+    if (serialNumbers !== undefined) {
+      try {
+        validateSerialNumbers(serialNumbers);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      corrections.serialNumbers = JSON.stringify(serialNumbers);
+    }
+
+    // Same format the queue stores: "LocationGroup-Location" (builds) or a location ID (disassembly returns)
+    if (fgLocation !== undefined && fgLocation !== null && fgLocation.toString().trim() !== '') {
+      corrections.fgLocation = fgLocation.toString().trim();
+    }
+
+    if (rawGoodsPartId !== undefined && rawGoodsPartId !== null && rawGoodsPartId !== '') {
+      if (isNaN(parseInt(rawGoodsPartId, 10))) {
+        return res.status(400).json({ error: 'rawGoodsPartId must be a number' });
+      }
+      corrections.rawGoodsPartId = parseInt(rawGoodsPartId, 10);
+    }
+
+    // Corrected serialized components of a multi-part build (replace serialNumbers + rawGoodsPartId)
+    if (components !== undefined) {
+      if (corrections.serialNumbers !== undefined || corrections.rawGoodsPartId !== undefined) {
+        return res.status(400).json({ error: 'Send either components or serialNumbers / rawGoodsPartId, not both' });
+      }
+      try {
+        const normalized = normalizeComponents(components);
+        normalized.forEach(component => validateSerialNumbers(component.serials));
+        Object.assign(corrections, componentColumns(normalized));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // Corrected lot / expiration date / revision values (replace the row's values; {} clears them)
+    if (trackingValues !== undefined) {
+      try {
+        corrections.trackingValues = trackingValuesColumn(normalizeTrackingValues(trackingValues));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    const requester = (requeuedBy || '').toString().trim().substring(0, 100) || 'unknown';
+
+    // Load database from secure config
+    const config = await loadConfig();
+    const database = config?.fishbowl?.database;
+
+    if (!database) {
+      return res.status(500).json({ error: 'Server configuration not complete' });
+    }
+
+    logger.info('MYSQL - Requeueing failed jobs', {
+      ids: hasIds ? ids.length : 0,
+      barcodes: hasBarcodes ? barcodes.length : 0,
+      errorCategory: errorCategory || null,
+      corrections: Object.keys(corrections),
+      requeuedBy: requester
+    });
+
+    let connection;
+
+    try {
+      connection = await createConnection(database);
+
+      const candidates = await getRequeueCandidates(connection, { ids, barcodes, errorCategory });
+
+      if (candidates.length === 0) {
+        return res.json({ success: true, requeuedCount: 0, items: [] });
+      }
+
+      // Corrected serials belong to a single barcode
+      if (corrections.serialNumbers && candidates.length > 1) {
+        return res.status(400).json({
+          error: `serialNumbers can only be corrected for a single item (selection matched ${candidates.length})`
+        });
+      }
+
+      const requeuedCount = await requeueFailedJobs(connection, candidates.map(item => item.id), corrections, requester);
+
+      // Keep the failure history in each item's timeline
+      for (const item of candidates) {
+        try {
+          await recordQueueEvents(connection, [item], QUEUE_EVENTS.REQUEUED, {
+            message: `Requeued by ${requester}`,
+            details: {
+              requeuedBy: requester,
+              previousStatus: item.status,
+              previousError: item.error_message,
+              previousCategory: item.error_category,
+              previousRetryCount: item.retry_count,
+              corrections: Object.keys(corrections)
+            }
+          });
+        } catch (eventError) {
+          logger.warn(`EVENTS - Could not record ${QUEUE_EVENTS.REQUEUED} for queue item ${item.id}`, { error: eventError.message });
+        }
+      }
+
+      logger.info(`MYSQL - Requeued ${requeuedCount} failed job(s)`, { requeuedBy: requester });
+
+      res.json({
+        success: true,
+        requeuedCount: requeuedCount,
+        items: candidates.map(item => ({ id: item.id, barcode: item.barcode, previousStatus: item.status }))
+      });
+
+    } catch (error) {
+      logger.error('MYSQL - Error requeueing failed jobs', { error: error.message });
+      res.status(500).json({ error: error.message });
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  });
+
+  // Change priority and/or due date of pending items
+  // Items are selected by ids, barcodes or a scheduled_for time; dueDate null clears it
+  router.post('/mysql/reprioritize-pending-jobs', async (req, res) => {
+    const { ids, barcodes, scheduledFor } = req.body;
+
+    const hasIds = Array.isArray(ids) && ids.length > 0;
+    const hasBarcodes = Array.isArray(barcodes) && barcodes.length > 0;
+
+    if (!hasIds && !hasBarcodes && !scheduledFor) {
+      return res.status(400).json({ error: 'ids, barcodes or scheduledFor is required' });
+    }
+
+    if (req.body.priority === undefined && req.body.dueDate === undefined) {
+      return res.status(400).json({ error: 'priority or dueDate is required' });
+    }
+
+    const changes = {};
+    try {
+      if (req.body.priority !== undefined) {
+        changes.priority = normalizePriority(req.body.priority);
+      }
+      if (req.body.dueDate !== undefined) {
+        changes.dueDate = normalizeDueDate(req.body.dueDate);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Load database from secure config
+    const config = await loadConfig();
+    const database = config?.fishbowl?.database;
+
+    if (!database) {
+      return res.status(500).json({ error: 'Server configuration not complete' });
+    }
+
+    logger.info('MYSQL - Reprioritizing pending jobs', {
+      ids: hasIds ? ids.length : 0,
+      barcodes: hasBarcodes ? barcodes.length : 0,
+      scheduledFor: scheduledFor || null,
+      ...changes
+    });
+
+    let connection;
+
+    try {
+      connection = await createConnection(database);
+
+      const updatedCount = await reprioritizePendingItems(connection, { ids, barcodes, scheduledFor }, changes);
+
+      logger.info(`MYSQL - Reprioritized ${updatedCount} pending job(s)`);
+
+      res.json({
+        success: true,
+        updatedCount: updatedCount,
+        ...changes
+      });
+
+    } catch (error) {
+      logger.error('MYSQL - Error reprioritizing pending jobs', { error: error.message });
+      res.status(500).json({ error: error.message });
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  });
+
+  // Get event timeline for a barcode
+  router.get('/mysql/queue-events/:barcode', async (req, res) => {
+    const { barcode } = req.params;
+
+    // Load database from secure config
+    const config = await loadConfig();
+    const database = config?.fishbowl?.database;
+
+    if (!database) {
+      return res.status(500).json({ error: 'Server configuration not complete' });
+    }
+
+    logger.debug('MYSQL - Getting queue events', { barcode });
+
+    let connection;
+
+    try {
+      connection = await createConnection(database);
+
+      const events = await getQueueEventsByBarcode(connection, barcode);
+
+      res.json({
+        success: true,
+        barcode: barcode,
+        events: events
+      });
+
+    } catch (error) {
+      logger.error('MYSQL - Error getting queue events', { barcode, error: error.message });
+      res.status(500).json({ error: error.message });
+    } finally {
+      if (connection) {
+        await connection.end();
+      }
+    }
+  });
+
   // Delete scheduled jobs by scheduled_for time
   router.delete('/mysql/scheduled-jobs', async (req, res) => {
     const { scheduledFor } = req.body;
@@ -4,7 +4,11 @@ const { createConnection } = require('../db/connection');
 const { getPendingCount, getScheduledCount, getTotalPendingCount } = require('../db/queries');
 const jobService = require('../services/jobService');
 const queueService = require('../services/queueService');
-const { fishbowlQuery } = require('../services/fishbowlApi');
+const leaderService = require('../services/leaderService');
+const { circuitBreaker, concurrencyLimiter, assertSimulatorServer } = require('../services/fishbowlClient');
+const { getExistingMOsByPattern } = require('../db/sharedQueries');
+const { runFishbowlQuery } = require('../db/fishbowlQueries');
+const { validateItemLocations } = require('../services/itemLocationService');
 const { loadConfig } = require('../utils/secureConfig');
 const { normalizeUrl } = require('../utils/urlHelpers');
 const { validateRequired, validateString, validateNumber, validate } = require('../middleware/validation');
@@ -17,7 +21,22 @@ function setupQueueRoutes(logger) {
   // Get queue status
   router.get('/queue-status', (req, res) => {
     logger.info('STATUS - Queue status requested');
-    res.json(jobService.getJobStatus());
+    res.json({
+      ...jobService.getJobStatus(),
+      fishbowlCircuit: circuitBreaker.getStatus(),
+      concurrency: concurrencyLimiter.getStatus()
+    });
+  });
+
+  // Get the full report from the current (or last) dry-run job
+  router.get('/dry-run-report', (req, res) => {
+    const report = jobService.getDryRunReport();
+
+    if (!report) {
+      return res.status(404).json({ error: 'No dry-run report available' });
+    }
+
+    res.json(report);
   });
 
   // Stop queue processing
@@ -110,13 +129,17 @@ function setupQueueRoutes(logger) {
       const scheduledCount = await getScheduledCount(connection); // Scheduled for future
       const totalPendingCount = await getTotalPendingCount(connection); // Total pending (ready + scheduled)
 
-      // Get failed count
+      // Get failed and dead-lettered counts
       const [failedResult] = await connection.query(`
-        SELECT COUNT(*) as count FROM mo_queue WHERE status = 'Failed'
+        SELECT
+          SUM(status = 'Failed') as failed,
+          SUM(status = 'DeadLetter') as deadLetter
+        FROM mo_queue WHERE status IN ('Failed', 'DeadLetter')
       `);
-      const failedCount = failedResult[0].count;
+      const failedCount = parseInt(failedResult[0].failed, 10) || 0;
+      const deadLetterCount = parseInt(failedResult[0].deadLetter, 10) || 0;
 
-      logger.info(`PENDING JOBS - Ready: ${pendingCount}, Scheduled: ${scheduledCount}, Failed: ${failedCount}`);
+      logger.info(`PENDING JOBS - Ready: ${pendingCount}, Scheduled: ${scheduledCount}, Failed: ${failedCount}, Dead letter: ${deadLetterCount}`);
 
       res.json({
         success: true,
@@ -125,7 +148,8 @@ function setupQueueRoutes(logger) {
         readyCount: pendingCount, // Alias for clarity
         scheduledCount: scheduledCount, // Scheduled for future
         totalPendingCount: totalPendingCount, // Total (ready + scheduled)
-        failedCount: failedCount
+        failedCount: failedCount,
+        deadLetterCount: deadLetterCount
       });
 
     } catch (error) {
@@ -242,8 +266,7 @@ function setupQueueRoutes(logger) {
       logger.info('MO SEQUENCE - Querying pattern:', { pattern: moPattern });
 
       // Get ALL matching MOs from Fishbowl API
-      const moSql = `SELECT num FROM mo WHERE num LIKE '${moPattern.replace(/'/g, "''")}'`;
-      const existingMOs = await fishbowlQuery(moSql, serverUrl, token);
+      const existingMOs = await getExistingMOsByPattern(moPattern, serverUrl, token);
 
       let startingSequence = 1;
       let lastMO = null;
@@ -316,14 +339,7 @@ function setupQueueRoutes(logger) {
 
     try {
       // Step 1: Get the finished good part ID from BOM using Fishbowl API
-      const bomSql = `
-        SELECT bomitem.partid
-        FROM bom
-        JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 10
-        WHERE bom.num = '${bomNum.replace(/'/g, "''")}' AND bom.id = ${bomId}
-      `;
-
-      const bomRows = await fishbowlQuery(bomSql, serverUrl, token);
+      const bomRows = await runFishbowlQuery(serverUrl, token, 'finishedGoodPartForBom', { bomNum, bomId });
 
       if (!bomRows || bomRows.length === 0) {
         throw new Error(`BOM ${bomNum} not found or has no finished good item`);
@@ -332,26 +348,7 @@ function setupQueueRoutes(logger) {
       const fgPartId = bomRows[0].partid;
 
       // Step 2: Get on-hand FG inventory from Fishbowl API
-      const fgSql = `
-        SELECT DISTINCT
-          sn.SerialNum AS barcode,
-          p.id AS fg_part_id,
-          p.num AS fg_part_num,
-          p.description AS fg_description,
-          l.name AS location_name,
-          lg.name AS location_group_name,
-          CONCAT(lg.name, '-', l.name) AS full_location
-        FROM part p
-        JOIN tag t ON t.partid = p.id
-        JOIN serial s ON s.tagid = t.id
-        JOIN serialnum sn ON sn.serialid = s.id AND sn.parttrackingid = 5
-        JOIN location l ON l.id = t.locationid
-        JOIN locationgroup lg ON lg.id = l.locationgroupid
-        WHERE p.id = ${fgPartId}
-          AND t.qty > 0
-      `;
-
-      const fgRows = await fishbowlQuery(fgSql, serverUrl, token);
+      const fgRows = await runFishbowlQuery(serverUrl, token, 'finishedGoodsOnHand', { partId: fgPartId });
 
       if (!fgRows || fgRows.length === 0) {
         logger.info('FINISHED GOODS - No on-hand FGs found');
@@ -429,23 +426,7 @@ function setupQueueRoutes(logger) {
       // Normalize serverUrl (remove trailing slash)
       serverUrl = serverUrl.endsWith('/') ? serverUrl.slice(0, -1) : serverUrl;
 
-      const sql = `
-        SELECT DISTINCT
-          part.num AS part_num,
-          part.id AS part_id,
-          CONCAT(part.num,' - ',part.description) AS list_values
-        FROM bom
-        JOIN bomitem ON bomitem.bomId = bom.id
-        JOIN part ON part.id = bomitem.partid
-        JOIN parttotracking ON parttotracking.partid = bomitem.partid
-        JOIN parttracking ON parttracking.id = parttotracking.parttrackingid
-        WHERE bom.num = '${bomNum.replace(/'/g, "''")}'
-          AND bomitem.typeid = 20
-          AND parttracking.typeid = 40
-        ORDER BY part.num
-      `;
-
-      const data = await fishbowlQuery(sql, serverUrl, token);
+      const data = await runFishbowlQuery(serverUrl, token, 'rawGoodsForBom', { bomNum });
       logger.info(`RAW GOODS - Found ${Array.isArray(data) ? data.length : 0} raw good(s)`);
       res.json(data);
 
@@ -477,22 +458,7 @@ function setupQueueRoutes(logger) {
       // Normalize serverUrl (remove trailing slash)
       serverUrl = serverUrl.endsWith('/') ? serverUrl.slice(0, -1) : serverUrl;
 
-      const sql = `
-        SELECT
-          location.id AS location_id,
-          locationgroup.id AS locationgroup_id,
-          CONCAT(locationgroup.name,' - ',location.name) AS list_value,
-          location.name AS location_name,
-          locationgroup.name AS locationgroup_name
-        FROM locationgroup
-        JOIN location ON location.locationgroupid = locationgroup.id
-        WHERE locationgroup.id = ${locationGroupId}
-          AND location.activeflag = 1
-          AND location.receivable = 1
-        ORDER BY location.name
-      `;
-
-      const data = await fishbowlQuery(sql, serverUrl, token);
+      const data = await runFishbowlQuery(serverUrl, token, 'receivableLocationsForGroup', { locationGroupId });
       logger.info(`LOCATIONS - Found ${Array.isArray(data) ? data.length : 0} location(s)`);
       res.json({ locations: data });
 
@@ -502,11 +468,49 @@ function setupQueueRoutes(logger) {
     }
   });
 
+  // Check the per-row FG locations / location groups of a build CSV
+  router.post('/validate-item-locations', async (req, res) => {
+    const { token, locationGroupId, entries } = req.body;
+
+    if (!token || !Array.isArray(entries)) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    logger.info(`ITEM LOCATIONS - Validating ${entries.length} FG location / location group pair(s)`);
+
+    try {
+      // Load serverUrl from secure config
+      const config = await loadConfig();
+      let serverUrl = config?.fishbowl?.serverUrl;
+
+      if (!serverUrl) {
+        return res.status(400).json({ error: 'Server URL not configured' });
+      }
+
+      // Normalize serverUrl (remove trailing slash)
+      serverUrl = serverUrl.endsWith('/') ? serverUrl.slice(0, -1) : serverUrl;
+
+      const results = await validateItemLocations(serverUrl, token, entries, locationGroupId);
+      logger.info(`ITEM LOCATIONS - ${results.filter(result => result.error).length} invalid pair(s)`);
+      res.json({ results });
+
+    } catch (error) {
+      logger.error('ITEM LOCATIONS - Error', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Start queue processing
   router.post('/start-queue-processing', async (req, res) => {
+    // bom, bomId and locationGroup are optional fallbacks for rows queued without them;
+    // pending rows are grouped by their own BOM and location group
+    // dryRun plans the job from live reads and captures writes without sending them
+    // capture records the job's Fishbowl traffic for download and offline replay
     const { token, bom, bomId, locationGroup } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const capture = req.body.capture === true || req.body.capture === 'true';
 
-    if (!token || !bom || !bomId || !locationGroup) {
+    if (!token) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
@@ -522,22 +526,43 @@ function setupQueueRoutes(logger) {
     // Normalize serverUrl (remove trailing slash)
     serverUrl = normalizeUrl(serverUrl);
 
+    // In simulator mode jobs only run against the simulator
+    try {
+      assertSimulatorServer(serverUrl);
+    } catch (error) {
+      logger.warn('QUEUE PROCESSING - Start rejected', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
     // Check if a job is already running
     const currentStatus = jobService.getJobStatus();
     if (currentStatus.status === 'running') {
       return res.status(409).json({ error: 'A job is already running' });
     }
 
-    logger.info('QUEUE PROCESSING - Start requested', { database, bom, locationGroup });
+    // Only the instance holding the processing lease may process the queue
+    if (!(await leaderService.ensureLeader(logger))) {
+      const { holder } = leaderService.getLeaderStatus();
+      logger.warn('QUEUE PROCESSING - Start rejected, processing lease held by another instance', { holder });
+      return res.status(409).json({
+        error: 'Another orchestrator instance holds the processing lease',
+        holder: holder
+      });
+    }
+
+    logger.info('QUEUE PROCESSING - Start requested', { database, bom, locationGroup, dryRun, capture });
 
     // Start job
-    jobService.startJob();
+    jobService.startJob({ dryRun, capture }, 'ui', logger);
 
     // Return immediately - processing happens in background
+    const jobStatus = jobService.getJobStatus();
     res.json({
       success: true,
-      message: 'Queue processing started',
-      jobId: jobService.getJobStatus().startTime
+      message: dryRun ? 'Dry run started (no changes will be made)' : 'Queue processing started',
+      dryRun: dryRun,
+      jobId: jobStatus.startTime,
+      captureId: jobStatus.captureId
     });
 
     // Start background processing
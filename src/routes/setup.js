@@ -11,11 +11,65 @@ const {
   clearConfig,
   getConfigStatus
 } = require('../utils/secureConfig');
+const { normalizeTrackingRoles } = require('../utils/trackingRoles');
+const { buildQuery } = require('../utils/queryBuilder');
+const { FISHBOWL_QUERIES } = require('../db/fishbowlQueries');
+const { DEFAULT_TRACKING_ROLES, PART_TRACKING_TYPES } = require('../config/constants');
+const { assertSimulatorServer } = require('../services/fishbowlClient');
 
 /**
  * Setup and Configuration Management Routes
+ * The connection test also lists the company's serial number trackings so the
+ * admin can map the component serial and FG identifier roles (see
+ * utils/trackingRoles); the mapping is saved in the "tracking" config section.
  */
 
+/**
+ * Run a query on the Fishbowl data-query endpoint with a setup login token
+ * @param {Object} httpModule - http or https
+ * @param {URL} url - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string} sql - SQL
+ * @returns {Promise<Array>} Rows
+ */
+function setupDataQuery(httpModule, url, token, sql) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: url.hostname,
+      port: url.port || (httpModule === https ? 443 : 80),
+      path: '/api/data-query',  // REST API query endpoint
+      method: 'GET',  // REST API uses GET with SQL in body
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'text/plain',
+        'Content-Length': Buffer.byteLength(sql)
+      },
+      ...getHttpsOptions()
+    };
+
+    const req = httpModule.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (err) {
+          reject(new Error('Invalid JSON response from database query'));
+        }
+      });
+    });
+
+    req.on('error', (err) => reject(err));
+    req.setTimeout(10000, () => {
+      req.destroy();
+      reject(new Error('Database query timeout'));
+    });
+
+    req.write(sql);
+    req.end();
+  });
+}
+
 function setupSetupRoutes(logger) {
   /**
    * GET /api/setup/status
@@ -44,6 +98,14 @@ function setupSetupRoutes(logger) {
 
     logger.info('SETUP - Testing Fishbowl connection...');
 
+    // In simulator mode credentials must never go to a real server
+    try {
+      assertSimulatorServer(serverUrl);
+    } catch (error) {
+      logger.warn('SETUP - Fishbowl connection test rejected', { error: error.message });
+      return res.status(400).json({ error: error.message });
+    }
+
     try {
       // Parse server URL
       const url = new URL(serverUrl);
@@ -142,41 +204,7 @@ function setupSetupRoutes(logger) {
       // REST API uses the SQL query directly in the body with Bearer token
       const dbQuery = 'SELECT DATABASE() as current_db';
 
-      const dbResponse = await new Promise((resolve, reject) => {
-        const options = {
-          hostname: url.hostname,
-          port: url.port || (isHttps ? 443 : 80),
-          path: '/api/data-query',  // REST API query endpoint
-          method: 'GET',  // REST API uses GET with SQL in body
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'text/plain',
-            'Content-Length': Buffer.byteLength(dbQuery)
-          },
-          ...getHttpsOptions()
-        };
-
-        const req = httpModule.request(options, (res) => {
-          let data = '';
-          res.on('data', (chunk) => { data += chunk; });
-          res.on('end', () => {
-            try {
-              resolve(JSON.parse(data));
-            } catch (err) {
-              reject(new Error('Invalid JSON response from database query'));
-            }
-          });
-        });
-
-        req.on('error', (err) => reject(err));
-        req.setTimeout(10000, () => {
-          req.destroy();
-          reject(new Error('Database query timeout'));
-        });
-
-        req.write(dbQuery);
-        req.end();
-      });
+      const dbResponse = await setupDataQuery(httpModule, url, token, dbQuery);
 
       // Extract database name from REST API query result
       // REST API returns array of objects: [{ current_db: "database_name" }]
@@ -187,6 +215,15 @@ function setupSetupRoutes(logger) {
 
       logger.info('SETUP - Database name detected', { database: databaseName });
 
+      // Serial number trackings the tracking roles can be mapped to
+      const [trackingSql] = buildQuery(FISHBOWL_QUERIES.partTrackingDefinitions, {});
+      const trackingResponse = await setupDataQuery(httpModule, url, token, trackingSql);
+      const serialTrackings = (Array.isArray(trackingResponse) ? trackingResponse : [])
+        .filter(row => Number(row.parttracking_typeid) === PART_TRACKING_TYPES.SERIAL_NUMBER && row.parttracking_active)
+        .map(row => ({ id: Number(row.parttracking_id), name: row.parttracking_name, abbr: row.parttracking_abbr }));
+
+      logger.info('SETUP - Serial trackings found', { count: serialTrackings.length });
+
       // Logout to clean up the test token (REST API)
       // Fire and forget logout (don't wait for response)
       const logoutReq = httpModule.request({
@@ -204,9 +241,13 @@ function setupSetupRoutes(logger) {
 
       logger.info('SETUP - Test complete, token cleaned up');
 
+      const existingConfig = await isSetupComplete() ? await loadConfig() : null;
+
       res.json({
         success: true,
         database: databaseName,
+        serialTrackings,
+        tracking: { ...DEFAULT_TRACKING_ROLES, ...existingConfig?.tracking },
         message: 'Connection successful'
       });
     } catch (error) {
@@ -220,7 +261,7 @@ function setupSetupRoutes(logger) {
    * Complete initial setup with all credentials
    */
   router.post('/setup/complete', async (req, res) => {
-    const { fishbowl, mysql } = req.body;
+    const { fishbowl, mysql, tracking } = req.body;
 
     // Validate required fields
     if (!fishbowl?.serverUrl || !fishbowl?.username) {
@@ -262,6 +303,13 @@ function setupSetupRoutes(logger) {
         }
       };
 
+      // Tracking roles default to the existing mapping, then to the stock Fishbowl IDs
+      try {
+        configToSave.tracking = normalizeTrackingRoles(tracking || { ...DEFAULT_TRACKING_ROLES, ...existingConfig?.tracking });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
       logger.info('SETUP - Config to save:', {
         fishbowl: {
           serverUrl: configToSave.fishbowl.serverUrl,
@@ -274,7 +322,8 @@ function setupSetupRoutes(logger) {
           port: configToSave.mysql.port,
           user: configToSave.mysql.user,
           hasPassword: !!configToSave.mysql.password
-        }
+        },
+        tracking: configToSave.tracking
       });
 
       // Validate we have passwords (either new or existing)
@@ -352,7 +401,8 @@ function setupSetupRoutes(logger) {
           port: config.mysql?.port || 3306,
           user: config.mysql?.user || 'root',
           password: config.mysql?.password ? '••••••••' : ''
-        }
+        },
+        tracking: { ...DEFAULT_TRACKING_ROLES, ...config.tracking }
       };
 
       res.json(masked);
@@ -373,7 +423,7 @@ function setupSetupRoutes(logger) {
       return res.status(400).json({ error: 'Missing section or data' });
     }
 
-    if (section !== 'fishbowl' && section !== 'mysql') {
+    if (section !== 'fishbowl' && section !== 'mysql' && section !== 'tracking') {
       return res.status(400).json({ error: 'Invalid section' });
     }
 
@@ -394,6 +444,14 @@ function setupSetupRoutes(logger) {
         updated[key] = value;
       }
 
+      if (section === 'tracking') {
+        try {
+          Object.assign(updated, normalizeTrackingRoles({ ...DEFAULT_TRACKING_ROLES, ...updated }));
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
       // Save updated section
       await updateConfigSection(section, updated);
 
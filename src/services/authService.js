@@ -1,13 +1,39 @@
-const { fetchWithNode } = require('../utils/helpers');
 const { normalizeUrl } = require('../utils/urlHelpers');
 const { decrypt } = require('../utils/encryption');
 const { loadTokens, addToken, removeToken, saveTokens } = require('../db/tokenStore');
+const { loadConfig } = require('../utils/secureConfig');
+const { FishbowlClient, dropFishbowlClient, assertSimulatorServer } = require('./fishbowlClient');
 
 /**
  * Authentication Service
  * Handles login, logout, and token management
+ * Login and logout calls go through FishbowlClient like every other Fishbowl
+ * call, so they share its timeout, connections, circuit breaker and typed errors
  */
 
+/**
+ * Send a login or logout request
+ * Uses a client of its own: the session is being opened or closed, so it is
+ * not one getFishbowlClient should keep
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string|null} token - Auth token (null to log in)
+ * @param {string} path - '/api/login' or '/api/logout'
+ * @param {Object} payload - Request payload
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { ok, status, contentType, text }
+ */
+async function sendAuthRequest(serverUrl, token, path, payload, logger) {
+  const client = new FishbowlClient({ serverUrl, token, logger });
+  const response = await client.send('POST', path, JSON.stringify(payload));
+
+  return {
+    ok: response.status >= 200 && response.status < 300,
+    status: response.status,
+    contentType: response.headers['content-type'] || null,
+    text: response.text
+  };
+}
+
 /**
  * Login to Fishbowl
  * @param {string} serverUrl - Fishbowl server URL
@@ -19,6 +45,9 @@ async function login(serverUrl, loginData, logger) {
   // Normalize serverUrl (remove trailing slash)
   const normalizedUrl = normalizeUrl(serverUrl);
 
+  // In simulator mode credentials must never go to a real server
+  assertSimulatorServer(normalizedUrl);
+
   logger.api('LOGIN REQUEST', {
     serverUrl,
     username: loginData.username,
@@ -44,23 +73,18 @@ async function login(serverUrl, loginData, logger) {
     payload: { ...fishbowlPayload, password: '***' }
   });
 
-  const response = await fetchWithNode(`${normalizedUrl}/api/login`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(fishbowlPayload)
-  });
+  const response = await sendAuthRequest(normalizedUrl, null, '/api/login', fishbowlPayload, logger);
 
-  logger.api(`LOGIN RESPONSE - Status: ${response.status}, Content-Type: ${response.headers.get('content-type')}`);
+  logger.api(`LOGIN RESPONSE - Status: ${response.status}, Content-Type: ${response.contentType}`);
 
   // Check if response is JSON before parsing
-  const contentType = response.headers.get('content-type');
+  const contentType = response.contentType;
   if (!contentType || !contentType.includes('application/json')) {
-    const text = await response.text();
-    logger.error('LOGIN - Received non-JSON response:', text.substring(0, 500));
+    logger.error('LOGIN - Received non-JSON response:', response.text.substring(0, 500));
     throw new Error('Fishbowl returned an error page instead of JSON. Check server URL and port.');
   }
 
-  const data = await response.json();
+  const data = JSON.parse(response.text);
 
   // Log the response for debugging
   if (!response.ok) {
@@ -101,14 +125,7 @@ async function logout(serverUrl, token, logoutData, logger) {
   // First, try to logout the current token
   if (token) {
     try {
-      const response = await fetchWithNode(`${normalizedUrl}/api/logout`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(logoutData)
-      });
+      const response = await sendAuthRequest(normalizedUrl, token, '/api/logout', logoutData, logger);
 
       if (response.ok) {
         logger.api('LOGOUT - Current session logged out successfully');
@@ -119,6 +136,7 @@ async function logout(serverUrl, token, logoutData, logger) {
         error: error.message
       });
     }
+    dropFishbowlClient(normalizedUrl, token);
   }
 
   // Now logout ALL tracked tokens to clean up any orphaned sessions
@@ -133,6 +151,67 @@ async function logout(serverUrl, token, logoutData, logger) {
   };
 }
 
+/**
+ * Logout a single session without touching other tracked tokens
+ * Used by background tasks that log in for a short-lived operation
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Token to logout
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<boolean>} True if the session was logged out
+ */
+async function logoutSession(serverUrl, token, logger) {
+  const normalizedUrl = normalizeUrl(serverUrl);
+  dropFishbowlClient(normalizedUrl, token);
+
+  try {
+    const response = await sendAuthRequest(normalizedUrl, token, '/api/logout', {}, logger);
+
+    if (response.ok) {
+      await removeToken(token);
+      return true;
+    }
+
+    logger.warn('LOGOUT - Session logout failed (non-critical)', { status: response.status });
+  } catch (error) {
+    logger.warn('LOGOUT - Session logout failed (non-critical)', { error: error.message });
+  }
+
+  return false;
+}
+
+/**
+ * Log in again with the secure-config credentials after Fishbowl rejected a session
+ * The new token is tracked by login(); the rejected one is dropped from the token store
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} expiredToken - Token Fishbowl rejected
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<string>} New token
+ */
+async function reauthenticate(serverUrl, expiredToken, logger) {
+  const config = await loadConfig();
+  const username = config?.fishbowl?.username;
+  const password = config?.fishbowl?.password;
+
+  if (!username || !password) {
+    throw new Error('Fishbowl credentials not configured');
+  }
+
+  const loginResult = await login(serverUrl, {
+    username,
+    password,
+    appDescription: 'Queue processing (re-authenticated)'
+  }, logger);
+
+  if (!loginResult.token) {
+    throw new Error(loginResult.message || 'Failed to obtain Fishbowl token');
+  }
+
+  await removeToken(expiredToken);
+  logger.info('LOGIN - Re-authenticated after session was rejected; token store updated');
+
+  return loginResult.token;
+}
+
 /**
  * Logout all tracked tokens
  * @param {Object} logger - Logger instance
@@ -169,22 +248,16 @@ async function logoutAllTokens(logger) {
         }
       }
 
-      const response = await fetchWithNode(`${normalizedUrl}/api/logout`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${tokenInfo.token}`
-        },
-        body: JSON.stringify({
-          appName: 'ManufacturingOrchestrator',
-          appId: 20251022,
-          username: tokenInfo.username,
-          password: password
-        })
-      });
+      const response = await sendAuthRequest(normalizedUrl, tokenInfo.token, '/api/logout', {
+        appName: 'ManufacturingOrchestrator',
+        appId: 20251022,
+        username: tokenInfo.username,
+        password: password
+      }, logger);
 
       if (response.ok) {
         loggedOut++;
+        dropFishbowlClient(normalizedUrl, tokenInfo.token);
         logger.info(`TOKEN TRACKING - Successfully logged out ${tokenInfo.username}`);
       } else {
         failed++;
@@ -238,6 +311,8 @@ async function getTokenStatus() {
 module.exports = {
   login,
   logout,
+  logoutSession,
+  reauthenticate,
   logoutAllTokens,
   getTokenStatus
 };
@@ -0,0 +1,206 @@
+const { FishbowlClient, registerFishbowlClient } = require('./fishbowlClient');
+const { processWorkOrder } = require('./workOrderService');
+const { processDisassemblyWorkOrder } = require('./queueService');
+const { readCapture, runAsReplay } = require('../utils/trafficCapture');
+
+/**
+ * Capture Replay Service
+ * Runs the work order processor for one queue item of a captured job again,
+ * offline: every Fishbowl call is answered from the job's traffic archive
+ * instead of the network, so a failure seen at a customer site (an odd pick
+ * structure, an unexpected status) can be stepped through without access to
+ * their Fishbowl. Nothing is written anywhere.
+ *
+ * Calls are answered in the recorded order. If the processor asks for a
+ * different endpoint (or different SQL) than was recorded, the replay stops
+ * and reports where it diverged. When the recorded run was retried, the
+ * processor is run again for each recorded attempt.
+ */
+
+/**
+ * The replay could not continue (missing queue item, divergence, archive exhausted)
+ */
+class CaptureReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptureReplayError';
+  }
+}
+
+/**
+ * Rebuild the response text of a recorded call
+ * @param {Object} call - Archive call entry
+ * @returns {string}
+ */
+function responseText(call) {
+  if (call.responseType === 'json') {
+    return JSON.stringify(call.response);
+  }
+  return call.response || '';
+}
+
+/**
+ * FishbowlClient that answers from recorded calls instead of sending requests
+ */
+class ReplayClient extends FishbowlClient {
+  /**
+   * @param {Object} options - { serverUrl, calls, logger }
+   */
+  constructor({ serverUrl, calls, logger }) {
+    super({ serverUrl, token: 'replay', logger });
+    this.calls = calls;
+    this.position = 0;
+    this.transcript = [];
+  }
+
+  send(method, path, body = null) {
+    const recorded = this.calls[this.position];
+    const callNumber = this.position + 1;
+
+    if (!recorded) {
+      return Promise.reject(new CaptureReplayError(`No recorded response left for ${method} ${path} (call ${callNumber})`));
+    }
+
+    if (recorded.method !== method || recorded.path !== path) {
+      return Promise.reject(new CaptureReplayError(
+        `Replay diverged at call ${callNumber}: recorded ${recorded.method} ${recorded.path}, processor sent ${method} ${path}`
+      ));
+    }
+
+    if (recorded.requestType === 'text' && recorded.request !== body) {
+      return Promise.reject(new CaptureReplayError(`Replay diverged at call ${callNumber}: ${path} request differs from the recorded one`));
+    }
+
+    this.position++;
+    this.transcript.push({
+      sequence: recorded.sequence,
+      method,
+      path,
+      status: recorded.status,
+      error: recorded.error ? recorded.error.message : null
+    });
+
+    if (recorded.error) {
+      const error = new Error(recorded.error.message);
+      error.name = recorded.error.name;
+      error.code = recorded.error.code || undefined;
+      return Promise.reject(error);
+    }
+
+    return Promise.resolve({
+      status: recorded.status,
+      headers: { 'content-type': 'application/json' },
+      text: responseText(recorded),
+      durationMs: recorded.durationMs || 0
+    });
+  }
+}
+
+/**
+ * Logger that keeps what the processor logs during a replay
+ * @returns {Object} Logger with an entries array
+ */
+function createReplayLogger() {
+  const entries = [];
+  const log = level => (message, data) => {
+    entries.push(data === undefined ? { level, message } : { level, message, data });
+  };
+
+  return {
+    entries,
+    error: log('error'),
+    warn: log('warn'),
+    info: log('info'),
+    debug: log('debug'),
+    api: log('api')
+  };
+}
+
+/**
+ * Run the recorded processor for a queue item
+ * @param {Object} inputs - queue_item archive entry
+ * @param {ReplayClient} client - Replay client
+ * @param {Object} logger - Replay logger
+ */
+async function runProcessor(inputs, client, logger) {
+  if (inputs.operationType === 'disassemble') {
+    await processDisassemblyWorkOrder(client.serverUrl, client.token, inputs.woNum, inputs.barcode, inputs.originalWoStructure, inputs.returnLocation, null, logger);
+    return;
+  }
+
+  await processWorkOrder(client.serverUrl, client.token, null, null, inputs.woNum, inputs.barcode, inputs.components, inputs.trackingValues || {}, inputs.fgLocation, inputs.bom, logger, undefined, inputs.buildQuantity || null);
+}
+
+/**
+ * Replay one queue item of a captured job
+ * @param {string} captureId - Capture ID
+ * @param {number} queueItemId - mo_queue ID
+ * @returns {Promise<Object|null>} Replay report, or null if the capture does not exist
+ * @throws {CaptureReplayError} If the queue item was not processed in the capture
+ */
+async function replayQueueItem(captureId, queueItemId) {
+  const entries = await readCapture(captureId);
+  if (!entries) {
+    return null;
+  }
+
+  const inputs = entries.find(entry => entry.type === 'queue_item' && entry.queueItemId === queueItemId);
+  if (!inputs) {
+    throw new CaptureReplayError(`Queue item ${queueItemId} was not processed in capture ${captureId}`);
+  }
+
+  const calls = entries.filter(entry => entry.type === 'call' && entry.queueItemId === queueItemId);
+  const logger = createReplayLogger();
+  const client = new ReplayClient({ serverUrl: `replay://${captureId}/${queueItemId}`, calls, logger });
+  const unregister = registerFishbowlClient(client);
+
+  let attempts = 0;
+  let failure = null;
+
+  try {
+    await runAsReplay(async () => {
+      for (;;) {
+        attempts++;
+        const startPosition = client.position;
+
+        try {
+          await runProcessor(inputs, client, logger);
+          failure = null;
+          return;
+        } catch (error) {
+          failure = error;
+        }
+
+        const retried = client.position > startPosition && client.position < calls.length;
+        if (failure instanceof CaptureReplayError || !retried) {
+          return;
+        }
+        logger.warn(`REPLAY - Attempt ${attempts} failed (${failure.message}), replaying the next recorded attempt`);
+      }
+    });
+  } finally {
+    unregister();
+  }
+
+  return {
+    captureId,
+    queueItemId,
+    operationType: inputs.operationType,
+    woNum: inputs.woNum,
+    barcode: inputs.barcode,
+    status: failure ? 'failed' : 'success',
+    error: failure ? failure.message : null,
+    diverged: failure instanceof CaptureReplayError,
+    attempts,
+    callsRecorded: calls.length,
+    callsReplayed: client.position,
+    transcript: client.transcript,
+    log: logger.entries
+  };
+}
+
+module.exports = {
+  CaptureReplayError,
+  ReplayClient,
+  replayQueueItem
+};
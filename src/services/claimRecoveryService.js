@@ -0,0 +1,248 @@
+/**
+ * Claim Recovery Service
+ * Finds queue items left in 'Processing' by a processor that died mid-WO and
+ * settles them using the WO/MO state in Fishbowl:
+ * - WO already completed            -> Success
+ * - WO exists but not completed     -> resumed (back to Pending, WO kept)
+ * - MO number only, MO exists       -> resumed (partial MO path assigns the WO)
+ * - MO number only, MO not created  -> resumed with the MO number cleared
+ * - WO recorded but missing from Fishbowl -> Review
+ * If Fishbowl cannot be reached the claims are left alone for the next pass.
+ * At startup, job runs the previous processor left running are marked interrupted.
+ */
+
+const { login, logoutSession } = require('./authService');
+const { createConnection } = require('../db/connection');
+const { getForeignClaims, settleClaim } = require('../db/queueClaims');
+const { recordQueueEvents } = require('../db/queueEvents');
+const { getRunningJobRuns, markJobRunsInterrupted } = require('../db/jobRuns');
+const { runFishbowlQuery } = require('../db/fishbowlQueries');
+const { loadConfig } = require('../utils/secureConfig');
+const { normalizeUrl } = require('../utils/urlHelpers');
+const { INSTANCE_ID } = require('../config');
+const { CLAIM_STALE_AFTER_MS, QUEUE_STATUS, QUEUE_EVENTS } = require('../config/constants');
+
+// Same threshold processWorkOrder uses to treat a WO as already completed
+const WO_COMPLETED_STATUS = 50;
+
+/**
+ * Check whether a process on this host is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isLocalProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Check whether an instance ID belongs to a process on this host that is no longer running
+ * @param {string} instanceId - Instance ID (hostname:pid unless overridden)
+ * @returns {boolean}
+ */
+function isDeadLocalInstance(instanceId) {
+  const [host, pid] = instanceId.split(':');
+  const [ownHost] = INSTANCE_ID.split(':');
+  return host === ownHost && !isNaN(parseInt(pid, 10)) && !isLocalProcessAlive(parseInt(pid, 10));
+}
+
+/**
+ * Decide whether a claim has been abandoned
+ * A claim is stale when its heartbeat is older than CLAIM_STALE_AFTER_MS, or
+ * when it belongs to a process on this host that is no longer running
+ * (the usual case after a service restart)
+ * @param {Object} claim - Row from getForeignClaims
+ * @returns {boolean}
+ */
+function isStaleClaim(claim) {
+  if (!claim.claimed_by || claim.heartbeat_age_seconds === null) {
+    return true;
+  }
+
+  if (claim.heartbeat_age_seconds * 1000 >= CLAIM_STALE_AFTER_MS) {
+    return true;
+  }
+
+  return isDeadLocalInstance(claim.claimed_by);
+}
+
+/**
+ * Mark job runs left running by this instance as interrupted
+ * Only called at startup, before this process starts a job, so a run recorded
+ * under this instance ID (an INSTANCE_ID override survives restarts) or under
+ * a dead process on this host cannot still be running
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<number>} Number of runs marked interrupted
+ */
+async function interruptStaleJobRuns(connection, logger) {
+  const staleRuns = (await getRunningJobRuns(connection))
+    .filter(run => run.instance_id && (run.instance_id === INSTANCE_ID || isDeadLocalInstance(run.instance_id)));
+
+  if (staleRuns.length === 0) {
+    return 0;
+  }
+
+  const interrupted = await markJobRunsInterrupted(connection, staleRuns.map(run => run.id));
+  logger.warn(`RECOVERY - Marked ${interrupted} job run(s) of a previous processor as interrupted`, {
+    jobRunIds: staleRuns.map(run => run.id)
+  });
+  return interrupted;
+}
+
+/**
+ * Recover stale claims using the current Fishbowl state
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { resumed, completed, review }
+ */
+async function recoverStaleClaims(serverUrl, token, connection, logger) {
+  const summary = { resumed: 0, completed: 0, review: 0 };
+
+  const staleClaims = (await getForeignClaims(connection, INSTANCE_ID)).filter(isStaleClaim);
+
+  if (staleClaims.length === 0) {
+    return summary;
+  }
+
+  logger.warn(`RECOVERY - Found ${staleClaims.length} stale claim(s) from a previous processor`);
+
+  // Look up WO and MO state in Fishbowl in bulk
+  const woStatus = new Map();
+  const existingMOs = new Set();
+
+  try {
+    const woNums = [...new Set(staleClaims.filter(claim => claim.wo_number).map(claim => claim.wo_number))];
+    const moNums = [...new Set(staleClaims.filter(claim => !claim.wo_number && claim.mo_number).map(claim => claim.mo_number))];
+
+    const woRows = await runFishbowlQuery(serverUrl, token, 'workOrderStatuses', { woNumbers: woNums });
+    woRows.forEach(row => woStatus.set(row.num, row.statusid));
+
+    const moRows = await runFishbowlQuery(serverUrl, token, 'mosByNumber', { moNumbers: moNums });
+    moRows.forEach(row => existingMOs.add(row.num));
+  } catch (error) {
+    logger.error('RECOVERY - Could not check Fishbowl state, leaving stale claims for the next pass', { error: error.message });
+    return summary;
+  }
+
+  for (const claim of staleClaims) {
+    let status;
+    let errorMessage = null;
+    let clearMONumber = false;
+    let action;
+
+    if (claim.wo_number) {
+      const statusId = woStatus.get(claim.wo_number);
+
+      if (statusId === undefined) {
+        status = QUEUE_STATUS.REVIEW;
+        errorMessage = `Interrupted while processing; WO ${claim.wo_number} not found in Fishbowl`;
+        action = 'review';
+      } else if (statusId >= WO_COMPLETED_STATUS) {
+        status = QUEUE_STATUS.COMPLETED;
+        action = 'completed';
+      } else {
+        status = QUEUE_STATUS.PENDING;
+        action = 'resumed';
+      }
+    } else {
+      // No WO assigned yet: resume, dropping the MO number if the MO was never created
+      status = QUEUE_STATUS.PENDING;
+      clearMONumber = !!claim.mo_number && !existingMOs.has(claim.mo_number);
+      action = 'resumed';
+    }
+
+    await settleClaim(connection, claim.id, status, { errorMessage, clearMONumber });
+
+    summary[action]++;
+    logger.info(`RECOVERY - Queue item ${claim.id} (${claim.barcode}) ${action}`, {
+      previousOwner: claim.claimed_by,
+      woNumber: claim.wo_number,
+      moNumber: claim.mo_number
+    });
+
+    try {
+      await recordQueueEvents(connection, [claim], QUEUE_EVENTS.CLAIM_RECOVERED, {
+        message: errorMessage || `Stale claim ${action}`,
+        details: { action, previousOwner: claim.claimed_by, heartbeatAgeSeconds: claim.heartbeat_age_seconds, clearedMONumber: clearMONumber }
+      });
+    } catch (error) {
+      logger.warn(`EVENTS - Could not record ${QUEUE_EVENTS.CLAIM_RECOVERED} for queue item ${claim.id}`, { error: error.message });
+    }
+  }
+
+  logger.info('RECOVERY - Stale claims settled', summary);
+  return summary;
+}
+
+/**
+ * Recovery pass run once at startup
+ * Closes interrupted job runs, then settles stale claims. Logs in with the
+ * secure-config credentials only when stale claims exist
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object|null>} Summary, or null if recovery could not run
+ */
+async function runStartupRecovery(logger) {
+  const config = await loadConfig();
+  const database = config?.fishbowl?.database;
+  const serverUrl = config?.fishbowl?.serverUrl ? normalizeUrl(config.fishbowl.serverUrl) : null;
+
+  if (!database || !serverUrl) {
+    logger.info('RECOVERY - Configuration incomplete, skipping stale claim recovery');
+    return null;
+  }
+
+  let connection;
+  let token = null;
+
+  try {
+    connection = await createConnection(database);
+
+    try {
+      await interruptStaleJobRuns(connection, logger);
+    } catch (error) {
+      logger.warn('RECOVERY - Could not close interrupted job runs', { error: error.message });
+    }
+
+    const staleClaims = (await getForeignClaims(connection, INSTANCE_ID)).filter(isStaleClaim);
+    if (staleClaims.length === 0) {
+      logger.info('RECOVERY - No stale claims found');
+      return { resumed: 0, completed: 0, review: 0 };
+    }
+
+    try {
+      const loginResult = await login(serverUrl, {
+        username: config.fishbowl.username,
+        password: config.fishbowl.password,
+        appDescription: 'Startup claim recovery'
+      }, logger);
+      token = loginResult.token;
+    } catch (error) {
+      logger.error('RECOVERY - Could not log in to Fishbowl, stale claims left for the next job', { error: error.message });
+      return null;
+    }
+
+    return await recoverStaleClaims(serverUrl, token, connection, logger);
+
+  } finally {
+    if (token) {
+      await logoutSession(serverUrl, token, logger);
+    }
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+module.exports = {
+  isStaleClaim,
+  interruptStaleJobRuns,
+  recoverStaleClaims,
+  runStartupRecovery
+};
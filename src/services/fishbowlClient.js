@@ -0,0 +1,588 @@
+const http = require('http');
+const https = require('https');
+const constants = require('../config/constants');
+const { FISHBOWL_SIMULATOR, FISHBOWL_SIMULATOR_PORT } = require('../config');
+const { normalizeUrl } = require('../utils/urlHelpers');
+const { ERROR_CATEGORIES, classifyError } = require('../utils/retryPolicy');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { AdaptiveConcurrencyLimiter } = require('../utils/adaptiveConcurrency');
+const { captureCallRecorder } = require('../utils/trafficCapture');
+const Logger = require('../utils/logger');
+
+/**
+ * Fishbowl Client
+ * Single transport for every call to Fishbowl (data queries, REST API and
+ * legacy API). Holds the server URL and token, reuses connections through
+ * keep-alive agents, enforces a per-call timeout (API_REQUEST_TIMEOUT_MS),
+ * supports cancellation through an AbortSignal, logs through the app logger
+ * and turns failures into typed errors.
+ *
+ * A client can be given a reauthenticator (see setReauthenticator). When
+ * Fishbowl then rejects the session (HTTP 401/403 or a legacy session status
+ * code) the client logs in again, switches to the new token and sends the
+ * rejected call once more, so a long job survives an expired or kicked session.
+ *
+ * Every call also feeds a shared circuit breaker and concurrency limiter.
+ * Repeated 5xx errors, timeouts or connection failures open the circuit and
+ * further calls are refused with a FishbowlCircuitOpenError until a probe
+ * succeeds; call latency drives the work order concurrency limit.
+ *
+ * Calls sent during a job with capture on are also written to the job's
+ * traffic archive (see utils/trafficCapture).
+ */
+
+// Shared keep-alive agents so consecutive calls reuse the same sockets
+const httpAgent = new http.Agent({ keepAlive: true });
+const httpsAgent = new https.Agent({ keepAlive: true, rejectUnauthorized: constants.SSL_VERIFY });
+
+// Legacy API status code meaning success
+const LEGACY_SUCCESS = 1000;
+
+// Shared by every client: outages and slowdowns belong to the server, not the session
+const circuitBreaker = new CircuitBreaker({
+  failureThreshold: constants.CIRCUIT_FAILURE_THRESHOLD,
+  resetTimeoutMs: constants.CIRCUIT_RESET_TIMEOUT_MS
+});
+const concurrencyLimiter = new AdaptiveConcurrencyLimiter({
+  maxLimit: constants.CONCURRENT_WO_LIMIT,
+  targetLatencyMs: constants.ADAPTIVE_LATENCY_TARGET_MS
+});
+
+// Clients are cached per server URL and token, least recently used first (see getFishbowlClient)
+const MAX_CACHED_CLIENTS = 20;
+const clientCache = new Map();
+
+/**
+ * Base error for Fishbowl calls
+ */
+class FishbowlError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FishbowlError';
+    this.endpoint = details.endpoint || null;
+    if (details.httpStatus) this.httpStatus = details.httpStatus;
+  }
+}
+
+/**
+ * Fishbowl answered with a non-2xx HTTP status
+ */
+class FishbowlHttpError extends FishbowlError {
+  constructor(httpStatus, responseText, details = {}) {
+    super(`HTTP ${httpStatus}: ${responseText}`, { ...details, httpStatus });
+    this.name = 'FishbowlHttpError';
+    this.responseText = responseText;
+  }
+}
+
+/**
+ * Fishbowl did not answer within the timeout
+ * Uses the ETIMEDOUT code so the retry policy treats it as transient
+ */
+class FishbowlTimeoutError extends FishbowlError {
+  constructor(timeoutMs, details = {}) {
+    super(`Fishbowl request timed out after ${timeoutMs}ms`, details);
+    this.name = 'FishbowlTimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The call was cancelled through its AbortSignal
+ */
+class FishbowlAbortError extends FishbowlError {
+  constructor(details = {}) {
+    super('Fishbowl request cancelled', details);
+    this.name = 'FishbowlAbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * The call was refused because the circuit breaker is open
+ */
+class FishbowlCircuitOpenError extends FishbowlError {
+  constructor(retryAfterMs, details = {}) {
+    super(`Fishbowl unavailable (circuit open, next attempt in ${Math.ceil(retryAfterMs / 1000)}s)`, details);
+    this.name = 'FishbowlCircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The legacy API answered with a statusCode other than 1000
+ * step is the legacy request type (e.g. 'SavePickRq'); category, when given,
+ * is the retry category (see utils/retryPolicy)
+ */
+class FishbowlLegacyError extends FishbowlError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'FishbowlLegacyError';
+    this.step = details.step || null;
+    this.statusCode = details.statusCode;
+    this.statusMessage = details.statusMessage;
+    if (details.category) this.category = details.category;
+  }
+}
+
+class FishbowlClient {
+  /**
+   * @param {Object} options - { serverUrl, token, logger, timeoutMs }
+   */
+  constructor({ serverUrl, token, logger = null, timeoutMs = constants.API_REQUEST_TIMEOUT_MS }) {
+    if (!serverUrl) {
+      throw new Error('FishbowlClient requires a server URL');
+    }
+
+    this.serverUrl = normalizeUrl(serverUrl);
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+    this._logger = logger;
+    this.reauthenticator = null;
+    this.reauthInFlight = null;
+    this.reauthentications = 0;
+  }
+
+  get logger() {
+    return this._logger || Logger.getAppLogger();
+  }
+
+  /**
+   * Allow the client to log in again when Fishbowl rejects the session
+   * @param {Function|null} reauthenticator - async (expiredToken) => newToken, or null to turn off
+   */
+  setReauthenticator(reauthenticator) {
+    this.reauthenticator = reauthenticator;
+  }
+
+  /**
+   * Replace an expired token, sharing a login already in progress so
+   * concurrent calls rejected together only log in once
+   * @param {string} expiredToken - Token the rejected call was sent with
+   * @param {string} reason - Why the session was rejected
+   * @returns {Promise<void>}
+   */
+  async renewSession(expiredToken, reason) {
+    if (this.token !== expiredToken) {
+      // Another call already logged in again
+      return;
+    }
+
+    if (!this.reauthInFlight) {
+      this.reauthInFlight = (async () => {
+        this.logger.warn(`FISHBOWL - Session rejected (${reason}), logging in again`);
+        const newToken = await this.reauthenticator(expiredToken);
+        this.token = newToken;
+        this.reauthentications++;
+        this.logger.info(`FISHBOWL - Logged in again (re-authentication ${this.reauthentications}), resuming with the new session`);
+      })().finally(() => {
+        this.reauthInFlight = null;
+      });
+    }
+
+    await this.reauthInFlight;
+  }
+
+  /**
+   * Run a call, logging in again and repeating it once if the session was rejected
+   * A rejected call never reached Fishbowl's business logic, so repeating it is safe
+   * @param {Function} call - async () => result, reads this.token when sending
+   * @returns {Promise<*>} Result of the call
+   */
+  async withSession(call) {
+    const tokenUsed = this.token;
+
+    try {
+      return await call();
+    } catch (error) {
+      if (!this.reauthenticator) {
+        throw error;
+      }
+
+      const { category, reason } = classifyError(error);
+      if (category !== ERROR_CATEGORIES.AUTH) {
+        throw error;
+      }
+
+      try {
+        await this.renewSession(tokenUsed, reason);
+      } catch (loginError) {
+        this.logger.error('FISHBOWL - Re-authentication failed', { error: loginError.message });
+        throw error;
+      }
+
+      return await call();
+    }
+  }
+
+  /**
+   * Send a request and return the raw response
+   * Non-2xx responses are returned, not thrown (used by the API proxy routes)
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the server URL (e.g. '/api/data-query')
+   * @param {string|null} body - Request body
+   * @param {Object} options - { contentType, timeoutMs, signal }
+   * @returns {Promise<Object>} { status, headers, text, durationMs }
+   */
+  send(method, path, body = null, options = {}) {
+    const { contentType = 'application/json', timeoutMs = this.timeoutMs, signal = null } = options;
+    const url = new URL(`${this.serverUrl}${path}`);
+    const isHttps = url.protocol === 'https:';
+    const startedAt = Date.now();
+    const recordCall = captureCallRecorder();
+
+    const headers = {
+      'Content-Type': contentType
+    };
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+    if (body !== null) {
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new FishbowlAbortError({ endpoint: path }));
+        return;
+      }
+
+      if (!circuitBreaker.tryAcquire()) {
+        reject(new FishbowlCircuitOpenError(circuitBreaker.getRetryAfterMs(), { endpoint: path }));
+        return;
+      }
+
+      let settled = false;
+      let timer = null;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.recordOutcome(error, result);
+        if (recordCall) {
+          recordCall({
+            method,
+            path,
+            requestBody: body,
+            status: result ? result.status : null,
+            responseText: result ? result.text : null,
+            error,
+            durationMs: Date.now() - startedAt,
+            token: this.token
+          });
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const request = (isHttps ? https : http).request({
+        hostname: url.hostname,
+        port: url.port,
+        path: `${url.pathname}${url.search}`,
+        method,
+        headers,
+        agent: isHttps ? httpsAgent : httpAgent
+      }, (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          text += chunk;
+        });
+        response.on('end', () => {
+          finish(null, {
+            status: response.statusCode,
+            headers: response.headers,
+            text,
+            durationMs: Date.now() - startedAt
+          });
+        });
+        response.on('error', (error) => finish(error));
+      });
+
+      const onAbort = () => {
+        const error = new FishbowlAbortError({ endpoint: path });
+        request.destroy(error);
+        finish(error);
+      };
+
+      timer = setTimeout(() => {
+        const error = new FishbowlTimeoutError(timeoutMs, { endpoint: path });
+        request.destroy(error);
+        finish(error);
+      }, timeoutMs);
+
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      request.on('error', (error) => finish(error));
+
+      if (body !== null) {
+        request.write(body);
+      }
+      request.end();
+    });
+  }
+
+  /**
+   * Feed the result of a call to the circuit breaker and concurrency limiter
+   * @param {Error|null} error - Transport error, if the call failed
+   * @param {Object} result - Response from send, if it completed
+   */
+  recordOutcome(error, result) {
+    let failure = null;
+
+    if (error instanceof FishbowlAbortError) {
+      circuitBreaker.recordIgnored();
+      return;
+    } else if (error) {
+      failure = error instanceof FishbowlTimeoutError ? 'Timeout' : `Network error (${error.code || error.message})`;
+    } else if (result.status >= 500) {
+      failure = `HTTP ${result.status}`;
+    }
+
+    if (!failure) {
+      if (circuitBreaker.consecutiveFailures > 0) {
+        this.logger.info('FISHBOWL - Call succeeded, circuit closed');
+      }
+      circuitBreaker.recordSuccess();
+      concurrencyLimiter.recordLatency(result.durationMs);
+      return;
+    }
+
+    if (circuitBreaker.recordFailure(failure)) {
+      concurrencyLimiter.recordOutage();
+      this.logger.error(`FISHBOWL - Circuit opened after ${circuitBreaker.consecutiveFailures} consecutive failures (${failure}), pausing calls for ${circuitBreaker.resetTimeoutMs}ms`);
+    }
+  }
+
+  /**
+   * Send a request and parse the JSON response, throwing typed errors
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the server URL
+   * @param {string|null} body - Request body
+   * @param {Object} options - { contentType, timeoutMs, signal }
+   * @returns {Promise<*>} Parsed response (null for an empty body)
+   */
+  async sendJSON(method, path, body, options = {}) {
+    let response;
+
+    try {
+      response = await this.send(method, path, body, options);
+    } catch (error) {
+      this.logger.error(`FISHBOWL - ${method} ${path} failed`, { error: error.message, code: error.code });
+      throw error;
+    }
+
+    this.logger.api(`FISHBOWL - ${method} ${path} - Status: ${response.status} (${response.durationMs}ms)`);
+
+    if (response.status < 200 || response.status >= 300) {
+      this.logger.error(`FISHBOWL - ${method} ${path} returned HTTP ${response.status}`, {
+        response: response.text.substring(0, 500)
+      });
+      throw new FishbowlHttpError(response.status, response.text, { endpoint: path });
+    }
+
+    if (response.text.trim() === '') {
+      return null;
+    }
+
+    try {
+      return JSON.parse(response.text);
+    } catch (e) {
+      this.logger.error(`FISHBOWL - ${method} ${path} returned invalid JSON`, {
+        status: response.status,
+        contentType: response.headers['content-type'],
+        response: response.text.substring(0, 500)
+      });
+      throw new FishbowlError(
+        `Invalid JSON response from Fishbowl API (Status: ${response.status}, Length: ${response.text.length})`,
+        { endpoint: path, httpStatus: response.status }
+      );
+    }
+  }
+
+  /**
+   * Execute a SELECT query through /api/data-query
+   * @param {string} sql - SQL query
+   * @param {Object} options - { timeoutMs, signal }
+   * @returns {Promise<Array>} Query results
+   */
+  async query(sql, options = {}) {
+    return await this.withSession(() => this.sendJSON('GET', '/api/data-query', sql, { ...options, contentType: 'text/plain' }));
+  }
+
+  /**
+   * Call the Fishbowl REST API
+   * @param {string} endpoint - Endpoint below /api/ (e.g. 'manufacture-orders')
+   * @param {string} method - HTTP method
+   * @param {Object|null} payload - Request payload
+   * @param {Object} options - { timeoutMs, signal }
+   * @returns {Promise<Object|null>} API response
+   */
+  async rest(endpoint, method = 'POST', payload = null, options = {}) {
+    const body = payload && method !== 'GET' ? JSON.stringify(payload) : null;
+    return await this.withSession(() => this.sendJSON(method, `/api/${endpoint}`, body, options));
+  }
+
+  /**
+   * Call the Fishbowl legacy API
+   * Request-level failures (expired session, bad ticket) throw a FishbowlLegacyError;
+   * the response is otherwise returned as-is so callers can inspect ErrorRs and
+   * the statusCode of each Rs
+   * @param {string} requestType - Legacy request type (e.g. 'GetPickRq')
+   * @param {Object} payload - Request payload
+   * @param {Object} options - { timeoutMs, signal }
+   * @returns {Promise<Object>} Legacy response
+   */
+  async legacy(requestType, payload, options = {}) {
+    return await this.withSession(() => this.sendLegacy(requestType, payload, options));
+  }
+
+  /**
+   * Send a single legacy API request (see legacy)
+   * @param {string} requestType - Legacy request type
+   * @param {Object} payload - Request payload
+   * @param {Object} options - { timeoutMs, signal }
+   * @returns {Promise<Object>} Legacy response
+   */
+  async sendLegacy(requestType, payload, options) {
+    const response = await this.sendJSON('POST', `/api/legacy/external/${requestType}`, JSON.stringify(payload), options);
+
+    const envelope = response?.FbiJson?.FbiMsgsRs;
+    if (envelope && envelope.statusCode !== undefined && envelope.statusCode !== LEGACY_SUCCESS) {
+      this.logger.error(`FISHBOWL - ${requestType} rejected`, {
+        statusCode: envelope.statusCode,
+        statusMessage: envelope.statusMessage
+      });
+      throw new FishbowlLegacyError(`${requestType} failed: ${envelope.statusMessage || `status ${envelope.statusCode}`}`, {
+        endpoint: requestType,
+        step: requestType,
+        statusCode: envelope.statusCode,
+        statusMessage: envelope.statusMessage
+      });
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Refuse any Fishbowl server but the local simulator while simulator mode is on
+ * @param {string} serverUrl - Fishbowl server URL
+ * @throws {FishbowlError} When simulator mode is on and the URL is not the simulator
+ */
+function assertSimulatorServer(serverUrl) {
+  if (!FISHBOWL_SIMULATOR) {
+    return;
+  }
+
+  let url = null;
+  try {
+    url = new URL(normalizeUrl(serverUrl));
+  } catch (error) {
+    // Reported as not the simulator below
+  }
+
+  const isSimulator = url !== null &&
+    url.protocol === 'http:' &&
+    ['localhost', '127.0.0.1'].includes(url.hostname) &&
+    Number(url.port) === FISHBOWL_SIMULATOR_PORT;
+
+  if (!isSimulator) {
+    throw new FishbowlError(`Fishbowl simulator mode is on: set the Fishbowl server URL to http://localhost:${FISHBOWL_SIMULATOR_PORT} (got ${serverUrl})`);
+  }
+}
+
+/**
+ * Get the shared client for a server URL and token
+ * Call sites that pass serverUrl/token around share one client (and its
+ * connections) per session. The client stays registered under the token it
+ * was created with, so after a re-authentication those call sites keep
+ * getting the client that holds the new token.
+ *
+ * When the cache is full the least recently used client is dropped, except
+ * clients with a reauthenticator: a running job holds those, and dropping one
+ * would lose its renewed token. Logged out sessions are dropped through
+ * dropFishbowlClient.
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @returns {FishbowlClient}
+ * @throws {FishbowlError} For a server other than the simulator in simulator mode
+ */
+function getFishbowlClient(serverUrl, token) {
+  const key = `${normalizeUrl(serverUrl)}|${token}`;
+  let client = clientCache.get(key);
+
+  if (client) {
+    // Move to the most recently used end
+    clientCache.delete(key);
+  } else {
+    if (clientCache.size >= MAX_CACHED_CLIENTS) {
+      for (const [cachedKey, cachedClient] of clientCache) {
+        if (!cachedClient.reauthenticator) {
+          clientCache.delete(cachedKey);
+          break;
+        }
+      }
+    }
+    assertSimulatorServer(serverUrl);
+    client = new FishbowlClient({ serverUrl, token });
+  }
+
+  clientCache.set(key, client);
+  return client;
+}
+
+/**
+ * Drop the cached client of a logged out session
+ * Matches the token the client was created with or the one it holds after a re-authentication
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Logged out token
+ */
+function dropFishbowlClient(serverUrl, token) {
+  const prefix = `${normalizeUrl(serverUrl)}|`;
+
+  for (const [key, client] of clientCache) {
+    if (key.startsWith(prefix) && (key === `${prefix}${token}` || client.token === token)) {
+      clientCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Register a client so getFishbowlClient returns it for its server URL and token
+ * Used by capture replay to stand in for Fishbowl
+ * @param {FishbowlClient} client - Client to register
+ * @returns {Function} Removes the registration
+ */
+function registerFishbowlClient(client) {
+  const key = `${client.serverUrl}|${client.token}`;
+  clientCache.set(key, client);
+  return () => {
+    if (clientCache.get(key) === client) {
+      clientCache.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  FishbowlClient,
+  FishbowlError,
+  FishbowlHttpError,
+  FishbowlTimeoutError,
+  FishbowlAbortError,
+  FishbowlCircuitOpenError,
+  FishbowlLegacyError,
+  getFishbowlClient,
+  dropFishbowlClient,
+  assertSimulatorServer,
+  registerFishbowlClient,
+  circuitBreaker,
+  concurrencyLimiter
+};
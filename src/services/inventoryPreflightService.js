@@ -0,0 +1,60 @@
+const { runFishbowlQuery } = require('../db/fishbowlQueries');
+const { getQueueItemComponents, getQueueItemBuildQuantity } = require('../utils/queueComponents');
+const { findSerialShortfalls, findQuantityShortfalls } = require('../utils/inventoryPreflight');
+
+/**
+ * Inventory Pre-flight Service
+ * Reads what a build batch needs from Fishbowl before its MO is created, so a
+ * shortfall is found up front instead of part way through the MO's work
+ * orders (see utils/inventoryPreflight for the rules and modes). Reads only.
+ */
+
+/**
+ * Check a build batch against Fishbowl inventory
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {Array} batch - Queue items of the batch
+ * @param {string} bom - BOM number
+ * @param {string|number} locationGroup - Location group ID of the MO
+ * @returns {Promise<Object>} { bomNum, locationGroupId, builds, serialsChecked, serialShortfalls, quantityShortfalls, passed, checkedAt }
+ */
+async function checkBatchInventory(serverUrl, token, batch, bom, locationGroup) {
+  const items = batch.map(item => ({ queueItemId: item.id, barcode: item.barcode, components: getQueueItemComponents(item) }));
+
+  const serialsByPart = new Map();
+  items.forEach(item => item.components.forEach(component => {
+    if (!serialsByPart.has(component.partId)) {
+      serialsByPart.set(component.partId, new Set());
+    }
+    component.serials.forEach(serial => serialsByPart.get(component.partId).add(serial));
+  }));
+
+  const rowsByPart = new Map();
+  for (const [partId, serials] of serialsByPart) {
+    rowsByPart.set(partId, await runFishbowlQuery(serverUrl, token, 'serialLocations', { bomNum: bom, partId, serials: [...serials] }));
+  }
+
+  const locationGroupId = Number(locationGroup);
+  const quantityRows = await runFishbowlQuery(serverUrl, token, 'bomComponentAvailability', { bomNum: bom, locationGroupId });
+
+  // Quantity builds make build_quantity finished goods each
+  const builds = batch.reduce((total, item) => total + getQueueItemBuildQuantity(item), 0);
+
+  const serialShortfalls = findSerialShortfalls(items, rowsByPart);
+  const quantityShortfalls = findQuantityShortfalls(quantityRows, builds);
+
+  return {
+    bomNum: bom,
+    locationGroupId,
+    builds,
+    serialsChecked: [...serialsByPart.values()].reduce((total, serials) => total + serials.size, 0),
+    serialShortfalls,
+    quantityShortfalls,
+    passed: serialShortfalls.length === 0 && quantityShortfalls.length === 0,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  checkBatchInventory
+};
@@ -0,0 +1,82 @@
+const { getLocationByName } = require('../db/sharedQueries');
+const { runFishbowlQuery } = require('../db/fishbowlQueries');
+
+/**
+ * Item Location Service
+ * Checks the FG location and location group given per row of a build CSV
+ * against Fishbowl before the rows are queued. Each row's location group
+ * decides which MO it is batched into, and its FG location is where its
+ * work order puts the finished good, so both must exist and fit together.
+ */
+
+const isOff = value => value === false || value === 0 || value === '0' || value === 'false';
+
+// FG locations are given as "LocationGroup-Location" or a location ID
+const isLocationReference = value => value.includes('-') || /^\d+$/.test(value);
+
+/**
+ * Find an active location group by name or ID
+ * @param {Array<Object>} groups - activeLocationGroups rows
+ * @param {string|number} value - Location group name or ID
+ * @returns {Object|null} { id, name }
+ */
+function findLocationGroup(groups, value) {
+  const text = String(value).trim();
+  const group = groups.find(row => String(row.locgid) === text) ||
+    groups.find(row => String(row.locationgroupnamelistvalue).toLowerCase() === text.toLowerCase());
+
+  return group ? { id: Number(group.locgid), name: group.locationgroupnamelistvalue } : null;
+}
+
+/**
+ * Resolve and check the FG location / location group pairs of an upload
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {Array<Object>} entries - [{ fgLocation, locationGroup }]; either may be empty
+ * @param {number} defaultLocationGroupId - Location group of the upload, used when an entry has none
+ * @returns {Promise<Array<Object>>} One result per entry: { fgLocation, locationGroup, locationGroupId, locationGroupName, error }
+ */
+async function validateItemLocations(serverUrl, token, entries, defaultLocationGroupId) {
+  const groups = await runFishbowlQuery(serverUrl, token, 'activeLocationGroups');
+  const locations = new Map();
+  const results = [];
+
+  for (const entry of entries) {
+    const fgLocation = entry.fgLocation ? String(entry.fgLocation).trim() : '';
+    const locationGroup = entry.locationGroup ? String(entry.locationGroup).trim() : '';
+    const result = { fgLocation, locationGroup, locationGroupId: null, locationGroupName: null, error: null };
+    results.push(result);
+
+    const group = findLocationGroup(groups, locationGroup || defaultLocationGroupId);
+    if (!group) {
+      result.error = locationGroup ? `Location group ${locationGroup} not found` : 'No location group';
+      continue;
+    }
+    result.locationGroupId = group.id;
+    result.locationGroupName = group.name;
+
+    if (!fgLocation) {
+      result.error = 'No FG location';
+      continue;
+    }
+
+    if (!locations.has(fgLocation)) {
+      locations.set(fgLocation, isLocationReference(fgLocation) ? await getLocationByName(fgLocation, serverUrl, token) : null);
+    }
+    const location = locations.get(fgLocation);
+
+    if (!location) {
+      result.error = `FG location ${fgLocation} not found`;
+    } else if (isOff(location.activeflag) || isOff(location.receivable)) {
+      result.error = `FG location ${fgLocation} is not an active receivable location`;
+    } else if (Number(location.locationgroup_id) !== group.id) {
+      result.error = `FG location ${fgLocation} is not in location group ${group.name}`;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  validateItemLocations
+};
@@ -1,4 +1,6 @@
 const JobStatus = require('../models/jobStatus');
+const DryRunReport = require('../models/dryRunReport');
+const { TrafficCapture } = require('../utils/trafficCapture');
 
 /**
  * Job Service
@@ -41,14 +43,51 @@ function requestStop() {
 
 /**
  * Start a new job
- * @param {Object} params - Job parameters
+ * @param {Object} params - Job parameters ({ dryRun } to plan without writing,
+ *                          { capture } to record Fishbowl traffic for replay)
  * @param {string} triggeredBy - Who triggered the job: 'ui' or 'scheduler'
+ * @param {Object} logger - Logger instance
  */
-function startJob(params, triggeredBy = 'ui') {
+function startJob(params, triggeredBy, logger) {
   currentJob.reset();
   currentJob.status = 'running';
   currentJob.startTime = new Date().toISOString();
   currentJob.triggeredBy = triggeredBy;
+
+  if (params?.dryRun) {
+    currentJob.dryRun = true;
+    currentJob.dryRunReport = new DryRunReport();
+  }
+
+  if (params?.capture) {
+    const id = `job-${currentJob.startTime.replace(/[:.]/g, '-')}`;
+    currentJob.capture = new TrafficCapture({ id, logger });
+    currentJob.capture.write({
+      type: 'capture',
+      captureId: id,
+      startTime: currentJob.startTime,
+      triggeredBy,
+      dryRun: currentJob.dryRun
+    });
+  }
+}
+
+/**
+ * Get the report from the current (or last) dry-run job
+ * @returns {Object|null} Full dry-run report, or null if the job was not a dry run
+ */
+function getDryRunReport() {
+  if (!currentJob.dryRunReport) {
+    return null;
+  }
+
+  return {
+    status: currentJob.status,
+    startTime: currentJob.startTime,
+    endTime: currentJob.endTime,
+    triggeredBy: currentJob.triggeredBy,
+    ...currentJob.dryRunReport.toJSON()
+  };
 }
 
 /**
@@ -64,5 +103,6 @@ module.exports = {
   resetJob,
   requestStop,
   startJob,
+  getDryRunReport,
   getCurrentJob
 };
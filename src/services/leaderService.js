@@ -0,0 +1,185 @@
+/**
+ * Leader Service
+ * Elects a single processing instance among orchestrators sharing one MySQL database.
+ * The leader holds the 'queue_processor' lease and renews it on an interval; a standby
+ * keeps trying and takes over once the leader stops renewing and the lease expires.
+ * The scheduler and /api/start-queue-processing only run on the leader.
+ */
+
+const { createConnection } = require('../db/connection');
+const { createLeasesTable, acquireLease, releaseLease, getLease } = require('../db/leases');
+const { loadConfig } = require('../utils/secureConfig');
+const { getCurrentJob } = require('./jobService');
+const { INSTANCE_ID } = require('../config');
+const { LEADER_LEASE_TTL_MS, LEADER_LEASE_RENEW_INTERVAL_MS } = require('../config/constants');
+
+const LEASE_NAME = 'queue_processor';
+
+let electionInterval = null;
+let renewInFlight = null;
+let tableReady = false;
+
+const leaderState = {
+  isLeader: false,
+  holder: null,
+  acquiredAt: null,
+  expiresAt: null,
+  lastCheckedAt: null,
+  lastError: null
+};
+
+/**
+ * Try to acquire or renew the lease and refresh the cached state
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<boolean>} True if this instance is the leader
+ */
+async function renewLeadership(logger) {
+  const config = await loadConfig();
+  const database = config?.fishbowl?.database;
+
+  if (!database) {
+    leaderState.isLeader = false;
+    leaderState.lastError = 'Database not configured';
+    return false;
+  }
+
+  let connection;
+  const wasLeader = leaderState.isLeader;
+
+  try {
+    connection = await createConnection(database);
+
+    if (!tableReady) {
+      await createLeasesTable(connection);
+      tableReady = true;
+    }
+
+    const acquired = await acquireLease(connection, LEASE_NAME, INSTANCE_ID, Math.ceil(LEADER_LEASE_TTL_MS / 1000));
+    const lease = await getLease(connection, LEASE_NAME);
+
+    leaderState.isLeader = acquired;
+    leaderState.holder = lease?.holder || null;
+    leaderState.acquiredAt = lease?.acquired_at || null;
+    leaderState.expiresAt = lease?.expires_at || null;
+    leaderState.lastError = null;
+  } catch (error) {
+    // Without the database we cannot prove we still hold the lease
+    leaderState.isLeader = false;
+    leaderState.lastError = error.message;
+    logger.error('LEADER - Could not renew processing lease', { error: error.message });
+  } finally {
+    leaderState.lastCheckedAt = new Date().toISOString();
+    if (connection) {
+      await connection.end();
+    }
+  }
+
+  if (leaderState.isLeader && !wasLeader) {
+    logger.info(`LEADER - ${INSTANCE_ID} acquired the processing lease`);
+  } else if (!leaderState.isLeader && wasLeader) {
+    logger.warn(`LEADER - ${INSTANCE_ID} lost the processing lease`, { holder: leaderState.holder });
+
+    // Another instance may take over, so stop starting new work orders here
+    const currentJob = getCurrentJob();
+    if (currentJob.status === 'running' && !currentJob.stopRequested) {
+      logger.warn('LEADER - Stopping running job after the current work order');
+      currentJob.stopRequested = true;
+    }
+  }
+
+  return leaderState.isLeader;
+}
+
+/**
+ * Check leadership now, sharing any renewal already in progress
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<boolean>} True if this instance is the leader
+ */
+async function ensureLeader(logger) {
+  if (!renewInFlight) {
+    renewInFlight = renewLeadership(logger).finally(() => {
+      renewInFlight = null;
+    });
+  }
+  return renewInFlight;
+}
+
+/**
+ * Start competing for the processing lease
+ * @param {Object} logger - Logger instance
+ */
+function startLeaderElection(logger) {
+  if (electionInterval) {
+    return;
+  }
+
+  logger.info(`LEADER - Starting leader election as ${INSTANCE_ID} (lease ${LEADER_LEASE_TTL_MS / 1000}s)`);
+
+  ensureLeader(logger).catch(error => {
+    logger.error('LEADER - Initial lease check failed', { error: error.message });
+  });
+
+  electionInterval = setInterval(() => {
+    ensureLeader(logger).catch(error => {
+      logger.error('LEADER - Lease check failed', { error: error.message });
+    });
+  }, LEADER_LEASE_RENEW_INTERVAL_MS);
+  electionInterval.unref();
+}
+
+/**
+ * Stop competing and release the lease so a standby can take over immediately
+ * @param {Object} logger - Logger instance
+ */
+async function stopLeaderElection(logger) {
+  if (electionInterval) {
+    clearInterval(electionInterval);
+    electionInterval = null;
+  }
+
+  if (!leaderState.isLeader) {
+    return;
+  }
+
+  let connection;
+  try {
+    const config = await loadConfig();
+    connection = await createConnection(config.fishbowl.database);
+    await releaseLease(connection, LEASE_NAME, INSTANCE_ID);
+    logger.info('LEADER - Processing lease released');
+  } catch (error) {
+    logger.warn('LEADER - Could not release processing lease, it will expire on its own', { error: error.message });
+  } finally {
+    leaderState.isLeader = false;
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+/**
+ * Get leader election status
+ * @returns {Object} Status information
+ */
+function getLeaderStatus() {
+  return {
+    role: leaderState.isLeader ? 'leader' : 'standby',
+    instanceId: INSTANCE_ID,
+    leaseName: LEASE_NAME,
+    holder: leaderState.holder,
+    acquiredAt: leaderState.acquiredAt,
+    expiresAt: leaderState.expiresAt,
+    lastCheckedAt: leaderState.lastCheckedAt,
+    lastError: leaderState.lastError,
+    leaseTtlMs: LEADER_LEASE_TTL_MS,
+    renewIntervalMs: LEADER_LEASE_RENEW_INTERVAL_MS,
+    electionRunning: electionInterval !== null
+  };
+}
+
+module.exports = {
+  startLeaderElection,
+  stopLeaderElection,
+  ensureLeader,
+  getLeaderStatus
+};
@@ -1,17 +1,280 @@
 const { createConnection } = require('../db/connection');
 const { getPendingItems } = require('../db/queries');
+const { createJobRun, linkQueueItemsToJobRun, finishJobRun } = require('../db/jobRuns');
+const { recordQueueEvents, createEventRecorder } = require('../db/queueEvents');
 const { assignWONumbersToQueueItems, batchUpdateMONumber } = require('../db/helpers');
-const { fishbowlQuery, callFishbowlREST } = require('./fishbowlApi');
-const { processWorkOrder } = require('./workOrderService');
+const { claimQueueItems, heartbeatClaims, releaseClaims, settleClaim } = require('../db/queueClaims');
+const { getFishbowlClient, FishbowlCircuitOpenError, circuitBreaker, concurrencyLimiter } = require('./fishbowlClient');
+const { processWorkOrder, planWorkOrder, fishbowlStepError, callLegacyStep } = require('./workOrderService');
+const { checkBatchInventory } = require('./inventoryPreflightService');
+const { getLocationByName, getWorkOrdersForMO, getMOIdByNumber, getExistingMOsByPattern, getPartDetails } = require('../db/sharedQueries');
 const { getCurrentJob } = require('./jobService');
-const { escapeSqlString, buildInClause, validateSerialNumbers } = require('../utils/sqlHelpers');
+const { recoverStaleClaims } = require('./claimRecoveryService');
+const { reauthenticate } = require('./authService');
+const { ERROR_CATEGORIES, permanentError, classifyError, executeWithRetry } = require('../utils/retryPolicy');
+const { buildBatches } = require('../utils/batchStrategy');
+const { getQueueItemComponents, getQueueItemBuildQuantity } = require('../utils/queueComponents');
+const { getQueueItemTrackingValues } = require('../utils/trackingValues');
+const { getTrackingRoles, findPartTracking } = require('../utils/trackingRoles');
+const { PREFLIGHT_MODES, describeShortfall, preflightHolds } = require('../utils/inventoryPreflight');
+const { runWithCapture, runForQueueItem, isCaptureActive } = require('../utils/trafficCapture');
 const constants = require('../config/constants');
+const { INSTANCE_ID } = require('../config');
+const { QUEUE_EVENTS, QUEUE_STATUS } = constants;
 
 /**
  * Queue Service
  * Handles queue processing logic
  */
 
+/**
+ * Record the same event for every item in a batch
+ * Recording is best-effort: failures are logged and never interrupt processing
+ * @param {Connection} connection - MySQL connection
+ * @param {Array} items - Queue items
+ * @param {string} eventType - One of constants.QUEUE_EVENTS
+ * @param {Object} event - { message, statusCode, details }
+ * @param {Object} logger - Logger instance
+ */
+async function recordBatchEvents(connection, items, eventType, event, logger) {
+  try {
+    await recordQueueEvents(connection, items, eventType, event);
+  } catch (error) {
+    logger.warn(`EVENTS - Could not record ${eventType} for ${items.length} queue item(s)`, { error: error.message });
+  }
+}
+
+/**
+ * Build the failure event for a queue item error
+ * @param {Error} error - Error thrown while processing
+ * @param {number} attempt - Attempt number (1 = first try)
+ * @returns {Object} Event for recordQueueEvents
+ */
+function failureEvent(error, attempt) {
+  const { category, reason } = error.classification || classifyError(error);
+  return {
+    message: error.message,
+    statusCode: error.statusCode,
+    details: { step: error.step || null, statusMessage: error.statusMessage || null, attempt, category, reason }
+  };
+}
+
+/**
+ * Wait while the Fishbowl circuit breaker is refusing calls
+ * The job shows as paused until the circuit lets a probe through.
+ * @param {string} logPrefix - Prefix for log messages
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<boolean>} False if a stop was requested while paused
+ */
+async function waitForFishbowl(logPrefix, logger) {
+  if (!circuitBreaker.isBlocking()) {
+    return true;
+  }
+
+  const currentJob = getCurrentJob();
+  currentJob.pausedReason = `Fishbowl unavailable (${circuitBreaker.lastFailure?.reason || 'circuit open'})`;
+  logger.warn(`${logPrefix} - ${currentJob.pausedReason}, pausing job until Fishbowl recovers`);
+
+  try {
+    while (circuitBreaker.isBlocking()) {
+      if (currentJob.stopRequested || currentJob.status === 'stopped') {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(circuitBreaker.getRetryAfterMs() || constants.POLL_INTERVAL_MS, constants.POLL_INTERVAL_MS)));
+    }
+  } finally {
+    currentJob.pausedReason = null;
+  }
+
+  logger.info(`${logPrefix} - Fishbowl circuit ${circuitBreaker.state}, resuming job`);
+  return true;
+}
+
+/**
+ * Run a work order under the retry policy
+ * Transient errors are retried with exponential backoff; MAX_RETRIES is counted
+ * across runs using the row's retry_count. Permanent and auth errors fail fast.
+ * If the circuit breaker opens, the job pauses and the WO is run again once
+ * Fishbowl is back; the thrown error is only 'unavailable' when a stop was
+ * requested during the pause.
+ * @param {Object} queueItem - mo_queue row
+ * @param {Function} operation - async () => void that processes the work order
+ * @param {Function} recordEvent - Event recorder for the queue item
+ * @param {string} logPrefix - Prefix for log messages
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { result, retries }
+ */
+async function runWithRetryPolicy(queueItem, operation, recordEvent, logPrefix, logger) {
+  const previousRetries = queueItem.retry_count || 0;
+  let retriesSoFar = 0;
+
+  while (true) {
+    if (!(await waitForFishbowl(logPrefix, logger))) {
+      const error = new FishbowlCircuitOpenError(circuitBreaker.getRetryAfterMs(), { endpoint: `WO ${queueItem.wo_number}` });
+      error.classification = classifyError(error);
+      error.retries = retriesSoFar;
+      throw error;
+    }
+
+    const maxRetries = Math.max(constants.MAX_RETRIES - previousRetries - retriesSoFar, 0);
+
+    try {
+      const { result, retries } = await executeWithRetry(operation, {
+        maxRetries,
+        onRetry: async (error, attempt, delayMs, classification) => {
+          logger.warn(`${logPrefix} - ${classification.reason} on WO ${queueItem.wo_number}, retry ${attempt}/${maxRetries} in ${delayMs}ms`);
+          await recordEvent(QUEUE_EVENTS.FAILED, failureEvent(error, attempt));
+          await recordEvent(QUEUE_EVENTS.RETRY, {
+            message: `Retry ${previousRetries + retriesSoFar + attempt} of ${constants.MAX_RETRIES} in ${delayMs}ms`,
+            details: { attempt: attempt + 1, category: classification.category, reason: classification.reason }
+          });
+        }
+      });
+      return { result, retries: retriesSoFar + retries };
+    } catch (error) {
+      retriesSoFar += error.retries || 0;
+      error.retries = retriesSoFar;
+
+      if (error.classification?.category !== ERROR_CATEGORIES.UNAVAILABLE) {
+        throw error;
+      }
+
+      logger.warn(`${logPrefix} - Fishbowl unavailable during WO ${queueItem.wo_number}, will run it again once Fishbowl recovers`);
+    }
+  }
+}
+
+/**
+ * Decide the status for a queue item that failed under the retry policy
+ * Transient failures that have used up MAX_RETRIES are dead-lettered so they are not
+ * picked up again until an operator requeues them
+ * @param {Object} queueItem - mo_queue row
+ * @param {string} category - Error category from classifyError
+ * @param {number} retries - Retries used in this run
+ * @returns {string} 'DeadLetter' or 'Failed'
+ */
+function getFailureStatus(queueItem, category, retries) {
+  const totalRetries = (queueItem.retry_count || 0) + retries;
+  if (category === ERROR_CATEGORIES.TRANSIENT && totalRetries >= constants.MAX_RETRIES) {
+    return 'DeadLetter';
+  }
+  return 'Failed';
+}
+
+/**
+ * Build the manufacture-orders payload for a build batch (one configuration per
+ * queue item, making one finished good or the item's build quantity)
+ * @param {Array} batch - Batch items
+ * @param {number} bomId - BOM ID
+ * @param {string} locationGroup - Location group ID
+ * @param {string} moNum - MO number
+ * @returns {Object} MO payload
+ */
+function buildMOPayload(batch, bomId, locationGroup, moNum) {
+  const configurations = batch.map((item, idx) => ({
+    bom: { id: parseInt(bomId) },
+    quantity: getQueueItemBuildQuantity(item),
+    sortId: idx + 1,
+    dateScheduled: new Date().toISOString()
+  }));
+
+  return {
+    locationGroup: { id: parseInt(locationGroup) },
+    dateScheduled: new Date().toISOString(),
+    number: moNum,
+    configurations: configurations
+  };
+}
+
+/**
+ * Load part details (num, description, uomid) for every part in the batch's original WO structures
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {Array} batch - Disassembly batch items
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Map>} Part ID -> part details
+ */
+async function loadDisassemblyPartMap(serverUrl, token, batch, logger) {
+  const allPartIds = new Set();
+  batch.forEach(item => {
+    if (item.original_wo_structure) {
+      const woStructure = JSON.parse(item.original_wo_structure);
+      woStructure.forEach(woItem => {
+        allPartIds.add(woItem.partid);
+      });
+    }
+  });
+
+  const partDetails = await getPartDetails(Array.from(allPartIds), serverUrl, token);
+
+  logger.info(`DISASSEMBLY - Loaded details for ${partDetails.length} unique parts`);
+
+  return new Map(partDetails.map(p => [p.part_id, p]));
+}
+
+/**
+ * Build the manufacture-orders payload for a disassembly batch
+ * Each configuration reverses the barcode's original WO: the finished good is
+ * consumed and the original raw goods are produced
+ * @param {Array} batch - Disassembly batch items
+ * @param {Map} partMap - Part details from loadDisassemblyPartMap
+ * @param {string} locationGroup - Location group ID
+ * @param {string} moNum - MO number
+ * @param {Object} logger - Logger instance
+ * @returns {Object} MO payload
+ */
+function buildDisassemblyMOPayload(batch, partMap, locationGroup, moNum, logger) {
+  const configurations = batch.map((item, idx) => {
+    const barcode = item.barcode;
+
+    if (!item.original_wo_structure) {
+      throw permanentError(`No original WO structure found for ${barcode}`);
+    }
+
+    const woStructure = JSON.parse(item.original_wo_structure);
+    logger.info(`DISASSEMBLY - ${barcode}: ${woStructure.length} original items`);
+
+    // Build items array with REVERSED types
+    const items = [];
+    let sortId = 1;
+
+    woStructure.forEach(woItem => {
+      const part = partMap.get(woItem.partid);
+      if (!part) {
+        throw permanentError(`Part ${woItem.partid} not found in part details`);
+      }
+
+      // Reverse the types: "Finished Good" → "Raw Good", "Raw Good" → "Finished Good"
+      const originalType = woItem.woitem_type;
+      const reversedType = originalType === "Finished Good" ? "Raw Good" : "Finished Good";
+
+      items.push({
+        description: `${reversedType === "Raw Good" ? "Consume" : "Produce"} ${part.part_num}`,
+        part: { id: woItem.partid },
+        quantity: woItem.woitem_qty.toString(),
+        type: reversedType,
+        sortId: sortId++,
+        uom: { id: part.uom_id }
+      });
+    });
+
+    return {
+      description: `Disassemble ${barcode}`,
+      quantity: 1,
+      sortId: idx + 1,
+      dateScheduled: new Date().toISOString(),
+      items: items
+    };
+  });
+
+  return {
+    locationGroup: { id: parseInt(locationGroup) },
+    dateScheduled: new Date().toISOString(),
+    number: moNum,
+    configurations: configurations
+  };
+}
+
 /**
  * Process disassembly batch
  * @param {string} serverUrl - Fishbowl server URL
@@ -31,153 +294,57 @@ async function processDisassemblyBatch(serverUrl, token, database, connection, b
 
   logger.info(`DISASSEMBLY - Processing ${batch.length} item(s)${isPartial ? ' (RESUMING PARTIAL)' : ''}`);
 
+  // Items keep their MO number on failure only once the MO exists in Fishbowl
+  let moExists = isPartial;
+
   try {
     if (!isPartial) {
       // Only update MO numbers and create MO for NEW batches
       // Partial MOs already have their MO number and the MO is already created
       const batchIds = batch.map(item => item.id);
       await batchUpdateMONumber(connection, moNum, batchIds);
+      batch.forEach(item => { item.mo_number = moNum; });
     } else {
       logger.info(`DISASSEMBLY - Resuming partial MO ${moNum} (already created and issued)`);
     }
 
     // For NEW MOs only: Query part details and create the MO
     if (!isPartial) {
-      // Query part details for all unique part IDs from all batch items
-    const allPartIds = new Set();
-    batch.forEach(item => {
-      if (item.original_wo_structure) {
-        const woStructure = JSON.parse(item.original_wo_structure);
-        woStructure.forEach(woItem => {
-          allPartIds.add(woItem.partid);
-        });
-      }
-    });
+    const partMap = await loadDisassemblyPartMap(serverUrl, token, batch, logger);
 
-    // Get part details (num, description, uomid) for all parts
-    const partIdsList = Array.from(allPartIds).join(',');
-    const partSql = `
-      SELECT
-        part.id AS part_id,
-        part.num AS part_num,
-        part.description AS part_description,
-        part.uomid AS uom_id
-      FROM part
-      WHERE part.id IN (${partIdsList})
-    `;
-    const partDetails = await fishbowlQuery(partSql, serverUrl, token);
-    const partMap = new Map(partDetails.map(p => [p.part_id, p]));
-
-    logger.info(`DISASSEMBLY - Loaded details for ${partDetails.length} unique parts`);
-
-    // Create configurations for each disassembly using original WO structure
-    const configurations = batch.map((item, idx) => {
-      const barcode = item.barcode;
-
-      if (!item.original_wo_structure) {
-        throw new Error(`No original WO structure found for ${barcode}`);
-      }
-
-      const woStructure = JSON.parse(item.original_wo_structure);
-      logger.info(`DISASSEMBLY - ${barcode}: ${woStructure.length} original items`);
-
-      // Build items array with REVERSED types
-      const items = [];
-      let sortId = 1;
-
-      woStructure.forEach(woItem => {
-        const part = partMap.get(woItem.partid);
-        if (!part) {
-          throw new Error(`Part ${woItem.partid} not found in part details`);
-        }
-
-        // Reverse the types: "Finished Good" → "Raw Good", "Raw Good" → "Finished Good"
-        const originalType = woItem.woitem_type;
-        const reversedType = originalType === "Finished Good" ? "Raw Good" : "Finished Good";
-
-        items.push({
-          description: `${reversedType === "Raw Good" ? "Consume" : "Produce"} ${part.part_num}`,
-          part: { id: woItem.partid },
-          quantity: woItem.woitem_qty.toString(),
-          type: reversedType,
-          sortId: sortId++,
-          uom: { id: part.uom_id }
-        });
-      });
-
-      return {
-        description: `Disassemble ${barcode}`,
-        quantity: 1,
-        sortId: idx + 1,
-        dateScheduled: new Date().toISOString(),
-        items: items
-      };
-    });
-
-    // Create disassembly MO
-    const moPayload = {
-      locationGroup: { id: parseInt(locationGroup) },
-      dateScheduled: new Date().toISOString(),
-      number: moNum,
-      configurations: configurations
-    };
+    // Create disassembly MO using original WO structure
+    const moPayload = buildDisassemblyMOPayload(batch, partMap, locationGroup, moNum, logger);
 
     logger.info(`DISASSEMBLY - Creating MO ${moNum}`);
-    const moResult = await callFishbowlREST(serverUrl, token, 'manufacture-orders', 'POST', moPayload);
+    const moResult = await getFishbowlClient(serverUrl, token).rest('manufacture-orders', 'POST', moPayload);
 
     if (!moResult || !moResult.id) {
       throw new Error('Failed to create disassembly MO: ' + JSON.stringify(moResult).substring(0, 200));
     }
 
     const moId = moResult.id;
+    moExists = true;
+    currentJob.mosCreated.push(moNum);
     logger.info(`DISASSEMBLY - MO created: ${moNum} (ID: ${moId})`);
+    await recordBatchEvents(connection, batch, QUEUE_EVENTS.MO_CREATED, { message: `MO ${moNum} created (ID: ${moId})` }, logger);
 
       // Issue MO
-      await callFishbowlREST(serverUrl, token, `manufacture-orders/${moId}/issue`, 'POST');
+      await getFishbowlClient(serverUrl, token).rest(`manufacture-orders/${moId}/issue`, 'POST');
       logger.info(`DISASSEMBLY - MO issued`);
+      await recordBatchEvents(connection, batch, QUEUE_EVENTS.MO_ISSUED, { message: `MO ${moNum} issued` }, logger);
     } else {
       logger.info(`DISASSEMBLY - Using existing MO ${moNum}`);
     }
 
     // Get WO numbers from Fishbowl API and assign them to queue items BEFORE processing
-    const woSql = `
-      SELECT wo.num, wo.id FROM wo
-      JOIN moitem ON moitem.id = wo.moitemid
-      JOIN mo ON mo.id = moitem.moid
-      WHERE mo.num = '${escapeSqlString(moNum)}'
-      ORDER BY wo.id
-    `;
-    const woRows = await fishbowlQuery(woSql, serverUrl, token);
+    const woRows = await getWorkOrdersForMO(moNum, serverUrl, token);
 
     logger.info(`DISASSEMBLY - Found ${woRows.length} WOs for MO ${moNum}`);
 
     // Need partMap for processing - load it if we're resuming a partial MO
     let partMap;
     if (isPartial) {
-      // Re-build partMap for partial MO resume
-      const allPartIds = new Set();
-      batch.forEach(item => {
-        if (item.original_wo_structure) {
-          const woStructure = JSON.parse(item.original_wo_structure);
-          woStructure.forEach(woItem => {
-            allPartIds.add(woItem.partid);
-          });
-        }
-      });
-
-      const partIdsList = Array.from(allPartIds).join(',');
-      const partSql = `
-        SELECT
-          part.id AS part_id,
-          part.num AS part_num,
-          part.description AS part_description,
-          part.uomid AS uom_id
-        FROM part
-        WHERE part.id IN (${partIdsList})
-      `;
-      const partDetails = await fishbowlQuery(partSql, serverUrl, token);
-      partMap = new Map(partDetails.map(p => [p.part_id, p]));
-      logger.info(`DISASSEMBLY - Loaded details for ${partDetails.length} unique parts (partial resume)`);
+      partMap = await loadDisassemblyPartMap(serverUrl, token, batch, logger);
     }
 
     // CRITICAL: Assign WO numbers to queue items BEFORE processing
@@ -191,6 +358,7 @@ async function processDisassemblyBatch(serverUrl, token, database, connection, b
 
       // Use shared helper function for WO assignment
       await assignWONumbersToQueueItems(connection, moNum, batch, woRows, 'DISASSEMBLY', logger);
+      await recordBatchEvents(connection, itemsWithoutWO.filter(item => item.wo_number), QUEUE_EVENTS.WO_ASSIGNED, { message: 'WO assigned' }, logger);
     }
 
     // Process each queue item using its assigned WO number
@@ -200,8 +368,7 @@ async function processDisassemblyBatch(serverUrl, token, database, connection, b
 
       if (!woNum) {
         logger.error(`DISASSEMBLY - Queue item ${queueItem.id} (barcode: ${queueItem.barcode}) has no WO number assigned, skipping`);
-        currentJob.failedItems++;
-        currentJob.processedItems++;
+        currentJob.recordItemResult(false);
         await connection.query(
           `UPDATE mo_queue SET status = 'Failed', error_message = ? WHERE id = ?`,
           ['No WO number assigned', queueItem.id]
@@ -218,39 +385,57 @@ async function processDisassemblyBatch(serverUrl, token, database, connection, b
 
       logger.info(`DISASSEMBLY - Processing WO ${woNum} | Barcode ${barcode} | Return Location ${returnLocation || 'None'}`);
 
+      const recordEvent = createEventRecorder(connection, queueItem, logger);
+
       try {
-        // Process the disassembly work order
-        await processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, originalWoStructure, returnLocation, partMap, logger);
+        // Process the disassembly work order, retrying transient failures with backoff
+        const { retries } = await runForQueueItem(
+          itemId,
+          { operationType: 'disassemble', woNum, barcode, returnLocation, originalWoStructure },
+          () => runWithRetryPolicy(
+            queueItem,
+            () => processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, originalWoStructure, returnLocation, partMap, logger, recordEvent),
+            recordEvent,
+            'DISASSEMBLY',
+            logger
+          )
+        );
 
         // Mark as success (wo_number already set)
         await connection.query(
-          `UPDATE mo_queue SET status = 'Success', error_message = NULL WHERE id = ?`,
-          [itemId]
+          `UPDATE mo_queue SET status = 'Success', error_message = NULL, error_category = NULL, retry_count = retry_count + ? WHERE id = ?`,
+          [retries, itemId]
         );
 
-        currentJob.successItems++;
-        currentJob.results.push({
+        currentJob.recordItemResult(true, {
           woNum, barcode, status: 'success', operationType: 'disassemble'
         });
 
         logger.info(`DISASSEMBLY - Success: ${woNum} | ${barcode}`);
 
       } catch (error) {
-        logger.error(`DISASSEMBLY - Failed: ${woNum} | ${barcode}`, { error: error.message });
+        const { category, reason } = error.classification || classifyError(error);
+        const retries = error.retries || 0;
 
-        // Mark as failed
-        await connection.query(
-          `UPDATE mo_queue SET status = 'Failed', error_message = ? WHERE id = ?`,
-          [error.message, itemId]
-        );
+        if (category === ERROR_CATEGORIES.UNAVAILABLE) {
+          // Stop requested while paused; the claim is released back to Pending at the end of the job
+          logger.warn(`DISASSEMBLY - WO ${woNum} not started, left for the next run`);
+        } else {
+          const failureStatus = getFailureStatus(queueItem, category, retries);
+          logger.error(`DISASSEMBLY - ${failureStatus} (${category}): ${woNum} | ${barcode}`, { error: error.message, reason });
+          await recordEvent(failureStatus === 'DeadLetter' ? QUEUE_EVENTS.DEAD_LETTERED : QUEUE_EVENTS.FAILED, failureEvent(error, retries + 1));
 
-        currentJob.failedItems++;
-        currentJob.results.push({
-          woNum, barcode, status: 'failed', error: error.message, operationType: 'disassemble'
-        });
-      }
+          // Mark as failed (or dead-lettered once retries are used up)
+          await connection.query(
+            `UPDATE mo_queue SET status = ?, error_message = ?, error_category = ?, retry_count = retry_count + ? WHERE id = ?`,
+            [failureStatus, error.message, category, retries, itemId]
+          );
 
-      currentJob.processedItems++;
+          currentJob.recordItemResult(false, {
+            woNum, barcode, status: 'failed', error: error.message, errorCategory: category, operationType: 'disassemble'
+          });
+        }
+      }
 
       // Check if stop was requested
       if (currentJob.stopRequested) {
@@ -269,15 +454,15 @@ async function processDisassemblyBatch(serverUrl, token, database, connection, b
 
   } catch (error) {
     logger.error(`DISASSEMBLY - Error processing batch`, { error: error.message });
+    await recordBatchEvents(connection, batch, QUEUE_EVENTS.FAILED, failureEvent(error, 1), logger);
 
     // Mark all items as failed
     for (const item of batch) {
       await connection.query(
-        `UPDATE mo_queue SET status = 'Failed', error_message = ? WHERE id = ?`,
-        [error.message.substring(0, 500), item.id]
+        `UPDATE mo_queue SET status = 'Failed', mo_number = ?, error_message = ?, error_category = ? WHERE id = ?`,
+        [moExists ? moNum : null, error.message.substring(0, 500), classifyError(error).category, item.id]
       );
-      currentJob.failedItems++;
-      currentJob.processedItems++;
+      currentJob.recordItemResult(false);
     }
 
     currentJob.results.push({
@@ -298,30 +483,32 @@ async function processDisassemblyBatch(serverUrl, token, database, connection, b
  * @param {string} returnLocation - Return location for raw goods
  * @param {Map} partMap - Map of part IDs to part details
  * @param {Object} logger - Logger instance
+ * @param {Function} recordEvent - Optional event recorder from createEventRecorder
  */
-async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, originalWoStructure, returnLocation, partMap, logger) {
-  const { callFishbowlLegacy } = require('./fishbowlApi');
+async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, originalWoStructure, returnLocation, partMap, logger, recordEvent = async () => {}) {
   const dateScheduled = new Date().toISOString().slice(0, 19);
+  const trackingRoles = await getTrackingRoles();
 
   // STEP 1: Get Pick
   const getPickPayload = { GetPickRq: { WoNum: woNum } };
-  const pickResult = await callFishbowlLegacy(serverUrl, token, 'GetPickRq', getPickPayload);
+  const pickResult = await callLegacyStep(serverUrl, token, 'GetPickRq', getPickPayload);
 
   if (pickResult.FbiJson?.FbiMsgsRs?.GetPickRs?.statusCode !== 1000) {
-    throw new Error('Failed to get pick for disassembly');
+    throw fishbowlStepError('Failed to get pick for disassembly', 'GetPickRq', pickResult.FbiJson?.FbiMsgsRs?.GetPickRs);
   }
 
   const pick = pickResult.FbiJson.FbiMsgsRs.GetPickRs.Pick;
 
   // STEP 2: Open Pick
   pick.DateScheduled = pick.DateStarted = dateScheduled;
-  const savePickResult1 = await callFishbowlLegacy(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: pick } });
+  const savePickResult1 = await callLegacyStep(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: pick } });
 
   if (savePickResult1.FbiJson?.FbiMsgsRs?.SavePickRs?.statusCode !== 1000) {
-    throw new Error('Failed to open pick for disassembly');
+    throw fishbowlStepError('Failed to open pick for disassembly', 'SavePickRq', savePickResult1.FbiJson?.FbiMsgsRs?.SavePickRs);
   }
 
   const savedPick = savePickResult1.FbiJson.FbiMsgsRs.SavePickRs.Pick;
+  await recordEvent(QUEUE_EVENTS.PICK_OPENED, { message: `Pick ${savedPick.Num} opened` });
 
   // STEP 3: For disassembly, we need to pick the FG (which is being consumed)
   // The pick items should have the FG with tracking (barcode)
@@ -331,7 +518,7 @@ async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, ori
   // Find the FG part ID from original WO structure (what was produced in the build)
   const originalFgItem = originalWoStructure.find(item => item.woitem_type === "Finished Good");
   if (!originalFgItem) {
-    throw new Error('No Finished Good found in original WO structure');
+    throw permanentError('No Finished Good found in original WO structure');
   }
 
   // Find the FG pick item (the one being consumed)
@@ -343,9 +530,7 @@ async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, ori
     fgPickItem.Quantity = "1";
 
     // Add barcode tracking
-    const partTracking = fgPickItem.Part?.PartTrackingList?.PartTracking;
-    const trackingArray = Array.isArray(partTracking) ? partTracking : [partTracking];
-    const barcodeTrackingInfo = trackingArray.find(pt => pt.Name === "Barcode" || pt.PartTrackingID === 5);
+    const barcodeTrackingInfo = findPartTracking(fgPickItem.Part, trackingRoles.fgIdentifier);
 
     if (barcodeTrackingInfo) {
       fgPickItem.Tracking = {
@@ -373,18 +558,20 @@ async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, ori
   }
 
   // Save the pick with tracking
-  const savePickResult2 = await callFishbowlLegacy(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: savedPick } });
+  const savePickResult2 = await callLegacyStep(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: savedPick } });
 
   if (savePickResult2.FbiJson?.FbiMsgsRs?.SavePickRs?.statusCode !== 1000) {
-    throw new Error('Failed to finish pick for disassembly');
+    throw fishbowlStepError('Failed to finish pick for disassembly', 'SavePickRq', savePickResult2.FbiJson?.FbiMsgsRs?.SavePickRs);
   }
 
+  await recordEvent(QUEUE_EVENTS.PICK_FINISHED, { message: 'Pick finished' });
+
   // STEP 4: Get WO and complete it
   const getWOPayload = { GetWorkOrderRq: { WorkOrderNumber: woNum } };
-  const getWOResult = await callFishbowlLegacy(serverUrl, token, 'GetWorkOrderRq', getWOPayload);
+  const getWOResult = await callLegacyStep(serverUrl, token, 'GetWorkOrderRq', getWOPayload);
 
   if (getWOResult.FbiJson?.FbiMsgsRs?.ErrorRs) {
-    throw new Error('Failed to get work order for disassembly');
+    throw fishbowlStepError('Failed to get work order for disassembly', 'GetWorkOrderRq', getWOResult.FbiJson.FbiMsgsRs.ErrorRs);
   }
 
   const wo = getWOResult.FbiJson.FbiMsgsRs.GetWorkOrderRs.WO;
@@ -395,61 +582,9 @@ async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, ori
   let destLocationInfo = null;
   if (returnLocation) {
     // returnLocation can be either a location ID or "LocationGroup-Location" format
-    // Check if it's a number (location ID) or contains a dash (LocationGroup-Location)
-    let locationQuerySql;
-    if (returnLocation.includes('-')) {
-      // Format: LocationGroup-Location
-      const [locGroupName, locName] = returnLocation.split('-');
-      locationQuerySql = `
-        SELECT
-          location.id as location_id,
-          location.typeid as location_typeid,
-          location.name as location_name,
-          location.description as location_description,
-          location.countedAsAvailable,
-          location.activeflag,
-          location.pickable,
-          location.receivable,
-          location.sortorder,
-          locationgroup.id as locationgroup_id,
-          locationgroup.name as locationgroup_name,
-          tag.id as tag_id,
-          tag.num as tag_num
-        FROM location
-        JOIN locationgroup ON locationgroup.id = location.locationgroupid
-        LEFT JOIN tag ON tag.locationid = location.id
-        WHERE locationgroup.name = '${escapeSqlString(locGroupName)}'
-          AND location.name = '${escapeSqlString(locName)}'
-      `;
-    } else {
-      // Format: Location ID
-      const locationId = parseInt(returnLocation);
-      locationQuerySql = `
-        SELECT
-          location.id as location_id,
-          location.typeid as location_typeid,
-          location.name as location_name,
-          location.description as location_description,
-          location.countedAsAvailable,
-          location.activeflag,
-          location.pickable,
-          location.receivable,
-          location.sortorder,
-          locationgroup.id as locationgroup_id,
-          locationgroup.name as locationgroup_name,
-          tag.id as tag_id,
-          tag.num as tag_num
-        FROM location
-        JOIN locationgroup ON locationgroup.id = location.locationgroupid
-        LEFT JOIN tag ON tag.locationid = location.id
-        WHERE location.id = ${locationId}
-      `;
-    }
+    const loc = await getLocationByName(returnLocation, serverUrl, token);
 
-    const locRows = await fishbowlQuery(locationQuerySql, serverUrl, token);
-
-    if (locRows.length > 0) {
-      const loc = locRows[0];
+    if (loc) {
       destLocationInfo = {
         LocationID: loc.location_id,
         TypeID: loc.location_typeid || 10,
@@ -514,8 +649,7 @@ async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, ori
         // Find serial tracking info for this part
         const partTrackingList = woItem.Part?.PartTrackingList?.PartTracking;
         if (partTrackingList) {
-          const trackingArray = Array.isArray(partTrackingList) ? partTrackingList : [partTrackingList];
-          const serialTrackingInfo = trackingArray.find(pt => pt.PartTrackingID === 4 || pt.Name.toLowerCase().includes('serial'));
+          const serialTrackingInfo = findPartTracking(woItem.Part, trackingRoles.componentSerial);
 
           if (serialTrackingInfo && serials.length > 0) {
             woItem.Tracking = {
@@ -556,7 +690,7 @@ async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, ori
 
   logger.info(`DISASSEMBLY - Saving WO ${woNum}...`);
 
-  const saveWOResult = await callFishbowlLegacy(serverUrl, token, 'SaveWorkOrderRq', { SaveWorkOrderRq: { WO: wo } });
+  const saveWOResult = await callLegacyStep(serverUrl, token, 'SaveWorkOrderRq', { SaveWorkOrderRq: { WO: wo } });
 
   if (saveWOResult.FbiJson?.FbiMsgsRs?.SaveWorkOrderRs?.statusCode !== 1000) {
     // Log the actual error from Fishbowl
@@ -565,392 +699,751 @@ async function processDisassemblyWorkOrder(serverUrl, token, woNum, barcode, ori
                      'Unknown error';
     logger.error(`DISASSEMBLY - Fishbowl error saving WO: ${errorMsg}`);
     logger.error(`DISASSEMBLY - Full response: ${JSON.stringify(saveWOResult).substring(0, 1000)}`);
-    throw new Error(`Failed to complete WO for disassembly: ${errorMsg}`);
+    throw fishbowlStepError(`Failed to complete WO for disassembly: ${errorMsg}`, 'SaveWorkOrderRq', saveWOResult.FbiJson?.FbiMsgsRs?.SaveWorkOrderRs);
   }
 
   logger.info(`DISASSEMBLY - WO ${woNum} completed successfully`);
+  await recordEvent(QUEUE_EVENTS.WO_COMPLETED, { message: `WO ${woNum} completed` });
 }
 
 /**
- * Process queue in background
+ * Run the inventory pre-flight for a new build batch and hold back the items that fall short
+ * In review mode short items move to Review; in block mode the whole batch goes
+ * back to Pending. Held items get a preflight_held event with their shortfalls.
+ * If the check itself fails the batch is held in Pending, since its MO could
+ * not be checked.
  * @param {string} serverUrl - Fishbowl server URL
  * @param {string} token - Auth token
- * @param {string} database - Database name
+ * @param {Connection} connection - MySQL connection
+ * @param {Array} batch - Claimed queue items
+ * @param {string} bom - BOM number
+ * @param {string} locationGroup - Location group ID
+ * @param {string} moNum - MO number the batch would use
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Array>} Items that can go ahead
+ */
+async function runInventoryPreflight(serverUrl, token, connection, batch, bom, locationGroup, moNum, logger) {
+  const currentJob = getCurrentJob();
+  const mode = constants.INVENTORY_PREFLIGHT;
+  let report;
+  let holds;
+
+  try {
+    report = await checkBatchInventory(serverUrl, token, batch, bom, locationGroup);
+    holds = preflightHolds(batch, report, mode);
+  } catch (error) {
+    logger.error(`PREFLIGHT - Could not check inventory for MO ${moNum}, holding the batch: ${error.message}`);
+    holds = new Map(batch.map(item => [item.id, `Inventory pre-flight could not run: ${error.message}`]));
+  }
+
+  if (holds.size === 0) {
+    logger.info(`PREFLIGHT - MO ${moNum}: ${report.serialsChecked} serial(s) and the BOM's other raw goods are available for ${report.builds} build(s)`);
+    return batch;
+  }
+
+  const status = report && mode !== PREFLIGHT_MODES.BLOCK ? QUEUE_STATUS.REVIEW : QUEUE_STATUS.PENDING;
+
+  if (report) {
+    logger.warn(`PREFLIGHT - MO ${moNum}: ${report.serialShortfalls.length} serial and ${report.quantityShortfalls.length} quantity shortfall(s), ${holds.size} item(s) held in ${status}`, {
+      shortfalls: [...report.serialShortfalls, ...report.quantityShortfalls].map(describeShortfall)
+    });
+    currentJob.preflight.push({ moNum, mode, heldItems: holds.size, ...report });
+  }
+
+  for (const item of batch.filter(queueItem => holds.has(queueItem.id))) {
+    const message = holds.get(item.id);
+
+    await settleClaim(connection, item.id, status, { errorMessage: message });
+    await recordBatchEvents(connection, [item], QUEUE_EVENTS.PREFLIGHT_HELD, {
+      message,
+      details: report ? {
+        mode,
+        moNum,
+        serialShortfalls: report.serialShortfalls.filter(shortfall => shortfall.queueItemId === item.id),
+        quantityShortfalls: report.quantityShortfalls
+      } : { mode, moNum }
+    }, logger);
+
+    currentJob.recordItemResult(false, { barcode: item.barcode, status: 'held', error: message });
+  }
+
+  return batch.filter(item => !holds.has(item.id));
+}
+
+/**
+ * Plan a batch without writing (dry run)
+ * Runs the same reads as a real batch (part details, serial locations, FG and
+ * return locations) and records the MO payload, per work order plans and
+ * every Fishbowl write in the job's dry-run report. mo_queue is not modified.
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {Array} batch - Batch items
  * @param {string} bom - BOM number
  * @param {number} bomId - BOM ID
  * @param {string} locationGroup - Location group ID
+ * @param {string} moNum - MO number the batch would use
+ * @param {boolean} isPartial - Whether the batch resumes an existing MO
  * @param {Object} logger - Logger instance
  */
-async function processQueueBackground(serverUrl, token, database, bom, bomId, locationGroup, logger) {
-  logger.info('BACKGROUND PROCESSOR - Starting');
+async function planBatch(serverUrl, token, batch, bom, bomId, locationGroup, moNum, isPartial, logger) {
+  const currentJob = getCurrentJob();
+  const report = currentJob.dryRunReport;
+  const isDisassembly = batch[0].operation_type === 'disassemble';
+  const operationType = isDisassembly ? 'disassemble' : 'build';
 
-  let connection;
+  logger.info(`DRY RUN - Planning ${batch.length} ${operationType} item(s) for MO ${moNum}${isPartial ? ' (existing partial MO)' : ''}`);
+
+  let partMap = null;
 
   try {
-    // Connect to MySQL
-    connection = await createConnection(database);
+    if (isDisassembly) {
+      partMap = await loadDisassemblyPartMap(serverUrl, token, batch, logger);
+    }
 
-    logger.info('BACKGROUND PROCESSOR - Connected to database');
+    if (!isPartial) {
+      const moPayload = isDisassembly
+        ? buildDisassemblyMOPayload(batch, partMap, locationGroup, moNum, logger)
+        : buildMOPayload(batch, bomId, locationGroup, moNum);
 
-    // Get pending items
-    const pendingItems = await getPendingItems(connection);
+      report.captureWrite('manufacture-orders', 'POST', moPayload, { moNum });
+      report.captureWrite('manufacture-orders/{id}/issue', 'POST', null, { moNum });
+    }
 
-    if (pendingItems.length === 0) {
-      logger.info('BACKGROUND PROCESSOR - No pending items');
-      const currentJob = getCurrentJob();
-      currentJob.status = 'completed';
+    report.addMO({ moNum, bomNum: bom, locationGroupId: locationGroup, operationType, itemCount: batch.length, isPartial });
+
+    // Report what the inventory pre-flight would hold back
+    if (!isDisassembly && !isPartial && constants.INVENTORY_PREFLIGHT !== PREFLIGHT_MODES.OFF) {
+      const preflight = await checkBatchInventory(serverUrl, token, batch, bom, locationGroup);
+      const holds = preflightHolds(batch, preflight, constants.INVENTORY_PREFLIGHT);
+
+      report.addPreflight({ moNum, mode: constants.INVENTORY_PREFLIGHT, heldItems: holds.size, ...preflight });
+      if (holds.size > 0) {
+        logger.warn(`DRY RUN - Inventory pre-flight would hold ${holds.size} item(s) of MO ${moNum}`, { reasons: [...new Set(holds.values())] });
+      }
+    }
+  } catch (error) {
+    logger.error(`DRY RUN - Could not plan MO ${moNum}: ${error.message}`);
+
+    for (const item of batch) {
+      report.addWorkOrder({ moNum, woNum: item.wo_number || null, barcode: item.barcode, operationType, status: 'failed', error: error.message });
+      currentJob.recordItemResult(false, { barcode: item.barcode, status: 'failed', error: error.message, operationType, dryRun: true });
+    }
+    return;
+  }
+
+  for (const queueItem of batch) {
+    // New WOs are numbered by Fishbowl when the MO is created
+    const woNum = queueItem.wo_number || null;
+    const barcode = queueItem.barcode;
+
+    currentJob.currentWO = woNum;
+
+    try {
+      let plan;
+
+      if (isDisassembly) {
+        const returnLocation = queueItem.fg_location ? await getLocationByName(queueItem.fg_location, serverUrl, token) : null;
+        const originalWoStructure = JSON.parse(queueItem.original_wo_structure);
+
+        plan = {
+          woNum,
+          barcode,
+          status: 'planned',
+          returnLocation: returnLocation ? `${returnLocation.locationgroup_name}-${returnLocation.location_name}` : null,
+          returnLocationRequested: queueItem.fg_location || null,
+          producedItems: originalWoStructure
+            .filter(item => item.woitem_type === 'Raw Good')
+            .map(item => ({
+              partId: item.partid,
+              partNum: partMap.get(item.partid)?.part_num || null,
+              quantity: item.woitem_qty,
+              serials: item.serial_numbers ? item.serial_numbers.split(',').filter(serial => serial.trim()) : []
+            })),
+          writes: [
+            { endpoint: 'SavePickRq', method: 'LEGACY', payload: { action: 'Open pick', woNum } },
+            { endpoint: 'SavePickRq', method: 'LEGACY', payload: { action: 'Finish pick consuming finished good', woNum, barcode } },
+            { endpoint: 'SaveWorkOrderRq', method: 'LEGACY', payload: { action: 'Complete WO', woNum, statusId: 40, destLocationId: returnLocation ? returnLocation.location_id : null } }
+          ]
+        };
+      } else {
+        plan = await planWorkOrder(serverUrl, token, woNum, barcode, getQueueItemComponents(queueItem), getQueueItemTrackingValues(queueItem), queueItem.fg_location, bom, logger, locationGroup, queueItem.build_quantity || null);
+      }
+
+      const { writes, ...details } = plan;
+      writes.forEach(write => report.captureWrite(write.endpoint, write.method, write.payload, { moNum, woNum, barcode }));
+      report.addWorkOrder({ moNum, operationType, ...details });
+
+      currentJob.recordItemResult(true, { woNum, barcode, status: plan.status, operationType, dryRun: true });
+    } catch (error) {
+      const { category } = classifyError(error);
+      logger.warn(`DRY RUN - ${barcode} would fail (${category}): ${error.message}`);
+
+      report.addWorkOrder({ moNum, woNum, barcode, operationType, status: 'failed', error: error.message, errorCategory: category });
+      currentJob.recordItemResult(false, { woNum, barcode, status: 'failed', error: error.message, errorCategory: category, operationType, dryRun: true });
+    }
+
+    if (currentJob.stopRequested) {
+      logger.info('DRY RUN - Stop requested, ending dry run');
+      currentJob.status = 'stopped';
       currentJob.endTime = new Date().toISOString();
+      currentJob.stopRequested = false;
       return;
     }
+  }
+}
 
-    logger.info(`BACKGROUND PROCESSOR - Found ${pendingItems.length} pending items`);
+/**
+ * Process all pending items for a single BOM/location group
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string} database - Database name
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} group - { bom, bomId, locationGroup, items } from groupPendingItems
+ * @param {Object} logger - Logger instance
+ */
+async function processBomGroup(serverUrl, token, database, connection, group, logger) {
+  const { bom, bomId, locationGroup } = group;
+  const pendingItems = group.items;
+  const currentJob = getCurrentJob();
+  const groupStatus = currentJob.getCurrentGroup();
 
-    const currentJob = getCurrentJob();
-    currentJob.totalItems = pendingItems.length;
+  // Check for existing MO numbers - GET ALL matching MOs to find max sequence numerically
+  const today = new Date();
+  const dateStr = today.getFullYear().toString().slice(2) +
+                 String(today.getMonth() + 1).padStart(2, '0') +
+                 String(today.getDate()).padStart(2, '0');
 
-    // Check for existing MO numbers - GET ALL matching MOs to find max sequence numerically
-    const today = new Date();
-    const dateStr = today.getFullYear().toString().slice(2) +
-                   String(today.getMonth() + 1).padStart(2, '0') +
-                   String(today.getDate()).padStart(2, '0');
+  const moPattern = `${bom}|${dateStr}|%`;
 
-    const moPattern = `${bom}|${dateStr}|%`;
+  // Get ALL matching MOs from Fishbowl API
+  const existingMOs = await getExistingMOsByPattern(moPattern, serverUrl, token);
 
-    // Get ALL matching MOs from Fishbowl API
-    const moSql = `SELECT num FROM mo WHERE num LIKE '${escapeSqlString(moPattern)}'`;
-    const existingMOs = await fishbowlQuery(moSql, serverUrl, token);
+  let startingSequence = 1;
 
-    let startingSequence = 1;
+  if (existingMOs.length > 0) {
+    logger.info(`BACKGROUND PROCESSOR - Found ${existingMOs.length} existing MO(s) for today`);
 
-    if (existingMOs.length > 0) {
-      logger.info(`BACKGROUND PROCESSOR - Found ${existingMOs.length} existing MO(s) for today`);
+    // Parse all sequence numbers and find the maximum numerically
+    const sequences = existingMOs
+      .map(row => {
+        const parts = row.num.split('|');
+        if (parts.length === 3) {
+          const seq = parseInt(parts[2], 10);
+          return isNaN(seq) ? 0 : seq;
+        }
+        return 0;
+      })
+      .filter(seq => seq > 0);
+
+    if (sequences.length > 0) {
+      const maxSequence = Math.max(...sequences);
+      startingSequence = maxSequence + 1;
+      logger.info(`BACKGROUND PROCESSOR - Last MO sequence: ${maxSequence}, starting from ${startingSequence}`);
+    }
+  } else {
+    logger.info('BACKGROUND PROCESSOR - No existing MOs for today, starting from 1');
+  }
 
-      // Parse all sequence numbers and find the maximum numerically
-      const sequences = existingMOs
-        .map(row => {
-          const parts = row.num.split('|');
-          if (parts.length === 3) {
-            const seq = parseInt(parts[2], 10);
-            return isNaN(seq) ? 0 : seq;
-          }
-          return 0;
-        })
-        .filter(seq => seq > 0);
-
-      if (sequences.length > 0) {
-        const maxSequence = Math.max(...sequences);
-        startingSequence = maxSequence + 1;
-        logger.info(`BACKGROUND PROCESSOR - Last MO sequence: ${maxSequence}, starting from ${startingSequence}`);
-      }
-    } else {
-      logger.info('BACKGROUND PROCESSOR - No existing MOs for today, starting from 1');
+  logger.info(`BACKGROUND PROCESSOR - Starting from sequence ${startingSequence}`);
+
+  // Separate items into those with existing MO numbers (partial MOs from stopped jobs)
+  // and those without (new items to process)
+  const itemsWithMO = pendingItems.filter(item => item.mo_number);
+  const itemsWithoutMO = pendingItems.filter(item => !item.mo_number);
+
+  // Group items with existing MOs by their MO number
+  const partialMOGroups = new Map();
+  for (const item of itemsWithMO) {
+    if (!partialMOGroups.has(item.mo_number)) {
+      partialMOGroups.set(item.mo_number, []);
     }
+    partialMOGroups.get(item.mo_number).push(item);
+  }
+
+  if (partialMOGroups.size > 0) {
+    logger.info(`BACKGROUND PROCESSOR - Found ${partialMOGroups.size} partial MO(s) from previous stopped job, will continue processing them`);
+  }
+
+  // Split new items into MO batches per BATCH_STRATEGY (capped at BATCH_SIZE), in priority
+  // order (pending items arrive sorted); each priority level gets its own MO(s)
+  const newBatches = buildBatches(itemsWithoutMO, constants.BATCH_STRATEGY, constants.BATCH_SIZE);
+
+  // Combine partial MOs and new batches for processing
+  const allBatches = [];
 
-    logger.info(`BACKGROUND PROCESSOR - Starting from sequence ${startingSequence}`);
+  // Add partial MOs first (to complete them before creating new ones)
+  for (const [moNum, items] of partialMOGroups) {
+    allBatches.push({ batch: items, moNum: moNum, isPartial: true });
+  }
+
+  // Add new batches
+  for (let i = 0; i < newBatches.length; i++) {
+    const moNum = `${bom}|${dateStr}|${startingSequence + i}`;
+    allBatches.push({ batch: newBatches[i], moNum: moNum, isPartial: false });
+  }
+
+  groupStatus.totalBatches = allBatches.length;
+  currentJob.totalBatches += allBatches.length;
+  logger.info(`BACKGROUND PROCESSOR - ${allBatches.length} batch(es) to process (${partialMOGroups.size} partial, ${newBatches.length} new, strategy: ${constants.BATCH_STRATEGY})`);
 
-    // Separate items into those with existing MO numbers (partial MOs from stopped jobs)
-    // and those without (new items to process)
-    const itemsWithMO = pendingItems.filter(item => item.mo_number);
-    const itemsWithoutMO = pendingItems.filter(item => !item.mo_number);
+  // Process each batch
+  for (let batchIdx = 0; batchIdx < allBatches.length; batchIdx++) {
+    const { moNum, isPartial } = allBatches[batchIdx];
+    let { batch } = allBatches[batchIdx];
 
-    // Group items with existing MOs by their MO number
-    const partialMOGroups = new Map();
-    for (const item of itemsWithMO) {
-      if (!partialMOGroups.has(item.mo_number)) {
-        partialMOGroups.set(item.mo_number, []);
+    groupStatus.currentBatch = batchIdx + 1;
+    groupStatus.currentMO = moNum;
+    currentJob.currentBatch++;
+    currentJob.currentMO = moNum;
+
+    logger.info(`BACKGROUND PROCESSOR - Batch ${batchIdx + 1}/${allBatches.length}: MO ${moNum}${isPartial ? ' (RESUMING PARTIAL)' : ''}`);
+
+    // Don't claim the batch or create its MO while Fishbowl is known to be down
+    if (!(await waitForFishbowl('BACKGROUND PROCESSOR', logger))) {
+      logger.info('BACKGROUND PROCESSOR - Stop requested while Fishbowl was unavailable, exiting group');
+      currentJob.status = 'stopped';
+      currentJob.endTime = new Date().toISOString();
+      currentJob.stopRequested = false;
+      return;
+    }
+
+    // Dry run: plan the batch from live reads, capture writes, leave Fishbowl and mo_queue untouched
+    if (currentJob.dryRun) {
+      await planBatch(serverUrl, token, batch, bom, bomId, locationGroup, moNum, isPartial, logger);
+
+      if (currentJob.status === 'stopped') {
+        logger.info('DRY RUN - Stopped, exiting group');
+        return;
       }
-      partialMOGroups.get(item.mo_number).push(item);
+
+      continue;
     }
 
-    if (partialMOGroups.size > 0) {
-      logger.info(`BACKGROUND PROCESSOR - Found ${partialMOGroups.size} partial MO(s) from previous stopped job, will continue processing them`);
+    // Claim the batch before touching Fishbowl; items taken by another processor are skipped
+    const claimedIds = await claimQueueItems(connection, batch.map(item => item.id), INSTANCE_ID);
+    if (claimedIds.length < batch.length) {
+      const skipped = batch.filter(item => !claimedIds.includes(item.id));
+      logger.warn(`BACKGROUND PROCESSOR - ${skipped.length} item(s) already claimed by another processor, skipping`, {
+        barcodes: skipped.map(item => item.barcode)
+      });
+      skipped.forEach(() => currentJob.skipItem());
+      batch = batch.filter(item => claimedIds.includes(item.id));
     }
 
-    // Group new items into batches of 100
-    const newBatches = [];
-    for (let i = 0; i < itemsWithoutMO.length; i += 100) {
-      newBatches.push(itemsWithoutMO.slice(i, i + 100));
+    if (batch.length === 0) {
+      continue;
     }
 
-    // Combine partial MOs and new batches for processing
-    const allBatches = [];
+    // Check if this is a disassembly batch
+    const isDisassembly = batch[0].operation_type === 'disassemble';
 
-    // Add partial MOs first (to complete them before creating new ones)
-    for (const [moNum, items] of partialMOGroups) {
-      allBatches.push({ batch: items, moNum: moNum, isPartial: true });
-    }
+    if (isDisassembly) {
+      logger.info(`BACKGROUND PROCESSOR - DISASSEMBLY mode detected`);
+      // Handle disassembly separately
+      await processDisassemblyBatch(serverUrl, token, database, connection, batch, bom, bomId, locationGroup, moNum, dateStr, isPartial, logger);
 
-    // Add new batches
-    for (let i = 0; i < newBatches.length; i++) {
-      const moNum = `${bom}|${dateStr}|${startingSequence + i}`;
-      allBatches.push({ batch: newBatches[i], moNum: moNum, isPartial: false });
+      // Check if job was stopped during disassembly
+      if (currentJob.status === 'stopped') {
+        logger.info('BACKGROUND PROCESSOR - Disassembly batch stopped, exiting group');
+        return;
+      }
+
+      continue; // Skip normal BUILD processing
     }
 
-    currentJob.totalBatches = allBatches.length;
-    logger.info(`BACKGROUND PROCESSOR - ${allBatches.length} batch(es) to process (${partialMOGroups.size} partial, ${newBatches.length} new)`);
+    // Check inventory before the MO exists, so a shortfall cannot leave a half-consumed MO behind
+    if (!isPartial && constants.INVENTORY_PREFLIGHT !== PREFLIGHT_MODES.OFF) {
+      batch = await runInventoryPreflight(serverUrl, token, connection, batch, bom, locationGroup, moNum, logger);
 
-    // Process each batch
-    for (let batchIdx = 0; batchIdx < allBatches.length; batchIdx++) {
-      const { batch, moNum, isPartial } = allBatches[batchIdx];
+      if (batch.length === 0) {
+        continue;
+      }
+    }
 
-      currentJob.currentBatch = batchIdx + 1;
-      currentJob.currentMO = moNum;
+    // Items keep their MO number on failure only once the MO exists in Fishbowl
+    let moExists = isPartial;
 
-      logger.info(`BACKGROUND PROCESSOR - Batch ${batchIdx + 1}/${allBatches.length}: MO ${moNum}${isPartial ? ' (RESUMING PARTIAL)' : ''}`);
+    try {
+      if (!isPartial) {
+        // Only update MO numbers and create MO for NEW batches
+        // Partial MOs already have their MO number and the MO is already created
+        const batchIds = batch.map(item => item.id);
+        await batchUpdateMONumber(connection, moNum, batchIds);
+        batch.forEach(item => { item.mo_number = moNum; });
 
-      // Check if this is a disassembly batch
-      const isDisassembly = batch[0].operation_type === 'disassemble';
+        // Create MO
+        const moPayload = buildMOPayload(batch, bomId, locationGroup, moNum);
 
-      if (isDisassembly) {
-        logger.info(`BACKGROUND PROCESSOR - DISASSEMBLY mode detected`);
-        // Handle disassembly separately
-        await processDisassemblyBatch(serverUrl, token, database, connection, batch, bom, bomId, locationGroup, moNum, dateStr, isPartial, logger);
+        const moResult = await getFishbowlClient(serverUrl, token).rest('manufacture-orders', 'POST', moPayload);
 
-        // Check if job was stopped during disassembly
-        if (currentJob.status === 'stopped') {
-          logger.info('BACKGROUND PROCESSOR - Disassembly batch stopped, exiting queue processor');
-          return;
+        if (!moResult || !moResult.id) {
+          throw new Error('Failed to create MO: ' + JSON.stringify(moResult).substring(0, 200));
         }
 
-        continue; // Skip normal BUILD processing
+        const moId = moResult.id;
+        moExists = true;
+        currentJob.mosCreated.push(moNum);
+        logger.info(`BACKGROUND PROCESSOR - MO created: ${moNum} (ID: ${moId})`);
+        await recordBatchEvents(connection, batch, QUEUE_EVENTS.MO_CREATED, { message: `MO ${moNum} created (ID: ${moId})` }, logger);
+
+        // Issue MO
+        await getFishbowlClient(serverUrl, token).rest(`manufacture-orders/${moId}/issue`, 'POST');
+        logger.info(`BACKGROUND PROCESSOR - MO issued`);
+        await recordBatchEvents(connection, batch, QUEUE_EVENTS.MO_ISSUED, { message: `MO ${moNum} issued` }, logger);
+      } else {
+        logger.info(`BACKGROUND PROCESSOR - Resuming partial MO ${moNum} (already created and issued)`);
       }
 
-      try {
-        if (!isPartial) {
-          // Only update MO numbers and create MO for NEW batches
-          // Partial MOs already have their MO number and the MO is already created
-          const batchIds = batch.map(item => item.id);
-          await batchUpdateMONumber(connection, moNum, batchIds);
-
-          // Create MO
-          const configurations = batch.map((item, idx) => ({
-            bom: { id: parseInt(bomId) },
-            quantity: 1,
-            sortId: idx + 1,
-            dateScheduled: new Date().toISOString()
-          }));
-
-          const moPayload = {
-            locationGroup: { id: parseInt(locationGroup) },
-            dateScheduled: new Date().toISOString(),
-            number: moNum,
-            configurations: configurations
-          };
-
-          const moResult = await callFishbowlREST(serverUrl, token, 'manufacture-orders', 'POST', moPayload);
-
-          if (!moResult || !moResult.id) {
-            throw new Error('Failed to create MO: ' + JSON.stringify(moResult).substring(0, 200));
-          }
+      // Get WO numbers from Fishbowl API and assign them to queue items BEFORE processing
+      const woRows = await getWorkOrdersForMO(moNum, serverUrl, token);
 
-          const moId = moResult.id;
-          logger.info(`BACKGROUND PROCESSOR - MO created: ${moNum} (ID: ${moId})`);
+      logger.info(`BACKGROUND PROCESSOR - Found ${woRows.length} WOs for MO ${moNum}`);
 
-          // Issue MO
-          await callFishbowlREST(serverUrl, token, `manufacture-orders/${moId}/issue`, 'POST');
-          logger.info(`BACKGROUND PROCESSOR - MO issued`);
-        } else {
-          logger.info(`BACKGROUND PROCESSOR - Resuming partial MO ${moNum} (already created and issued)`);
+      // CRITICAL: Assign WO numbers to queue items BEFORE processing
+      // This ensures that if the job is stopped and resumed, each item knows its WO number
+
+      // Check which items need WO number assignment
+      const itemsWithoutWO = batch.filter(item => !item.wo_number);
+
+      if (itemsWithoutWO.length > 0) {
+        if (isPartial) {
+          logger.info(`BACKGROUND PROCESSOR - Partial MO: ${itemsWithoutWO.length} items need WO number assignment`);
         }
 
-        // Get WO numbers from Fishbowl API and assign them to queue items BEFORE processing
-        const woSql = `
-          SELECT wo.num, wo.id FROM wo
-          JOIN moitem ON moitem.id = wo.moitemid
-          JOIN mo ON mo.id = moitem.moid
-          WHERE mo.num = '${escapeSqlString(moNum)}'
-          ORDER BY wo.id
-        `;
-        const woRows = await fishbowlQuery(woSql, serverUrl, token);
+        // Use shared helper function for WO assignment
+        await assignWONumbersToQueueItems(connection, moNum, batch, woRows, 'BACKGROUND PROCESSOR', logger);
+        await recordBatchEvents(connection, itemsWithoutWO.filter(item => item.wo_number), QUEUE_EVENTS.WO_ASSIGNED, { message: 'WO assigned' }, logger);
+      }
 
-        logger.info(`BACKGROUND PROCESSOR - Found ${woRows.length} WOs for MO ${moNum}`);
+      // Process each queue item using its assigned WO number
+      // Supports both sequential (CONCURRENT_WO_LIMIT=1) and concurrent processing
 
-        // CRITICAL: Assign WO numbers to queue items BEFORE processing
-        // This ensures that if the job is stopped and resumed, each item knows its WO number
+      // Determine processing mode
+      const useConcurrency = constants.CONCURRENT_WO_LIMIT > 1;
 
-        // Check which items need WO number assignment
-        const itemsWithoutWO = batch.filter(item => !item.wo_number);
+      if (useConcurrency) {
+        const { limit, targetLatencyMs } = concurrencyLimiter.getStatus();
+        logger.info(`BACKGROUND PROCESSOR - Concurrent processing ENABLED (limit: ${limit}/${constants.CONCURRENT_WO_LIMIT}, adapts to Fishbowl latency above ${targetLatencyMs}ms)`);
+      } else {
+        logger.info(`BACKGROUND PROCESSOR - Sequential processing (CONCURRENT_WO_LIMIT=1)`);
+      }
 
-        if (itemsWithoutWO.length > 0) {
-          if (isPartial) {
-            logger.info(`BACKGROUND PROCESSOR - Partial MO: ${itemsWithoutWO.length} items need WO number assignment`);
-          }
+      // Helper function to process a single queue item
+      const processQueueItem = async (queueItem) => {
+        // Use the wo_number from the database (already assigned above or from previous run)
+        const woNum = queueItem.wo_number;
 
-          // Use shared helper function for WO assignment
-          await assignWONumbersToQueueItems(connection, moNum, batch, woRows, 'BACKGROUND PROCESSOR', logger);
+        if (!woNum) {
+          logger.error(`BACKGROUND PROCESSOR - Queue item ${queueItem.id} (barcode: ${queueItem.barcode}) has no WO number assigned, skipping`);
+          currentJob.recordItemResult(false);
+          await connection.query(
+            `UPDATE mo_queue SET status = 'Failed', error_message = ? WHERE id = ?`,
+            ['No WO number assigned', queueItem.id]
+          );
+          return; // Exit this function early (was 'continue' when inside loop)
         }
 
-        // Process each queue item using its assigned WO number
-        // Supports both sequential (CONCURRENT_WO_LIMIT=1) and concurrent processing
+        const itemId = queueItem.id;
+        const barcode = queueItem.barcode;
+        const components = getQueueItemComponents(queueItem);
+        const serialCount = components.reduce((total, component) => total + component.serials.length, 0);
+        const trackingValues = getQueueItemTrackingValues(queueItem);
+        const fgLocation = queueItem.fg_location;
+        const buildQuantity = queueItem.build_quantity || null;
+
+        currentJob.currentWO = woNum;
+
+        logger.info(`BACKGROUND PROCESSOR - Processing WO ${woNum} | ${buildQuantity ? `Run ${barcode} x ${buildQuantity}` : `Barcode ${barcode}`}`);
+
+        const recordEvent = createEventRecorder(connection, queueItem, logger);
+
+        try {
+          // Process the work order, retrying transient failures with backoff
+          const { retries } = await runForQueueItem(
+            itemId,
+            { operationType: 'build', woNum, barcode, components, trackingValues, fgLocation, bom, buildQuantity },
+            () => runWithRetryPolicy(
+              queueItem,
+              () => processWorkOrder(serverUrl, token, database, connection, woNum, barcode, components, trackingValues, fgLocation, bom, logger, recordEvent, buildQuantity),
+              recordEvent,
+              'BACKGROUND PROCESSOR',
+              logger
+            )
+          );
+
+          // Mark as success (wo_number already set)
+          await connection.query(
+            `UPDATE mo_queue SET status = 'Success', error_message = NULL, error_category = NULL, retry_count = retry_count + ? WHERE id = ?`,
+            [retries, itemId]
+          );
+
+          currentJob.recordItemResult(true, {
+            woNum, barcode, serials: serialCount, quantity: getQueueItemBuildQuantity(queueItem), status: retries > 0 ? 'success-retry' : 'success', operationType: 'build'
+          });
 
-        // Determine processing mode
-        const useConcurrency = constants.CONCURRENT_WO_LIMIT > 1;
+          logger.info(`BACKGROUND PROCESSOR - Success${retries > 0 ? ' on retry' : ''}: ${woNum} | ${barcode}`);
 
-        if (useConcurrency) {
-          logger.info(`BACKGROUND PROCESSOR - Concurrent processing ENABLED (limit: ${constants.CONCURRENT_WO_LIMIT})`);
-          logger.warn(`BACKGROUND PROCESSOR - ⚠️  Monitor Fishbowl performance - reduce limit if issues occur`);
-        } else {
-          logger.info(`BACKGROUND PROCESSOR - Sequential processing (CONCURRENT_WO_LIMIT=1)`);
-        }
+        } catch (error) {
+          const { category, reason } = error.classification || classifyError(error);
+          const retries = error.retries || 0;
 
-        // Helper function to process a single queue item
-        const processQueueItem = async (queueItem) => {
-          // Use the wo_number from the database (already assigned above or from previous run)
-          const woNum = queueItem.wo_number;
+          if (category === ERROR_CATEGORIES.UNAVAILABLE) {
+            // Stop requested while paused; the claim is released back to Pending at the end of the job
+            logger.warn(`BACKGROUND PROCESSOR - WO ${woNum} not started, left for the next run`);
+          } else {
+            const failureStatus = getFailureStatus(queueItem, category, retries);
+            logger.error(`BACKGROUND PROCESSOR - ${failureStatus} (${category}): ${woNum} | ${barcode}`, { error: error.message, reason });
+            await recordEvent(failureStatus === 'DeadLetter' ? QUEUE_EVENTS.DEAD_LETTERED : QUEUE_EVENTS.FAILED, failureEvent(error, retries + 1));
 
-          if (!woNum) {
-            logger.error(`BACKGROUND PROCESSOR - Queue item ${queueItem.id} (barcode: ${queueItem.barcode}) has no WO number assigned, skipping`);
-            currentJob.failedItems++;
-            currentJob.processedItems++;
+            // Mark as failed (or dead-lettered once retries are used up)
             await connection.query(
-              `UPDATE mo_queue SET status = 'Failed', error_message = ? WHERE id = ?`,
-              ['No WO number assigned', queueItem.id]
+              `UPDATE mo_queue SET status = ?, error_message = ?, error_category = ?, retry_count = retry_count + ? WHERE id = ?`,
+              [failureStatus, error.message, category, retries, itemId]
             );
-            return; // Exit this function early (was 'continue' when inside loop)
-          }
 
-          const itemId = queueItem.id;
-          const barcode = queueItem.barcode;
-          const serialsJson = queueItem.serial_numbers;
-          const serials = JSON.parse(serialsJson);
-          const fgLocation = queueItem.fg_location;
-          const rawGoodsPartId = queueItem.raw_goods_part_id;
+            currentJob.recordItemResult(false, {
+              woNum, barcode, serials: serialCount, quantity: getQueueItemBuildQuantity(queueItem), status: 'failed', error: error.message, errorCategory: category, operationType: 'build'
+            });
+          }
+        }
 
-          currentJob.currentWO = woNum;
+        // Check if stop was requested AFTER completing the current work order
+        // This ensures the WO is fully processed (picked, finished, DB updated) before stopping
+        if (currentJob.stopRequested) {
+          logger.info('BACKGROUND PROCESSOR - Stop requested, pausing job after completing current WO');
+          logger.info(`BACKGROUND PROCESSOR - Last completed WO: ${woNum}`);
+          logger.info(`BACKGROUND PROCESSOR - Setting job status to 'stopped'`);
+          currentJob.status = 'stopped';
+          currentJob.endTime = new Date().toISOString();
+          currentJob.stopRequested = false;
+          logger.info(`BACKGROUND PROCESSOR - Job status is now: ${currentJob.status}`);
+          // Signal to stop processing remaining items
+          throw new Error('STOP_REQUESTED');
+        }
+      };
 
-          logger.info(`BACKGROUND PROCESSOR - Processing WO ${woNum} | Barcode ${barcode}`);
+      // Execute processing - either concurrent or sequential
+      if (useConcurrency) {
+        // Process items concurrently; the limit backs off while Fishbowl latency is high.
+        // Every worker is awaited, so none is still writing when the job releases its
+        // claims and closes the connection; items not started before a stop are left
+        // claimed and go back to Pending with the rest of the claims
+        let stopped = false;
+        const outcomes = await Promise.allSettled(batch.map(queueItem => concurrencyLimiter.run(async () => {
+          if (stopped) {
+            return;
+          }
+          try {
+            await processQueueItem(queueItem);
+          } catch (error) {
+            if (error.message === 'STOP_REQUESTED') {
+              stopped = true;
+            }
+            throw error;
+          }
+        })));
 
+        if (stopped) {
+          // Stop was requested, exit gracefully
+          return;
+        }
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failure) {
+          throw failure.reason; // Re-throw other errors
+        }
+      } else {
+        // Sequential processing (original behavior)
+        for (const queueItem of batch) {
           try {
-            // Process the work order
-            await processWorkOrder(serverUrl, token, database, connection, woNum, barcode, serials, fgLocation, bom, rawGoodsPartId, logger);
+            await processQueueItem(queueItem);
+          } catch (error) {
+            if (error.message === 'STOP_REQUESTED') {
+              // Stop was requested, exit gracefully
+              return;
+            }
+            // Individual item errors are handled inside processQueueItem
+          }
+        }
+      }
 
-            // Mark as success (wo_number already set)
-            await connection.query(
-              `UPDATE mo_queue SET status = 'Success', error_message = NULL WHERE id = ?`,
-              [itemId]
-            );
+    } catch (moError) {
+      logger.error(`BACKGROUND PROCESSOR - MO creation error: ${moError.message}`);
+      await recordBatchEvents(connection, batch, QUEUE_EVENTS.FAILED, failureEvent(moError, 1), logger);
 
-            currentJob.successItems++;
-            currentJob.results.push({
-              woNum, barcode, serials: serials.length, status: 'success', operationType: 'build'
-            });
+      // Mark all items in batch as failed
+      for (const item of batch) {
+        await connection.query(
+          `UPDATE mo_queue SET status = 'Failed', mo_number = ?, error_message = ?, error_category = ? WHERE id = ?`,
+          [moExists ? moNum : null, `${moExists ? 'Batch failed' : 'MO creation failed'}: ${moError.message}`, classifyError(moError).category, item.id]
+        );
+
+        currentJob.recordItemResult(false);
+      }
+    }
+  }
+}
 
-            logger.info(`BACKGROUND PROCESSOR - Success: ${woNum} | ${barcode}`);
+/**
+ * Group pending items by BOM and location group
+ * Each group gets its own MO sequence and batches. Rows queued without BOM
+ * details fall back to the values supplied when the job was started.
+ * Groups keep the order of their first item, so the group holding the most
+ * urgent item is processed first.
+ * @param {Array} pendingItems - Pending queue items (in processing order)
+ * @param {Object} fallback - { bom, bomId, locationGroup } used for rows missing values
+ * @returns {Array} Groups: { key, bom, bomId, locationGroup, items }
+ */
+function groupPendingItems(pendingItems, fallback = {}) {
+  const groups = new Map();
 
-          } catch (error) {
-            logger.error(`BACKGROUND PROCESSOR - Failed: ${woNum} | ${barcode}`, { error: error.message });
+  for (const item of pendingItems) {
+    const bom = item.bom_num || fallback.bom || null;
+    const bomId = item.bom_id || fallback.bomId || null;
+    const locationGroup = item.location_group_id || fallback.locationGroup || null;
+    const key = `${bom}|${bomId}|${locationGroup}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, bom, bomId, locationGroup, items: [] });
+    }
+    groups.get(key).items.push(item);
+  }
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Process queue in background
+ * Pending items are grouped by BOM and location group and each group is
+ * processed in turn with its own MO sequence. When the current job is a dry
+ * run, batches are planned instead (see planBatch) and nothing is written.
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string} database - Database name
+ * @param {string} bom - Fallback BOM number for rows queued without one
+ * @param {number} bomId - Fallback BOM ID
+ * @param {string} locationGroup - Fallback location group ID
+ * @param {Object} logger - Logger instance
+ */
+async function processQueueBackground(serverUrl, token, database, bom, bomId, locationGroup, logger) {
+  // With capture on, the whole run executes inside the capture so every Fishbowl call it makes is recorded
+  const capture = getCurrentJob().capture;
+  if (capture && !isCaptureActive()) {
+    logger.info(`BACKGROUND PROCESSOR - Capturing Fishbowl traffic to ${capture.file}`);
+    try {
+      return await runWithCapture(capture, () => processQueueBackground(serverUrl, token, database, bom, bomId, locationGroup, logger));
+    } finally {
+      await finishCapture(capture, logger);
+    }
+  }
 
-            // Check retry count
-            const retryCount = queueItem.retry_count || 0;
+  logger.info(`BACKGROUND PROCESSOR - Starting${getCurrentJob().dryRun ? ' (DRY RUN - no writes)' : ''}`);
 
-            if (retryCount < 1) {
-              // Retry once
-              logger.info(`BACKGROUND PROCESSOR - Retrying ${woNum}`);
+  let connection;
+  let heartbeatTimer = null;
 
-              try {
-                await processWorkOrder(serverUrl, token, database, connection, woNum, barcode, serials, fgLocation, bom, rawGoodsPartId, logger);
+  // Log in again with the secure-config credentials if Fishbowl drops the session mid-run.
+  // Every call site looks the client up by the original token, so all of them pick up the new one.
+  const client = getFishbowlClient(serverUrl, token);
+  client.setReauthenticator(async (expiredToken) => {
+    const newToken = await reauthenticate(serverUrl, expiredToken, logger);
+    const currentJob = getCurrentJob();
+    currentJob.reauthentications++;
+    logger.warn(`BACKGROUND PROCESSOR - Fishbowl session renewed mid-run (${currentJob.reauthentications} so far), retrying the rejected call`, {
+      currentMO: currentJob.currentMO,
+      currentWO: currentJob.currentWO
+    });
+    return newToken;
+  });
 
-                await connection.query(
-                  `UPDATE mo_queue SET status = 'Success', error_message = NULL, retry_count = ? WHERE id = ?`,
-                  [retryCount + 1, itemId]
-                );
+  try {
+    // Connect to MySQL
+    connection = await createConnection(database);
 
-                currentJob.successItems++;
-                currentJob.results.push({
-                  woNum, barcode, serials: serials.length, status: 'success-retry', operationType: 'build'
-                });
+    logger.info('BACKGROUND PROCESSOR - Connected to database');
 
-                logger.info(`BACKGROUND PROCESSOR - Success on retry: ${woNum}`);
+    const currentJob = getCurrentJob();
 
-              } catch (retryError) {
-                await connection.query(
-                  `UPDATE mo_queue SET status = 'Failed', error_message = ?, retry_count = ? WHERE id = ?`,
-                  [retryError.message, retryCount + 1, itemId]
-                );
+    if (!currentJob.dryRun) {
+      // Settle items a crashed processor left in Processing before picking up new work
+      try {
+        await recoverStaleClaims(serverUrl, token, connection, logger);
+      } catch (error) {
+        logger.warn('RECOVERY - Stale claim recovery failed (non-critical)', { error: error.message });
+      }
 
-                currentJob.failedItems++;
-                currentJob.results.push({
-                  woNum, barcode, serials: serials.length, status: 'failed', error: retryError.message, operationType: 'build'
-                });
+      heartbeatTimer = setInterval(() => {
+        heartbeatClaims(connection, INSTANCE_ID).catch(error => {
+          logger.warn('BACKGROUND PROCESSOR - Claim heartbeat failed', { error: error.message });
+        });
+      }, constants.CLAIM_HEARTBEAT_INTERVAL_MS);
+      heartbeatTimer.unref();
+    }
 
-                logger.error(`BACKGROUND PROCESSOR - Failed on retry: ${woNum}`);
-              }
-            } else {
-              // Already retried
-              await connection.query(
-                `UPDATE mo_queue SET status = 'Failed', error_message = ? WHERE id = ?`,
-                [error.message, itemId]
-              );
-
-              currentJob.failedItems++;
-              currentJob.results.push({
-                woNum, barcode, serials: serials.length, status: 'failed', error: error.message, operationType: 'build'
-              });
-            }
-          }
+    // Get pending items
+    const pendingItems = await getPendingItems(connection);
 
-          currentJob.processedItems++;
-
-          // Check if stop was requested AFTER completing the current work order
-          // This ensures the WO is fully processed (picked, finished, DB updated) before stopping
-          if (currentJob.stopRequested) {
-            logger.info('BACKGROUND PROCESSOR - Stop requested, pausing job after completing current WO');
-            logger.info(`BACKGROUND PROCESSOR - Last completed WO: ${woNum}`);
-            logger.info(`BACKGROUND PROCESSOR - Setting job status to 'stopped'`);
-            currentJob.status = 'stopped';
-            currentJob.endTime = new Date().toISOString();
-            currentJob.stopRequested = false;
-            logger.info(`BACKGROUND PROCESSOR - Job status is now: ${currentJob.status}`);
-            // Signal to stop processing remaining items
-            throw new Error('STOP_REQUESTED');
-          }
-        };
+    currentJob.totalItems = pendingItems.length;
 
-        // Execute processing - either concurrent or sequential
-        if (useConcurrency) {
-          try {
-            // Dynamic import for ES module p-limit (v5.x is ESM only)
-            const pLimit = (await import('p-limit')).default;
-            const limit = pLimit(constants.CONCURRENT_WO_LIMIT);
+    await startJobRun(connection, pendingItems, logger);
 
-            // Process items concurrently with controlled limit
-            await Promise.all(batch.map(queueItem => limit(() => processQueueItem(queueItem))));
-          } catch (error) {
-            if (error.message === 'STOP_REQUESTED') {
-              // Stop was requested, exit gracefully
-              return;
-            }
-            throw error; // Re-throw other errors
-          }
-        } else {
-          // Sequential processing (original behavior)
-          for (const queueItem of batch) {
-            try {
-              await processQueueItem(queueItem);
-            } catch (error) {
-              if (error.message === 'STOP_REQUESTED') {
-                // Stop was requested, exit gracefully
-                return;
-              }
-              // Individual item errors are handled inside processQueueItem
-            }
+    if (pendingItems.length === 0) {
+      logger.info('BACKGROUND PROCESSOR - No pending items');
+      currentJob.status = 'completed';
+      currentJob.endTime = new Date().toISOString();
+      return;
+    }
+
+    logger.info(`BACKGROUND PROCESSOR - Found ${pendingItems.length} pending items`);
+
+    const groups = groupPendingItems(pendingItems, { bom, bomId, locationGroup });
+
+    for (const group of groups) {
+      currentJob.addGroup({
+        key: group.key,
+        bomNum: group.bom,
+        bomId: group.bomId,
+        locationGroupId: group.locationGroup,
+        totalItems: group.items.length
+      });
+    }
+
+    logger.info(`BACKGROUND PROCESSOR - ${groups.length} BOM/location group(s) to process`);
+
+    for (const group of groups) {
+      currentJob.currentGroup = group.key;
+      const groupStatus = currentJob.getCurrentGroup();
+      groupStatus.status = 'running';
+
+      if (!group.bom || !group.bomId || !group.locationGroup) {
+        logger.error(`BACKGROUND PROCESSOR - ${group.items.length} item(s) have no BOM or location group, skipping`);
+
+        for (const item of group.items) {
+          if (currentJob.dryRun) {
+            currentJob.dryRunReport.addWorkOrder({ barcode: item.barcode, status: 'failed', error: 'Missing BOM or location group' });
+          } else {
+            await connection.query(
+              `UPDATE mo_queue SET status = 'Failed', error_message = ? WHERE id = ?`,
+              ['Missing BOM or location group', item.id]
+            );
           }
+          currentJob.recordItemResult(false);
         }
 
-      } catch (moError) {
-        logger.error(`BACKGROUND PROCESSOR - MO creation error: ${moError.message}`);
+        groupStatus.status = 'completed';
+        continue;
+      }
 
-        // Mark all items in batch as failed
-        for (const item of batch) {
-          await connection.query(
-            `UPDATE mo_queue SET status = 'Failed', mo_number = ?, error_message = ? WHERE id = ?`,
-            [moNum, 'MO creation failed: ' + moError.message, item.id]
-          );
+      logger.info(`BACKGROUND PROCESSOR - Group BOM ${group.bom} | Location group ${group.locationGroup}: ${group.items.length} item(s)`);
 
-          currentJob.failedItems++;
-          currentJob.processedItems++;
-        }
+      await processBomGroup(serverUrl, token, database, connection, group, logger);
+
+      if (currentJob.status === 'stopped') {
+        groupStatus.status = 'stopped';
+        logger.info('BACKGROUND PROCESSOR - Job stopped, exiting queue processor');
+        return;
       }
+
+      groupStatus.status = 'completed';
     }
 
     // Processing complete
@@ -970,12 +1463,93 @@ async function processQueueBackground(serverUrl, token, database, bom, bomId, lo
     currentJob.error = error.message;
     currentJob.endTime = new Date().toISOString();
   } finally {
+    client.setReauthenticator(null);
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+    }
     if (connection) {
+      if (!getCurrentJob().dryRun) {
+        try {
+          const released = await releaseClaims(connection, INSTANCE_ID);
+          if (released > 0) {
+            logger.info(`BACKGROUND PROCESSOR - Released ${released} unfinished claim(s) back to Pending`);
+          }
+        } catch (error) {
+          logger.error('BACKGROUND PROCESSOR - Could not release claims', { error: error.message });
+        }
+      }
+      await completeJobRun(connection, logger);
       await connection.end();
     }
   }
 }
 
+/**
+ * Write the job's outcome to its traffic archive and wait for pending writes
+ * @param {TrafficCapture} capture - Archive of the current job
+ * @param {Object} logger - Logger instance
+ */
+async function finishCapture(capture, logger) {
+  const currentJob = getCurrentJob();
+
+  capture.write({
+    type: 'summary',
+    jobRunId: currentJob.jobRunId,
+    status: currentJob.status,
+    totalItems: currentJob.totalItems,
+    successItems: currentJob.successItems,
+    failedItems: currentJob.failedItems,
+    calls: capture.calls,
+    endTime: currentJob.endTime
+  });
+  await capture.flush();
+
+  logger.info(`BACKGROUND PROCESSOR - Captured ${capture.calls} Fishbowl call(s) in archive ${capture.id}`);
+}
+
+/**
+ * Record the start of a job run and link the pending items to it
+ * History is best-effort: a failure here is logged but never blocks processing
+ * @param {Connection} connection - MySQL connection
+ * @param {Array} pendingItems - Items this run will process
+ * @param {Object} logger - Logger instance
+ */
+async function startJobRun(connection, pendingItems, logger) {
+  const currentJob = getCurrentJob();
+
+  // Dry runs leave the database untouched
+  if (currentJob.dryRun) {
+    return;
+  }
+
+  try {
+    currentJob.jobRunId = await createJobRun(connection, currentJob, INSTANCE_ID);
+    await linkQueueItemsToJobRun(connection, currentJob.jobRunId, pendingItems.map(item => item.id));
+    logger.info(`BACKGROUND PROCESSOR - Recording job run ${currentJob.jobRunId}`);
+  } catch (error) {
+    logger.warn('BACKGROUND PROCESSOR - Could not record job run history', { error: error.message });
+  }
+}
+
+/**
+ * Record the final state of the current job run
+ * @param {Connection} connection - MySQL connection
+ * @param {Object} logger - Logger instance
+ */
+async function completeJobRun(connection, logger) {
+  const currentJob = getCurrentJob();
+
+  if (!currentJob.jobRunId) {
+    return;
+  }
+
+  try {
+    await finishJobRun(connection, currentJob.jobRunId, currentJob);
+  } catch (error) {
+    logger.warn(`BACKGROUND PROCESSOR - Could not update job run ${currentJob.jobRunId}`, { error: error.message });
+  }
+}
+
 /**
  * Close short pending jobs
  * @param {string} serverUrl - Fishbowl server URL
@@ -1023,32 +1597,23 @@ async function closeShortPendingJobs(serverUrl, token, database, logger) {
         logger.info(`CLOSE SHORT - Processing MO: ${moNum}`);
 
         // Get MO ID from Fishbowl API
-        const moSql = `SELECT id FROM mo WHERE num = '${escapeSqlString(moNum)}'`;
-        const moRows = await fishbowlQuery(moSql, serverUrl, token);
+        const moId = await getMOIdByNumber(moNum, serverUrl, token);
 
-        if (!moRows || moRows.length === 0) {
+        if (moId === null) {
           logger.warn(`CLOSE SHORT - MO ${moNum} not found in Fishbowl (may not have been created)`);
           continue;
         }
 
-        const moId = moRows[0].id;
         logger.info(`CLOSE SHORT - MO ${moNum} has ID ${moId}`);
 
-        // Call close-short API
-        const { fetchWithNode } = require('../utils/helpers');
-        const closeShortResponse = await fetchWithNode(`${serverUrl}/api/manufacture-orders/${moId}/close-short`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        });
+        // Call close-short API (the response body is not always JSON, so check the raw status)
+        const closeShortResponse = await getFishbowlClient(serverUrl, token).send('POST', `/api/manufacture-orders/${moId}/close-short`);
 
-        if (closeShortResponse.ok) {
+        if (closeShortResponse.status >= 200 && closeShortResponse.status < 300) {
           logger.info(`CLOSE SHORT - Successfully closed short MO ${moNum}`);
           closedCount++;
         } else {
-          const errorText = await closeShortResponse.text();
+          const errorText = closeShortResponse.text;
           logger.error(`CLOSE SHORT - Failed to close short MO ${moNum}`, { error: errorText });
           failedMOs.push({ moNum, error: errorText });
         }
@@ -1080,6 +1645,8 @@ async function closeShortPendingJobs(serverUrl, token, database, logger) {
 }
 
 module.exports = {
+  groupPendingItems,
   processQueueBackground,
+  processDisassemblyWorkOrder,
   closeShortPendingJobs
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Reference Data Cache
+ *
+ * Fishbowl lookups that rarely change (parts, BOMs, locations, part tracking)
+ * are cached for CACHE_TTL_MS, one cache per region so a region can be
+ * invalidated on its own after it is edited in Fishbowl. Keys start with the
+ * server URL; the session token is not part of the key. Every read returns a
+ * copy, so a caller that changes a row does not change it for the next job.
+ */
+
+const { TtlCache } = require('../utils/ttlCache');
+const { CACHE_TTL_MS, CACHE_CHECK_PERIOD_MS } = require('../config/constants');
+
+const CACHE_REGIONS = {
+  PARTS: 'parts',
+  BOMS: 'boms',
+  LOCATIONS: 'locations',
+  PART_TRACKING: 'partTracking'
+};
+
+const caches = new Map(Object.values(CACHE_REGIONS).map(region => [
+  region,
+  new TtlCache({ ttlMs: CACHE_TTL_MS, checkPeriodMs: CACHE_CHECK_PERIOD_MS, clone: structuredClone })
+]));
+
+/**
+ * Get the cache for a region
+ * @param {string} region - One of CACHE_REGIONS
+ * @returns {TtlCache}
+ */
+function getReferenceCache(region) {
+  const cache = caches.get(region);
+  if (!cache) {
+    throw new Error(`Unknown cache region: ${region}`);
+  }
+  return cache;
+}
+
+/**
+ * Build a cache key
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} name - Lookup name
+ * @param {*} values - Lookup parameters
+ * @returns {string}
+ */
+function referenceCacheKey(serverUrl, name, values) {
+  return `${serverUrl}|${name}|${JSON.stringify(values)}`;
+}
+
+/**
+ * Clear one region, or every region
+ * @param {string|null} region - One of CACHE_REGIONS, or null for all
+ * @returns {Object} Region -> entries removed
+ */
+function invalidateReferenceCache(region = null) {
+  const regions = region ? [region] : Object.values(CACHE_REGIONS);
+  const removed = {};
+
+  regions.forEach(name => {
+    removed[name] = getReferenceCache(name).clear();
+  });
+
+  return removed;
+}
+
+/**
+ * Get hit/miss counts for every region
+ * @returns {Object} Region -> cache status
+ */
+function getReferenceCacheStatus() {
+  const status = {};
+  caches.forEach((cache, region) => {
+    status[region] = cache.getStatus();
+  });
+  return status;
+}
+
+module.exports = {
+  CACHE_REGIONS,
+  getReferenceCache,
+  referenceCacheKey,
+  invalidateReferenceCache,
+  getReferenceCacheStatus
+};
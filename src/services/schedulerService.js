@@ -5,18 +5,20 @@
  */
 
 const { createConnection } = require('../db/connection');
-const { getPendingItems } = require('../db/queries');
 const { processQueueBackground } = require('./queueService');
 const { loadConfig } = require('../utils/secureConfig');
 const { logger } = require('../app');
-const { login, logout } = require('./authService');
+const { login, logoutSession } = require('./authService');
+const { getFishbowlClient } = require('./fishbowlClient');
 const { getCurrentJob, startJob } = require('./jobService');
-const { SCHEDULER_CHECK_INTERVAL_MS } = require('../config');
+const { SCHEDULER_CHECK_INTERVAL_MS, SCHEDULER_DRY_RUN } = require('../config');
 const { isUISessionActive } = require('./uiSessionService');
+const { ensureLeader, getLeaderStatus } = require('./leaderService');
 
 let schedulerInterval = null;
 let schedulerStartupTimeout = null;
 let isChecking = false;
+let lastDryRunKey = null;
 
 /**
  * Start the scheduler
@@ -130,6 +132,12 @@ async function checkForScheduledJobs() {
       return;
     }
 
+    // Only the instance holding the processing lease runs scheduled jobs
+    if (!(await ensureLeader(logger))) {
+      logger.info(`SCHEDULER - Standby instance (processing lease held by ${getLeaderStatus().holder || 'unknown'}), skipping check`);
+      return;
+    }
+
     logger.info('SCHEDULER - Configuration complete, checking database for scheduled jobs...');
 
     // Connect to database
@@ -143,7 +151,7 @@ async function checkForScheduledJobs() {
 
       // Add timeout to prevent query from hanging indefinitely
       const queryPromise = connection.query(`
-        SELECT COUNT(*) as count FROM mo_queue
+        SELECT COUNT(*) as count, MAX(id) as maxId FROM mo_queue
         WHERE status = 'Pending'
           AND scheduled_for IS NOT NULL
           AND scheduled_for <= NOW()
@@ -158,6 +166,13 @@ async function checkForScheduledJobs() {
       const count = scheduledJobs[0].count;
       logger.info(`SCHEDULER - Query complete. Found ${count} scheduled job(s) ready to run`);
 
+      // Dry runs leave the items pending, so only plan the same set of due items once
+      const dryRunKey = `${count}|${scheduledJobs[0].maxId}`;
+      if (SCHEDULER_DRY_RUN && count > 0 && dryRunKey === lastDryRunKey) {
+        logger.info('SCHEDULER - Dry run already reported for these scheduled jobs, skipping');
+        return;
+      }
+
       if (count > 0) {
         const now = new Date();
         const hourMinute = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
@@ -165,33 +180,9 @@ async function checkForScheduledJobs() {
         logger.info(`SCHEDULER - Found ${count} scheduled job(s) ready to run at ${hourMinute}`);
         logger.info(`SCHEDULER - Starting automatic execution`);
 
-        // Get the first pending item to extract BOM and location group info
-        logger.info('SCHEDULER - Fetching pending job details...');
-
-        const detailsQueryPromise = connection.query(`
-          SELECT bom_num, bom_id, location_group_id
-          FROM mo_queue
-          WHERE status = 'Pending'
-            AND scheduled_for IS NOT NULL
-            AND scheduled_for <= NOW()
-          LIMIT 1
-        `);
-
-        const detailsTimeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Details query timeout after 10 seconds')), 10000)
-        );
-
-        const [pendingItems] = await Promise.race([detailsQueryPromise, detailsTimeoutPromise]);
-
-        if (pendingItems.length === 0) {
-          logger.warn('SCHEDULER - No pending items found after count check');
-          return;
-        }
-
-        const firstItem = pendingItems[0];
-        const { bom_num, bom_id, location_group_id } = firstItem;
-
-        logger.info(`SCHEDULER - Processing queue with BOM: ${bom_num}, Location Group: ${location_group_id}`);
+        // Each pending row carries its own BOM and location group;
+        // the background processor groups them and builds separate MOs
+        logger.info('SCHEDULER - Processing queue for all pending BOM/location groups');
 
         // Login to Fishbowl
         logger.info(`SCHEDULER - Logging in to Fishbowl at ${serverUrl}`);
@@ -211,22 +202,26 @@ async function checkForScheduledJobs() {
         logger.info('SCHEDULER - Login successful, starting job tracking');
 
         // Start job tracking (triggered by scheduler)
-        startJob(null, 'scheduler');
-        logger.info('SCHEDULER - Job tracking started');
+        startJob({ dryRun: SCHEDULER_DRY_RUN }, 'scheduler', logger);
+        logger.info(`SCHEDULER - Job tracking started${SCHEDULER_DRY_RUN ? ' (DRY RUN - no writes)' : ''}`);
+
+        if (SCHEDULER_DRY_RUN) {
+          lastDryRunKey = dryRunKey;
+        }
 
         // Start background processing (runs async, doesn't block)
         logger.info('SCHEDULER - Launching background queue processing...');
         setImmediate(async () => {
           try {
             logger.info('SCHEDULER - Background processing started');
-            await processQueueBackground(serverUrl, token, database, bom_num, bom_id, location_group_id, logger);
+            await processQueueBackground(serverUrl, token, database, null, null, null, logger);
 
             logger.info('SCHEDULER - Queue processing completed successfully');
 
-            // Logout after completion
+            // Logout after completion (the client holds the renewed token if the session was re-authenticated)
             try {
               logger.info('SCHEDULER - Logging out from Fishbowl');
-              await logout(serverUrl, token, logger);
+              await logoutSession(serverUrl, getFishbowlClient(serverUrl, token).token, logger);
               logger.info('SCHEDULER - Logged out successfully');
             } catch (logoutError) {
               logger.error('SCHEDULER - Logout failed (non-critical)', { error: logoutError.message });
@@ -236,7 +231,7 @@ async function checkForScheduledJobs() {
 
             // Still try to logout
             try {
-              await logout(serverUrl, token, logger);
+              await logoutSession(serverUrl, getFishbowlClient(serverUrl, token).token, logger);
             } catch (logoutError) {
               logger.error('SCHEDULER - Logout failed after error', { error: logoutError.message });
             }
@@ -282,7 +277,9 @@ function getSchedulerStatus() {
   return {
     running: schedulerInterval !== null,
     isChecking: isChecking,
-    checkIntervalMs: SCHEDULER_CHECK_INTERVAL_MS
+    checkIntervalMs: SCHEDULER_CHECK_INTERVAL_MS,
+    dryRun: SCHEDULER_DRY_RUN,
+    role: getLeaderStatus().role
   };
 }
 
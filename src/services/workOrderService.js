@@ -1,11 +1,301 @@
-const { fishbowlQuery, callFishbowlLegacy } = require('./fishbowlApi');
-const { validateSerialNumbers, buildInClause, escapeSqlString, escapeSqlNumber } = require('../utils/sqlHelpers');
+const { getFishbowlClient, FishbowlLegacyError } = require('./fishbowlClient');
+const { getLocationByName } = require('../db/sharedQueries');
+const { runFishbowlQuery } = require('../db/fishbowlQueries');
+const { QUEUE_EVENTS, PICK_LOCATION_RULES, PICK_PREFERRED_LOCATION_GROUP } = require('../config/constants');
+const { formatTrackingValue } = require('../utils/trackingValues');
+const { ERROR_CATEGORIES, permanentError } = require('../utils/retryPolicy');
+const { getTrackingRoles, findPartTracking } = require('../utils/trackingRoles');
+const { describeLocation, selectSerialLocations, selectQuantityLocations } = require('../utils/pickLocations');
 
 /**
  * Work Order Service
  * Handles work order processing logic
  */
 
+/**
+ * Build an error for a failed Fishbowl step
+ * Carries the legacy request that failed and its status code so the
+ * failure can be recorded on the queue item's event timeline
+ * @param {string} message - Error message
+ * @param {string} step - Legacy request type (e.g. 'SavePickRq')
+ * @param {Object} response - Legacy response object (e.g. SavePickRs)
+ * @param {string|null} category - Retry category when the step failed on the data
+ *                                 rather than on Fishbowl (see utils/retryPolicy)
+ * @returns {Error}
+ */
+function fishbowlStepError(message, step, response, category = null) {
+  return new FishbowlLegacyError(message, {
+    endpoint: step,
+    step,
+    statusCode: response?.statusCode,
+    statusMessage: response?.statusMessage,
+    category
+  });
+}
+
+/**
+ * Call a legacy Fishbowl request, tagging transport errors with the request type
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string} requestType - Legacy request type
+ * @param {Object} payload - Request payload
+ * @returns {Promise<Object>} Legacy response
+ */
+async function callLegacyStep(serverUrl, token, requestType, payload) {
+  try {
+    return await getFishbowlClient(serverUrl, token).legacy(requestType, payload);
+  } catch (error) {
+    error.step = error.step || requestType;
+    throw error;
+  }
+}
+
+/**
+ * Build the pick location options of an MO from PICK_LOCATION_RULES
+ * @param {number|null} moLocationGroupId - Location group ID of the MO (null when unknown)
+ * @returns {Object} { rules, moLocationGroupId, preferredLocationGroupId }
+ */
+function pickLocationOptions(moLocationGroupId) {
+  return {
+    rules: PICK_LOCATION_RULES,
+    moLocationGroupId: Number(moLocationGroupId) || null,
+    preferredLocationGroupId: PICK_PREFERRED_LOCATION_GROUP
+  };
+}
+
+/**
+ * Look up where each serial is stored and choose the tag it is picked from
+ * Only serials of the given raw goods part on the BOM are considered; a serial
+ * on several tags is taken from the best one under PICK_LOCATION_RULES
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string} bom - BOM number
+ * @param {number} rawGoodsPartId - Raw goods part ID
+ * @param {Array} serials - Serial numbers
+ * @param {Object} locationOptions - From pickLocationOptions
+ * @returns {Promise<Map>} Tag -> { locationInfo, serials }
+ * @throws {Error} If a serial is only at locations the rules exclude
+ */
+async function getSerialLocations(serverUrl, token, bom, rawGoodsPartId, serials, locationOptions = pickLocationOptions(null)) {
+  // Serial numbers are validated by the serialList parameter type
+  const locationRows = await runFishbowlQuery(serverUrl, token, 'serialLocations', {
+    bomNum: bom,
+    partId: rawGoodsPartId,
+    serials
+  });
+
+  if (locationRows.length === 0) {
+    throw fishbowlStepError('No serial locations found', 'data-query', null, ERROR_CATEGORIES.PERMANENT);
+  }
+
+  const { locationGroups, excluded } = selectSerialLocations(locationRows, locationOptions);
+
+  if (excluded.length > 0) {
+    const details = excluded.map(entry => `${entry.serial} (at ${entry.locations.join(', ')})`).join('; ');
+    throw fishbowlStepError(`No pick location allowed by PICK_LOCATION_RULES for serial(s): ${details}`, 'data-query', null, ERROR_CATEGORIES.PERMANENT);
+  }
+
+  return locationGroups;
+}
+
+/**
+ * Choose the tags an untracked raw good is picked from
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {Object} part - Part of the pick item ({ PartID, Number })
+ * @param {number} quantity - Quantity to pick
+ * @param {Object} locationOptions - From pickLocationOptions
+ * @returns {Promise<Array<Object>>} [{ locationInfo, quantity }] of the chosen tags
+ * @throws {Error} If the allowed tags together hold less than the quantity
+ */
+async function getQuantityLocations(serverUrl, token, part, quantity, locationOptions) {
+  const rows = await runFishbowlQuery(serverUrl, token, 'partPickLocations', { partId: Number(part.PartID) });
+  const allocations = selectQuantityLocations(rows, quantity, locationOptions);
+
+  if (!allocations) {
+    throw fishbowlStepError(`No pick locations allowed by PICK_LOCATION_RULES hold ${quantity} of ${part.Number || part.PartID} between them`, 'data-query', null, ERROR_CATEGORIES.PERMANENT);
+  }
+
+  return allocations;
+}
+
+/**
+ * Build the Location of a pick item
+ * @param {Object} locInfo - Location info (see utils/pickLocations)
+ * @returns {Object} Fishbowl Location object
+ */
+function pickItemLocation(locInfo) {
+  return {
+    LocationID: locInfo.locationId,
+    TypeID: locInfo.locationTypeId || 20,
+    Name: locInfo.locationName,
+    Description: locInfo.locationDescription || '',
+    CountedAsAvailable: locInfo.countedAsAvailable !== false,
+    Active: locInfo.active !== false,
+    Pickable: locInfo.pickable !== false,
+    Receivable: locInfo.receivable !== false,
+    LocationGroupID: locInfo.locationGroupId,
+    LocationGroupName: locInfo.locationGroupName,
+    TagID: locInfo.tagId || -1,
+    TagNumber: locInfo.tagNum || '-1',
+    ParentID: 0,
+    SortOrder: 0
+  };
+}
+
+/**
+ * Resolve the value tracking (lot number, expiration date, revision, ...) of a build
+ * Every value-tracked part of the BOM needs a value for each of its trackings;
+ * values are formatted for their tracking type
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string} bom - BOM number
+ * @param {Object} trackingValues - { partId: { partTrackingId: value } }
+ * @returns {Promise<Object>} { byPart: Map partId -> [{ id, name, abbr, typeId, partNum, finishedGood, value }], missing: ['PART Tracking', ...] }
+ * @throws {Error} If a value does not fit its tracking type
+ */
+async function resolveValueTracking(serverUrl, token, bom, trackingValues = {}) {
+  const rows = await runFishbowlQuery(serverUrl, token, 'valueTrackingForBom', { bomNum: bom });
+  const byPart = new Map();
+  const missing = [];
+
+  rows.forEach(row => {
+    const partId = Number(row.part_id);
+    const trackingId = Number(row.parttracking_id);
+    const resolved = byPart.get(partId) || [];
+
+    // A part on the BOM as both finished good and raw good is listed twice
+    if (resolved.some(tracking => tracking.id === trackingId)) {
+      return;
+    }
+    byPart.set(partId, resolved);
+
+    const label = `${row.part_num} ${row.parttracking_name}`;
+    const value = trackingValues[String(partId)]?.[String(trackingId)];
+
+    if (value === undefined) {
+      missing.push(label);
+      return;
+    }
+
+    try {
+      resolved.push({
+        id: trackingId,
+        name: row.parttracking_name,
+        abbr: row.parttracking_abbr,
+        typeId: Number(row.parttracking_typeid),
+        partNum: row.part_num,
+        finishedGood: Number(row.bomitem_typeid) === 10,
+        value: formatTrackingValue(row.parttracking_typeid, value)
+      });
+    } catch (error) {
+      throw permanentError(`${label}: ${error.message}`);
+    }
+  });
+
+  return { byPart, missing };
+}
+
+/**
+ * Build the value TrackingItems of a pick or work order item
+ * Uses the part's own PartTracking objects where Fishbowl returned them
+ * @param {Object} part - Part of the pick or work order item
+ * @param {Array<Object>} resolved - Resolved value tracking of the part
+ * @returns {Array<Object>} TrackingItems
+ */
+function valueTrackingItems(part, resolved = []) {
+  return resolved.map(tracking => ({
+    PartTracking: findPartTracking(part, tracking.id) ||
+      { PartTrackingID: tracking.id, Name: tracking.name, Abbr: tracking.abbr, TrackingTypeID: tracking.typeId },
+    TrackingValue: tracking.value
+  }));
+}
+
+/**
+ * Split a serialized pick item into one pick item per tag its serials are picked from
+ * The first keeps the original PickItemID; the others are new (PickItemID 0)
+ * @param {Object} serializedItem - Pick item of the serialized raw good
+ * @param {Map} locationGroups - From getSerialLocations
+ * @param {number} serialTrackingId - Part tracking ID of the component serial role
+ * @param {Array<Object>} valueTracking - Resolved value tracking of the part (lot, ...), set on every split item
+ * @returns {Array<Object>} Pick items with location and serial tracking set
+ */
+function splitSerializedPickItem(serializedItem, locationGroups, serialTrackingId, valueTracking = []) {
+  const serialTracking = findPartTracking(serializedItem.Part, serialTrackingId);
+
+  if (!serialTracking) {
+    throw permanentError(`Could not find serial tracking (part tracking ${serialTrackingId}) for part ${serializedItem.Part.Number || serializedItem.Part.PartID}`);
+  }
+
+  const pickItems = [];
+  let isFirst = true;
+
+  for (const [, group] of locationGroups) {
+    const pickItem = JSON.parse(JSON.stringify(serializedItem));
+
+    pickItem.PickItemID = isFirst ? serializedItem.PickItemID : 0;
+    isFirst = false;
+
+    pickItem.Quantity = group.serials.length.toString();
+    pickItem.Status = 40;
+
+    pickItem.Location = pickItemLocation(group.locationInfo);
+
+    pickItem.Tracking = {
+      TrackingItem: [{
+        PartTracking: serialTracking,
+        SerialBoxList: {
+          SerialBox: group.serials.map(serial => ({
+            Committed: false, SerialID: -1, TagID: -1,
+            SerialNumList: { SerialNum: [{ Number: serial, PartTracking: serialTracking, SerialID: -1, SerialNumID: -1 }] }
+          }))
+        },
+        TrackingValue: ""
+      }, ...valueTrackingItems(serializedItem.Part, valueTracking)]
+    };
+
+    if (pickItem.Part?.PartTrackingList?.PartTracking && !Array.isArray(pickItem.Part.PartTrackingList.PartTracking)) {
+      pickItem.Part.PartTrackingList.PartTracking = [pickItem.Part.PartTrackingList.PartTracking];
+    }
+
+    pickItems.push(pickItem);
+  }
+
+  return pickItems;
+}
+
+/**
+ * Split an untracked pick item into one pick item per chosen tag
+ * @param {Object} item - Pick item
+ * @param {Array<Object>} allocations - From getQuantityLocations
+ * @returns {Array<Object>} Pick items (the first keeps the original PickItemID)
+ */
+function splitQuantityPickItem(item, allocations) {
+  return allocations.map((allocation, index) => {
+    const pickItem = JSON.parse(JSON.stringify(item));
+
+    pickItem.PickItemID = index === 0 ? item.PickItemID : 0;
+    pickItem.Quantity = allocation.quantity.toString();
+    pickItem.Status = 40;
+    pickItem.Location = pickItemLocation(allocation.locationInfo);
+
+    return pickItem;
+  });
+}
+
+/**
+ * Find the finished good item of a work order
+ * @param {Object} wo - WO from GetWorkOrderRs
+ * @returns {Object|undefined} WOItem with TypeID 10
+ */
+function findFinishedGoodItem(wo) {
+  const woItems = wo?.WOItems?.WOItem;
+  if (!woItems) {
+    return undefined;
+  }
+  return (Array.isArray(woItems) ? woItems : [woItems]).find(item => item.TypeID === 10);
+}
+
 /**
  * Process a work order
  * @param {string} serverUrl - Fishbowl server URL
@@ -14,42 +304,61 @@ const { validateSerialNumbers, buildInClause, escapeSqlString, escapeSqlNumber }
  * @param {Connection} connection - MySQL connection
  * @param {string} woNum - Work order number
  * @param {string} barcode - Finished good barcode
- * @param {Array} serials - Serial numbers
+ * @param {Array<Object>} components - Serialized raw goods consumed: [{ partId, serials }]
+ * @param {Object} trackingValues - Lot, expiration date, revision, ... values: { partId: { partTrackingId: value } }
  * @param {string} fgLocation - Finished goods location
  * @param {string} bom - BOM number
- * @param {number} rawGoodsPartId - Raw goods part ID
  * @param {Object} logger - Logger instance
+ * @param {Function} recordEvent - Optional event recorder from createEventRecorder
+ * @param {number|null} buildQuantity - Finished goods made by a quantity build (no FG barcode; barcode is the run reference), null for one barcoded FG
  */
-async function processWorkOrder(serverUrl, token, database, connection, woNum, barcode, serials, fgLocation, bom, rawGoodsPartId, logger) {
+async function processWorkOrder(serverUrl, token, database, connection, woNum, barcode, components, trackingValues, fgLocation, bom, logger, recordEvent = async () => {}, buildQuantity = null) {
   const dateScheduled = new Date().toISOString().slice(0, 19);
 
   // Check if WO is already completed (from previous run before job was stopped)
   logger.debug(`WO ${woNum} - Checking if WO is already completed`);
   const getWOCheckPayload = { GetWorkOrderRq: { WorkOrderNumber: woNum } };
-  const getWOCheckResult = await callFishbowlLegacy(serverUrl, token, 'GetWorkOrderRq', getWOCheckPayload);
+  const getWOCheckResult = await callLegacyStep(serverUrl, token, 'GetWorkOrderRq', getWOCheckPayload);
 
-  if (!getWOCheckResult.FbiJson?.FbiMsgsRs?.ErrorRs) {
-    const woCheck = getWOCheckResult.FbiJson.FbiMsgsRs.GetWorkOrderRs.WO;
+  const woCheck = getWOCheckResult.FbiJson?.FbiMsgsRs?.ErrorRs ? null : getWOCheckResult.FbiJson.FbiMsgsRs.GetWorkOrderRs.WO;
+
+  if (woCheck) {
     logger.debug(`WO ${woNum} - Current WO Status: ${woCheck.StatusID}`);
     if (woCheck.StatusID >= 50) {
       logger.info(`WO ${woNum} - Already completed (Status: ${woCheck.StatusID}), skipping processing`);
+      await recordEvent(QUEUE_EVENTS.WO_COMPLETED, { message: `WO already completed (Status: ${woCheck.StatusID})` });
       return; // WO already complete, nothing to do
     }
   } else {
     logger.debug(`WO ${woNum} - WO check returned error, will proceed with normal processing`);
   }
 
+  const trackingRoles = await getTrackingRoles();
+
+  // A quantity build has no barcode per unit, so its finished good must not be barcode-tracked;
+  // checked before the pick is touched
+  const checkedFg = findFinishedGoodItem(woCheck);
+  if (buildQuantity && checkedFg && findPartTracking(checkedFg.Part, trackingRoles.fgIdentifier)) {
+    throw permanentError(`Quantity build not allowed: part ${checkedFg.Part?.Num || checkedFg.Part?.PartID} is barcode-tracked and needs one barcode per unit`);
+  }
+
+  // Value tracking (lot, expiration date, revision) must be complete before anything is written
+  const valueTracking = await resolveValueTracking(serverUrl, token, bom, trackingValues);
+  if (valueTracking.missing.length > 0) {
+    throw permanentError(`Missing tracking values: ${valueTracking.missing.join(', ')}`);
+  }
+
   // STEP 1: GetPickRq via legacy API
   logger.debug(`WO ${woNum} - Fetching pick from Fishbowl`);
   const getPickPayload = { GetPickRq: { WoNum: woNum } };
-  const pickResult = await callFishbowlLegacy(serverUrl, token, 'GetPickRq', getPickPayload);
+  const pickResult = await callLegacyStep(serverUrl, token, 'GetPickRq', getPickPayload);
 
   if (pickResult.FbiJson?.FbiMsgsRs?.GetPickRs?.statusCode !== 1000) {
     logger.error(`WO ${woNum} - Failed to get pick`, {
       statusCode: pickResult.FbiJson?.FbiMsgsRs?.GetPickRs?.statusCode,
       statusMessage: pickResult.FbiJson?.FbiMsgsRs?.GetPickRs?.statusMessage
     });
-    throw new Error('Failed to get pick');
+    throw fishbowlStepError('Failed to get pick', 'GetPickRq', pickResult.FbiJson?.FbiMsgsRs?.GetPickRs);
   }
 
   const pick = pickResult.FbiJson.FbiMsgsRs.GetPickRs.Pick;
@@ -68,313 +377,355 @@ async function processWorkOrder(serverUrl, token, database, connection, woNum, b
     // Pick needs to be opened
     logger.debug(`WO ${woNum} - Opening pick (current status: ${pick.Status})`);
     pick.DateScheduled = pick.DateStarted = dateScheduled;
-    const savePickResult1 = await callFishbowlLegacy(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: pick } });
+    const savePickResult1 = await callLegacyStep(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: pick } });
 
     if (savePickResult1.FbiJson?.FbiMsgsRs?.SavePickRs?.statusCode !== 1000) {
       logger.error(`WO ${woNum} - Failed to open pick`, {
         statusCode: savePickResult1.FbiJson?.FbiMsgsRs?.SavePickRs?.statusCode,
         statusMessage: savePickResult1.FbiJson?.FbiMsgsRs?.SavePickRs?.statusMessage
       });
-      throw new Error('Failed to open pick');
+      throw fishbowlStepError('Failed to open pick', 'SavePickRq', savePickResult1.FbiJson?.FbiMsgsRs?.SavePickRs);
     }
 
     savedPick = savePickResult1.FbiJson.FbiMsgsRs.SavePickRs.Pick;
     logger.info(`WO ${woNum} - Pick opened successfully`);
+    await recordEvent(QUEUE_EVENTS.PICK_OPENED, { message: `Pick ${savedPick.Num} opened` });
     logger.debug(`WO ${woNum} - New pick status: ${savedPick.Status}`);
   }
 
-  // STEP 3: Query serial locations from Fishbowl API - FILTERED BY SELECTED RAW GOODS PART
-  // Validate serial numbers before building query
-  validateSerialNumbers(serials);
-
-  const serialsInClause = buildInClause(serials, 'string');
-
-  const locationSql = `
-    SELECT
-      serialnum.SerialNum as serial,
-      location.id as location_id,
-      location.name as location_name,
-      locationgroup.id as locationgroup_id,
-      locationgroup.name as locationgroup_name,
-      location.typeid as location_typeid,
-      location.description as location_description,
-      location.pickable as location_pickable,
-      location.receivable as location_receivable,
-      location.activeflag as location_active,
-      location.countedAsAvailable as location_counted_as_available,
-      tag.id as tag_id,
-      tag.num as tag_num
-    FROM bom
-    JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 20
-    JOIN part ON part.id = bomitem.partid
-    JOIN tag ON tag.partid = part.id
-    JOIN serial ON serial.tagid = tag.id
-    JOIN serialnum ON serialnum.serialid = serial.id AND serialnum.parttrackingid = 4
-    JOIN location ON location.id = tag.locationid
-    JOIN locationgroup ON locationgroup.id = location.locationgroupid
-    WHERE bom.num = '${escapeSqlString(bom)}'
-      AND part.id = ${escapeSqlNumber(rawGoodsPartId, 'rawGoodsPartId')}
-      AND serialnum.SerialNum IN (${serialsInClause})
-    ORDER BY location.id, serialnum.SerialNum
-  `;
-
-  const locationRows = await fishbowlQuery(locationSql, serverUrl, token);
-
-  if (locationRows.length === 0) {
-    throw new Error('No serial locations found');
+  // STEP 3: Query serial locations from Fishbowl API - one lookup per serialized component
+  // Stock is taken from locations allowed by PICK_LOCATION_RULES within the pick's location group
+  const locationOptions = pickLocationOptions(savedPick.LocationGroupID);
+  const serializedComponents = [];
+  for (const component of components) {
+    const locationGroups = await getSerialLocations(serverUrl, token, bom, component.partId, component.serials, locationOptions);
+    serializedComponents.push({ ...component, locationGroups });
   }
 
-  // Build location map
-  const serialLocationMap = new Map();
-  const locationGroups = new Map();
-
-  locationRows.forEach(row => {
-    const serial = row.serial;
-    const locId = row.location_id;
-    const locInfo = {
-      locationId: locId,
-      locationName: row.location_name,
-      locationGroupId: row.locationgroup_id,
-      locationGroupName: row.locationgroup_name,
-      locationTypeId: row.location_typeid,
-      locationDescription: row.location_description,
-      tagId: row.tag_id,
-      tagNum: row.tag_num,
-      pickable: row.location_pickable,
-      receivable: row.location_receivable,
-      active: row.location_active,
-      countedAsAvailable: row.location_counted_as_available
-    };
-
-    serialLocationMap.set(serial, locInfo);
-
-    if (!locationGroups.has(locId)) {
-      locationGroups.set(locId, { locationInfo: locInfo, serials: [] });
-    }
-    locationGroups.get(locId).serials.push(serial);
-  });
-
-  // STEP 4: Split pick by location (only if not already processed)
+  // STEP 4: Split each component's pick item by location (only if not already processed)
   // If pick status is already 40+ and pick items have tracking, pick was already split in previous run
   const originalPickItem = savedPick.PickItems.PickItem;
   const pickItemArray = Array.isArray(originalPickItem) ? originalPickItem : [originalPickItem];
 
-  // Find the serialized raw goods item that matches our rawGoodsPartId
-  const serializedItemIndex = pickItemArray.findIndex(item =>
-    item.Part?.PartID?.toString() === rawGoodsPartId.toString()
-  );
-
-  if (serializedItemIndex === -1) {
-    throw new Error(`Could not find pick item for raw goods part ID ${rawGoodsPartId}`);
-  }
+  // Find the serialized raw goods item of each component
+  serializedComponents.forEach(component => {
+    component.pickItemIndex = pickItemArray.findIndex(item =>
+      item.Part?.PartID?.toString() === component.partId.toString()
+    );
 
-  const serializedItem = pickItemArray[serializedItemIndex];
+    if (component.pickItemIndex === -1) {
+      throw permanentError(`Could not find pick item for raw goods part ID ${component.partId}`);
+    }
+  });
 
-  // Check if pick is already split and finished (has tracking with serials)
-  const alreadyProcessed = pick.Status >= 40 && serializedItem.Tracking?.TrackingItem;
+  // Check if pick is already split and finished (every component has tracking with serials;
+  // without serialized components, as in quantity builds, every pick item is picked)
+  const alreadyProcessed = pick.Status >= 40 && (serializedComponents.length > 0
+    ? serializedComponents.every(component => pickItemArray[component.pickItemIndex].Tracking?.TrackingItem)
+    : pickItemArray.every(item => Number(item.Status) >= 40));
 
   logger.debug(`WO ${woNum} - Checking if pick needs splitting`, {
     pickStatus: pick.Status,
-    hasTracking: !!serializedItem.Tracking?.TrackingItem,
     alreadyProcessed,
     totalPickItems: pickItemArray.length,
-    serializedItemIndex
+    serializedItemIndexes: serializedComponents.map(component => component.pickItemIndex)
   });
 
   if (alreadyProcessed) {
     logger.info(`WO ${woNum} - Pick already split and processed in previous run, skipping split step`);
     logger.debug(`WO ${woNum} - Existing pick items count: ${pickItemArray.length}`);
   } else {
-    logger.info(`WO ${woNum} - Splitting pick by location`);
-    logger.debug(`WO ${woNum} - Locations to split across: ${locationGroups.size}`);
-    logger.debug(`WO ${woNum} - Preserving ${pickItemArray.length - 1} non-serialized pick items`);
+    logger.info(`WO ${woNum} - Splitting pick by location for ${serializedComponents.length} serialized component(s)`);
+    logger.debug(`WO ${woNum} - Preserving ${pickItemArray.length - serializedComponents.length} non-serialized pick items`);
 
-    const partTracking = serializedItem.Part.PartTrackingList.PartTracking;
-    const trackingArray = Array.isArray(partTracking) ? partTracking : [partTracking];
-    const serialTracking = trackingArray.find(t => t.PartTrackingID === 4 || t.Name.toLowerCase().includes('serial'));
-
-    if (!serialTracking) {
-      throw new Error('Could not find serial tracking');
-    }
-
-    const newSerializedPickItems = [];
-    let isFirst = true;
-
-    for (const [locId, group] of locationGroups) {
-      const locInfo = group.locationInfo;
-      const pickItem = JSON.parse(JSON.stringify(serializedItem));
-
-      pickItem.PickItemID = isFirst ? serializedItem.PickItemID : 0;
-      isFirst = false;
-
-      pickItem.Quantity = group.serials.length.toString();
-      pickItem.Status = 40;
-
-      pickItem.Location = {
-        LocationID: locInfo.locationId,
-        TypeID: locInfo.locationTypeId || 20,
-        Name: locInfo.locationName,
-        Description: locInfo.locationDescription || '',
-        CountedAsAvailable: locInfo.countedAsAvailable !== false,
-        Active: locInfo.active !== false,
-        Pickable: locInfo.pickable !== false,
-        Receivable: locInfo.receivable !== false,
-        LocationGroupID: locInfo.locationGroupId,
-        LocationGroupName: locInfo.locationGroupName,
-        TagID: locInfo.tagId || -1,
-        TagNumber: locInfo.tagNum || '-1',
-        ParentID: 0,
-        SortOrder: 0
-      };
-
-      pickItem.Tracking = {
-        TrackingItem: [{
-          PartTracking: serialTracking,
-          SerialBoxList: {
-            SerialBox: group.serials.map(serial => ({
-              Committed: false, SerialID: -1, TagID: -1,
-              SerialNumList: { SerialNum: [{ Number: serial, PartTracking: serialTracking, SerialID: -1, SerialNumID: -1 }] }
-            }))
-          },
-          TrackingValue: ""
-        }]
-      };
+    const newSerializedPickItems = serializedComponents.flatMap(component => {
+      logger.debug(`WO ${woNum} - Part ${component.partId}: ${component.serials.length} serial(s) across ${component.locationGroups.size} location(s)`);
+      return splitSerializedPickItem(pickItemArray[component.pickItemIndex], component.locationGroups, trackingRoles.componentSerial, valueTracking.byPart.get(component.partId));
+    });
 
-      if (pickItem.Part?.PartTrackingList?.PartTracking && !Array.isArray(pickItem.Part.PartTrackingList.PartTracking)) {
-        pickItem.Part.PartTrackingList.PartTracking = [pickItem.Part.PartTrackingList.PartTracking];
+    // Preserve all other pick items (non-serialized BOM components)
+    // Set their status to 40 (picked) so they are processed; lot-tracked ones get their values
+    // (their lot decides the stock), untracked ones not yet picked get a source location
+    const serializedIndexes = new Set(serializedComponents.map(component => component.pickItemIndex));
+    const quantityLocations = [];
+    const otherPickItems = [];
+
+    for (const item of pickItemArray.filter((_, index) => !serializedIndexes.has(index))) {
+      const processedItem = JSON.parse(JSON.stringify(item));
+      const quantity = Number(processedItem.Quantity) || 0;
+
+      const trackingItems = valueTrackingItems(processedItem.Part, valueTracking.byPart.get(Number(processedItem.Part?.PartID)));
+      if (trackingItems.length > 0) {
+        processedItem.Tracking = { TrackingItem: trackingItems };
+      } else if (processedItem.Status < 40 && quantity > 0) {
+        const allocations = await getQuantityLocations(serverUrl, token, processedItem.Part, quantity, locationOptions);
+        allocations.forEach(allocation => quantityLocations.push({
+          partId: Number(processedItem.Part.PartID),
+          location: describeLocation(allocation.locationInfo),
+          tagNum: allocation.locationInfo.tagNum,
+          quantity: allocation.quantity
+        }));
+        otherPickItems.push(...splitQuantityPickItem(processedItem, allocations));
+        continue;
       }
 
-      newSerializedPickItems.push(pickItem);
+      processedItem.Status = 40;
+      otherPickItems.push(processedItem);
     }
 
-    // Preserve all other pick items (non-serialized BOM components)
-    // Set their status to 40 (picked) so they are processed
-    const otherPickItems = pickItemArray
-      .filter((_, index) => index !== serializedItemIndex)
-      .map(item => {
-        const processedItem = JSON.parse(JSON.stringify(item));
-        processedItem.Status = 40;
-        return processedItem;
-      });
-
     // Combine: split serialized items + all other original items
     const allPickItems = [...newSerializedPickItems, ...otherPickItems];
 
     savedPick.PickItems.PickItem = allPickItems;
 
+    const serialCount = serializedComponents.reduce((total, component) => total + component.serials.length, 0);
+    await recordEvent(QUEUE_EVENTS.PICK_SPLIT, {
+      message: `Split ${serialCount} serial(s) of ${serializedComponents.length} component(s) across ${newSerializedPickItems.length} pick item(s)`,
+      details: {
+        rules: locationOptions.rules,
+        locations: serializedComponents.flatMap(component => Array.from(component.locationGroups.values()).map(group => ({
+          partId: component.partId,
+          location: describeLocation(group.locationInfo),
+          tagNum: group.locationInfo.tagNum,
+          serials: group.serials.length
+        }))).concat(quantityLocations)
+      }
+    });
+
     logger.debug(`WO ${woNum} - Final pick item breakdown: ${newSerializedPickItems.length} serialized + ${otherPickItems.length} other = ${allPickItems.length} total`);
 
     logger.debug(`WO ${woNum} - Saving split pick with ${allPickItems.length} pick items`);
-    const savePickResult2 = await callFishbowlLegacy(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: savedPick } });
+    const savePickResult2 = await callLegacyStep(serverUrl, token, 'SavePickRq', { SavePickRq: { Pick: savedPick } });
 
     if (savePickResult2.FbiJson?.FbiMsgsRs?.SavePickRs?.statusCode !== 1000) {
       logger.error(`WO ${woNum} - Failed to finish pick`, {
         statusCode: savePickResult2.FbiJson?.FbiMsgsRs?.SavePickRs?.statusCode,
         statusMessage: savePickResult2.FbiJson?.FbiMsgsRs?.SavePickRs?.statusMessage
       });
-      throw new Error('Failed to finish pick');
+      throw fishbowlStepError('Failed to finish pick', 'SavePickRq', savePickResult2.FbiJson?.FbiMsgsRs?.SavePickRs);
     }
 
     logger.info(`WO ${woNum} - Pick split and saved successfully`);
+    await recordEvent(QUEUE_EVENTS.PICK_FINISHED, { message: `Pick finished with ${allPickItems.length} pick item(s)` });
     logger.debug(`WO ${woNum} - Final pick status: ${savePickResult2.FbiJson.FbiMsgsRs.SavePickRs.Pick.Status}`);
   }
 
   // STEP 5: Get WO and complete it
   const getWOPayload = { GetWorkOrderRq: { WorkOrderNumber: woNum } };
-  const getWOResult = await callFishbowlLegacy(serverUrl, token, 'GetWorkOrderRq', getWOPayload);
+  const getWOResult = await callLegacyStep(serverUrl, token, 'GetWorkOrderRq', getWOPayload);
 
   if (getWOResult.FbiJson?.FbiMsgsRs?.ErrorRs) {
-    throw new Error('Failed to get work order');
+    throw fishbowlStepError('Failed to get work order', 'GetWorkOrderRq', getWOResult.FbiJson.FbiMsgsRs.ErrorRs);
   }
 
   const wo = getWOResult.FbiJson.FbiMsgsRs.GetWorkOrderRs.WO;
 
-  // STEP 6: Complete WO with barcode
+  // STEP 6: Complete WO with barcode (or the build quantity for quantity builds)
   wo.DateScheduled = wo.DateScheduledToStart = dateScheduled;
   wo.StatusID = 40;
 
-  if (wo.WOItems && wo.WOItems.WOItem) {
-    const woItems = Array.isArray(wo.WOItems.WOItem) ? wo.WOItems.WOItem : [wo.WOItems.WOItem];
-    const fgItem = woItems.find(item => item.TypeID === 10);
-
-    if (fgItem) {
-      fgItem.QtyUsed = "1";
-
-      const partTrackingList = fgItem.Part?.PartTrackingList?.PartTracking;
-      const partTrackingArray = Array.isArray(partTrackingList) ? partTrackingList : [partTrackingList];
-      const barcodeTrackingInfo = partTrackingArray.find(pt => pt.Name === "Barcode");
-
-      if (barcodeTrackingInfo) {
-        fgItem.Tracking = {
-          TrackingItem: [{
-            PartTracking: barcodeTrackingInfo,
-            SerialBoxList: {
-              SerialBox: [{
-                Committed: false, SerialID: -1, TagID: -1,
-                SerialNumList: { SerialNum: [{ Number: barcode, PartTracking: barcodeTrackingInfo, SerialID: -1, SerialNumID: -1 }] }
-              }]
-            },
-            TrackingValue: ""
-          }]
-        };
-      }
+  const fgItem = findFinishedGoodItem(wo);
 
-      // Set FG Location
-      const [locGroupName, locName] = fgLocation.split('-');
-      const locationQuerySql = `
-        SELECT
-          location.id as location_id,
-          location.typeid as location_typeid,
-          location.name as location_name,
-          location.description as location_description,
-          location.countedAsAvailable,
-          location.activeflag,
-          location.pickable,
-          location.receivable,
-          location.sortorder,
-          locationgroup.id as locationgroup_id,
-          locationgroup.name as locationgroup_name,
-          tag.id as tag_id,
-          tag.num as tag_num
-        FROM location
-        JOIN locationgroup ON locationgroup.id = location.locationgroupid
-        LEFT JOIN tag ON tag.locationid = location.id
-        WHERE locationgroup.name = '${escapeSqlString(locGroupName)}'
-          AND location.name = '${escapeSqlString(locName)}'
-      `;
-      const locRows = await fishbowlQuery(locationQuerySql, serverUrl, token);
-
-      if (locRows.length > 0) {
-        const loc = locRows[0];
-        fgItem.DestLocation = {
-          Location: {
-            LocationID: loc.location_id,
-            TypeID: loc.location_typeid || 10,
-            Name: loc.location_name,
-            Description: loc.location_description || '',
-            CountedAsAvailable: loc.countedAsAvailable !== false,
-            Active: loc.activeflag !== false,
-            Pickable: loc.pickable !== false,
-            Receivable: loc.receivable !== false,
-            LocationGroupID: loc.locationgroup_id,
-            LocationGroupName: loc.locationgroup_name,
-            TagID: loc.tag_id || -1,
-            TagNumber: loc.tag_num || '-1',
-            ParentID: 0,
-            SortOrder: loc.sortorder || 0
-          }
-        };
+  if (fgItem) {
+    fgItem.QtyUsed = String(buildQuantity || 1);
+
+    const fgTrackingItems = [];
+
+    if (!buildQuantity) {
+      const barcodeTrackingInfo = findPartTracking(fgItem.Part, trackingRoles.fgIdentifier);
+
+      if (!barcodeTrackingInfo) {
+        throw new Error(`Could not find barcode tracking (part tracking ${trackingRoles.fgIdentifier}) for part ${fgItem.Part?.Number || fgItem.Part?.PartID}`);
       }
+
+      fgTrackingItems.push({
+        PartTracking: barcodeTrackingInfo,
+        SerialBoxList: {
+          SerialBox: [{
+            Committed: false, SerialID: -1, TagID: -1,
+            SerialNumList: { SerialNum: [{ Number: barcode, PartTracking: barcodeTrackingInfo, SerialID: -1, SerialNumID: -1 }] }
+          }]
+        },
+        TrackingValue: ""
+      });
+    }
+
+    fgTrackingItems.push(...valueTrackingItems(fgItem.Part, valueTracking.byPart.get(Number(fgItem.Part?.PartID))));
+    if (fgTrackingItems.length > 0) {
+      fgItem.Tracking = { TrackingItem: fgTrackingItems };
+    }
+
+    // Set FG Location
+    const loc = await getLocationByName(fgLocation, serverUrl, token);
+
+    if (loc) {
+      fgItem.DestLocation = {
+        Location: {
+          LocationID: loc.location_id,
+          TypeID: loc.location_typeid || 10,
+          Name: loc.location_name,
+          Description: loc.location_description || '',
+          CountedAsAvailable: loc.countedAsAvailable !== false,
+          Active: loc.activeflag !== false,
+          Pickable: loc.pickable !== false,
+          Receivable: loc.receivable !== false,
+          LocationGroupID: loc.locationgroup_id,
+          LocationGroupName: loc.locationgroup_name,
+          TagID: loc.tag_id || -1,
+          TagNumber: loc.tag_num || '-1',
+          ParentID: 0,
+          SortOrder: loc.sortorder || 0
+        }
+      };
     }
   }
 
-  const saveWOResult = await callFishbowlLegacy(serverUrl, token, 'SaveWorkOrderRq', { SaveWorkOrderRq: { WO: wo } });
+  const saveWOResult = await callLegacyStep(serverUrl, token, 'SaveWorkOrderRq', { SaveWorkOrderRq: { WO: wo } });
 
   if (saveWOResult.FbiJson?.FbiMsgsRs?.SaveWorkOrderRs?.statusCode !== 1000) {
-    throw new Error('Failed to complete WO');
+    throw fishbowlStepError('Failed to complete WO', 'SaveWorkOrderRq', saveWOResult.FbiJson?.FbiMsgsRs?.SaveWorkOrderRs);
+  }
+
+  await recordEvent(QUEUE_EVENTS.WO_COMPLETED, { message: `WO ${woNum} completed` });
+}
+
+/**
+ * Plan a work order without writing to Fishbowl (dry run)
+ * Performs the same reads as processWorkOrder and returns the pick split and
+ * FG destination it would use, plus the writes it would send
+ * @param {string} serverUrl - Fishbowl server URL
+ * @param {string} token - Auth token
+ * @param {string|null} woNum - Work order number (null when the MO has not been created yet)
+ * @param {string} barcode - Finished good barcode
+ * @param {Array<Object>} components - Serialized raw goods consumed: [{ partId, serials }]
+ * @param {Object} trackingValues - Lot, expiration date, revision, ... values: { partId: { partTrackingId: value } }
+ * @param {string} fgLocation - Finished goods location ("LocationGroup-Location")
+ * @param {string} bom - BOM number
+ * @param {Object} logger - Logger instance
+ * @param {number|null} locationGroupId - Location group ID of the MO (pick locations of untracked raw goods are planned when given)
+ * @param {number|null} buildQuantity - Finished goods made by a quantity build, null for one barcoded FG
+ * @returns {Promise<Object>} Plan: { woNum, barcode, buildQuantity, status, pickSplit, missingSerials, tracking, missingTracking, fgLocation, writes }
+ */
+async function planWorkOrder(serverUrl, token, woNum, barcode, components, trackingValues, fgLocation, bom, logger, locationGroupId = null, buildQuantity = null) {
+  // Existing WOs (resumed partial MOs) may already be complete
+  if (woNum) {
+    const getWOCheckResult = await callLegacyStep(serverUrl, token, 'GetWorkOrderRq', { GetWorkOrderRq: { WorkOrderNumber: woNum } });
+    const woCheck = getWOCheckResult.FbiJson?.FbiMsgsRs?.GetWorkOrderRs?.WO;
+
+    if (!getWOCheckResult.FbiJson?.FbiMsgsRs?.ErrorRs && woCheck?.StatusID >= 50) {
+      logger.info(`DRY RUN - WO ${woNum} already completed (Status: ${woCheck.StatusID}), nothing to do`);
+      return { woNum, barcode, status: 'skipped', reason: `WO already completed (Status: ${woCheck.StatusID})`, writes: [] };
+    }
   }
+
+  const locationOptions = pickLocationOptions(locationGroupId);
+  const foundSerials = new Set();
+  const pickSplit = [];
+
+  for (const component of components) {
+    const locationGroups = await getSerialLocations(serverUrl, token, bom, component.partId, component.serials, locationOptions);
+
+    for (const group of locationGroups.values()) {
+      group.serials.forEach(serial => foundSerials.add(serial));
+      pickSplit.push({
+        partId: component.partId,
+        location: describeLocation(group.locationInfo),
+        locationId: group.locationInfo.locationId,
+        tagId: group.locationInfo.tagId,
+        tagNum: group.locationInfo.tagNum,
+        quantity: group.serials.length,
+        serials: group.serials
+      });
+    }
+  }
+  const missingSerials = components.flatMap(component => component.serials).filter(serial => !foundSerials.has(serial));
+
+  const valueTracking = await resolveValueTracking(serverUrl, token, bom, trackingValues);
+  const tracking = Array.from(valueTracking.byPart.entries()).flatMap(([partId, resolved]) => resolved.map(item => ({
+    partId,
+    partNum: item.partNum,
+    finishedGood: item.finishedGood,
+    tracking: item.name,
+    value: item.value
+  })));
+
+  if (valueTracking.missing.length > 0) {
+    logger.warn(`DRY RUN - ${barcode}: missing tracking values: ${valueTracking.missing.join(', ')}`);
+  }
+
+  // Untracked raw goods: the tag each would be picked from (lot-tracked ones are picked by their lot)
+  if (locationGroupId) {
+    const quantityRows = await runFishbowlQuery(serverUrl, token, 'bomComponentAvailability', { bomNum: bom, locationGroupId: Number(locationGroupId) });
+
+    for (const row of quantityRows.filter(candidate => !valueTracking.byPart.has(Number(candidate.part_id)))) {
+      const quantity = Number(row.qty_per_build) * (buildQuantity || 1);
+      const allocations = await getQuantityLocations(serverUrl, token, { PartID: row.part_id, Number: row.part_num }, quantity, locationOptions);
+
+      allocations.forEach(({ locationInfo, quantity: allocated }) => pickSplit.push({
+        partId: Number(row.part_id),
+        location: describeLocation(locationInfo),
+        locationId: locationInfo.locationId,
+        tagId: locationInfo.tagId,
+        tagNum: locationInfo.tagNum,
+        quantity: allocated,
+        serials: []
+      }));
+    }
+  }
+
+  const destination = fgLocation ? await getLocationByName(fgLocation, serverUrl, token) : null;
+
+  if (fgLocation && !destination) {
+    logger.warn(`DRY RUN - FG location not found: ${fgLocation}`);
+  }
+
+  logger.info(`DRY RUN - ${woNum || 'New WO'} | ${barcode}: ${foundSerials.size} serial(s) of ${components.length} component(s) across ${pickSplit.length} pick item(s)`);
+
+  return {
+    woNum,
+    barcode,
+    buildQuantity: buildQuantity || null,
+    status: 'planned',
+    components: components.map(component => ({ partId: component.partId, serials: component.serials.length })),
+    pickSplit,
+    missingSerials,
+    tracking,
+    missingTracking: valueTracking.missing,
+    fgLocation: destination ? `${destination.locationgroup_name}-${destination.location_name}` : null,
+    fgLocationRequested: fgLocation || null,
+    writes: [
+      { endpoint: 'SavePickRq', method: 'LEGACY', payload: { action: 'Open pick', woNum } },
+      {
+        endpoint: 'SavePickRq',
+        method: 'LEGACY',
+        payload: {
+          action: 'Split and finish pick',
+          woNum,
+          pickItems: pickSplit.map(item => ({ partId: item.partId, location: item.location, tagNum: item.tagNum, quantity: item.quantity, serials: item.serials })),
+          tracking: tracking.filter(item => !item.finishedGood)
+        }
+      },
+      {
+        endpoint: 'SaveWorkOrderRq',
+        method: 'LEGACY',
+        payload: {
+          action: 'Complete WO',
+          woNum,
+          statusId: 40,
+          barcode: buildQuantity ? null : barcode,
+          tracking: tracking.filter(item => item.finishedGood),
+          qtyUsed: buildQuantity || 1,
+          destLocationId: destination ? destination.location_id : null
+        }
+      }
+    ]
+  };
 }
 
 module.exports = {
-  processWorkOrder
+  processWorkOrder,
+  planWorkOrder,
+  getSerialLocations,
+  fishbowlStepError,
+  callLegacyStep
 };
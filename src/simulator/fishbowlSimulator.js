@@ -0,0 +1,1084 @@
+/**
+ * Fishbowl Simulator
+ *
+ * In-memory stand-in for the parts of Fishbowl the orchestrator uses (login,
+ * manufacture orders, picks and work orders), for sandbox and training runs.
+ * State is seeded from a JSON fixture of parts, BOMs, locations and tags and
+ * lives only as long as the process; reset() reloads the fixture.
+ *
+ * Writes follow Fishbowl's rules closely enough to surface the same failures:
+ * a picked serial must be on hand (at the pick item's location when one is
+ * given), tracked parts need tracking, barcodes cannot be produced twice and a
+ * work order cannot be fulfilled before its pick is finished. Value tracking
+ * (lot number, expiration date, revision) must be given on every pick and
+ * produced item of a part that has it, but is not kept on inventory.
+ * Fixture inventory can be marked committed (to picks outside the simulator);
+ * committed serials and quantity cannot be picked.
+ */
+
+const crypto = require('crypto');
+
+const ITEM_TYPES = {
+  FINISHED_GOOD: 10,
+  RAW_GOOD: 20
+};
+
+const ITEM_TYPE_NAMES = {
+  [ITEM_TYPES.FINISHED_GOOD]: 'Finished Good',
+  [ITEM_TYPES.RAW_GOOD]: 'Raw Good'
+};
+
+// Pick: 10 = Not Started, 40 = In Progress, 50 = Complete
+const PICK_STATUS = {
+  NOT_STARTED: 10,
+  STARTED: 40,
+  FINISHED: 50
+};
+
+// Work order: saving with StatusID 40 fulfills it (50)
+const WO_STATUS = {
+  ISSUED: 20,
+  STARTED: 40,
+  FULFILLED: 50
+};
+
+const MO_STATUS = {
+  ENTERED: 'Entered',
+  ISSUED: 'Issued',
+  FULFILLED: 'Fulfilled',
+  CLOSED_SHORT: 'Closed Short'
+};
+
+// Not a Fishbowl busy or session code, so callers treat rejections as permanent
+const LEGACY_STATUS = {
+  SUCCESS: 1000,
+  REJECTED: 2100
+};
+
+// Part tracking types that hold one value per unit (serial numbers, barcodes)
+const SERIAL_TRACKING_TYPE = 40;
+
+/**
+ * A request the simulator refuses
+ * httpStatus is used by the REST endpoints; legacy requests report the
+ * message in the Rs statusMessage instead
+ */
+class SimulatorError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * Wrap a value that may be a single object or an array
+ * @param {*} value - Value
+ * @returns {Array}
+ */
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Index fixture records by id
+ * @param {Array} records - Records with an id
+ * @param {Object} defaults - Defaults for missing fields
+ * @returns {Map}
+ */
+function byId(records, defaults = {}) {
+  return new Map(records.map(record => [record.id, { ...defaults, ...record }]));
+}
+
+/**
+ * Check a fixture before loading it
+ * @param {Object} fixture - Parsed fixture
+ * @throws {Error} On a missing section or a reference to an unknown record
+ */
+function validateFixture(fixture) {
+  if (!fixture || typeof fixture !== 'object') {
+    throw new Error('Simulator fixture must be a JSON object');
+  }
+
+  for (const section of ['users', 'partTracking', 'locationGroups', 'locations', 'parts', 'boms']) {
+    if (!Array.isArray(fixture[section])) {
+      throw new Error(`Simulator fixture: "${section}" must be an array`);
+    }
+  }
+
+  const ids = section => new Set(fixture[section].map(record => record.id));
+  const trackingIds = ids('partTracking');
+  const groupIds = ids('locationGroups');
+  const locationIds = ids('locations');
+  const partIds = ids('parts');
+
+  const check = (condition, message) => {
+    if (!condition) {
+      throw new Error(`Simulator fixture: ${message}`);
+    }
+  };
+
+  fixture.locations.forEach(location => {
+    check(groupIds.has(location.locationGroupId), `location ${location.id} has unknown location group ${location.locationGroupId}`);
+  });
+
+  fixture.parts.forEach(part => {
+    asArray(part.tracking).forEach(id => check(trackingIds.has(id), `part ${part.num} has unknown part tracking ${id}`));
+  });
+
+  fixture.boms.forEach(bom => {
+    check(asArray(bom.items).some(item => item.typeId === ITEM_TYPES.FINISHED_GOOD), `BOM ${bom.num} has no finished good`);
+    asArray(bom.items).forEach(item => check(partIds.has(item.partId), `BOM ${bom.num} uses unknown part ${item.partId}`));
+  });
+
+  asArray(fixture.defaultLocations).forEach(entry => {
+    check(partIds.has(entry.partId) && locationIds.has(entry.locationId), `default location ${JSON.stringify(entry)} references an unknown part or location`);
+  });
+
+  asArray(fixture.inventory).forEach(entry => {
+    check(partIds.has(entry.partId) && locationIds.has(entry.locationId), `inventory ${JSON.stringify(entry)} references an unknown part or location`);
+  });
+}
+
+class FishbowlSimulator {
+  /**
+   * @param {Object} fixture - Parsed fixture (see fixtures/sandbox.json)
+   */
+  constructor(fixture) {
+    validateFixture(fixture);
+    this.fixture = fixture;
+    this.sessions = new Map();
+    this.reset();
+  }
+
+  /**
+   * Reload the fixture, dropping every MO, WO and inventory change
+   * Sessions survive so a logged-in orchestrator keeps working
+   */
+  reset() {
+    const data = JSON.parse(JSON.stringify(this.fixture));
+
+    this.database = data.database || 'fishbowl_sandbox';
+    this.users = data.users;
+    this.partTracking = byId(data.partTracking, { active: true });
+    this.locationGroups = byId(data.locationGroups, { active: true });
+    this.locations = byId(data.locations, {
+      typeId: 10,
+      description: '',
+      active: true,
+      pickable: true,
+      receivable: true,
+      countedAsAvailable: true
+    });
+    this.parts = byId(data.parts, { description: '', uomId: 1, tracking: [] });
+    this.boms = byId(data.boms, { description: '', active: true });
+    this.defaultLocations = asArray(data.defaultLocations);
+
+    this.tags = [];
+    this.mos = new Map();
+    this.wos = new Map();
+    this.picks = new Map();
+    this.nextIds = { tag: 1, mo: 1, wo: 1, woItem: 1, pick: 1, pickItem: 1 };
+
+    asArray(data.inventory).forEach(entry => this.seedInventory(entry));
+  }
+
+  nextId(kind) {
+    return this.nextIds[kind]++;
+  }
+
+  // ==========================================================================
+  // Sessions
+  // ==========================================================================
+
+  /**
+   * Log in with a fixture user
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {string} Session token
+   */
+  login(username, password) {
+    const user = this.users.find(candidate => candidate.username === username && candidate.password === password);
+    if (!user) {
+      throw new SimulatorError('Invalid username or password', 401);
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(token, { username, createdAt: new Date().toISOString() });
+    return token;
+  }
+
+  /**
+   * End a session
+   * @param {string} token - Session token
+   * @returns {boolean} True if the session existed
+   */
+  logout(token) {
+    return this.sessions.delete(token);
+  }
+
+  isValidToken(token) {
+    return !!token && this.sessions.has(token);
+  }
+
+  // ==========================================================================
+  // Reference data
+  // ==========================================================================
+
+  getPart(partId) {
+    const part = this.parts.get(Number(partId));
+    if (!part) {
+      throw new SimulatorError(`Part ${partId} not found`, 404);
+    }
+    return part;
+  }
+
+  getLocation(locationId) {
+    const location = this.locations.get(Number(locationId));
+    if (!location) {
+      throw new SimulatorError(`Location ${locationId} not found`, 404);
+    }
+    return location;
+  }
+
+  /**
+   * Part tracking definitions of a part that hold one value per unit
+   * @param {Object} part - Part
+   * @returns {Array<Object>} Tracking definitions
+   */
+  serialTrackingFor(part) {
+    return part.tracking
+      .map(id => this.partTracking.get(id))
+      .filter(tracking => tracking && tracking.typeId === SERIAL_TRACKING_TYPE);
+  }
+
+  /**
+   * Part tracking definitions of a part that hold one value per item (lot, date, ...)
+   * @param {Object} part - Part
+   * @returns {Array<Object>} Tracking definitions
+   */
+  valueTrackingFor(part) {
+    return part.tracking
+      .map(id => this.partTracking.get(id))
+      .filter(tracking => tracking && tracking.typeId !== SERIAL_TRACKING_TYPE);
+  }
+
+  /**
+   * Where a part is received in a location group when no location is given
+   * @param {number} partId - Part ID
+   * @param {number} locationGroupId - Location group ID
+   * @returns {Object} Location
+   */
+  defaultLocationFor(partId, locationGroupId) {
+    const entry = this.defaultLocations.find(candidate => candidate.partId === partId && candidate.locationGroupId === locationGroupId);
+    if (entry) {
+      return this.getLocation(entry.locationId);
+    }
+
+    const fallback = [...this.locations.values()].find(location => location.locationGroupId === locationGroupId && location.receivable);
+    if (!fallback) {
+      throw new SimulatorError(`No receivable location in location group ${locationGroupId}`);
+    }
+    return fallback;
+  }
+
+  // ==========================================================================
+  // Inventory
+  // ==========================================================================
+
+  /**
+   * Load one fixture inventory entry ({ partId, locationId, serials } or { partId, locationId, quantity })
+   * Serials use the part's first serial tracking. An optional "committed" holds
+   * the serials (or the quantity) already committed to other picks, an optional
+   * "dateCreated" the date of the tag (FIFO picking).
+   * @param {Object} entry - Inventory entry
+   */
+  seedInventory(entry) {
+    const part = this.getPart(entry.partId);
+
+    if (entry.serials) {
+      const [tracking] = this.serialTrackingFor(part);
+      if (!tracking) {
+        throw new Error(`Simulator fixture: part ${part.num} has serials but no serial tracking`);
+      }
+      this.addUnits(part.id, entry.locationId, entry.serials.map(value => ({ [tracking.id]: String(value) })));
+
+      const tag = this.tagFor(part.id, entry.locationId);
+      asArray(entry.committed).forEach(value => tag.committed.push(String(value)));
+      tag.qtyCommitted = tag.committed.length;
+    } else {
+      this.addQuantity(part.id, entry.locationId, Number(entry.quantity) || 0);
+      this.tagFor(part.id, entry.locationId).qtyCommitted += Number(entry.committed) || 0;
+    }
+
+    if (entry.dateCreated) {
+      this.tagFor(part.id, entry.locationId).dateCreated = entry.dateCreated;
+    }
+  }
+
+  /**
+   * Find or create the tag for a part at a location
+   * @param {number} partId - Part ID
+   * @param {number} locationId - Location ID
+   * @returns {Object} Tag
+   */
+  tagFor(partId, locationId) {
+    let tag = this.tags.find(candidate => candidate.partId === partId && candidate.locationId === locationId);
+    if (!tag) {
+      const id = this.nextId('tag');
+      tag = { id, num: String(1000 + id), partId, locationId, qty: 0, qtyCommitted: 0, units: [], committed: [], dateCreated: new Date().toISOString() };
+      this.tags.push(tag);
+    }
+    return tag;
+  }
+
+  addQuantity(partId, locationId, quantity) {
+    this.getLocation(locationId);
+    this.tagFor(partId, locationId).qty += quantity;
+  }
+
+  /**
+   * Add tracked units to a location
+   * @param {number} partId - Part ID
+   * @param {number} locationId - Location ID
+   * @param {Array<Object>} units - Part tracking ID -> value, one object per unit
+   */
+  addUnits(partId, locationId, units) {
+    this.getLocation(locationId);
+    const tag = this.tagFor(partId, locationId);
+    tag.units.push(...units);
+    tag.qty += units.length;
+  }
+
+  /**
+   * Find the on-hand unit carrying a tracking value
+   * @param {number|null} partId - Part ID, or null for any part
+   * @param {number} trackingId - Part tracking ID
+   * @param {string} value - Tracking value
+   * @param {number|null} locationId - Location ID, or null for any location
+   * @returns {Object|null} { tag, index }
+   */
+  findUnit(partId, trackingId, value, locationId = null) {
+    for (const tag of this.tags) {
+      if ((partId !== null && tag.partId !== partId) || (locationId !== null && tag.locationId !== locationId)) {
+        continue;
+      }
+      const index = tag.units.findIndex(unit => unit[trackingId] === value);
+      if (index !== -1) {
+        return { tag, index };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove tracked units from inventory
+   * @param {Object} part - Part
+   * @param {Array<Object>} units - Units to remove (matched on their first tracking value)
+   * @param {number|null} locationId - Location the units must be at, or null for anywhere
+   */
+  consumeUnits(part, units, locationId) {
+    units.forEach(unit => {
+      const [trackingId, value] = Object.entries(unit)[0];
+      const found = this.findUnit(part.id, Number(trackingId), value, locationId);
+
+      if (!found) {
+        const where = locationId !== null ? ` at ${this.getLocation(locationId).name}` : '';
+        throw new SimulatorError(`${this.partTracking.get(Number(trackingId))?.name || 'Tracking'} ${value} of part ${part.num} is not on hand${where}`);
+      }
+      if (found.tag.committed.includes(value)) {
+        throw new SimulatorError(`${this.partTracking.get(Number(trackingId))?.name || 'Tracking'} ${value} of part ${part.num} is committed to another pick`);
+      }
+
+      found.tag.units.splice(found.index, 1);
+      found.tag.qty -= 1;
+    });
+  }
+
+  /**
+   * Remove untracked quantity from inventory
+   * @param {Object} part - Part
+   * @param {number} quantity - Quantity
+   * @param {number|null} locationId - Location to take from, or null for anywhere
+   */
+  consumeQuantity(part, quantity, locationId) {
+    const tags = this.tags.filter(tag => tag.partId === part.id && (locationId === null || tag.locationId === locationId));
+    const available = tags.reduce((sum, tag) => sum + tag.qty - tag.qtyCommitted, 0);
+
+    if (available < quantity) {
+      throw new SimulatorError(`Not enough ${part.num} on hand (${available} available, ${quantity} needed)`);
+    }
+
+    let remaining = quantity;
+    for (const tag of tags) {
+      const taken = Math.min(tag.qty - tag.qtyCommitted, remaining);
+      tag.qty -= taken;
+      remaining -= taken;
+    }
+  }
+
+  /**
+   * Run a change to inventory and a work order's items, restoring both if it fails part way
+   * @param {Object} wo - Work order
+   * @param {Function} change - Function that makes the change
+   * @returns {*} Result of change
+   */
+  atomically(wo, change) {
+    const saved = JSON.parse(JSON.stringify({ tags: this.tags, items: wo.items }));
+    try {
+      return change();
+    } catch (error) {
+      this.tags = saved.tags;
+      wo.items = saved.items;
+      throw error;
+    }
+  }
+
+  // ==========================================================================
+  // Manufacture orders (REST)
+  // ==========================================================================
+
+  /**
+   * Create a manufacture order from a manufacture-orders payload
+   * A configuration either names a BOM or lists its items
+   * ({ part: { id }, type: 'Finished Good' | 'Raw Good', quantity })
+   * @param {Object} payload - { number, locationGroup: { id }, configurations }
+   * @returns {Object} Created MO
+   */
+  createManufactureOrder(payload = {}) {
+    const number = payload.number ? String(payload.number) : `${this.nextIds.mo}`;
+    if ([...this.mos.values()].some(mo => mo.num === number)) {
+      throw new SimulatorError(`Manufacture order ${number} already exists`);
+    }
+
+    const locationGroupId = Number(payload.locationGroup?.id);
+    if (!this.locationGroups.has(locationGroupId)) {
+      throw new SimulatorError(`Location group ${payload.locationGroup?.id} not found`);
+    }
+
+    const configurations = asArray(payload.configurations)
+      .slice()
+      .sort((a, b) => (a.sortId || 0) - (b.sortId || 0))
+      .map((configuration, idx) => this.buildConfiguration(configuration, idx));
+
+    if (configurations.length === 0) {
+      throw new SimulatorError('A manufacture order needs at least one configuration');
+    }
+
+    const mo = {
+      id: this.nextId('mo'),
+      num: number,
+      status: MO_STATUS.ENTERED,
+      locationGroupId,
+      configurations,
+      woIds: [],
+      dateCreated: new Date().toISOString()
+    };
+    this.mos.set(mo.id, mo);
+
+    return this.describeMO(mo);
+  }
+
+  buildConfiguration(configuration, idx) {
+    const quantity = Number(configuration.quantity) || 1;
+    let items;
+    let description = configuration.description || '';
+
+    if (configuration.bom) {
+      const bom = this.boms.get(Number(configuration.bom.id));
+      if (!bom) {
+        throw new SimulatorError(`BOM ${configuration.bom.id} not found`);
+      }
+      description = description || bom.description;
+      items = bom.items.map(item => ({ partId: item.partId, typeId: item.typeId, quantity: item.quantity * quantity }));
+    } else {
+      items = asArray(configuration.items).map(item => {
+        const typeId = Number(Object.keys(ITEM_TYPE_NAMES).find(id => ITEM_TYPE_NAMES[id] === item.type));
+        if (!typeId) {
+          throw new SimulatorError(`Unknown item type "${item.type}" in configuration ${idx + 1}`);
+        }
+        return { partId: this.getPart(item.part?.id).id, typeId, quantity: Number(item.quantity) * quantity };
+      });
+    }
+
+    if (!items.some(item => item.typeId === ITEM_TYPES.FINISHED_GOOD)) {
+      throw new SimulatorError(`Configuration ${idx + 1} has no finished good`);
+    }
+
+    return { description, items };
+  }
+
+  getMO(moId) {
+    const mo = this.mos.get(Number(moId));
+    if (!mo) {
+      throw new SimulatorError(`Manufacture order ${moId} not found`, 404);
+    }
+    return mo;
+  }
+
+  /**
+   * Issue a manufacture order, creating one work order and pick per configuration
+   * @param {number} moId - MO ID
+   * @returns {Object} Issued MO
+   */
+  issueManufactureOrder(moId) {
+    const mo = this.getMO(moId);
+    if (mo.status !== MO_STATUS.ENTERED) {
+      throw new SimulatorError(`Manufacture order ${mo.num} is ${mo.status}`);
+    }
+
+    mo.configurations.forEach((configuration, idx) => {
+      const wo = {
+        id: this.nextId('wo'),
+        num: `${mo.num}:${idx + 1}`,
+        moId: mo.id,
+        statusId: WO_STATUS.ISSUED,
+        locationGroupId: mo.locationGroupId,
+        description: configuration.description,
+        items: configuration.items.map(item => ({
+          id: this.nextId('woItem'),
+          partId: item.partId,
+          typeId: item.typeId,
+          qtyTarget: item.quantity,
+          qtyUsed: 0,
+          units: [],
+          values: {},
+          destLocationId: null
+        }))
+      };
+
+      const pick = {
+        id: this.nextId('pick'),
+        woId: wo.id,
+        status: PICK_STATUS.NOT_STARTED,
+        dateScheduled: null,
+        dateStarted: null,
+        items: wo.items
+          .filter(item => item.typeId === ITEM_TYPES.RAW_GOOD)
+          .map(item => ({
+            id: this.nextId('pickItem'),
+            woItemId: item.id,
+            partId: item.partId,
+            quantity: item.qtyTarget,
+            status: PICK_STATUS.NOT_STARTED,
+            locationId: null,
+            tracking: null
+          }))
+      };
+
+      wo.pickId = pick.id;
+      this.wos.set(wo.id, wo);
+      this.picks.set(pick.id, pick);
+      mo.woIds.push(wo.id);
+    });
+
+    mo.status = MO_STATUS.ISSUED;
+    return this.describeMO(mo);
+  }
+
+  /**
+   * Close a manufacture order short; unfulfilled work orders are left unfinished
+   * @param {number} moId - MO ID
+   * @returns {Object} Closed MO
+   */
+  closeShortManufactureOrder(moId) {
+    const mo = this.getMO(moId);
+    if (mo.status !== MO_STATUS.ISSUED) {
+      throw new SimulatorError(`Manufacture order ${mo.num} is ${mo.status} and cannot be closed short`);
+    }
+
+    mo.status = MO_STATUS.CLOSED_SHORT;
+    return this.describeMO(mo);
+  }
+
+  describeMO(mo) {
+    return {
+      id: mo.id,
+      number: mo.num,
+      status: mo.status,
+      locationGroup: { id: mo.locationGroupId },
+      workOrders: mo.woIds.map(id => {
+        const wo = this.wos.get(id);
+        return { id: wo.id, number: wo.num, statusId: wo.statusId };
+      })
+    };
+  }
+
+  findWO(number) {
+    return [...this.wos.values()].find(wo => wo.num === String(number)) || null;
+  }
+
+  // ==========================================================================
+  // Legacy API
+  // ==========================================================================
+
+  /**
+   * Answer a legacy API request
+   * @param {string} requestType - e.g. 'GetPickRq'
+   * @param {Object} body - Request body ({ [requestType]: {...} })
+   * @returns {Object} FbiJson response
+   */
+  handleLegacy(requestType, body = {}) {
+    const handlers = {
+      GetPickRq: request => this.legacyGetPick(request),
+      SavePickRq: request => this.legacySavePick(request),
+      GetWorkOrderRq: request => this.legacyGetWorkOrder(request),
+      SaveWorkOrderRq: request => this.legacySaveWorkOrder(request)
+    };
+
+    const responseType = requestType.replace(/Rq$/, 'Rs');
+    const handler = Object.prototype.hasOwnProperty.call(handlers, requestType) ? handlers[requestType] : null;
+
+    if (!handler) {
+      return {
+        FbiJson: {
+          FbiMsgsRs: {
+            statusCode: LEGACY_STATUS.REJECTED,
+            statusMessage: `${requestType} is not supported by the Fishbowl simulator`
+          }
+        }
+      };
+    }
+
+    let rs;
+    try {
+      rs = { statusCode: LEGACY_STATUS.SUCCESS, ...handler(body[requestType] || {}) };
+    } catch (error) {
+      if (!(error instanceof SimulatorError)) {
+        throw error;
+      }
+      rs = { statusCode: LEGACY_STATUS.REJECTED, statusMessage: error.message };
+    }
+
+    // Fishbowl reports an unknown work order as an ErrorRs rather than a GetWorkOrderRs
+    const key = requestType === 'GetWorkOrderRq' && rs.statusCode !== LEGACY_STATUS.SUCCESS ? 'ErrorRs' : responseType;
+    return { FbiJson: { FbiMsgsRs: { statusCode: LEGACY_STATUS.SUCCESS, [key]: rs } } };
+  }
+
+  legacyGetPick({ WoNum }) {
+    const wo = this.findWO(WoNum);
+    if (!wo) {
+      throw new SimulatorError(`No pick found for work order ${WoNum}`);
+    }
+    return { Pick: this.pickObject(this.picks.get(wo.pickId)) };
+  }
+
+  /**
+   * Save a pick
+   * Opening a pick (items still Not Started) only moves it to In Progress.
+   * Items sent with Status 40 that were not picked before are picked now:
+   * tracked items must carry tracking for on-hand units, untracked items take
+   * their quantity. Once every item is picked the pick is Complete.
+   */
+  legacySavePick({ Pick = {} }) {
+    const pick = this.picks.get(Number(Pick.PickID));
+    if (!pick) {
+      throw new SimulatorError(`Pick ${Pick.PickID} not found`);
+    }
+
+    const wo = this.wos.get(pick.woId);
+    this.assertOpen(wo);
+
+    const incoming = asArray(Pick.PickItems?.PickItem);
+    const storedById = new Map(pick.items.map(item => [item.id, item]));
+
+    const items = this.atomically(wo, () => incoming.map(item => {
+      const part = this.getPart(item.Part?.PartID);
+      const stored = storedById.get(Number(item.PickItemID)) || null;
+      const woItemId = stored ? stored.woItemId : wo.items.find(woItem => woItem.partId === part.id && woItem.typeId === ITEM_TYPES.RAW_GOOD)?.id;
+
+      if (!woItemId) {
+        throw new SimulatorError(`Part ${part.num} is not a raw good of work order ${wo.num}`);
+      }
+
+      const status = Number(item.Status) || PICK_STATUS.NOT_STARTED;
+      const locationId = Number(item.Location?.LocationID) > 0 ? Number(item.Location.LocationID) : null;
+      const alreadyPicked = stored && stored.status >= PICK_STATUS.STARTED;
+
+      if (status >= PICK_STATUS.STARTED && !alreadyPicked) {
+        this.pickItem(wo, woItemId, part, item, locationId);
+      }
+
+      return {
+        id: stored ? stored.id : this.nextId('pickItem'),
+        woItemId,
+        partId: part.id,
+        quantity: Number(item.Quantity) || 0,
+        status,
+        locationId,
+        tracking: item.Tracking || null
+      };
+    }));
+
+    pick.items = items;
+    pick.dateScheduled = Pick.DateScheduled || pick.dateScheduled;
+    pick.dateStarted = Pick.DateStarted || pick.dateStarted || new Date().toISOString().slice(0, 19);
+
+    const allPicked = items.length > 0 && items.every(item => item.status >= PICK_STATUS.STARTED);
+    pick.status = allPicked ? PICK_STATUS.FINISHED : PICK_STATUS.STARTED;
+
+    return { Pick: this.pickObject(pick) };
+  }
+
+  /**
+   * Take one pick item out of inventory and record it on its work order item
+   */
+  pickItem(wo, woItemId, part, item, locationId) {
+    const units = this.unitsFromTracking(item.Tracking);
+    const woItem = wo.items.find(candidate => candidate.id === woItemId);
+
+    Object.assign(woItem.values, this.valuesFromTracking(part, item.Tracking, 'pick item'));
+
+    if (units.length > 0) {
+      this.consumeUnits(part, units, locationId);
+      woItem.qtyUsed += units.length;
+      woItem.units.push(...units);
+      return;
+    }
+
+    if (this.serialTrackingFor(part).length > 0) {
+      throw new SimulatorError(`Part ${part.num} is tracked; pick item needs tracking`);
+    }
+
+    const quantity = Number(item.Quantity) || 0;
+    this.consumeQuantity(part, quantity, locationId);
+    woItem.qtyUsed += quantity;
+  }
+
+  legacyGetWorkOrder({ WorkOrderNumber }) {
+    const wo = this.findWO(WorkOrderNumber);
+    if (!wo) {
+      throw new SimulatorError(`Work order ${WorkOrderNumber} not found`);
+    }
+    return { WO: this.woObject(wo) };
+  }
+
+  /**
+   * Save a work order; StatusID 40 fulfills it
+   * Produced items (TypeID 10) are received at their DestLocation, or the
+   * part's default location in the WO's location group
+   */
+  legacySaveWorkOrder({ WO = {} }) {
+    const wo = this.wos.get(Number(WO.ID)) || this.findWO(WO.Num);
+    if (!wo) {
+      throw new SimulatorError(`Work order ${WO.Num || WO.ID} not found`);
+    }
+
+    this.assertOpen(wo);
+    wo.dateScheduled = WO.DateScheduled || wo.dateScheduled;
+
+    if (Number(WO.StatusID) < WO_STATUS.STARTED) {
+      return { WO: this.woObject(wo) };
+    }
+
+    const pick = this.picks.get(wo.pickId);
+    if (pick.status !== PICK_STATUS.FINISHED) {
+      throw new SimulatorError(`Pick ${pick.id} for work order ${wo.num} is not finished`);
+    }
+
+    const incoming = asArray(WO.WOItems?.WOItem);
+
+    this.atomically(wo, () => {
+      wo.items
+        .filter(woItem => woItem.typeId === ITEM_TYPES.FINISHED_GOOD)
+        .forEach(woItem => {
+          const item = incoming.find(candidate => Number(candidate.ID) === woItem.id) || {};
+          this.receiveItem(wo, woItem, item);
+        });
+    });
+
+    wo.statusId = WO_STATUS.FULFILLED;
+    wo.dateFinished = new Date().toISOString().slice(0, 19);
+
+    const mo = this.mos.get(wo.moId);
+    if (mo.woIds.every(id => this.wos.get(id).statusId >= WO_STATUS.FULFILLED)) {
+      mo.status = MO_STATUS.FULFILLED;
+    }
+
+    return { WO: this.woObject(wo) };
+  }
+
+  /**
+   * Receive one produced work order item into inventory
+   */
+  receiveItem(wo, woItem, item) {
+    const part = this.getPart(woItem.partId);
+    const quantity = item.QtyUsed !== undefined ? Number(item.QtyUsed) : woItem.qtyTarget;
+    const destLocationId = Number(item.DestLocation?.Location?.LocationID) > 0
+      ? this.getLocation(item.DestLocation.Location.LocationID).id
+      : this.defaultLocationFor(part.id, wo.locationGroupId).id;
+    const units = this.unitsFromTracking(item.Tracking);
+    const values = this.valuesFromTracking(part, item.Tracking, 'produced item');
+
+    if (this.serialTrackingFor(part).length > 0) {
+      if (units.length !== quantity) {
+        throw new SimulatorError(`Part ${part.num} is tracked; ${quantity} unit(s) produced but ${units.length} tracked`);
+      }
+
+      units.forEach(unit => {
+        Object.entries(unit).forEach(([trackingId, value]) => {
+          if (this.findUnit(null, Number(trackingId), value)) {
+            throw new SimulatorError(`${this.partTracking.get(Number(trackingId))?.name || 'Tracking'} ${value} is already in use`);
+          }
+        });
+      });
+
+      this.addUnits(part.id, destLocationId, units);
+    } else {
+      this.addQuantity(part.id, destLocationId, quantity);
+    }
+
+    woItem.qtyUsed = quantity;
+    woItem.units = units;
+    woItem.values = values;
+    woItem.destLocationId = destLocationId;
+  }
+
+  assertOpen(wo) {
+    const mo = this.mos.get(wo.moId);
+    if (mo.status === MO_STATUS.CLOSED_SHORT) {
+      throw new SimulatorError(`Manufacture order ${mo.num} is closed short`);
+    }
+    if (wo.statusId >= WO_STATUS.FULFILLED) {
+      throw new SimulatorError(`Work order ${wo.num} is already fulfilled`);
+    }
+  }
+
+  /**
+   * Read units from a legacy Tracking object (one unit per SerialBox)
+   * @param {Object} tracking - Tracking from a pick or work order item
+   * @returns {Array<Object>} Part tracking ID -> value, one object per unit
+   */
+  unitsFromTracking(tracking) {
+    const units = [];
+
+    asArray(tracking?.TrackingItem).forEach(trackingItem => {
+      asArray(trackingItem.SerialBoxList?.SerialBox).forEach(box => {
+        const unit = {};
+        asArray(box.SerialNumList?.SerialNum).forEach(serialNum => {
+          const trackingId = serialNum.PartTracking?.PartTrackingID || trackingItem.PartTracking?.PartTrackingID;
+          unit[trackingId] = String(serialNum.Number);
+        });
+        if (Object.keys(unit).length > 0) {
+          units.push(unit);
+        }
+      });
+    });
+
+    return units;
+  }
+
+  /**
+   * Read the value tracking of a pick or work order item, requiring every value tracking of the part
+   * @param {Object} part - Part
+   * @param {Object} tracking - Tracking from a pick or work order item
+   * @param {string} what - Item description for the error
+   * @returns {Object} Part tracking ID -> value
+   */
+  valuesFromTracking(part, tracking, what) {
+    const values = {};
+    asArray(tracking?.TrackingItem).forEach(trackingItem => {
+      const trackingId = Number(trackingItem.PartTracking?.PartTrackingID);
+      const value = trackingItem.TrackingValue;
+      if (value !== undefined && value !== null && String(value) !== '') {
+        values[trackingId] = String(value);
+      }
+    });
+
+    this.valueTrackingFor(part).forEach(definition => {
+      if (values[definition.id] === undefined) {
+        throw new SimulatorError(`Part ${part.num} is tracked by ${definition.name}; ${what} needs a value`);
+      }
+    });
+
+    return values;
+  }
+
+  // ==========================================================================
+  // Legacy objects
+  // ==========================================================================
+
+  trackingObject(tracking) {
+    return {
+      PartTrackingID: tracking.id,
+      Name: tracking.name,
+      Abbr: tracking.abbr,
+      Description: tracking.description || '',
+      SortOrder: tracking.id,
+      TrackingTypeID: tracking.typeId,
+      Active: tracking.active
+    };
+  }
+
+  partObject(part) {
+    return {
+      PartID: part.id,
+      Num: part.num,
+      Description: part.description,
+      UOMID: part.uomId,
+      TrackingFlag: part.tracking.length > 0,
+      SerializedFlag: this.serialTrackingFor(part).length > 0,
+      PartTrackingList: {
+        PartTracking: part.tracking.map(id => this.trackingObject(this.partTracking.get(id)))
+      }
+    };
+  }
+
+  locationObject(locationId, partId = null) {
+    const location = this.getLocation(locationId);
+    const group = this.locationGroups.get(location.locationGroupId);
+    const tag = partId !== null ? this.tags.find(candidate => candidate.partId === partId && candidate.locationId === location.id) : null;
+
+    return {
+      LocationID: location.id,
+      TypeID: location.typeId,
+      Name: location.name,
+      Description: location.description,
+      CountedAsAvailable: location.countedAsAvailable,
+      Active: location.active,
+      Pickable: location.pickable,
+      Receivable: location.receivable,
+      LocationGroupID: group.id,
+      LocationGroupName: group.name,
+      TagID: tag ? tag.id : -1,
+      TagNumber: tag ? tag.num : '-1',
+      ParentID: 0,
+      SortOrder: 0
+    };
+  }
+
+  trackingFromUnits(units, values = {}) {
+    const valueItems = Object.entries(values).map(([trackingId, value]) => ({
+      PartTracking: this.trackingObject(this.partTracking.get(Number(trackingId))),
+      TrackingValue: value
+    }));
+
+    if (units.length === 0 && valueItems.length === 0) {
+      return null;
+    }
+
+    const trackingIds = [...new Set(units.flatMap(unit => Object.keys(unit).map(Number)))];
+    return {
+      TrackingItem: [...trackingIds.map(trackingId => {
+        const partTracking = this.trackingObject(this.partTracking.get(trackingId));
+        return {
+          PartTracking: partTracking,
+          SerialBoxList: {
+            SerialBox: units.map(unit => ({
+              Committed: true,
+              SerialID: -1,
+              TagID: -1,
+              SerialNumList: { SerialNum: [{ Number: unit[trackingId], PartTracking: partTracking, SerialID: -1, SerialNumID: -1 }] }
+            }))
+          },
+          TrackingValue: ''
+        };
+      }), ...valueItems]
+    };
+  }
+
+  pickObject(pick) {
+    const wo = this.wos.get(pick.woId);
+    return {
+      PickID: pick.id,
+      Num: String(pick.id),
+      Status: pick.status,
+      TypeID: 40,
+      LocationGroupID: wo.locationGroupId,
+      DateScheduled: pick.dateScheduled,
+      DateStarted: pick.dateStarted,
+      PickItems: {
+        PickItem: pick.items.map(item => {
+          const pickItem = {
+            PickItemID: item.id,
+            Status: item.status,
+            Part: this.partObject(this.getPart(item.partId)),
+            Quantity: String(item.quantity),
+            UOMID: this.getPart(item.partId).uomId,
+            WONum: wo.num
+          };
+          if (item.locationId !== null) {
+            pickItem.Location = this.locationObject(item.locationId, item.partId);
+          }
+          if (item.tracking) {
+            pickItem.Tracking = item.tracking;
+          }
+          return pickItem;
+        })
+      }
+    };
+  }
+
+  woObject(wo) {
+    return {
+      ID: wo.id,
+      Num: wo.num,
+      StatusID: wo.statusId,
+      MOItemID: wo.id,
+      LocationGroupID: wo.locationGroupId,
+      Note: wo.description,
+      DateScheduled: wo.dateScheduled || null,
+      DateScheduledToStart: wo.dateScheduled || null,
+      DateFinished: wo.dateFinished || null,
+      WOItems: {
+        WOItem: wo.items.map(item => {
+          const part = this.getPart(item.partId);
+          const woItem = {
+            ID: item.id,
+            TypeID: item.typeId,
+            Description: part.description,
+            Part: this.partObject(part),
+            QtyTarget: String(item.qtyTarget),
+            QtyUsed: String(item.qtyUsed),
+            UOMID: part.uomId
+          };
+          if (item.destLocationId !== null) {
+            woItem.DestLocation = { Location: this.locationObject(item.destLocationId, item.partId) };
+          }
+          const tracking = this.trackingFromUnits(item.units, item.values);
+          if (tracking) {
+            woItem.Tracking = tracking;
+          }
+          return woItem;
+        })
+      }
+    };
+  }
+
+  /**
+   * Summarize the current state for GET /simulator/state
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      database: this.database,
+      sessions: this.sessions.size,
+      manufactureOrders: [...this.mos.values()].map(mo => this.describeMO(mo)),
+      inventory: this.tags
+        .filter(tag => tag.qty > 0)
+        .map(tag => ({
+          part: this.getPart(tag.partId).num,
+          location: this.getLocation(tag.locationId).name,
+          qty: tag.qty,
+          qtyCommitted: tag.qtyCommitted,
+          tracking: tag.units.map(unit => Object.values(unit).join('/'))
+        }))
+    };
+  }
+}
+
+module.exports = {
+  FishbowlSimulator,
+  SimulatorError,
+  ITEM_TYPES,
+  ITEM_TYPE_NAMES,
+  PICK_STATUS,
+  WO_STATUS,
+  MO_STATUS,
+  LEGACY_STATUS,
+  SERIAL_TRACKING_TYPE,
+  asArray
+};
@@ -0,0 +1,446 @@
+/**
+ * Simulator Data Queries
+ *
+ * Answers /api/data-query by matching the SQL against the named queries in
+ * db/fishbowlQueries. Each template becomes a pattern whose placeholders
+ * capture the values, and the query's handler below computes the rows from
+ * the simulator state. SQL that matches no named query is refused, so a new
+ * named query needs a handler here before it works in sandbox mode.
+ */
+
+const { FISHBOWL_QUERIES } = require('../db/fishbowlQueries');
+const { PARAM_TYPES } = require('../utils/queryBuilder');
+const { SimulatorError, ITEM_TYPES, ITEM_TYPE_NAMES } = require('./fishbowlSimulator');
+
+const QUOTED = "'(?:[^']|'')*'";
+const INTEGER = '-?\\d+';
+
+const VALUE_PATTERNS = {
+  [PARAM_TYPES.STRING]: `(${QUOTED})`,
+  [PARAM_TYPES.INT]: `(${INTEGER})`,
+  [PARAM_TYPES.LIST]: `(${QUOTED}(?:\\s*,\\s*${QUOTED})*)`,
+  [PARAM_TYPES.SERIAL_LIST]: `(${QUOTED}(?:\\s*,\\s*${QUOTED})*)`,
+  [PARAM_TYPES.INT_LIST]: `(${INTEGER}(?:\\s*,\\s*${INTEGER})*)`
+};
+
+const unquote = text => text.slice(1, -1).replace(/''/g, "'");
+
+/**
+ * Read a captured value by its declared type
+ * @param {string} type - PARAM_TYPES value
+ * @param {string} text - Captured SQL text
+ * @returns {*} Value
+ */
+function parseValue(type, text) {
+  switch (type) {
+    case PARAM_TYPES.STRING:
+      return unquote(text);
+    case PARAM_TYPES.INT:
+      return Number(text);
+    case PARAM_TYPES.INT_LIST:
+      return text.match(new RegExp(INTEGER, 'g')).map(Number);
+    default:
+      return text.match(new RegExp(QUOTED, 'g')).map(unquote);
+  }
+}
+
+/**
+ * Turn a named query's template into a pattern that matches its built SQL
+ * @param {Object} query - Query from defineQuery
+ * @returns {Object} { name, pattern, params }
+ */
+function compileQuery(query) {
+  // split with a capture group alternates literal SQL and parameter names
+  const parts = query.sql.trim().split(/:([A-Za-z_][A-Za-z0-9_]*)/);
+  const params = [];
+
+  const source = parts.map((part, idx) => {
+    if (idx % 2 === 1) {
+      params.push(part);
+      return VALUE_PATTERNS[query.params[part]];
+    }
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  }).join('');
+
+  return { name: query.name, query, pattern: new RegExp(`^\\s*${source}\\s*$`), params };
+}
+
+const COMPILED_QUERIES = Object.values(FISHBOWL_QUERIES).map(compileQuery);
+
+/**
+ * Identify a data-query statement
+ * @param {string} sql - SQL sent to /api/data-query
+ * @returns {Object|null} { name, values }
+ */
+function matchQuery(sql) {
+  for (const compiled of COMPILED_QUERIES) {
+    const match = compiled.pattern.exec(sql);
+    if (match) {
+      const values = {};
+      compiled.params.forEach((param, idx) => {
+        values[param] = parseValue(compiled.query.params[param], match[idx + 1]);
+      });
+      return { name: compiled.name, values };
+    }
+  }
+  return null;
+}
+
+/**
+ * MySQL LIKE, case-insensitive as under Fishbowl's default collation
+ * @param {string} pattern - LIKE pattern
+ * @returns {RegExp}
+ */
+function likeToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+const byText = key => (a, b) => String(a[key]).localeCompare(String(b[key]));
+
+// ============================================================================
+// Row builders
+// ============================================================================
+
+function groupOf(sim, location) {
+  return sim.locationGroups.get(location.locationGroupId);
+}
+
+/**
+ * LOCATION_COLUMNS rows: one per tag at the location, or one with no tag
+ */
+function locationRows(sim, location) {
+  const group = groupOf(sim, location);
+  const tags = sim.tags.filter(tag => tag.locationId === location.id);
+
+  return (tags.length > 0 ? tags : [null]).map(tag => ({
+    location_id: location.id,
+    location_typeid: location.typeId,
+    location_name: location.name,
+    location_description: location.description,
+    countedAsAvailable: location.countedAsAvailable,
+    activeflag: location.active,
+    pickable: location.pickable,
+    receivable: location.receivable,
+    sortorder: 0,
+    locationgroup_id: group.id,
+    locationgroup_name: group.name,
+    tag_id: tag ? tag.id : null,
+    tag_num: tag ? tag.num : null
+  }));
+}
+
+/**
+ * On-hand units carrying a tracking value, with their part, tag and location
+ */
+function trackedUnits(sim, trackingId) {
+  const units = [];
+  sim.tags
+    .filter(tag => tag.qty > 0)
+    .forEach(tag => {
+      tag.units.forEach(unit => {
+        if (unit[trackingId] !== undefined) {
+          units.push({ value: unit[trackingId], tag, part: sim.getPart(tag.partId), location: sim.getLocation(tag.locationId) });
+        }
+      });
+    });
+  return units;
+}
+
+function bomsByNum(sim, bomNum) {
+  return [...sim.boms.values()].filter(bom => bom.num === bomNum);
+}
+
+function mosMatching(sim, predicate) {
+  return [...sim.mos.values()].filter(mo => predicate(mo.num));
+}
+
+// ============================================================================
+// Handlers (one per named query)
+// ============================================================================
+
+const QUERY_HANDLERS = {
+  locationByName: (sim, { locationGroupName, locationName }) => [...sim.locations.values()]
+    .filter(location => location.name === locationName && groupOf(sim, location).name === locationGroupName)
+    .flatMap(location => locationRows(sim, location)),
+
+  locationById: (sim, { locationId }) => (sim.locations.has(locationId) ? locationRows(sim, sim.locations.get(locationId)) : []),
+
+  receivableLocationsForGroup: (sim, { locationGroupId }) => [...sim.locations.values()]
+    .filter(location => location.locationGroupId === locationGroupId && location.active && location.receivable)
+    .map(location => {
+      const group = groupOf(sim, location);
+      return {
+        location_id: location.id,
+        locationgroup_id: group.id,
+        list_value: `${group.name} - ${location.name}`,
+        location_name: location.name,
+        locationgroup_name: group.name
+      };
+    })
+    .sort(byText('location_name')),
+
+  workOrdersForMO: (sim, { moNumber }) => mosMatching(sim, num => num === moNumber)
+    .flatMap(mo => mo.woIds.map(id => sim.wos.get(id)))
+    .sort((a, b) => a.id - b.id)
+    .map(wo => ({ num: wo.num, id: wo.id })),
+
+  moIdByNumber: (sim, { moNumber }) => mosMatching(sim, num => num === moNumber).map(mo => ({ id: mo.id })),
+
+  mosMatchingPattern: (sim, { pattern }) => {
+    const like = likeToRegExp(pattern);
+    return mosMatching(sim, num => like.test(num)).map(mo => ({ num: mo.num }));
+  },
+
+  mosByNumber: (sim, { moNumbers }) => mosMatching(sim, num => moNumbers.includes(num)).map(mo => ({ num: mo.num })),
+
+  workOrderStatuses: (sim, { woNumbers }) => [...sim.wos.values()]
+    .filter(wo => woNumbers.includes(wo.num))
+    .map(wo => ({ num: wo.num, statusid: wo.statusId })),
+
+  workOrderStructure: (sim, { woNumber }) => {
+    const wo = sim.findWO(woNumber);
+    if (!wo) {
+      return [];
+    }
+    return wo.items
+      .filter(item => item.qtyUsed > 0)
+      .map(item => {
+        const values = [...new Set(item.units.flatMap(unit => Object.values(unit)))];
+        return {
+          woitem_type: ITEM_TYPE_NAMES[item.typeId],
+          partid: item.partId,
+          woitem_qty: item.qtyUsed,
+          serial_numbers: values.length > 0 ? values.join(',') : null
+        };
+      })
+      .sort((a, b) => a.woitem_type.localeCompare(b.woitem_type) || a.partid - b.partid);
+  },
+
+  partDetails: (sim, { partIds }) => partIds
+    .filter(id => sim.parts.has(id))
+    .map(id => {
+      const part = sim.parts.get(id);
+      return { part_id: part.id, part_num: part.num, part_description: part.description, uom_id: part.uomId };
+    }),
+
+  finishedGoodPartForBom: (sim, { bomNum, bomId }) => bomsByNum(sim, bomNum)
+    .filter(bom => bom.id === bomId)
+    .flatMap(bom => bom.items.filter(item => item.typeId === ITEM_TYPES.FINISHED_GOOD))
+    .map(item => ({ partid: item.partId })),
+
+  rawGoodsForBom: (sim, { bomNum, serialTrackingId }) => {
+    const partIds = new Set(bomsByNum(sim, bomNum)
+      .flatMap(bom => bom.items.filter(item => item.typeId === ITEM_TYPES.RAW_GOOD))
+      .map(item => item.partId));
+
+    return [...partIds]
+      .map(id => sim.getPart(id))
+      .filter(part => part.tracking.includes(serialTrackingId))
+      .map(part => ({ part_num: part.num, part_id: part.id, list_values: `${part.num} - ${part.description}` }))
+      .sort(byText('part_num'));
+  },
+
+  finishedGoodsOnHand: (sim, { partId, barcodeTrackingId }) => trackedUnits(sim, barcodeTrackingId)
+    .filter(unit => unit.part.id === partId)
+    .map(({ value, part, location }) => {
+      const group = groupOf(sim, location);
+      return {
+        barcode: value,
+        fg_part_id: part.id,
+        fg_part_num: part.num,
+        fg_description: part.description,
+        location_name: location.name,
+        location_group_name: group.name,
+        full_location: `${group.name}-${location.name}`
+      };
+    }),
+
+  serialLocations: (sim, { bomNum, partId, serials, serialTrackingId }) => {
+    const inBom = bomsByNum(sim, bomNum).some(bom => bom.items.some(item => item.typeId === ITEM_TYPES.RAW_GOOD && item.partId === partId));
+    if (!inBom) {
+      return [];
+    }
+
+    return trackedUnits(sim, serialTrackingId)
+      .filter(unit => unit.part.id === partId && serials.includes(unit.value))
+      .map(({ value, tag, location }) => {
+        const group = groupOf(sim, location);
+        return {
+          serial: value,
+          location_id: location.id,
+          location_name: location.name,
+          locationgroup_id: group.id,
+          locationgroup_name: group.name,
+          location_typeid: location.typeId,
+          location_description: location.description,
+          location_pickable: location.pickable,
+          location_receivable: location.receivable,
+          location_active: location.active,
+          location_counted_as_available: location.countedAsAvailable,
+          tag_id: tag.id,
+          tag_num: tag.num,
+          tag_date_created: tag.dateCreated,
+          serial_committed: tag.committed.includes(value)
+        };
+      })
+      .sort((a, b) => a.location_id - b.location_id || a.serial.localeCompare(b.serial));
+  },
+
+  partPickLocations: (sim, { partId }) => sim.tags
+    .filter(tag => tag.partId === partId && tag.qty - tag.qtyCommitted > 0)
+    .map(tag => {
+      const location = sim.getLocation(tag.locationId);
+      const group = groupOf(sim, location);
+      return {
+        location_id: location.id,
+        location_name: location.name,
+        locationgroup_id: group.id,
+        locationgroup_name: group.name,
+        location_typeid: location.typeId,
+        location_description: location.description,
+        location_pickable: location.pickable,
+        location_receivable: location.receivable,
+        location_active: location.active,
+        location_counted_as_available: location.countedAsAvailable,
+        tag_id: tag.id,
+        tag_num: tag.num,
+        tag_date_created: tag.dateCreated,
+        qty_available: tag.qty - tag.qtyCommitted
+      };
+    })
+    .sort((a, b) => a.location_id - b.location_id || a.tag_id - b.tag_id),
+
+  bomComponentAvailability: (sim, { locationGroupId, bomNum, serialTrackingId }) => {
+    const perBuild = new Map();
+    bomsByNum(sim, bomNum)
+      .flatMap(bom => bom.items.filter(item => item.typeId === ITEM_TYPES.RAW_GOOD))
+      .filter(item => !sim.getPart(item.partId).tracking.includes(serialTrackingId))
+      .forEach(item => perBuild.set(item.partId, (perBuild.get(item.partId) || 0) + Number(item.quantity)));
+
+    return [...perBuild.entries()]
+      .map(([partId, quantity]) => {
+        const available = sim.tags
+          .filter(tag => tag.partId === partId)
+          .filter(tag => {
+            const location = sim.getLocation(tag.locationId);
+            return location.locationGroupId === locationGroupId && location.active && location.pickable && location.countedAsAvailable;
+          })
+          .reduce((sum, tag) => sum + tag.qty - tag.qtyCommitted, 0);
+
+        return { part_id: partId, part_num: sim.getPart(partId).num, qty_per_build: quantity, qty_available: available };
+      })
+      .sort(byText('part_num'));
+  },
+
+  partTrackingDefinitions: sim => [...sim.partTracking.values()]
+    .sort((a, b) => a.id - b.id)
+    .map(tracking => ({
+      parttracking_id: tracking.id,
+      parttracking_name: tracking.name,
+      parttracking_abbr: tracking.abbr,
+      parttracking_typeid: tracking.typeId,
+      parttracking_active: tracking.active
+    })),
+
+  valueTrackingForBom: (sim, { bomNum }) => {
+    const items = new Map();
+    bomsByNum(sim, bomNum)
+      .flatMap(bom => bom.items.filter(item => item.typeId === ITEM_TYPES.FINISHED_GOOD || item.typeId === ITEM_TYPES.RAW_GOOD))
+      .forEach(item => items.set(`${item.typeId}:${item.partId}`, item));
+
+    return [...items.values()]
+      .map(item => ({ item, part: sim.getPart(item.partId) }))
+      .sort((a, b) => a.item.typeId - b.item.typeId || a.part.num.localeCompare(b.part.num))
+      .flatMap(({ item, part }) => sim.valueTrackingFor(part)
+        .filter(tracking => tracking.active)
+        .sort((a, b) => a.id - b.id)
+        .map(tracking => ({
+          bomitem_typeid: item.typeId,
+          part_id: part.id,
+          part_num: part.num,
+          parttracking_id: tracking.id,
+          parttracking_name: tracking.name,
+          parttracking_abbr: tracking.abbr,
+          parttracking_typeid: tracking.typeId
+        })));
+  },
+
+  activeLocationGroups: sim => [...sim.locationGroups.values()]
+    .filter(group => group.active)
+    .map(group => ({ locationgroupnamelistvalue: group.name, locgid: group.id }))
+    .sort(byText('locationgroupnamelistvalue')),
+
+  bomsForLocationGroup: (sim, { locationGroupId }) => [...sim.boms.values()]
+    .filter(bom => bom.active)
+    .flatMap(bom => bom.items
+      .filter(item => item.typeId === ITEM_TYPES.FINISHED_GOOD)
+      .map(item => {
+        const entry = sim.defaultLocations.find(candidate => candidate.partId === item.partId && candidate.locationGroupId === locationGroupId);
+        const location = entry ? sim.getLocation(entry.locationId) : null;
+        const group = location ? groupOf(sim, location) : null;
+        return {
+          bomid: bom.id,
+          num: bom.num,
+          bom_list_value: `${bom.num} - ${bom.description}`,
+          locgid: group ? group.id : null,
+          locid: location ? location.id : null,
+          location_list_value: location ? `${group.name}-${location.name}` : null
+        };
+      }))
+    .sort(byText('num')),
+
+  activeLocationsForGroup: (sim, { locationGroupId }) => [...sim.locations.values()]
+    .filter(location => location.locationGroupId === locationGroupId && location.active && groupOf(sim, location).active)
+    .map(location => ({ location_list: `${groupOf(sim, location).name}-${location.name}` }))
+    .sort(byText('location_list')),
+
+  existingSerials: (sim, { serials, serialTrackingId }) => [...new Set(trackedUnits(sim, serialTrackingId)
+    .map(unit => unit.value)
+    .filter(value => serials.includes(value)))]
+    .map(serial => ({ serial })),
+
+  existingBarcodes: (sim, { barcodes, barcodeTrackingId }) => [...new Set(trackedUnits(sim, barcodeTrackingId)
+    .map(unit => unit.value)
+    .filter(value => barcodes.includes(value)))]
+    .map(barcode => ({ barcode })),
+
+  // mo_queue lives in the orchestrator's MySQL database, which the simulator cannot see
+  queueStatusCounts: () => [],
+
+  queueMOCount: () => [{ mo_count: 0 }],
+
+  sessionCheck: () => [{ test: 1 }],
+
+  currentDatabase: sim => [{ current_db: sim.database }]
+};
+
+/**
+ * Run a data-query statement against the simulator
+ * @param {FishbowlSimulator} sim - Simulator
+ * @param {string} sql - SQL sent to /api/data-query
+ * @returns {Array} Rows
+ * @throws {SimulatorError} If the SQL is not a named query the simulator handles
+ */
+function runSimulatedQuery(sim, sql) {
+  const matched = matchQuery(String(sql || ''));
+  if (!matched) {
+    throw new SimulatorError('Query is not one of the named Fishbowl queries the simulator supports');
+  }
+
+  const handler = QUERY_HANDLERS[matched.name];
+  if (!handler) {
+    throw new SimulatorError(`Query ${matched.name} is not supported by the Fishbowl simulator`);
+  }
+
+  return handler(sim, matched.values);
+}
+
+module.exports = {
+  QUERY_HANDLERS,
+  matchQuery,
+  runSimulatedQuery
+};
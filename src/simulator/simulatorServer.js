@@ -0,0 +1,126 @@
+/**
+ * Fishbowl Simulator Server
+ *
+ * Serves the simulator on its own port with the Fishbowl endpoints the
+ * orchestrator calls. Point the Fishbowl server URL in setup at it to run
+ * jobs without a live Fishbowl server; nothing in the orchestrator changes.
+ *
+ * Also exposes GET /simulator/state and POST /simulator/reset for trainers.
+ */
+
+const fs = require('fs');
+const express = require('express');
+const { FishbowlSimulator, SimulatorError } = require('./fishbowlSimulator');
+const { runSimulatedQuery } = require('./simulatorQueries');
+const { FISHBOWL_SIMULATOR_PORT, SIMULATOR_FIXTURE_FILE } = require('../config');
+
+/**
+ * Build the simulator's express app
+ * @param {FishbowlSimulator} simulator - Simulator state
+ * @param {Object} logger - Logger instance
+ * @returns {express.Application}
+ */
+function createSimulatorApp(simulator, logger) {
+  const app = express();
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.text({ type: 'text/plain', limit: '1mb' }));
+
+  const requireSession = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!simulator.isValidToken(token)) {
+      return res.status(401).json({ message: 'Invalid or expired session token' });
+    }
+    req.sessionToken = token;
+    next();
+  };
+
+  app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const token = simulator.login(username, password);
+    logger.info(`SIMULATOR - ${username} logged in`);
+    res.json({ token, user: { userFullName: username } });
+  });
+
+  app.post('/api/logout', requireSession, (req, res) => {
+    simulator.logout(req.sessionToken);
+    res.json({});
+  });
+
+  app.get('/api/data-query', requireSession, (req, res) => {
+    res.json(runSimulatedQuery(simulator, typeof req.body === 'string' ? req.body : ''));
+  });
+
+  app.post('/api/manufacture-orders', requireSession, (req, res) => {
+    const mo = simulator.createManufactureOrder(req.body);
+    logger.info(`SIMULATOR - MO ${mo.number} created (ID: ${mo.id})`);
+    res.status(201).json(mo);
+  });
+
+  app.post('/api/manufacture-orders/:id/issue', requireSession, (req, res) => {
+    const mo = simulator.issueManufactureOrder(req.params.id);
+    logger.info(`SIMULATOR - MO ${mo.number} issued with ${mo.workOrders.length} WO(s)`);
+    res.json(mo);
+  });
+
+  app.post('/api/manufacture-orders/:id/close-short', requireSession, (req, res) => {
+    const mo = simulator.closeShortManufactureOrder(req.params.id);
+    logger.info(`SIMULATOR - MO ${mo.number} closed short`);
+    res.json(mo);
+  });
+
+  app.post('/api/legacy/external/:requestType', requireSession, (req, res) => {
+    const response = simulator.handleLegacy(req.params.requestType, req.body);
+    const rs = Object.values(response.FbiJson.FbiMsgsRs).find(value => value && typeof value === 'object');
+
+    if (rs && rs.statusMessage) {
+      logger.info(`SIMULATOR - ${req.params.requestType} rejected: ${rs.statusMessage}`);
+    }
+    res.json(response);
+  });
+
+  app.get('/simulator/state', (req, res) => {
+    res.json(simulator.getState());
+  });
+
+  app.post('/simulator/reset', (req, res) => {
+    simulator.reset();
+    logger.info('SIMULATOR - State reset to fixture');
+    res.json({ success: true, state: simulator.getState() });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `${req.method} ${req.path} is not supported by the Fishbowl simulator` });
+  });
+
+  app.use((err, req, res, next) => {
+    if (err instanceof SimulatorError) {
+      return res.status(err.httpStatus).json({ message: err.message });
+    }
+    logger.error('SIMULATOR - Request failed', { path: req.path, error: err.message });
+    res.status(500).json({ message: err.message });
+  });
+
+  return app;
+}
+
+/**
+ * Load the fixture and start the simulator
+ * @param {Object} logger - Logger instance
+ * @returns {http.Server}
+ */
+function startSimulator(logger) {
+  const fixture = JSON.parse(fs.readFileSync(SIMULATOR_FIXTURE_FILE, 'utf8'));
+  const simulator = new FishbowlSimulator(fixture);
+
+  return createSimulatorApp(simulator, logger).listen(FISHBOWL_SIMULATOR_PORT, '127.0.0.1', () => {
+    logger.warn('SIMULATOR - Fishbowl simulator running (sandbox mode, logins and Fishbowl calls to any other server are refused)');
+    logger.info(`SIMULATOR - Fixture: ${SIMULATOR_FIXTURE_FILE}`);
+    logger.info(`SIMULATOR - Set the Fishbowl server URL to http://localhost:${FISHBOWL_SIMULATOR_PORT} to use it`);
+  });
+}
+
+module.exports = {
+  createSimulatorApp,
+  startSimulator
+};
@@ -0,0 +1,123 @@
+/**
+ * Adaptive Concurrency
+ *
+ * Runs tasks with a concurrency limit that follows the service's latency
+ * (additive increase, multiplicative decrease). Latency samples are averaged
+ * over a window; when the average climbs above the target the limit is halved,
+ * when it stays below the target the limit grows by one, never past maxLimit.
+ */
+
+class AdaptiveConcurrencyLimiter {
+  /**
+   * @param {Object} options - { maxLimit, minLimit, targetLatencyMs, sampleSize }
+   */
+  constructor({ maxLimit, minLimit = 1, targetLatencyMs, sampleSize = 20 }) {
+    this.maxLimit = Math.max(maxLimit, minLimit);
+    this.minLimit = minLimit;
+    this.targetLatencyMs = targetLatencyMs;
+    this.sampleSize = sampleSize;
+
+    this.limit = this.maxLimit;
+    this.active = 0;
+    this.waiting = [];
+    this.samples = [];
+    this.lastAverageLatencyMs = null;
+  }
+
+  /**
+   * Add a latency sample and adjust the limit once the window is full
+   * @param {number} latencyMs - Duration of one call
+   * @returns {number} Current limit
+   */
+  recordLatency(latencyMs) {
+    this.samples.push(latencyMs);
+
+    if (this.samples.length >= this.sampleSize) {
+      const average = this.samples.reduce((sum, sample) => sum + sample, 0) / this.samples.length;
+      this.samples = [];
+      this.lastAverageLatencyMs = Math.round(average);
+
+      if (average > this.targetLatencyMs) {
+        this.limit = Math.max(this.minLimit, Math.floor(this.limit / 2));
+      } else if (this.limit < this.maxLimit) {
+        this.limit++;
+        this.drain();
+      }
+    }
+
+    return this.limit;
+  }
+
+  /**
+   * Drop to the minimum limit (the service is failing, not just slow)
+   */
+  recordOutage() {
+    this.limit = this.minLimit;
+    this.samples = [];
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} Task result
+   */
+  async run(task) {
+    await this.acquire();
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a slot and start waiting tasks the current limit allows
+   */
+  release() {
+    this.active--;
+    this.drain();
+  }
+
+  /**
+   * Start waiting tasks while there is room under the limit
+   */
+  drain() {
+    while (this.waiting.length > 0 && this.active < this.limit) {
+      this.active++;
+      this.waiting.shift()();
+    }
+  }
+
+  /**
+   * Get limiter status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      limit: this.limit,
+      minLimit: this.minLimit,
+      maxLimit: this.maxLimit,
+      active: this.active,
+      waiting: this.waiting.length,
+      targetLatencyMs: this.targetLatencyMs,
+      averageLatencyMs: this.lastAverageLatencyMs
+    };
+  }
+}
+
+module.exports = {
+  AdaptiveConcurrencyLimiter
+};
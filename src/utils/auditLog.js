@@ -0,0 +1,37 @@
+const fs = require('fs').promises;
+const { AUDIT_LOG_FILE } = require('../config');
+
+/**
+ * Audit Log
+ * Append-only record of requests the server refused for security reasons
+ * (e.g. SQL rejected by the read-only guard). One JSON object per line in
+ * AUDIT_LOG_FILE, kept apart from server.log so it is not rotated away.
+ */
+
+/**
+ * Append an entry to the audit log
+ * @param {string} event - Event type (e.g. 'sql_rejected')
+ * @param {Object} req - Express request (for client address)
+ * @param {Object} details - Event details
+ * @param {Object} logger - Logger instance
+ */
+async function recordAuditEvent(event, req, details, logger) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    event,
+    ip: req?.ip || null,
+    userAgent: req?.get?.('user-agent') || null,
+    path: req?.originalUrl || null,
+    ...details
+  };
+
+  try {
+    await fs.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    logger.error('AUDIT - Error writing audit log', { error: error.message });
+  }
+}
+
+module.exports = {
+  recordAuditEvent
+};
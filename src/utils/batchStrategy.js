@@ -0,0 +1,106 @@
+/**
+ * Batch Strategy
+ *
+ * Splits pending queue items into MO batches according to BATCH_STRATEGY.
+ * Items are grouped by priority, operation type (build and disassembly never
+ * share an MO) and the strategy key, then each group is cut at BATCH_SIZE.
+ * Groups keep the order of their first item, so the incoming priority order
+ * is preserved.
+ */
+
+const { splitIntoPriorityBatches } = require('./queuePriority');
+
+const BATCH_STRATEGIES = {
+  FIXED: 'fixed',             // BATCH_SIZE items per MO
+  SLOT: 'slot',               // One MO per scheduled_for slot
+  FG_LOCATION: 'fg_location', // One MO per finished good location
+  UPLOAD: 'upload',           // One MO per CSV upload (upload_id)
+  DAY: 'day'                  // One MO per calendar day the item was queued
+};
+
+/**
+ * Check whether a strategy name is supported
+ * @param {string} strategy - Strategy name
+ * @returns {boolean}
+ */
+function isValidBatchStrategy(strategy) {
+  return Object.values(BATCH_STRATEGIES).includes(strategy);
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date|string|null} value - Date value from MySQL
+ * @returns {string|null}
+ */
+function toLocalDay(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return String(value).substring(0, 10);
+  }
+
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Get the strategy key of a queue item
+ * @param {Object} item - mo_queue row
+ * @param {string} strategy - Batch strategy
+ * @returns {string} Key; items with the same key may share an MO
+ */
+function getBatchKey(item, strategy) {
+  switch (strategy) {
+    case BATCH_STRATEGIES.SLOT: {
+      if (!item.scheduled_for) {
+        return 'unscheduled';
+      }
+      const slot = item.scheduled_for instanceof Date ? item.scheduled_for.getTime() : String(item.scheduled_for);
+      return `slot:${slot}`;
+    }
+    case BATCH_STRATEGIES.FG_LOCATION:
+      return `location:${item.fg_location || 'none'}`;
+    case BATCH_STRATEGIES.UPLOAD:
+      return `upload:${item.upload_id || 'none'}`;
+    case BATCH_STRATEGIES.DAY:
+      return `day:${toLocalDay(item.datetime) || 'none'}`;
+    default:
+      return 'all';
+  }
+}
+
+/**
+ * Split items into MO batches
+ * @param {Array<Object>} items - Pending mo_queue rows in processing order
+ * @param {string} strategy - Batch strategy (unknown values fall back to fixed)
+ * @param {number} batchSize - Maximum items per MO
+ * @returns {Array<Array<Object>>} Batches in processing order
+ */
+function buildBatches(items, strategy, batchSize) {
+  const effectiveStrategy = isValidBatchStrategy(strategy) ? strategy : BATCH_STRATEGIES.FIXED;
+  const groups = new Map();
+
+  for (const item of items) {
+    const key = `${item.priority ?? ''}|${item.operation_type || 'build'}|${getBatchKey(item, effectiveStrategy)}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+
+  const batches = [];
+  for (const groupItems of groups.values()) {
+    batches.push(...splitIntoPriorityBatches(groupItems, batchSize));
+  }
+
+  return batches;
+}
+
+module.exports = {
+  BATCH_STRATEGIES,
+  isValidBatchStrategy,
+  getBatchKey,
+  buildBatches
+};
@@ -0,0 +1,141 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops calls to a service that keeps failing. After `failureThreshold`
+ * consecutive outage failures (5xx, timeouts, connection errors) the circuit
+ * opens and calls are refused for `resetTimeoutMs`. It then goes half-open and
+ * lets a single probe call through: success closes the circuit, failure opens
+ * it again for another `resetTimeoutMs`.
+ */
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold, resetTimeoutMs, now }
+   */
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.timesOpened = 0;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Reserve a call
+   * Moves an open circuit to half-open once the reset timeout has passed and
+   * hands the caller the probe slot.
+   * @returns {boolean} True if the call may go ahead
+   */
+  tryAcquire() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (this.now() - this.openedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.probeInFlight) {
+        return false;
+      }
+      this.probeInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a call that reached the service and got a healthy answer
+   */
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record an outage failure
+   * @param {string} reason - Short description for status output
+   * @returns {boolean} True if this failure opened the circuit
+   */
+  recordFailure(reason) {
+    this.consecutiveFailures++;
+    this.lastFailure = { reason, at: new Date(this.now()).toISOString() };
+
+    const wasOpen = this.state === CIRCUIT_STATES.OPEN;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = this.now();
+      this.probeInFlight = false;
+      if (!wasOpen) {
+        this.timesOpened++;
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a call that ended without telling us anything (e.g. cancelled)
+   */
+  recordIgnored() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Whether calls are currently being refused
+   * @returns {boolean}
+   */
+  isBlocking() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      return this.now() - this.openedAt < this.resetTimeoutMs;
+    }
+    return this.state === CIRCUIT_STATES.HALF_OPEN && this.probeInFlight;
+  }
+
+  /**
+   * Time until an open circuit lets a probe through
+   * @returns {number} Milliseconds (0 when not open)
+   */
+  getRetryAfterMs() {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(this.resetTimeoutMs - (this.now() - this.openedAt), 0);
+  }
+
+  /**
+   * Get breaker status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfterMs(),
+      timesOpened: this.timesOpened,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  CircuitBreaker
+};
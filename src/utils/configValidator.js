@@ -6,6 +6,9 @@
  */
 
 const constants = require('../config/constants');
+const { BATCH_STRATEGIES, isValidBatchStrategy } = require('./batchStrategy');
+const { PREFLIGHT_MODES, isValidPreflightMode } = require('./inventoryPreflight');
+const { LOCATION_RULES, isValidLocationRule } = require('./pickLocations');
 
 /**
  * Validates required environment variables
@@ -62,6 +65,23 @@ function validateNumericRanges() {
     warnings.push(`BATCH_SIZE (${constants.BATCH_SIZE}) should be between 1 and 1000`);
   }
 
+  if (!isValidBatchStrategy(constants.BATCH_STRATEGY)) {
+    warnings.push(`BATCH_STRATEGY (${constants.BATCH_STRATEGY}) should be one of: ${Object.values(BATCH_STRATEGIES).join(', ')}. Using 'fixed'.`);
+  }
+
+  if (!isValidPreflightMode(constants.INVENTORY_PREFLIGHT)) {
+    warnings.push(`INVENTORY_PREFLIGHT (${constants.INVENTORY_PREFLIGHT}) should be one of: ${Object.values(PREFLIGHT_MODES).join(', ')}. Using 'review'.`);
+  }
+
+  const unknownRules = constants.PICK_LOCATION_RULES.filter(rule => !isValidLocationRule(rule));
+  if (unknownRules.length > 0) {
+    warnings.push(`PICK_LOCATION_RULES has unknown rule(s): ${unknownRules.join(', ')}. Valid rules: ${Object.values(LOCATION_RULES).join(', ')}. Unknown rules are ignored.`);
+  }
+
+  if (constants.PICK_LOCATION_RULES.includes(LOCATION_RULES.PREFERRED_GROUP) && !constants.PICK_PREFERRED_LOCATION_GROUP) {
+    warnings.push('PICK_LOCATION_RULES includes preferred_group but PICK_PREFERRED_LOCATION_GROUP is not set. The rule has no effect.');
+  }
+
   if (constants.CONCURRENT_WO_LIMIT < 1 || constants.CONCURRENT_WO_LIMIT > 10) {
     warnings.push(`CONCURRENT_WO_LIMIT (${constants.CONCURRENT_WO_LIMIT}) should be between 1 and 10`);
   }
@@ -83,7 +103,11 @@ function logConfiguration() {
   console.log(`  - Port: ${process.env.PORT}`);
   console.log(`  - Log Level: ${process.env.LOG_LEVEL || 'info'}`);
   console.log(`  - Batch Size: ${constants.BATCH_SIZE}`);
+  console.log(`  - Batch Strategy: ${constants.BATCH_STRATEGY}`);
+  console.log(`  - Inventory Pre-flight: ${constants.INVENTORY_PREFLIGHT}`);
+  console.log(`  - Pick Location Rules: ${constants.PICK_LOCATION_RULES.join(', ') || 'none'}${constants.PICK_PREFERRED_LOCATION_GROUP ? ` (preferred location group ${constants.PICK_PREFERRED_LOCATION_GROUP})` : ''}`);
   console.log(`  - Concurrent WO Limit: ${constants.CONCURRENT_WO_LIMIT}${constants.CONCURRENT_WO_LIMIT > 1 ? ' ⚠️  CONCURRENT MODE' : ' (sequential)'}`);
+  console.log(`  - Circuit Breaker: opens after ${constants.CIRCUIT_FAILURE_THRESHOLD} failures, probes after ${constants.CIRCUIT_RESET_TIMEOUT_MS}ms`);
   console.log(`  - DB Pool Size: ${constants.DB_POOL_SIZE}`);
   console.log(`  - SSL Verification: ${constants.SSL_VERIFY ? 'Enabled' : 'Disabled'}`);
   console.log(`  - Platform: ${process.platform}`);
@@ -0,0 +1,157 @@
+/**
+ * Inventory Pre-flight
+ *
+ * Before the MO of a build batch is created, the batch's inventory needs are
+ * checked against Fishbowl (services/inventoryPreflightService): every serial
+ * must be on hand at an active, pickable location counted as available and not
+ * committed to another pick, and the BOM's raw goods without component serials
+ * must have enough available quantity in the MO's location group for the whole
+ * batch. INVENTORY_PREFLIGHT decides what happens to a batch that falls short:
+ *
+ * - review: items with a serial shortfall move to Review and the rest are
+ *           built; a quantity shortfall moves the whole batch to Review
+ * - block:  the whole batch stays Pending until the shortfall is resolved
+ * - off:    no check
+ */
+
+const PREFLIGHT_MODES = {
+  REVIEW: 'review',
+  BLOCK: 'block',
+  OFF: 'off'
+};
+
+const SHORTFALL_REASONS = {
+  NOT_ON_HAND: 'not_on_hand',
+  NOT_AVAILABLE: 'not_available',
+  COMMITTED: 'committed'
+};
+
+/**
+ * Check a pre-flight mode name
+ * @param {string} mode - Mode name
+ * @returns {boolean}
+ */
+function isValidPreflightMode(mode) {
+  return Object.values(PREFLIGHT_MODES).includes(mode);
+}
+
+const isSet = value => value === true || value === 1 || value === '1' || value === 'true';
+const isAvailable = row => isSet(row.location_active) && isSet(row.location_pickable) && isSet(row.location_counted_as_available);
+
+/**
+ * Find the serials of a batch that cannot be picked
+ * @param {Array<Object>} items - [{ queueItemId, barcode, components: [{ partId, serials }] }]
+ * @param {Map} rowsByPart - partId -> serialLocations rows for the batch's serials of that part
+ * @returns {Array<Object>} [{ queueItemId, barcode, partId, serial, reason, location }]
+ */
+function findSerialShortfalls(items, rowsByPart) {
+  const shortfalls = [];
+
+  for (const item of items) {
+    for (const component of item.components) {
+      const rows = rowsByPart.get(component.partId) || [];
+
+      for (const serial of component.serials) {
+        // A serial on several tags counts as on hand if any of them can be picked
+        const candidates = rows.filter(candidate => candidate.serial === serial);
+        const row = candidates.find(candidate => isAvailable(candidate) && !isSet(candidate.serial_committed)) ||
+          candidates.find(isAvailable) || candidates[0];
+        const shortfall = { queueItemId: item.queueItemId, barcode: item.barcode, partId: component.partId, serial, location: null };
+
+        if (!row) {
+          shortfalls.push({ ...shortfall, reason: SHORTFALL_REASONS.NOT_ON_HAND });
+          continue;
+        }
+
+        const location = `${row.locationgroup_name}-${row.location_name}`;
+        if (!isAvailable(row)) {
+          shortfalls.push({ ...shortfall, reason: SHORTFALL_REASONS.NOT_AVAILABLE, location });
+        } else if (isSet(row.serial_committed)) {
+          shortfalls.push({ ...shortfall, reason: SHORTFALL_REASONS.COMMITTED, location });
+        }
+      }
+    }
+  }
+
+  return shortfalls;
+}
+
+/**
+ * Find the raw goods without component serials that a batch needs more of than is available
+ * @param {Array<Object>} rows - bomComponentAvailability rows
+ * @param {number} builds - Number of builds in the batch
+ * @returns {Array<Object>} [{ partId, partNum, required, available }]
+ */
+function findQuantityShortfalls(rows, builds) {
+  return rows
+    .map(row => ({
+      partId: Number(row.part_id),
+      partNum: row.part_num,
+      required: Number(row.qty_per_build) * builds,
+      available: Number(row.qty_available) || 0
+    }))
+    .filter(part => part.available < part.required);
+}
+
+/**
+ * Describe a shortfall for error messages and the job report
+ * @param {Object} shortfall - Serial or quantity shortfall
+ * @returns {string}
+ */
+function describeShortfall(shortfall) {
+  if (shortfall.serial === undefined) {
+    return `${shortfall.partNum}: ${shortfall.required} needed, ${shortfall.available} available`;
+  }
+
+  switch (shortfall.reason) {
+    case SHORTFALL_REASONS.NOT_AVAILABLE:
+      return `serial ${shortfall.serial} is at ${shortfall.location}, which is not an active pickable location counted as available`;
+    case SHORTFALL_REASONS.COMMITTED:
+      return `serial ${shortfall.serial} is committed to another pick`;
+    default:
+      return `serial ${shortfall.serial} is not on hand`;
+  }
+}
+
+/**
+ * Decide which items of a checked batch are held back, and why
+ * @param {Array<Object>} batch - Queue items of the batch
+ * @param {Object} report - From checkBatchInventory
+ * @param {string} mode - One of PREFLIGHT_MODES
+ * @returns {Map} queue item ID -> error message, empty when the whole batch can go ahead
+ */
+function preflightHolds(batch, report, mode) {
+  const holds = new Map();
+  const shortfallCount = report.serialShortfalls.length + report.quantityShortfalls.length;
+
+  if (mode === PREFLIGHT_MODES.OFF || shortfallCount === 0) {
+    return holds;
+  }
+
+  const quantityMessages = report.quantityShortfalls.map(describeShortfall);
+
+  for (const item of batch) {
+    const messages = report.serialShortfalls
+      .filter(shortfall => shortfall.queueItemId === item.id)
+      .map(describeShortfall)
+      .concat(quantityMessages);
+
+    if (messages.length > 0) {
+      holds.set(item.id, `Inventory pre-flight: ${messages.join('; ')}`);
+    } else if (mode === PREFLIGHT_MODES.BLOCK) {
+      holds.set(item.id, `Inventory pre-flight: batch held for ${shortfallCount} shortfall(s) on other items`);
+    }
+  }
+
+  return holds;
+}
+
+module.exports = {
+  PREFLIGHT_MODES,
+  SHORTFALL_REASONS,
+  isValidPreflightMode,
+  findSerialShortfalls,
+  findQuantityShortfalls,
+  describeShortfall,
+  preflightHolds
+};
@@ -13,7 +13,24 @@ const LOG_LEVELS = {
   DEBUG: 3
 };
 
+// Shared application logger (see Logger.getAppLogger)
+let appLogger = null;
+
 class Logger {
+  /**
+   * Get the application logger (LOG_FILE at LOG_LEVEL), creating it on first use
+   * Modules that are not handed a logger (e.g. the Fishbowl client) log through
+   * it without loading the Express app
+   * @returns {Logger}
+   */
+  static getAppLogger() {
+    if (!appLogger) {
+      const { LOG_FILE, LOG_LEVEL } = require('../config');
+      appLogger = new Logger(LOG_FILE, LOG_LEVEL);
+    }
+    return appLogger;
+  }
+
   constructor(logFile, level = 'INFO') {
     this.logFile = logFile;
     this.setLevel(level);
@@ -0,0 +1,156 @@
+/**
+ * Pick Locations
+ *
+ * Chooses where a pick item takes its stock from. A serial can sit on more
+ * than one tag, and untracked raw goods are usually stocked at several
+ * locations; PICK_LOCATION_RULES (comma-separated) decides which of them are
+ * used:
+ *
+ * - available:       skip inactive locations, non-pickable locations and
+ *                    locations not counted as available (quarantine, MRB)
+ * - mo_group:        only locations in the MO's location group
+ * - preferred_group: locations in PICK_PREFERRED_LOCATION_GROUP come first
+ * - fifo:            oldest tag first (by tag date created)
+ *
+ * Candidates that pass the filters are otherwise taken in location ID order.
+ * An untracked quantity is taken from the allowed tags in that order, split
+ * across as many as it needs, like serials spread over several tags.
+ */
+
+const LOCATION_RULES = {
+  AVAILABLE: 'available',
+  MO_GROUP: 'mo_group',
+  PREFERRED_GROUP: 'preferred_group',
+  FIFO: 'fifo'
+};
+
+/**
+ * Check a location rule name
+ * @param {string} rule - Rule name
+ * @returns {boolean}
+ */
+function isValidLocationRule(rule) {
+  return Object.values(LOCATION_RULES).includes(rule);
+}
+
+const isSet = value => value === true || value === 1 || value === '1' || value === 'true';
+
+/**
+ * Build the location info of a serialLocations / partPickLocations row
+ * @param {Object} row - Query row
+ * @returns {Object} Location info as used for pick item locations
+ */
+function toLocationInfo(row) {
+  return {
+    locationId: row.location_id,
+    locationName: row.location_name,
+    locationGroupId: row.locationgroup_id,
+    locationGroupName: row.locationgroup_name,
+    locationTypeId: row.location_typeid,
+    locationDescription: row.location_description,
+    tagId: row.tag_id,
+    tagNum: row.tag_num,
+    tagDateCreated: row.tag_date_created || null,
+    pickable: row.location_pickable,
+    receivable: row.location_receivable,
+    active: row.location_active,
+    countedAsAvailable: row.location_counted_as_available
+  };
+}
+
+/**
+ * Name a location the way the rest of the app does ("LocationGroup-Location")
+ * @param {Object} locationInfo - From toLocationInfo
+ * @returns {string}
+ */
+function describeLocation(locationInfo) {
+  return `${locationInfo.locationGroupName}-${locationInfo.locationName}`;
+}
+
+/**
+ * Apply the rules to candidate rows: drop the excluded ones and order the rest
+ * @param {Array<Object>} rows - serialLocations or partPickLocations rows
+ * @param {Object} options - { rules, moLocationGroupId, preferredLocationGroupId }
+ * @returns {Array<Object>} Allowed rows, best first
+ */
+function rankLocations(rows, { rules = [], moLocationGroupId = null, preferredLocationGroupId = null } = {}) {
+  const has = rule => rules.includes(rule);
+  const tagTime = row => (row.tag_date_created ? new Date(row.tag_date_created).getTime() : Infinity);
+  const preferred = row => (has(LOCATION_RULES.PREFERRED_GROUP) && preferredLocationGroupId && Number(row.locationgroup_id) === Number(preferredLocationGroupId) ? 0 : 1);
+
+  return rows
+    .filter(row => !has(LOCATION_RULES.AVAILABLE) ||
+      (isSet(row.location_active) && isSet(row.location_pickable) && isSet(row.location_counted_as_available)))
+    .filter(row => !has(LOCATION_RULES.MO_GROUP) || !moLocationGroupId || Number(row.locationgroup_id) === Number(moLocationGroupId))
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => preferred(a.row) - preferred(b.row) ||
+      (has(LOCATION_RULES.FIFO) ? tagTime(a.row) - tagTime(b.row) : 0) ||
+      a.index - b.index)
+    .map(({ row }) => row);
+}
+
+/**
+ * Choose a tag for every serial and group the serials by tag
+ * @param {Array<Object>} rows - serialLocations rows
+ * @param {Object} options - { rules, moLocationGroupId, preferredLocationGroupId }
+ * @returns {Object} { locationGroups: Map tag -> { locationInfo, serials }, excluded: [{ serial, locations }] }
+ */
+function selectSerialLocations(rows, options) {
+  const ranked = rankLocations(rows, options);
+  const locationGroups = new Map();
+  const excluded = [];
+
+  const serials = [...new Set(rows.map(row => row.serial))];
+  serials.forEach(serial => {
+    const chosen = ranked.find(row => row.serial === serial);
+
+    if (!chosen) {
+      excluded.push({ serial, locations: rows.filter(row => row.serial === serial).map(row => describeLocation(toLocationInfo(row))) });
+      return;
+    }
+
+    const key = chosen.tag_id || `location-${chosen.location_id}`;
+    if (!locationGroups.has(key)) {
+      locationGroups.set(key, { locationInfo: toLocationInfo(chosen), serials: [] });
+    }
+    locationGroups.get(key).serials.push(serial);
+  });
+
+  return { locationGroups, excluded };
+}
+
+/**
+ * Choose the tags an untracked pick item takes its quantity from
+ * @param {Array<Object>} rows - partPickLocations rows
+ * @param {number} quantity - Quantity the pick item needs
+ * @param {Object} options - { rules, moLocationGroupId, preferredLocationGroupId }
+ * @returns {Array<Object>|null} [{ locationInfo, quantity }] in rule order, or null if the allowed tags together hold less
+ */
+function selectQuantityLocations(rows, quantity, options) {
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const row of rankLocations(rows, options)) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const taken = Math.min(Number(row.qty_available) || 0, remaining);
+    if (taken > 0) {
+      allocations.push({ locationInfo: toLocationInfo(row), quantity: taken });
+      remaining -= taken;
+    }
+  }
+
+  return remaining > 0 ? null : allocations;
+}
+
+module.exports = {
+  LOCATION_RULES,
+  isValidLocationRule,
+  toLocationInfo,
+  describeLocation,
+  rankLocations,
+  selectSerialLocations,
+  selectQuantityLocations
+};
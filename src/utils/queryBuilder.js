@@ -0,0 +1,238 @@
+/**
+ * Fishbowl Query Builder
+ *
+ * The Fishbowl data-query endpoint only takes SQL text, so values have to be
+ * written into the query. Queries are declared once with named parameters
+ * (:name) and a type for each; values are escaped by their declared type when
+ * the query is built. runQuery only accepts declared queries, never SQL
+ * strings, so callers cannot interpolate values themselves.
+ *
+ * A list parameter expands to the contents of an IN (...) clause. Lists longer
+ * than the chunk size split the query into several, whose rows are
+ * concatenated.
+ */
+
+const { quoteSqlString, buildInClause, validateSerialNumbers } = require('./sqlHelpers');
+const { IN_CLAUSE_CHUNK_SIZE } = require('../config/constants');
+
+const PARAM_TYPES = {
+  STRING: 'string',
+  INT: 'int',
+  LIST: 'list',             // Strings, e.g. MO numbers or barcodes
+  INT_LIST: 'intList',      // Integers, e.g. part IDs
+  SERIAL_LIST: 'serialList' // Strings that must pass validateSerialNumbers
+};
+
+const LIST_TYPES = [PARAM_TYPES.LIST, PARAM_TYPES.INT_LIST, PARAM_TYPES.SERIAL_LIST];
+
+const PLACEHOLDER_PATTERN = /:([A-Za-z_][A-Za-z0-9_]*)/g;
+
+// Queries created by defineQuery (copies are not accepted)
+const definedQueries = new WeakSet();
+
+/**
+ * Declare a parameterized query
+ * @param {string} name - Query name (used in errors and logs)
+ * @param {string} sql - SQL with :name placeholders
+ * @param {Object} params - Parameter name -> PARAM_TYPES value
+ * @returns {Object} Frozen query definition
+ * @throws {Error} If the template and the declared parameters do not match
+ */
+function defineQuery(name, sql, params = {}) {
+  if (typeof sql !== 'string' || sql.trim() === '') {
+    throw new Error(`Query ${name}: SQL template is empty`);
+  }
+
+  if (sql.includes('${')) {
+    throw new Error(`Query ${name}: SQL template contains a \${...} interpolation`);
+  }
+
+  if (/--|\/\*|;/.test(sql)) {
+    throw new Error(`Query ${name}: SQL template may not contain comments or ';'`);
+  }
+
+  // String literals in the template are constants (e.g. CONCAT separators); placeholders belong outside them
+  const withoutLiterals = sql.replace(/'[^']*'/g, literal => {
+    if (/:[A-Za-z_]/.test(literal)) {
+      throw new Error(`Query ${name}: placeholder inside a string literal: ${literal}`);
+    }
+    return ' ';
+  });
+
+  if (withoutLiterals.includes("'")) {
+    throw new Error(`Query ${name}: unterminated string literal`);
+  }
+
+  const used = [...new Set([...withoutLiterals.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+  const undeclared = used.filter(param => !(param in params));
+  if (undeclared.length > 0) {
+    throw new Error(`Query ${name}: undeclared parameter(s): ${undeclared.join(', ')}`);
+  }
+
+  const unused = Object.keys(params).filter(param => !used.includes(param));
+  if (unused.length > 0) {
+    throw new Error(`Query ${name}: declared parameter(s) not used: ${unused.join(', ')}`);
+  }
+
+  for (const [param, type] of Object.entries(params)) {
+    if (!Object.values(PARAM_TYPES).includes(type)) {
+      throw new Error(`Query ${name}: unknown type "${type}" for :${param}`);
+    }
+  }
+
+  const listParams = Object.keys(params).filter(param => LIST_TYPES.includes(params[param]));
+  if (listParams.length > 1) {
+    throw new Error(`Query ${name}: only one list parameter is supported`);
+  }
+
+  const query = Object.freeze({
+    name,
+    sql,
+    params: Object.freeze({ ...params }),
+    listParam: listParams[0] || null
+  });
+  definedQueries.add(query);
+  return query;
+}
+
+/**
+ * Escape a scalar value by its declared type
+ * @param {Object} query - Query definition
+ * @param {string} param - Parameter name
+ * @param {*} value - Value
+ * @returns {string} SQL text for the value
+ */
+function formatScalar(query, param, value) {
+  const type = query.params[param];
+
+  if (value === null || value === undefined) {
+    throw new Error(`Query ${query.name}: missing value for :${param}`);
+  }
+
+  if (type === PARAM_TYPES.INT) {
+    const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(num)) {
+      throw new Error(`Query ${query.name}: :${param} must be an integer`);
+    }
+    return String(num);
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error(`Query ${query.name}: :${param} must be a string`);
+  }
+  return quoteSqlString(String(value));
+}
+
+/**
+ * Check a list value and normalize its items
+ * @param {Object} query - Query definition
+ * @param {string} param - Parameter name
+ * @param {*} values - Value
+ * @returns {Array} Items
+ */
+function normalizeList(query, param, values) {
+  const type = query.params[param];
+
+  if (!Array.isArray(values)) {
+    throw new Error(`Query ${query.name}: :${param} must be an array`);
+  }
+
+  if (values.length === 0) {
+    return [];
+  }
+
+  if (type === PARAM_TYPES.INT_LIST) {
+    return values.map(value => {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(num)) {
+        throw new Error(`Query ${query.name}: :${param} must contain integers only`);
+      }
+      return num;
+    });
+  }
+
+  if (type === PARAM_TYPES.SERIAL_LIST) {
+    validateSerialNumbers(values);
+    return values;
+  }
+
+  if (values.some(value => typeof value !== 'string' && typeof value !== 'number')) {
+    throw new Error(`Query ${query.name}: :${param} must contain strings only`);
+  }
+  return values.map(String);
+}
+
+/**
+ * Build the SQL for a declared query
+ * @param {Object} query - Query from defineQuery
+ * @param {Object} values - Parameter name -> value
+ * @param {Object} options - { chunkSize }
+ * @returns {Array<string>} One SQL statement per IN-list chunk (empty when the list is empty)
+ */
+function buildQuery(query, values = {}, { chunkSize = IN_CLAUSE_CHUNK_SIZE } = {}) {
+  if (!definedQueries.has(query)) {
+    throw new Error('buildQuery requires a query created with defineQuery');
+  }
+
+  const unknown = Object.keys(values).filter(param => !(param in query.params));
+  if (unknown.length > 0) {
+    throw new Error(`Query ${query.name}: unknown parameter(s): ${unknown.join(', ')}`);
+  }
+
+  const scalars = {};
+  for (const param of Object.keys(query.params)) {
+    if (param !== query.listParam) {
+      scalars[param] = formatScalar(query, param, values[param]);
+    }
+  }
+
+  // defineQuery keeps placeholders out of string literals, so every match is a parameter
+  const render = listSql => query.sql.replace(PLACEHOLDER_PATTERN, (match, param) => (
+    param === query.listParam ? listSql : scalars[param]
+  ));
+
+  if (!query.listParam) {
+    return [render(null)];
+  }
+
+  const items = normalizeList(query, query.listParam, values[query.listParam]);
+  const inType = query.params[query.listParam] === PARAM_TYPES.INT_LIST ? 'number' : 'string';
+
+  const statements = [];
+  for (let i = 0; i < items.length; i += chunkSize) {
+    statements.push(render(buildInClause(items.slice(i, i + chunkSize), inType)));
+  }
+  return statements;
+}
+
+/**
+ * Run a declared query
+ * @param {Object} client - Object with query(sql, options), e.g. a FishbowlClient
+ * @param {Object} query - Query from defineQuery
+ * @param {Object} values - Parameter name -> value
+ * @param {Object} options - { chunkSize, timeoutMs, signal }
+ * @returns {Promise<Array>} Rows from all chunks
+ */
+async function runQuery(client, query, values = {}, options = {}) {
+  const { chunkSize, ...queryOptions } = options;
+  const statements = buildQuery(query, values, chunkSize ? { chunkSize } : undefined);
+
+  const rows = [];
+  for (const sql of statements) {
+    const result = await client.query(sql, queryOptions);
+    if (Array.isArray(result)) {
+      rows.push(...result);
+    } else if (result) {
+      rows.push(result);
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  PARAM_TYPES,
+  defineQuery,
+  buildQuery,
+  runQuery
+};
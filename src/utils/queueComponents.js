@@ -0,0 +1,131 @@
+/**
+ * Queue Components
+ *
+ * A build consumes one or more serialized raw goods (board, battery, radio),
+ * each with its own part ID and serial list. Queue rows store them in the
+ * components column as JSON: [{ partId, serials: [...] }, ...].
+ *
+ * Rows queued before components existed only have raw_goods_part_id and
+ * serial_numbers; they are read as a single component.
+ *
+ * Quantity builds (build_quantity set) make a run of a finished good that is
+ * not barcode-tracked in one work order. They need no serialized components;
+ * their barcode column holds the run's reference instead of an FG barcode.
+ */
+
+/**
+ * Validate and normalize the serialized components of a build
+ * @param {Array|string} value - Components, or their JSON
+ * @returns {Array<Object>} [{ partId, serials }] with serials trimmed
+ * @throws {Error} If a component has no part ID or serials, or a part is listed twice
+ */
+function normalizeComponents(value) {
+  let components = value;
+
+  if (typeof components === 'string') {
+    try {
+      components = JSON.parse(components);
+    } catch (e) {
+      throw new Error('Components must be valid JSON');
+    }
+  }
+
+  if (!Array.isArray(components) || components.length === 0) {
+    throw new Error('Components must be a non-empty array of { partId, serials }');
+  }
+
+  const partIds = new Set();
+
+  return components.map((component, idx) => {
+    const partId = Number(component?.partId);
+    if (!Number.isInteger(partId) || partId <= 0) {
+      throw new Error(`Component ${idx + 1} needs a numeric partId`);
+    }
+    if (partIds.has(partId)) {
+      throw new Error(`Part ${partId} is listed as more than one component`);
+    }
+    partIds.add(partId);
+
+    const serials = Array.isArray(component.serials)
+      ? component.serials.map(serial => String(serial).trim()).filter(serial => serial !== '')
+      : [];
+    if (serials.length === 0) {
+      throw new Error(`Component ${idx + 1} (part ${partId}) has no serial numbers`);
+    }
+
+    return { partId, serials };
+  });
+}
+
+/**
+ * Read the serialized components of a build queue row
+ * @param {Object} queueItem - mo_queue row
+ * @returns {Array<Object>} [{ partId, serials }]
+ */
+function getQueueItemComponents(queueItem) {
+  if (queueItem.components) {
+    return normalizeComponents(queueItem.components);
+  }
+
+  // Quantity build without serialized components
+  if (queueItem.build_quantity && !queueItem.serial_numbers) {
+    return [];
+  }
+
+  // Single-component row (raw_goods_part_id + serial_numbers)
+  return normalizeComponents([{
+    partId: queueItem.raw_goods_part_id,
+    serials: JSON.parse(queueItem.serial_numbers)
+  }]);
+}
+
+/**
+ * Columns describing the components on a queue row
+ * serial_numbers keeps every serial and raw_goods_part_id the first component's
+ * part, so barcode lookups and single-component readers keep working
+ * @param {Array<Object>} components - Normalized components
+ * @returns {Object} { components, serialNumbers, rawGoodsPartId } (components and serialNumbers as JSON)
+ */
+function componentColumns(components) {
+  return {
+    components: JSON.stringify(components),
+    serialNumbers: JSON.stringify(components.flatMap(component => component.serials)),
+    rawGoodsPartId: components[0].partId
+  };
+}
+
+/**
+ * Validate the quantity of a quantity build
+ * @param {string|number|null|undefined} value - Requested quantity
+ * @returns {number|null} Quantity, or null for a regular one-per-barcode build
+ * @throws {Error} If the value is not a positive whole number
+ */
+function normalizeBuildQuantity(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new Error('Build quantity must be a positive whole number');
+  }
+
+  return quantity;
+}
+
+/**
+ * Number of finished goods a build queue row makes
+ * @param {Object} queueItem - mo_queue row
+ * @returns {number} build_quantity for quantity builds, otherwise 1
+ */
+function getQueueItemBuildQuantity(queueItem) {
+  return Number(queueItem.build_quantity) || 1;
+}
+
+module.exports = {
+  normalizeComponents,
+  getQueueItemComponents,
+  componentColumns,
+  normalizeBuildQuantity,
+  getQueueItemBuildQuantity
+};
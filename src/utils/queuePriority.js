@@ -0,0 +1,93 @@
+/**
+ * Queue Priority
+ *
+ * Validation for the priority and due date of queue items, and the batching
+ * rule that keeps items of different priority on separate MOs.
+ */
+
+const { QUEUE_PRIORITY } = require('../config/constants');
+
+/**
+ * Normalize a priority given as a level name ('rush') or a number
+ * @param {string|number|null|undefined} value - Requested priority
+ * @returns {number} Priority between QUEUE_PRIORITY.LOW and QUEUE_PRIORITY.RUSH
+ * @throws {Error} If the value is not a known level or whole number in range
+ */
+function normalizePriority(value) {
+  if (value === undefined || value === null || value === '') {
+    return QUEUE_PRIORITY.NORMAL;
+  }
+
+  if (typeof value === 'string' && QUEUE_PRIORITY[value.trim().toUpperCase()] !== undefined) {
+    return QUEUE_PRIORITY[value.trim().toUpperCase()];
+  }
+
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < QUEUE_PRIORITY.LOW || priority > QUEUE_PRIORITY.RUSH) {
+    throw new Error(`Priority must be one of ${Object.keys(QUEUE_PRIORITY).join(', ')} or a whole number from ${QUEUE_PRIORITY.LOW} to ${QUEUE_PRIORITY.RUSH}`);
+  }
+
+  return priority;
+}
+
+/**
+ * Normalize a due date to YYYY-MM-DD
+ * Accepts a date or an ISO date-time (the time part is dropped)
+ * @param {string|null|undefined} value - Requested due date
+ * @returns {string|null} Due date, or null when none was given
+ * @throws {Error} If the value is not a valid calendar date
+ */
+function normalizeDueDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error('Due date must be in YYYY-MM-DD format');
+  }
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    throw new Error(`Due date ${value} is not a valid date`);
+  }
+
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Cut items (already sorted by priority) into batches
+ * A new batch is started whenever the priority changes, so a rush MO
+ * never waits on lower priority items in the same MO
+ * @param {Array<Object>} items - Queue rows with a priority field
+ * @param {number} batchSize - Maximum items per batch
+ * @returns {Array<Array<Object>>} Batches
+ */
+function splitIntoPriorityBatches(items, batchSize) {
+  const batches = [];
+  let current = [];
+
+  for (const item of items) {
+    const priority = item.priority ?? QUEUE_PRIORITY.NORMAL;
+    const currentPriority = current.length > 0 ? (current[0].priority ?? QUEUE_PRIORITY.NORMAL) : priority;
+
+    if (current.length >= batchSize || priority !== currentPriority) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(item);
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+module.exports = {
+  normalizePriority,
+  normalizeDueDate,
+  splitIntoPriorityBatches
+};
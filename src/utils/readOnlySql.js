@@ -0,0 +1,300 @@
+/**
+ * Read-only SQL validation
+ *
+ * Guards the /api/data-query proxy, which forwards SQL from the browser to
+ * Fishbowl with the operator's token. A query is accepted only when it is a
+ * single SELECT statement that reads from allowlisted tables: no comments, no
+ * stacked statements, no writes (INSERT/UPDATE/..., SELECT ... INTO OUTFILE)
+ * and no schema-qualified table names.
+ *
+ * The query is tokenized so that string literals (serial numbers, barcodes)
+ * may contain anything, including ';' and '--'.
+ */
+
+// Tables the UI needs to read
+const READ_ONLY_TABLES = [
+  'part',
+  'parttracking',
+  'parttotracking',
+  'bom',
+  'bomitem',
+  'bomitemtype',
+  'tag',
+  'serial',
+  'serialnum',
+  'trackinginfo',
+  'trackinginfosn',
+  'location',
+  'locationgroup',
+  'defaultlocation',
+  'mo',
+  'moitem',
+  'wo',
+  'woitem',
+  'uom',
+  'mo_queue',
+  'dual'
+];
+
+// Keywords that have no place in a read-only query
+const FORBIDDEN_KEYWORDS = [
+  'insert', 'update', 'delete', 'drop', 'alter', 'create', 'truncate', 'rename',
+  'grant', 'revoke', 'call', 'execute', 'prepare', 'handler', 'lock', 'unlock',
+  'into', 'outfile', 'dumpfile', 'load_file', 'sleep', 'benchmark'
+];
+
+// Words that end a FROM/JOIN table reference (so they are not mistaken for an alias)
+const CLAUSE_KEYWORDS = [
+  'where', 'join', 'inner', 'left', 'right', 'outer', 'cross', 'natural', 'straight_join',
+  'on', 'using', 'group', 'order', 'having', 'limit', 'union', 'window', 'for'
+];
+
+// Words that end the table references of a FROM clause
+const FROM_END_KEYWORDS = ['where', 'group', 'order', 'having', 'limit', 'union', 'window', 'for'];
+
+/**
+ * Split a query into tokens, skipping over string literals
+ * @param {string} sql - SQL query
+ * @returns {Object} { tokens } or { error }
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if ((ch === '-' && sql[i + 1] === '-') || ch === '#' || (ch === '/' && sql[i + 1] === '*')) {
+      return { error: 'Comments are not allowed' };
+    }
+
+    if (ch === '\'' || ch === '"') {
+      let closed = false;
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === '\\') {
+          i += 2;
+          continue;
+        }
+        if (sql[i] === ch) {
+          if (sql[i + 1] === ch) {
+            i += 2;
+            continue;
+          }
+          closed = true;
+          i++;
+          break;
+        }
+        i++;
+      }
+      if (!closed) {
+        return { error: 'Unterminated string literal' };
+      }
+      tokens.push({ type: 'string' });
+      continue;
+    }
+
+    if (ch === '`') {
+      const end = sql.indexOf('`', i + 1);
+      if (end === -1) {
+        return { error: 'Unterminated quoted identifier' };
+      }
+      tokens.push({ type: 'word', value: sql.substring(i + 1, end).toLowerCase(), quoted: true });
+      i = end + 1;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.substring(i, i + 256));
+    if (word) {
+      tokens.push({ type: 'word', value: word[0].toLowerCase() });
+      i += word[0].length;
+      continue;
+    }
+
+    const number = /^[0-9][0-9.eE]*/.exec(sql.substring(i, i + 64));
+    if (number) {
+      tokens.push({ type: 'number' });
+      i += number[0].length;
+      continue;
+    }
+
+    tokens.push({ type: 'punct', value: ch });
+    i++;
+  }
+
+  return { tokens };
+}
+
+const isPunct = (token, value) => token?.type === 'punct' && token.value === value;
+const isKeyword = (token, values) => token?.type === 'word' && !token.quoted && values.includes(token.value);
+
+/**
+ * Find the token after the parenthesis that closes the one at index
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {number} index - Index of a '(' token
+ * @returns {number} Index after the matching ')', or tokens.length when unmatched
+ */
+function skipParens(tokens, index) {
+  let depth = 0;
+  for (let j = index; j < tokens.length; j++) {
+    if (isPunct(tokens[j], '(')) depth++;
+    if (isPunct(tokens[j], ')') && --depth === 0) return j + 1;
+  }
+  return tokens.length;
+}
+
+/**
+ * Collect the tables of one FROM clause
+ * Every table reference counts: the first, each one after a comma (also after
+ * an ON or USING condition), each JOIN, and those wrapped in parentheses.
+ * A parenthesized SELECT is a derived table; its own FROM is read separately.
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {number} start - Index of the token after FROM
+ * @param {Array<string>} tables - Receives the table names
+ * @returns {string|null} Error, or null
+ */
+function readTableReferences(tokens, start, tables) {
+  let depth = 0;
+  let expectTable = true;
+  let introducer = 'FROM';
+  let j = start;
+
+  while (j < tokens.length) {
+    const token = tokens[j];
+
+    if (expectTable) {
+      if (isPunct(token, '(')) {
+        if (isKeyword(tokens[j + 1], ['select'])) {
+          j = skipParens(tokens, j);
+          expectTable = false;
+        } else {
+          // Parenthesized table reference, e.g. FROM (part) or JOIN (bom b, uom u)
+          depth++;
+          j++;
+        }
+        continue;
+      }
+
+      if (token.type !== 'word') {
+        return `Expected a table name after ${introducer}`;
+      }
+
+      if (isPunct(tokens[j + 1], '.')) {
+        return 'Schema-qualified table names are not allowed';
+      }
+
+      tables.push(token.value);
+      j++;
+
+      // Optional alias
+      if (isKeyword(tokens[j], ['as'])) {
+        j += 2;
+      } else if (tokens[j]?.type === 'word' && (tokens[j].quoted || !CLAUSE_KEYWORDS.includes(tokens[j].value))) {
+        j++;
+      }
+
+      expectTable = false;
+      continue;
+    }
+
+    if (isPunct(token, ',')) {
+      introducer = ',';
+      expectTable = true;
+      j++;
+    } else if (isKeyword(token, ['join', 'straight_join'])) {
+      introducer = 'JOIN';
+      expectTable = true;
+      j++;
+    } else if (isPunct(token, '(')) {
+      // Function calls and subqueries in ON / USING conditions
+      j = skipParens(tokens, j);
+    } else if (isPunct(token, ')')) {
+      if (depth === 0) break;
+      depth--;
+      j++;
+    } else if (isPunct(token, ';') || isKeyword(token, FROM_END_KEYWORDS)) {
+      break;
+    } else {
+      j++;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collect the tables named in every FROM clause
+ * @param {Array} tokens - Tokens from tokenize
+ * @returns {Object} { tables } or { error }
+ */
+function collectTables(tokens) {
+  const tables = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isKeyword(tokens[i], ['from'])) {
+      continue;
+    }
+
+    const error = readTableReferences(tokens, i + 1, tables);
+    if (error) {
+      return { error };
+    }
+  }
+
+  return { tables: [...new Set(tables)] };
+}
+
+/**
+ * Check that a query is a single read-only SELECT against allowed tables
+ * @param {string} sql - SQL query from the client
+ * @param {Array<string>} allowedTables - Tables that may be read
+ * @returns {Object} { valid, reason, tables }
+ */
+function validateReadOnlySql(sql, allowedTables = READ_ONLY_TABLES) {
+  const reject = (reason, tables = []) => ({ valid: false, reason, tables });
+
+  if (typeof sql !== 'string' || sql.trim() === '') {
+    return reject('Query is empty');
+  }
+
+  const { tokens, error } = tokenize(sql);
+  if (error) {
+    return reject(error);
+  }
+
+  if (tokens[0].type !== 'word' || tokens[0].value !== 'select') {
+    return reject('Only SELECT statements are allowed');
+  }
+
+  const semicolon = tokens.findIndex(token => token.type === 'punct' && token.value === ';');
+  if (semicolon !== -1 && semicolon !== tokens.length - 1) {
+    return reject('Multiple statements are not allowed');
+  }
+
+  const forbidden = tokens.find(token => token.type === 'word' && !token.quoted && FORBIDDEN_KEYWORDS.includes(token.value));
+  if (forbidden) {
+    return reject(`Keyword not allowed: ${forbidden.value.toUpperCase()}`);
+  }
+
+  const { tables, error: tableError } = collectTables(tokens);
+  if (tableError) {
+    return reject(tableError);
+  }
+
+  const notAllowed = tables.filter(table => !allowedTables.includes(table));
+  if (notAllowed.length > 0) {
+    return reject(`Table not allowed: ${notAllowed.join(', ')}`, tables);
+  }
+
+  return { valid: true, reason: null, tables };
+}
+
+module.exports = {
+  READ_ONLY_TABLES,
+  validateReadOnlySql
+};
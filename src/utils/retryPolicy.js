@@ -0,0 +1,217 @@
+/**
+ * Retry Policy
+ *
+ * Classifies errors from Fishbowl calls (FishbowlClient query, REST and legacy
+ * requests) and retries transient failures with exponential backoff.
+ *
+ * An error that knows its category carries it in `category` (see
+ * permanentError); that wins over anything inferred from codes or the message.
+ */
+
+const constants = require('../config/constants');
+
+const ERROR_CATEGORIES = {
+  TRANSIENT: 'transient',
+  PERMANENT: 'permanent',
+  AUTH: 'auth',
+  UNAVAILABLE: 'unavailable' // Circuit breaker open: wait for Fishbowl instead of retrying
+};
+
+// Socket / DNS level failures that usually clear up on their own
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+];
+
+const TRANSIENT_MESSAGE_PATTERNS = [
+  /socket hang up/i,
+  /fetch failed/i,
+  /network/i,
+  /timed? ?out/i
+];
+
+// Fishbowl legacy status codes meaning the server is busy or temporarily unavailable
+// 1002 = connection lost, 1004 = database error, 1009 = server shut down, 1014 = network unavailable
+const FISHBOWL_BUSY_CODES = [1002, 1004, 1009, 1014];
+
+// Fishbowl legacy status codes meaning the session or credentials are no longer valid
+// 1010 = logged off by admin, 1100/1109 = login errors, 1120 = bad credentials,
+// 1130/1131 = invalid ticket/key, 1162 = login limit, 1164 = session expired
+const FISHBOWL_AUTH_CODES = [1010, 1100, 1109, 1120, 1130, 1131, 1162, 1164];
+
+// Processing errors that will never succeed without someone fixing the data
+// Fallback for errors thrown without a category; new errors should use permanentError
+const PERMANENT_MESSAGE_PATTERNS = [
+  /No serial locations found/i,
+  /No pick location/i,
+  /Could not find pick item/i,
+  /Could not find serial tracking/i,
+  /No original WO structure/i,
+  /not found in part details/i,
+  /No Finished Good found/i,
+  /Invalid serial/i,
+  /Serial numbers? must/i,
+  /IN clause limited/i,
+  /must be a valid number/i,
+  /Missing tracking values?/i,
+  /Quantity build not allowed/i,
+  /Invalid tracking value/i
+];
+
+/**
+ * Create an error that retrying cannot fix (bad or missing data)
+ * @param {string} message - Error message
+ * @returns {Error} Error with category PERMANENT
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.category = ERROR_CATEGORIES.PERMANENT;
+  return error;
+}
+
+/**
+ * Extract the HTTP status from an error, if any
+ * @param {Error} error - Error to inspect
+ * @returns {number|null}
+ */
+function getHttpStatus(error) {
+  if (error.httpStatus) {
+    return error.httpStatus;
+  }
+
+  const match = /HTTP (\d{3})|\(Status: (\d{3})/.exec(error.message || '');
+  if (match) {
+    return parseInt(match[1] || match[2], 10);
+  }
+
+  return null;
+}
+
+/**
+ * Classify an error into transient, permanent, auth or unavailable
+ * @param {Error} error - Error thrown by a Fishbowl call or processing step
+ * @returns {Object} { category, reason }
+ */
+function classifyError(error) {
+  const message = error?.message || String(error);
+
+  if (Object.values(ERROR_CATEGORIES).includes(error?.category)) {
+    return { category: error.category, reason: message };
+  }
+
+  // Cancelled on purpose; retrying would defeat the cancellation
+  if (error?.code === 'ABORT_ERR' || error?.name === 'AbortError') {
+    return { category: ERROR_CATEGORIES.PERMANENT, reason: 'Request cancelled' };
+  }
+
+  // Fishbowl is known to be down; the job pauses until the circuit closes
+  if (error?.code === 'CIRCUIT_OPEN') {
+    return { category: ERROR_CATEGORIES.UNAVAILABLE, reason: 'Fishbowl circuit open' };
+  }
+
+  const networkCode = error?.code || error?.cause?.code;
+  if (networkCode && TRANSIENT_NETWORK_CODES.includes(networkCode)) {
+    return { category: ERROR_CATEGORIES.TRANSIENT, reason: `Network error (${networkCode})` };
+  }
+
+  const httpStatus = getHttpStatus(error);
+  if (httpStatus === 401 || httpStatus === 403) {
+    return { category: ERROR_CATEGORIES.AUTH, reason: `HTTP ${httpStatus}` };
+  }
+  if (httpStatus >= 500) {
+    return { category: ERROR_CATEGORIES.TRANSIENT, reason: `HTTP ${httpStatus}` };
+  }
+  if (httpStatus >= 400) {
+    return { category: ERROR_CATEGORIES.PERMANENT, reason: `HTTP ${httpStatus}` };
+  }
+
+  const statusCode = error?.statusCode;
+  if (statusCode && FISHBOWL_AUTH_CODES.includes(statusCode)) {
+    return { category: ERROR_CATEGORIES.AUTH, reason: `Fishbowl status ${statusCode}` };
+  }
+  if (statusCode && FISHBOWL_BUSY_CODES.includes(statusCode)) {
+    return { category: ERROR_CATEGORIES.TRANSIENT, reason: `Fishbowl status ${statusCode}` };
+  }
+  if (statusCode && statusCode !== 1000) {
+    return { category: ERROR_CATEGORIES.PERMANENT, reason: `Fishbowl status ${statusCode}` };
+  }
+
+  if (PERMANENT_MESSAGE_PATTERNS.some(pattern => pattern.test(message))) {
+    return { category: ERROR_CATEGORIES.PERMANENT, reason: message };
+  }
+
+  if (TRANSIENT_MESSAGE_PATTERNS.some(pattern => pattern.test(message))) {
+    return { category: ERROR_CATEGORIES.TRANSIENT, reason: message };
+  }
+
+  // Unknown failures keep the previous behaviour of being retried
+  return { category: ERROR_CATEGORIES.TRANSIENT, reason: message };
+}
+
+/**
+ * Calculate the backoff delay before a retry
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @param {number} maxDelayMs - Upper bound for any delay
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, baseDelayMs = constants.RETRY_BASE_DELAY_MS, maxDelayMs = constants.RETRY_MAX_DELAY_MS) {
+  return Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+}
+
+/**
+ * Run an operation, retrying transient errors with exponential backoff
+ * Permanent, auth and unavailable errors fail immediately. The error thrown on final
+ * failure carries `classification` ({ category, reason }) and `retries`.
+ * @param {Function} operation - async () => result
+ * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs, onRetry, sleep }
+ * @returns {Promise<Object>} { result, retries }
+ */
+async function executeWithRetry(operation, options = {}) {
+  const {
+    maxRetries = constants.MAX_RETRIES,
+    baseDelayMs = constants.RETRY_BASE_DELAY_MS,
+    maxDelayMs = constants.RETRY_MAX_DELAY_MS,
+    onRetry = async () => {},
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+
+  let retries = 0;
+
+  while (true) {
+    try {
+      const result = await operation();
+      return { result, retries };
+    } catch (error) {
+      const classification = classifyError(error);
+
+      if (classification.category !== ERROR_CATEGORIES.TRANSIENT || retries >= maxRetries) {
+        error.classification = classification;
+        error.retries = retries;
+        throw error;
+      }
+
+      retries++;
+      const delayMs = getRetryDelay(retries, baseDelayMs, maxDelayMs);
+      await onRetry(error, retries, delayMs, classification);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  permanentError,
+  classifyError,
+  getRetryDelay,
+  executeWithRetry
+};
@@ -166,7 +166,8 @@ async function saveConfig(config) {
     protectedDEK: protectDEK(dek),
     encrypted: {
       fishbowl: encryptData(dek, config.fishbowl || {}),
-      mysql: encryptData(dek, config.mysql || {})
+      mysql: encryptData(dek, config.mysql || {}),
+      tracking: encryptData(dek, config.tracking || {})
     },
     metadata: {
       createdAt: existingFile?.metadata?.createdAt || new Date().toISOString(),
@@ -209,7 +210,9 @@ async function loadConfig() {
   // Decrypt each section
   const config = {
     fishbowl: decryptData(dek, encryptedFile.encrypted.fishbowl),
-    mysql: decryptData(dek, encryptedFile.encrypted.mysql)
+    mysql: decryptData(dek, encryptedFile.encrypted.mysql),
+    // Tracking roles were added later; older config files have none
+    tracking: encryptedFile.encrypted.tracking ? decryptData(dek, encryptedFile.encrypted.tracking) : {}
   };
 
   // Cache for future use
@@ -220,7 +223,7 @@ async function loadConfig() {
 
 /**
  * Update specific section of config
- * @param {string} section - 'fishbowl' or 'mysql'
+ * @param {string} section - 'fishbowl', 'mysql' or 'tracking'
  * @param {Object} data - Section data
  */
 async function updateConfigSection(section, data) {
@@ -10,6 +10,8 @@
  * proper escaping and validation.
  */
 
+const { permanentError } = require('./retryPolicy');
+
 /**
  * Validates that a string contains only safe characters for SQL
  * @param {string} value - The value to validate
@@ -50,7 +52,8 @@ function validateSqlInput(value, fieldName, allowedPattern = /^[a-zA-Z0-9\-_ .]+
 
 /**
  * Escapes a string value for use in SQL queries
- * Uses standard SQL escaping: replace ' with ''
+ * Uses standard SQL escaping (replace ' with ''), and escapes backslashes and
+ * NUL because MySQL treats backslash as an escape character inside literals
  * @param {string} value - The value to escape
  * @returns {string} - The escaped value
  */
@@ -63,8 +66,12 @@ function escapeSqlString(value) {
     throw new Error('escapeSqlString only accepts string values');
   }
 
-  // Standard SQL escaping: single quote becomes two single quotes
-  return value.replace(/'/g, "''");
+  // Backslash first so the escapes added below are not doubled,
+  // then standard SQL escaping: single quote becomes two single quotes
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/\0/g, '\\0')
+    .replace(/'/g, "''");
 }
 
 /**
@@ -86,7 +93,7 @@ function escapeSqlNumber(value, fieldName) {
   const num = typeof value === 'string' ? parseFloat(value) : value;
 
   if (isNaN(num) || !isFinite(num)) {
-    throw new Error(`${fieldName} must be a valid number`);
+    throw permanentError(`${fieldName} must be a valid number`);
   }
 
   return num;
@@ -126,7 +133,7 @@ function buildInClause(values, type = 'string') {
   }
 
   if (values.length > 1000) {
-    throw new Error('IN clause limited to 1000 values for performance');
+    throw permanentError('IN clause limited to 1000 values for performance');
   }
 
   if (type === 'string') {
@@ -146,7 +153,7 @@ function buildInClause(values, type = 'string') {
  */
 function validateSerialNumbers(serials) {
   if (!Array.isArray(serials) || serials.length === 0) {
-    throw new Error('Serial numbers must be a non-empty array');
+    throw permanentError('Serial numbers must be a non-empty array');
   }
 
   // Serial numbers typically contain: letters, numbers, dash, underscore, period
@@ -154,15 +161,15 @@ function validateSerialNumbers(serials) {
 
   for (const serial of serials) {
     if (typeof serial !== 'string') {
-      throw new Error('Serial number must be a string');
+      throw permanentError('Serial number must be a string');
     }
 
     if (serial.length === 0 || serial.length > 100) {
-      throw new Error('Serial number must be between 1 and 100 characters');
+      throw permanentError('Serial number must be between 1 and 100 characters');
     }
 
     if (!serialPattern.test(serial)) {
-      throw new Error(`Invalid serial number format: ${serial}`);
+      throw permanentError(`Invalid serial number format: ${serial}`);
     }
   }
 }
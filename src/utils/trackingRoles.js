@@ -0,0 +1,106 @@
+/**
+ * Tracking Roles
+ *
+ * The orchestrator relies on two part trackings: the one holding the serial
+ * numbers of consumed components ("component serial") and the one holding the
+ * barcode that identifies each finished good ("FG identifier"). Fishbowl
+ * companies number their part trackings differently, so setup maps both roles
+ * to parttracking IDs and stores them in the "tracking" section of the secure
+ * config. Until then the IDs of a stock Fishbowl company are used.
+ *
+ * Named queries declare the IDs as serialTrackingId / barcodeTrackingId
+ * parameters; runFishbowlQuery fills them from the configured roles.
+ */
+
+const { isSetupComplete, loadConfig } = require('./secureConfig');
+const { DEFAULT_TRACKING_ROLES } = require('../config/constants');
+
+// Query parameter -> role
+const TRACKING_ROLE_PARAMS = {
+  serialTrackingId: 'componentSerial',
+  barcodeTrackingId: 'fgIdentifier'
+};
+
+const ROLE_LABELS = {
+  componentSerial: 'Component serial',
+  fgIdentifier: 'FG identifier'
+};
+
+/**
+ * Validate a tracking role mapping
+ * @param {Object} roles - { componentSerial, fgIdentifier } part tracking IDs
+ * @returns {Object} { componentSerial, fgIdentifier } as integers
+ * @throws {Error} If a role is missing or both roles share a tracking
+ */
+function normalizeTrackingRoles(roles) {
+  const normalized = {};
+
+  for (const role of Object.keys(DEFAULT_TRACKING_ROLES)) {
+    const id = Number(roles?.[role]);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new Error(`${ROLE_LABELS[role]} tracking must be a part tracking ID`);
+    }
+
+    normalized[role] = id;
+  }
+
+  if (normalized.componentSerial === normalized.fgIdentifier) {
+    throw new Error('Component serial and FG identifier must be different part trackings');
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the configured tracking roles, falling back to the defaults
+ * @returns {Promise<Object>} { componentSerial, fgIdentifier }
+ */
+async function getTrackingRoles() {
+  if (!(await isSetupComplete())) {
+    return { ...DEFAULT_TRACKING_ROLES };
+  }
+
+  const config = await loadConfig();
+  return { ...DEFAULT_TRACKING_ROLES, ...config.tracking };
+}
+
+/**
+ * Fill a named query's tracking ID parameters from the configured roles
+ * The configuration always wins over values passed by the caller
+ * @param {Object} query - Query from defineQuery
+ * @param {Object} values - Parameter name -> value
+ * @returns {Promise<Object>} Values with the query's role parameters set
+ */
+async function withTrackingRoles(query, values) {
+  const params = Object.keys(TRACKING_ROLE_PARAMS).filter(param => param in query.params);
+  if (params.length === 0) {
+    return values;
+  }
+
+  const roles = await getTrackingRoles();
+  const filled = { ...values };
+  params.forEach(param => {
+    filled[param] = roles[TRACKING_ROLE_PARAMS[param]];
+  });
+  return filled;
+}
+
+/**
+ * Find the PartTracking object of a role on a pick or work order item's part
+ * @param {Object} part - Part from a legacy pick or work order item
+ * @param {number} trackingId - Part tracking ID of the role
+ * @returns {Object|null} PartTracking
+ */
+function findPartTracking(part, trackingId) {
+  const partTracking = part?.PartTrackingList?.PartTracking;
+  const trackingArray = partTracking ? (Array.isArray(partTracking) ? partTracking : [partTracking]) : [];
+  return trackingArray.find(pt => Number(pt?.PartTrackingID) === Number(trackingId)) || null;
+}
+
+module.exports = {
+  TRACKING_ROLE_PARAMS,
+  normalizeTrackingRoles,
+  getTrackingRoles,
+  withTrackingRoles,
+  findPartTracking
+};
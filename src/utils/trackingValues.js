@@ -0,0 +1,173 @@
+/**
+ * Tracking Values
+ *
+ * Besides serial numbers and barcodes, Fishbowl parts can carry value tracking
+ * (lot number, expiration date, revision, ...): one value per pick or work
+ * order item rather than per unit. Queue rows store the values of a build in
+ * the tracking_values column as JSON keyed by part and part tracking ID:
+ * { "<partId>": { "<partTrackingId>": "value" } }, covering both the consumed
+ * raw goods and the produced finished good.
+ */
+
+const { PART_TRACKING_TYPES } = require('../config/constants');
+const { permanentError } = require('./retryPolicy');
+
+const DATE_TYPES = [PART_TRACKING_TYPES.DATE, PART_TRACKING_TYPES.EXPIRATION_DATE];
+const CHECKBOX_VALUES = {
+  true: ['true', 'yes', 'y', '1', 'x'],
+  false: ['false', 'no', 'n', '0', '']
+};
+
+const isPositiveInteger = key => /^\d+$/.test(String(key)) && Number(key) > 0;
+
+/**
+ * Validate and normalize the tracking values of a build
+ * Values are kept as trimmed strings; blank values are dropped
+ * @param {Object|string|null} value - Tracking values, or their JSON
+ * @returns {Object} { partId: { partTrackingId: value } }
+ * @throws {Error} If the JSON is invalid or a key is not a numeric ID
+ */
+function normalizeTrackingValues(value) {
+  let values = value;
+
+  if (values === null || values === undefined || values === '') {
+    return {};
+  }
+
+  if (typeof values === 'string') {
+    try {
+      values = JSON.parse(values);
+    } catch (e) {
+      throw new Error('Tracking values must be valid JSON');
+    }
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('Tracking values must be an object of part ID -> { part tracking ID -> value }');
+  }
+
+  const normalized = {};
+
+  for (const [partId, partValues] of Object.entries(values)) {
+    if (!isPositiveInteger(partId)) {
+      throw new Error(`Tracking values: part ID ${partId} must be a number`);
+    }
+    if (!partValues || typeof partValues !== 'object' || Array.isArray(partValues)) {
+      throw new Error(`Tracking values of part ${partId} must be an object of part tracking ID -> value`);
+    }
+
+    for (const [trackingId, trackingValue] of Object.entries(partValues)) {
+      if (!isPositiveInteger(trackingId)) {
+        throw new Error(`Tracking values of part ${partId}: part tracking ID ${trackingId} must be a number`);
+      }
+      if (trackingValue === null || trackingValue === undefined || typeof trackingValue === 'object') {
+        continue;
+      }
+
+      const text = String(trackingValue).trim();
+      if (text !== '') {
+        const partKey = String(Number(partId));
+        normalized[partKey] = { ...normalized[partKey], [String(Number(trackingId))]: text };
+      }
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Read the tracking values of a build queue row
+ * @param {Object} queueItem - mo_queue row
+ * @returns {Object} { partId: { partTrackingId: value } }
+ */
+function getQueueItemTrackingValues(queueItem) {
+  return normalizeTrackingValues(queueItem.tracking_values);
+}
+
+/**
+ * Tracking values as stored in the tracking_values column
+ * @param {Object} values - Normalized tracking values
+ * @returns {string|null} JSON, or null when there are none
+ */
+function trackingValuesColumn(values) {
+  return Object.keys(values).length > 0 ? JSON.stringify(values) : null;
+}
+
+/**
+ * Parse a date as YYYY-MM-DD (optionally with a time) or M/D/YYYY
+ * @param {string} text - Date text
+ * @returns {string|null} YYYY-MM-DD, or null if not a valid date
+ */
+function parseTrackingDate(text) {
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ][\d:.]+Z?)?$/.exec(text);
+  let year, month, day;
+
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+    if (!match) {
+      return null;
+    }
+    [, month, day, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a tracking value the way Fishbowl expects it for its tracking type
+ * Dates become YYYY-MM-DDT00:00:00, checkboxes true/false and numbers are checked
+ * @param {number} typeId - parttracking.typeid
+ * @param {string} value - Value
+ * @returns {string} TrackingValue
+ * @throws {Error} If the value does not fit the tracking type
+ */
+function formatTrackingValue(typeId, value) {
+  const text = String(value ?? '').trim();
+  const type = Number(typeId);
+
+  if (DATE_TYPES.includes(type)) {
+    const date = parseTrackingDate(text);
+    if (!date) {
+      throw permanentError(`Invalid tracking value "${text}": expected a date (YYYY-MM-DD or M/D/YYYY)`);
+    }
+    return `${date}T00:00:00`;
+  }
+
+  if (type === PART_TRACKING_TYPES.CHECKBOX) {
+    const lower = text.toLowerCase();
+    if (CHECKBOX_VALUES.true.includes(lower)) {
+      return 'true';
+    }
+    if (CHECKBOX_VALUES.false.includes(lower)) {
+      return 'false';
+    }
+    throw permanentError(`Invalid tracking value "${text}": expected true or false`);
+  }
+
+  if (type === PART_TRACKING_TYPES.COUNT && !/^\d+$/.test(text)) {
+    throw permanentError(`Invalid tracking value "${text}": expected a whole number`);
+  }
+
+  if ((type === PART_TRACKING_TYPES.MONEY || type === PART_TRACKING_TYPES.QUANTITY) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    throw permanentError(`Invalid tracking value "${text}": expected a number`);
+  }
+
+  if (text === '') {
+    throw permanentError('Invalid tracking value: value is empty');
+  }
+
+  return text;
+}
+
+module.exports = {
+  normalizeTrackingValues,
+  getQueueItemTrackingValues,
+  trackingValuesColumn,
+  formatTrackingValue
+};
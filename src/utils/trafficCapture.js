@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { CAPTURE_DIR } = require('../config');
+
+/**
+ * Fishbowl Traffic Capture
+ * Records every request FishbowlClient sends during a job (data queries, REST
+ * and legacy calls) with the response it got, into one archive per job in
+ * CAPTURE_DIR: JSON lines of a header, the queue items processed, the calls
+ * and a summary. Calls made while a queue item is processed carry its ID;
+ * calls outside one (MO creation, lookups) have queueItemId null.
+ *
+ * The job and queue item are tracked with AsyncLocalStorage, so work orders
+ * processed concurrently are told apart and requests the UI makes during the
+ * job are not recorded. Tokens, passwords and similar fields are redacted.
+ */
+
+const captureContext = new AsyncLocalStorage();
+
+// Field names whose values never reach the archive
+const REDACTED_KEYS = /token|password|passwd|secret|authorization|mfacode|apikey/i;
+const REDACTED = '[REDACTED]';
+
+// Archive IDs are file names; keep them to a safe alphabet
+const CAPTURE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Copy a value with sensitive fields and token strings replaced
+ * @param {*} value - Value to redact
+ * @param {Array<string>} secrets - Strings to blank out wherever they appear (e.g. the session token)
+ * @returns {*} Redacted copy
+ */
+function redact(value, secrets = []) {
+  const knownSecrets = secrets.filter(secret => typeof secret === 'string' && secret.length >= 8);
+
+  const visit = (item) => {
+    if (typeof item === 'string') {
+      return knownSecrets.reduce((text, secret) => text.split(secret).join(REDACTED), item);
+    }
+    if (Array.isArray(item)) {
+      return item.map(visit);
+    }
+    if (item && typeof item === 'object') {
+      const copy = {};
+      for (const [key, field] of Object.entries(item)) {
+        copy[key] = REDACTED_KEYS.test(key) ? REDACTED : visit(field);
+      }
+      return copy;
+    }
+    return item;
+  };
+
+  return visit(value);
+}
+
+/**
+ * Parse a body as JSON when it is JSON, otherwise keep the text
+ * @param {string|null} text - Body
+ * @returns {Object} { body, bodyType }
+ */
+function decodeBody(text) {
+  if (text === null || text === undefined || text === '') {
+    return { body: null, bodyType: 'empty' };
+  }
+  try {
+    return { body: JSON.parse(text), bodyType: 'json' };
+  } catch (e) {
+    return { body: text, bodyType: 'text' };
+  }
+}
+
+class TrafficCapture {
+  /**
+   * @param {Object} options - { id, dir, logger }
+   */
+  constructor({ id, dir = CAPTURE_DIR, logger }) {
+    if (!CAPTURE_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid capture ID: ${id}`);
+    }
+
+    this.id = id;
+    this.logger = logger;
+    this.file = path.join(dir, `${id}.jsonl`);
+    this.sequence = 0;
+    this.calls = 0;
+    this.writing = Promise.resolve();
+
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * Append an entry; writes are chained so the archive keeps call order
+   * @param {Object} entry - Entry (type plus fields)
+   */
+  write(entry) {
+    const line = JSON.stringify({ sequence: ++this.sequence, at: new Date().toISOString(), ...entry }) + '\n';
+    this.writing = this.writing
+      .then(() => fs.promises.appendFile(this.file, line))
+      .catch(error => {
+        this.logger.error('CAPTURE - Error writing capture archive', { file: this.file, error: error.message });
+      });
+  }
+
+  /**
+   * Record one Fishbowl call
+   * @param {Object} call - { queueItemId, method, path, requestBody, status, responseText, error, durationMs, token }
+   */
+  recordCall({ queueItemId, method, path: callPath, requestBody, status, responseText, error, durationMs, token }) {
+    const request = decodeBody(requestBody);
+    const response = decodeBody(responseText);
+    const secrets = [token];
+
+    this.calls++;
+    this.write({
+      type: 'call',
+      queueItemId: queueItemId ?? null,
+      method,
+      path: callPath,
+      request: redact(request.body, secrets),
+      requestType: request.bodyType,
+      status: status ?? null,
+      response: error ? null : redact(response.body, secrets),
+      responseType: error ? null : response.bodyType,
+      error: error ? { name: error.name, message: redact(error.message, secrets), code: error.code || null } : null,
+      durationMs: durationMs ?? null
+    });
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writing;
+  }
+}
+
+/**
+ * Run a job with capture on
+ * @param {TrafficCapture} capture - Archive to record into
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+function runWithCapture(capture, fn) {
+  return captureContext.run({ capture, queueItemId: null, replay: false }, fn);
+}
+
+/**
+ * Run the processing of one queue item, recording its inputs so it can be replayed
+ * Without an active capture this just calls fn
+ * @param {number} queueItemId - mo_queue ID
+ * @param {Object} inputs - { operationType, woNum, barcode, ... } as passed to the work order processor
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+function runForQueueItem(queueItemId, inputs, fn) {
+  const store = captureContext.getStore();
+  if (!store || !store.capture) {
+    return fn();
+  }
+
+  store.capture.write({ type: 'queue_item', queueItemId, ...redact(inputs) });
+  return captureContext.run({ ...store, queueItemId }, fn);
+}
+
+/**
+ * Run a replay; like a capture it bypasses the reference cache, but records nothing
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+function runAsReplay(fn) {
+  return captureContext.run({ capture: null, queueItemId: null, replay: true }, fn);
+}
+
+/**
+ * Whether the current call runs inside a captured job or a replay
+ * Reference lookups then go to Fishbowl instead of the cache, so the archive
+ * holds every response a replay needs
+ * @returns {boolean}
+ */
+function isCaptureActive() {
+  return !!captureContext.getStore();
+}
+
+/**
+ * Get a recorder for the call being started, bound to the current job and queue item
+ * @returns {Function|null} (call) => void, or null when capture is off
+ */
+function captureCallRecorder() {
+  const store = captureContext.getStore();
+  if (!store || !store.capture) {
+    return null;
+  }
+  return call => store.capture.recordCall({ ...call, queueItemId: store.queueItemId });
+}
+
+/**
+ * Resolve an archive file from its ID
+ * @param {string} id - Capture ID
+ * @returns {string|null} File path, or null if the ID is invalid or the archive does not exist
+ */
+function getCaptureFile(id) {
+  if (!CAPTURE_ID_PATTERN.test(id || '')) {
+    return null;
+  }
+  const file = path.join(CAPTURE_DIR, `${id}.jsonl`);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Read every entry of an archive
+ * @param {string} id - Capture ID
+ * @returns {Promise<Array|null>} Entries, or null if the archive does not exist
+ */
+async function readCapture(id) {
+  const file = getCaptureFile(id);
+  if (!file) {
+    return null;
+  }
+
+  const text = await fs.promises.readFile(file, 'utf8');
+  return text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+}
+
+/**
+ * List archives, newest first
+ * @returns {Promise<Array>} { id, sizeBytes, modifiedAt }
+ */
+async function listCaptures() {
+  let names;
+  try {
+    names = await fs.promises.readdir(CAPTURE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const captures = await Promise.all(names
+    .filter(name => name.endsWith('.jsonl'))
+    .map(async name => {
+      const stat = await fs.promises.stat(path.join(CAPTURE_DIR, name));
+      return { id: name.slice(0, -'.jsonl'.length), sizeBytes: stat.size, modifiedAt: stat.mtime.toISOString() };
+    }));
+
+  return captures.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+module.exports = {
+  TrafficCapture,
+  redact,
+  runWithCapture,
+  runForQueueItem,
+  runAsReplay,
+  isCaptureActive,
+  captureCallRecorder,
+  getCaptureFile,
+  readCapture,
+  listCaptures
+};
@@ -0,0 +1,163 @@
+/**
+ * TTL Cache
+ *
+ * In-memory key/value cache whose entries expire `ttlMs` after they were set.
+ * Expired entries are dropped on read and by a sweep every `checkPeriodMs`.
+ * getOrLoad shares one load between concurrent callers of the same key; a
+ * failed load is not cached. With a `clone` function, values are copied on the
+ * way in and out, so callers cannot change what the cache holds.
+ */
+
+class TtlCache {
+  /**
+   * @param {Object} options - { ttlMs, checkPeriodMs, now, clone }
+   */
+  constructor({ ttlMs, checkPeriodMs = 0, now = Date.now, clone = value => value }) {
+    this.ttlMs = ttlMs;
+    this.checkPeriodMs = checkPeriodMs;
+    this.now = now;
+    this.clone = clone;
+
+    this.entries = new Map();
+    this.loading = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.lastClearedAt = null;
+    this.sweepTimer = null;
+
+    if (checkPeriodMs > 0) {
+      this.sweepTimer = setInterval(() => this.prune(), checkPeriodMs);
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Cache key
+   * @returns {*} Value, or undefined on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > this.now()) {
+      this.hits++;
+      return this.clone(entry.value);
+    }
+
+    if (entry) {
+      this.entries.delete(key);
+    }
+    this.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value (undefined is not stored)
+   */
+  set(key, value) {
+    if (value === undefined) {
+      return;
+    }
+    this.entries.set(key, { value: this.clone(value), expiresAt: this.now() + this.ttlMs });
+  }
+
+  /**
+   * Read a value, loading and storing it on a miss
+   * @param {string} key - Cache key
+   * @param {Function} loader - async () => value
+   * @returns {Promise<*>} Value
+   */
+  async getOrLoad(key, loader) {
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    if (this.loading.has(key)) {
+      return this.clone(await this.loading.get(key));
+    }
+
+    const load = (async () => {
+      try {
+        const value = await loader();
+        this.set(key, value);
+        return value;
+      } finally {
+        this.loading.delete(key);
+      }
+    })();
+
+    this.loading.set(key, load);
+    return this.clone(await load);
+  }
+
+  /**
+   * Remove one key
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key was cached
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {number} Entries removed
+   */
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.lastClearedAt = new Date(this.now()).toISOString();
+    return removed;
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {number} Entries removed
+   */
+  prune() {
+    const now = this.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Stop the sweep timer
+   */
+  close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Get cache status
+   * @returns {Object}
+   */
+  getStatus() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+      ttlMs: this.ttlMs,
+      lastClearedAt: this.lastClearedAt
+    };
+  }
+}
+
+module.exports = {
+  TtlCache
+};
@@ -0,0 +1,95 @@
+/**
+ * Simulator Test Helpers
+ * Scaffold shared by the integration suites that run against the Fishbowl
+ * simulator: a mock logger, sandbox fixture copies and a simulator server
+ * started for the suite and reset before each test
+ */
+
+const sandbox = require('../../src/simulator/fixtures/sandbox.json');
+const { FishbowlSimulator } = require('../../src/simulator/fishbowlSimulator');
+const { createSimulatorApp } = require('../../src/simulator/simulatorServer');
+
+/**
+ * Create a logger whose methods are jest mocks
+ * @returns {Object} Logger
+ */
+function createMockLogger() {
+  return {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    api: jest.fn()
+  };
+}
+
+/**
+ * Deep copy of the sandbox fixture, optionally extended by the suite
+ * @param {Function} extend - (fixture) => void, adds the suite's parts, locations or inventory
+ * @returns {Object} Fixture
+ */
+function sandboxFixture(extend = () => {}) {
+  const fixture = JSON.parse(JSON.stringify(sandbox));
+  extend(fixture);
+  return fixture;
+}
+
+/**
+ * Run the suite against a simulator on a free local port
+ * Registers the beforeAll / afterAll / beforeEach hooks; serverUrl is set once
+ * the server listens and token after each reset and login
+ * @param {Object} fixture - Simulator fixture (see sandboxFixture)
+ * @param {Object} logger - Logger for the simulator server
+ * @returns {Object} { simulator, serverUrl, token, issueWorkOrder, quantityOf }
+ */
+function useSimulator(fixture = sandboxFixture(), logger = createMockLogger()) {
+  const simulator = new FishbowlSimulator(fixture);
+  let server;
+
+  const context = {
+    simulator,
+    serverUrl: null,
+    token: null,
+
+    /**
+     * Create and issue a single-configuration MO in location group 1
+     * @returns {string} Number of its work order
+     */
+    issueWorkOrder(moNumber, bomId, quantity = 1) {
+      const mo = simulator.createManufactureOrder({ number: moNumber, locationGroup: { id: 1 }, configurations: [{ bom: { id: bomId }, quantity, sortId: 1 }] });
+      simulator.issueManufactureOrder(mo.id);
+      return `${moNumber}:1`;
+    },
+
+    /**
+     * Quantity of a part on hand at a location, by part number and location name
+     */
+    quantityOf(part, location) {
+      return simulator.getState().inventory.find(entry => entry.part === part && entry.location === location)?.qty;
+    }
+  };
+
+  beforeAll(async () => {
+    server = await new Promise(resolve => {
+      const listening = createSimulatorApp(simulator, logger).listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    context.serverUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+    context.token = simulator.login('trainer', 'training');
+  });
+
+  return context;
+}
+
+module.exports = {
+  createMockLogger,
+  sandboxFixture,
+  useSimulator
+};
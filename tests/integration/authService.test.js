@@ -0,0 +1,66 @@
+/**
+ * Auth Service Integration Tests
+ * Logs in and out of the Fishbowl simulator through FishbowlClient
+ */
+
+// The auth service loads the encryption helpers, which need an encryption key
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../../src/db/tokenStore');
+
+const http = require('http');
+const { createMockLogger, useSimulator } = require('../helpers/simulator');
+const { login, logoutSession } = require('../../src/services/authService');
+const { addToken, removeToken } = require('../../src/db/tokenStore');
+const { FishbowlClient, FishbowlTimeoutError } = require('../../src/services/fishbowlClient');
+
+const mockLogger = createMockLogger();
+
+describe('Auth service', () => {
+  const fishbowl = useSimulator(undefined, mockLogger);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    addToken.mockResolvedValue(1);
+  });
+
+  test('should log in and track the new token', async () => {
+    const result = await login(fishbowl.serverUrl, { username: 'trainer', password: 'training' }, mockLogger);
+
+    expect(fishbowl.simulator.isValidToken(result.token)).toBe(true);
+    expect(addToken).toHaveBeenCalledWith(result.token, fishbowl.serverUrl, 'trainer', 'training');
+  });
+
+  test('should return a rejected login without tracking it', async () => {
+    const result = await login(fishbowl.serverUrl, { username: 'trainer', password: 'wrong' }, mockLogger);
+
+    expect(result.token).toBeUndefined();
+    expect(addToken).not.toHaveBeenCalled();
+  });
+
+  test('should log a session out with its token', async () => {
+    expect(await logoutSession(fishbowl.serverUrl, fishbowl.token, mockLogger)).toBe(true);
+
+    expect(fishbowl.simulator.isValidToken(fishbowl.token)).toBe(false);
+    expect(removeToken).toHaveBeenCalledWith(fishbowl.token);
+  });
+
+  test('should give up on a login Fishbowl never answers', async () => {
+    const hung = http.createServer(() => {});
+    await new Promise(resolve => hung.listen(0, '127.0.0.1', resolve));
+    // Shorten API_REQUEST_TIMEOUT_MS for this call
+    const originalSend = FishbowlClient.prototype.send;
+    const send = jest.spyOn(FishbowlClient.prototype, 'send').mockImplementation(function (method, path, body, options) {
+      return originalSend.call(this, method, path, body, { ...options, timeoutMs: 100 });
+    });
+
+    try {
+      await expect(login(`http://127.0.0.1:${hung.address().port}`, { username: 'trainer', password: 'training' }, mockLogger))
+        .rejects.toBeInstanceOf(FishbowlTimeoutError);
+    } finally {
+      send.mockRestore();
+      hung.closeAllConnections();
+      await new Promise(resolve => hung.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Capture and Replay Integration Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-replay-'));
+// The replay service loads the queue service, whose auth service needs an encryption key
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const request = require('supertest');
+const express = require('express');
+const fixture = require('../../src/simulator/fixtures/sandbox.json');
+const { FishbowlSimulator } = require('../../src/simulator/fishbowlSimulator');
+const { createSimulatorApp } = require('../../src/simulator/simulatorServer');
+const { TrafficCapture, runWithCapture, runForQueueItem } = require('../../src/utils/trafficCapture');
+const { processWorkOrder } = require('../../src/services/workOrderService');
+const setupCaptureRoutes = require('../../src/routes/captures');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  api: jest.fn()
+};
+
+describe('Capture and Replay', () => {
+  let app;
+  let simulatorServer;
+  let token;
+
+  const captureId = 'job-capture-test';
+  const queueItemId = 7;
+
+  beforeAll(async () => {
+    const simulator = new FishbowlSimulator(fixture);
+    simulatorServer = await new Promise(resolve => {
+      const server = createSimulatorApp(simulator, mockLogger).listen(0, '127.0.0.1', () => resolve(server));
+    });
+    const serverUrl = `http://127.0.0.1:${simulatorServer.address().port}`;
+
+    token = simulator.login('trainer', 'training');
+    const mo = simulator.createManufactureOrder({ number: 'MO-CAPTURE', locationGroup: { id: 1 }, configurations: [{ bom: { id: 1 }, quantity: 1, sortId: 1 }] });
+    simulator.issueManufactureOrder(mo.id);
+
+    const inputs = {
+      operationType: 'build',
+      woNum: 'MO-CAPTURE:1',
+      barcode: 'BC-CAPTURE',
+      components: [{ partId: 201, serials: ['SN-1001'] }],
+      trackingValues: {},
+      fgLocation: 'Main-FinishedGoods',
+      bom: 'CTRL-100'
+    };
+
+    const capture = new TrafficCapture({ id: captureId, logger: mockLogger });
+    capture.write({ type: 'capture', captureId });
+    await runWithCapture(capture, () => runForQueueItem(queueItemId, inputs, () =>
+      processWorkOrder(serverUrl, token, null, null, inputs.woNum, inputs.barcode, inputs.components, inputs.trackingValues, inputs.fgLocation, inputs.bom, mockLogger)
+    ));
+    await capture.flush();
+
+    // The simulator is gone for the replay: every response must come from the archive
+    await new Promise(resolve => simulatorServer.close(resolve));
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', setupCaptureRoutes(mockLogger));
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.CAPTURE_DIR, { recursive: true, force: true });
+  });
+
+  test('should list the archive', async () => {
+    const response = await request(app).get('/api/captures').expect(200);
+    expect(response.body.captures.map(capture => capture.id)).toEqual([captureId]);
+  });
+
+  test('should download the archive without the session token', async () => {
+    const response = await request(app)
+      .get(`/api/captures/${captureId}`)
+      .expect('Content-Disposition', /attachment/)
+      .expect(200);
+
+    const text = response.text || response.body.toString();
+    expect(text).toContain('"type":"call"');
+    expect(text).not.toContain(token);
+  });
+
+  test('should narrow the download to one queue item', async () => {
+    const response = await request(app).get(`/api/captures/${captureId}?queueItemId=999`).expect(200);
+    const entries = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(entries.map(entry => entry.type)).toEqual(['capture']);
+  });
+
+  test('should replay the work order offline from the recorded responses', async () => {
+    const response = await request(app)
+      .post(`/api/captures/${captureId}/replay`)
+      .send({ queueItemId })
+      .expect(200);
+
+    const { replay } = response.body;
+    expect(replay.status).toBe('success');
+    expect(replay.woNum).toBe('MO-CAPTURE:1');
+    expect(replay.callsReplayed).toBe(replay.callsRecorded);
+    expect(replay.callsRecorded).toBeGreaterThan(0);
+  });
+
+  test('should reject unknown captures and queue items', async () => {
+    await request(app).get('/api/captures/nope').expect(404);
+    await request(app).get('/api/captures/..%2Fpackage').expect(404);
+    await request(app).post('/api/captures/nope/replay').send({ queueItemId }).expect(404);
+    await request(app).post(`/api/captures/${captureId}/replay`).send({}).expect(400);
+
+    const response = await request(app).post(`/api/captures/${captureId}/replay`).send({ queueItemId: 999 }).expect(400);
+    expect(response.body.error).toMatch(/not processed/);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Fishbowl Proxy Integration Tests
+ * Legacy request types and REST calls outside the allowlists are refused on
+ * every route that reaches Fishbowl, and written to the audit log
+ */
+
+process.env.REST_PROXY_ALLOWED_PATHS = 'GET parts';
+
+jest.mock('../../src/utils/auditLog');
+jest.mock('../../src/utils/secureConfig');
+
+const request = require('supertest');
+const express = require('express');
+const setupFishbowlRoutes = require('../../src/routes/fishbowl');
+const { recordAuditEvent } = require('../../src/utils/auditLog');
+const { loadConfig } = require('../../src/utils/secureConfig');
+const { FishbowlClient } = require('../../src/services/fishbowlClient');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  api: jest.fn()
+};
+
+describe('Fishbowl Proxy', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', setupFishbowlRoutes(mockLogger));
+
+  let send;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadConfig.mockResolvedValue({ fishbowl: { serverUrl: 'http://fishbowl.test' } });
+    send = jest.spyOn(FishbowlClient.prototype, 'send').mockResolvedValue({ status: 200, text: '{}', durationMs: 1 });
+  });
+
+  afterEach(() => {
+    send.mockRestore();
+  });
+
+  const post = (path, body) => request(app).post(path).send({ token: 'session-token', payload: {}, ...body });
+
+  test('should refuse a legacy request type outside the allowlist on the legacy route', async () => {
+    await post('/api/fishbowl/SavePickRq').expect(403);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(recordAuditEvent).toHaveBeenCalledWith('legacy_request_rejected', expect.anything(), expect.objectContaining({ requestType: 'SavePickRq' }), mockLogger);
+  });
+
+  test('should refuse a legacy request type outside the allowlist on the REST catch-all', async () => {
+    for (const path of ['/api/legacy/external/SavePickRq', '/api/Legacy/external/SavePickRq', '/api/parts/../legacy/external/SavePickRq', '/api/parts/%2e%2e/legacy/external/SavePickRq']) {
+      await post(path, { method: 'POST' }).expect(403);
+    }
+
+    expect(send).not.toHaveBeenCalled();
+    expect(recordAuditEvent).toHaveBeenCalledTimes(4);
+    expect(recordAuditEvent.mock.calls.map(call => call[0])).toEqual(Array(4).fill('rest_request_rejected'));
+  });
+
+  test('should refuse raw SQL on the REST catch-all', async () => {
+    // Not a POST, so it misses the guarded /data-query route and reaches the catch-all
+    await request(app).get('/api/data-query').send({ token: 'session-token', payload: 'DELETE FROM part' }).expect(403);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(recordAuditEvent).toHaveBeenCalledWith('rest_request_rejected', expect.anything(), expect.objectContaining({ method: 'GET' }), mockLogger);
+  });
+
+  test('should refuse a method override the allowlist does not name', async () => {
+    await post('/api/parts/12', { method: 'DELETE' }).expect(403);
+
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('should forward an allowed REST call', async () => {
+    await post('/api/parts/12', { method: 'get' }).expect(200);
+
+    expect(send).toHaveBeenCalledWith('GET', '/api/parts/12', null, expect.any(Object));
+    expect(recordAuditEvent).not.toHaveBeenCalled();
+  });
+
+  test('should forward an allowed legacy request type', async () => {
+    await post('/api/fishbowl/GetPickRq').expect(200);
+
+    expect(send).toHaveBeenCalledWith('POST', '/api/legacy/external/GetPickRq', '{}', expect.any(Object));
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Fishbowl Simulator Integration Tests
+ */
+
+const request = require('supertest');
+const fixture = require('../../src/simulator/fixtures/sandbox.json');
+const { FishbowlSimulator } = require('../../src/simulator/fishbowlSimulator');
+const { createSimulatorApp } = require('../../src/simulator/simulatorServer');
+const { QUERY_HANDLERS } = require('../../src/simulator/simulatorQueries');
+const { FISHBOWL_QUERIES } = require('../../src/db/fishbowlQueries');
+const { buildQuery } = require('../../src/utils/queryBuilder');
+const { withTrackingRoles } = require('../../src/utils/trackingRoles');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('Fishbowl Simulator', () => {
+  let app;
+  let token;
+
+  const query = async (name, values) => {
+    const [sql] = buildQuery(FISHBOWL_QUERIES[name], await withTrackingRoles(FISHBOWL_QUERIES[name], values));
+    const response = await request(app)
+      .get('/api/data-query')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/plain')
+      .send(sql)
+      .expect(200);
+    return response.body;
+  };
+
+  const legacy = async (requestType, payload) => {
+    const response = await request(app)
+      .post(`/api/legacy/external/${requestType}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ [requestType]: payload })
+      .expect(200);
+    return response.body.FbiJson.FbiMsgsRs;
+  };
+
+  const serialTracking = (trackingId, name, values) => ({
+    TrackingItem: [{
+      PartTracking: { PartTrackingID: trackingId, Name: name },
+      SerialBoxList: {
+        SerialBox: values.map(value => ({ SerialNumList: { SerialNum: [{ Number: value, PartTracking: { PartTrackingID: trackingId, Name: name } }] } }))
+      }
+    }]
+  });
+
+  const createIssuedBuildMO = async () => {
+    const created = await request(app)
+      .post('/api/manufacture-orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ number: 'MO-TEST-1', locationGroup: { id: 1 }, configurations: [{ bom: { id: 1 }, quantity: 1, sortId: 1 }] })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/manufacture-orders/${created.body.id}/issue`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const [wo] = await query('workOrdersForMO', { moNumber: 'MO-TEST-1' });
+    return wo.num;
+  };
+
+  beforeEach(async () => {
+    app = createSimulatorApp(new FishbowlSimulator(fixture), mockLogger);
+
+    const response = await request(app)
+      .post('/api/login')
+      .send({ username: 'trainer', password: 'training' })
+      .expect('Content-Type', /application\/json/)
+      .expect(200);
+    token = response.body.token;
+  });
+
+  test('should have a handler for every named Fishbowl query', () => {
+    expect(Object.keys(QUERY_HANDLERS).sort()).toEqual(Object.keys(FISHBOWL_QUERIES).sort());
+  });
+
+  test('should reject bad credentials and unknown tokens', async () => {
+    await request(app).post('/api/login').send({ username: 'trainer', password: 'wrong' }).expect(401);
+    await request(app).get('/api/data-query').set('Authorization', 'Bearer nope').send('SELECT 1 as test').expect(401);
+  });
+
+  test('should answer named queries from the fixture', async () => {
+    expect(await query('currentDatabase')).toEqual([{ current_db: 'fishbowl_sandbox' }]);
+
+    const locations = await query('serialLocations', { bomNum: 'CTRL-100', partId: 201, serials: ['SN-1001', 'SN-2001'] });
+    expect(locations.map(row => [row.serial, row.location_name])).toEqual([['SN-1001', 'Stock'], ['SN-2001', 'Shelf1']]);
+  });
+
+  test('should refuse SQL that is not a named query', async () => {
+    const response = await request(app)
+      .get('/api/data-query')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/plain')
+      .send('SELECT * FROM customer')
+      .expect(400);
+
+    expect(response.body.message).toMatch(/named Fishbowl queries/);
+  });
+
+  test('should build a finished good through the pick and work order flow', async () => {
+    const woNum = await createIssuedBuildMO();
+
+    const { GetPickRs } = await legacy('GetPickRq', { WoNum: woNum });
+    const pick = GetPickRs.Pick;
+    expect(pick.Status).toBe(10);
+
+    const opened = (await legacy('SavePickRq', { Pick: pick })).SavePickRs.Pick;
+    expect(opened.Status).toBe(40);
+
+    const [board, screws] = opened.PickItems.PickItem;
+    board.Status = screws.Status = 40;
+    board.Quantity = '2';
+    board.Location = { LocationID: 1 };
+    board.Tracking = serialTracking(4, 'Serial Number', ['SN-1001', 'SN-1002']);
+
+    const finished = (await legacy('SavePickRq', { Pick: opened })).SavePickRs;
+    expect(finished.statusCode).toBe(1000);
+    expect(finished.Pick.Status).toBe(50);
+
+    const wo = (await legacy('GetWorkOrderRq', { WorkOrderNumber: woNum })).GetWorkOrderRs.WO;
+    const fgItem = wo.WOItems.WOItem.find(item => item.TypeID === 10);
+    wo.StatusID = 40;
+    fgItem.QtyUsed = '1';
+    fgItem.Tracking = serialTracking(5, 'Barcode', ['BC-0001']);
+    fgItem.DestLocation = { Location: { LocationID: 3 } };
+
+    expect((await legacy('SaveWorkOrderRq', { WO: wo })).SaveWorkOrderRs.statusCode).toBe(1000);
+
+    expect(await query('workOrderStatuses', { woNumbers: [woNum] })).toEqual([{ num: woNum, statusid: 50 }]);
+    expect(await query('existingBarcodes', { barcodes: ['BC-0001'] })).toEqual([{ barcode: 'BC-0001' }]);
+    expect(await query('existingSerials', { serials: ['SN-1001'] })).toEqual([]);
+    expect(await query('workOrderStructure', { woNumber: woNum })).toEqual([
+      { woitem_type: 'Finished Good', partid: 101, woitem_qty: 1, serial_numbers: 'BC-0001' },
+      { woitem_type: 'Raw Good', partid: 201, woitem_qty: 2, serial_numbers: 'SN-1001,SN-1002' },
+      { woitem_type: 'Raw Good', partid: 202, woitem_qty: 4, serial_numbers: null }
+    ]);
+  });
+
+  test('should reject a serial picked from the wrong location without changing inventory', async () => {
+    const woNum = await createIssuedBuildMO();
+    const pick = (await legacy('GetPickRq', { WoNum: woNum })).GetPickRs.Pick;
+
+    const [board, screws] = pick.PickItems.PickItem;
+    board.Status = screws.Status = 40;
+    board.Location = { LocationID: 1 };
+    board.Tracking = serialTracking(4, 'Serial Number', ['SN-2001']);
+
+    const rejected = (await legacy('SavePickRq', { Pick: pick })).SavePickRs;
+    expect(rejected.statusCode).not.toBe(1000);
+    expect(rejected.statusMessage).toMatch(/SN-2001 .* not on hand at Stock/);
+
+    expect(await query('existingSerials', { serials: ['SN-2001'] })).toEqual([{ serial: 'SN-2001' }]);
+  });
+
+  test('should require lot tracking on picks of lot-tracked parts', async () => {
+    expect((await query('valueTrackingForBom', { bomNum: 'SENSOR-500' })).map(row => [row.part_num, row.parttracking_name])).toEqual([
+      ['SENSOR-500', 'Lot Number'],
+      ['SENSOR-500', 'Revision Level'],
+      ['ADH-400', 'Lot Number'],
+      ['ADH-400', 'Expiration Date']
+    ]);
+
+    const created = await request(app)
+      .post('/api/manufacture-orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ number: 'MO-LOT-1', locationGroup: { id: 1 }, configurations: [{ bom: { id: 3 }, quantity: 1, sortId: 1 }] })
+      .expect(201);
+    await request(app).post(`/api/manufacture-orders/${created.body.id}/issue`).set('Authorization', `Bearer ${token}`).expect(200);
+
+    const pick = (await legacy('GetPickRq', { WoNum: 'MO-LOT-1:1' })).GetPickRs.Pick;
+    const [board, adhesive] = pick.PickItems.PickItem;
+    board.Status = adhesive.Status = 40;
+    board.Location = { LocationID: 1 };
+    board.Tracking = serialTracking(4, 'Serial Number', ['SN-1001']);
+    adhesive.Tracking = { TrackingItem: [{ PartTracking: { PartTrackingID: 6, Name: 'Lot Number' }, TrackingValue: 'ADH-1' }] };
+
+    const rejected = (await legacy('SavePickRq', { Pick: pick })).SavePickRs;
+    expect(rejected.statusMessage).toMatch(/ADH-400 is tracked by Expiration Date/);
+    expect(await query('existingSerials', { serials: ['SN-1001'] })).toEqual([{ serial: 'SN-1001' }]);
+  });
+
+  test('should not fulfill a work order before its pick is finished', async () => {
+    const woNum = await createIssuedBuildMO();
+    const wo = (await legacy('GetWorkOrderRq', { WorkOrderNumber: woNum })).GetWorkOrderRs.WO;
+    wo.StatusID = 40;
+
+    const rejected = (await legacy('SaveWorkOrderRq', { WO: wo })).SaveWorkOrderRs;
+    expect(rejected.statusMessage).toMatch(/not finished/);
+  });
+
+  test('should report an unknown work order as ErrorRs', async () => {
+    const response = await legacy('GetWorkOrderRq', { WorkOrderNumber: 'NOPE:1' });
+    expect(response.ErrorRs.statusMessage).toMatch(/not found/);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Inventory Pre-flight Integration Tests
+ * Runs checkBatchInventory against the Fishbowl simulator
+ */
+
+const { createMockLogger, sandboxFixture, useSimulator } = require('../helpers/simulator');
+const { checkBatchInventory } = require('../../src/services/inventoryPreflightService');
+
+const mockLogger = createMockLogger();
+
+// Sandbox plus a quarantine location, a committed board serial and mostly committed screws
+const fixture = sandboxFixture(fixture => {
+  fixture.locations.push({ id: 5, name: 'Quarantine', locationGroupId: 1, pickable: false });
+  fixture.inventory = fixture.inventory.map(entry => {
+    if (entry.partId === 201 && entry.locationId === 1) {
+      return { ...entry, committed: ['SN-1008'] };
+    }
+    if (entry.partId === 202) {
+      return { ...entry, committed: 990 };
+    }
+    return entry;
+  });
+  fixture.inventory.push({ partId: 201, locationId: 5, serials: ['SN-5001'] });
+});
+
+describe('Inventory pre-flight', () => {
+  const fishbowl = useSimulator(fixture, mockLogger);
+  const { simulator } = fishbowl;
+
+  const buildItem = (id, serials) => ({
+    id,
+    barcode: `CTRL-${id}`,
+    operation_type: 'build',
+    components: JSON.stringify([{ partId: 201, serials }])
+  });
+
+  test('should pass a batch whose serials and screws are available', async () => {
+    const report = await checkBatchInventory(fishbowl.serverUrl, fishbowl.token, [buildItem(1, ['SN-1001']), buildItem(2, ['SN-2001'])], 'CTRL-100', '1');
+
+    expect(report).toMatchObject({ bomNum: 'CTRL-100', locationGroupId: 1, builds: 2, serialsChecked: 2, passed: true });
+    expect(report.serialShortfalls).toEqual([]);
+    expect(report.quantityShortfalls).toEqual([]);
+  });
+
+  test('should report every shortfall of a batch before its MO exists', async () => {
+    const batch = [buildItem(1, ['SN-9999']), buildItem(2, ['SN-5001']), buildItem(3, ['SN-1008'])];
+    const report = await checkBatchInventory(fishbowl.serverUrl, fishbowl.token, batch, 'CTRL-100', '1');
+
+    expect(report.passed).toBe(false);
+    expect(report.serialShortfalls.map(shortfall => [shortfall.queueItemId, shortfall.serial, shortfall.reason, shortfall.location])).toEqual([
+      [1, 'SN-9999', 'not_on_hand', null],
+      [2, 'SN-5001', 'not_available', 'Main-Quarantine'],
+      [3, 'SN-1008', 'committed', 'Main-Stock']
+    ]);
+    // 4 screws per build, 10 of the 1000 on hand are not committed
+    expect(report.quantityShortfalls).toEqual([{ partId: 202, partNum: 'SCREW-M3', required: 12, available: 10 }]);
+    expect(simulator.mos.size).toBe(0);
+  });
+
+  test('should not let a committed serial be picked', () => {
+    expect(() => simulator.consumeUnits(simulator.getPart(201), [{ 4: 'SN-1008' }], null)).toThrow('SN-1008 of part BOARD-200 is committed to another pick');
+  });
+});
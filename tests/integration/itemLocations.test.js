@@ -0,0 +1,54 @@
+/**
+ * Item Location Integration Tests
+ * Runs validateItemLocations against the Fishbowl simulator
+ */
+
+const { createMockLogger, sandboxFixture, useSimulator } = require('../helpers/simulator');
+const { validateItemLocations } = require('../../src/services/itemLocationService');
+
+const mockLogger = createMockLogger();
+
+// Sandbox plus a second location group and an inactive location
+const fixture = sandboxFixture(fixture => {
+  fixture.locationGroups.push({ id: 2, name: 'Overflow' });
+  fixture.locations.push({ id: 5, name: 'Bin', locationGroupId: 2 });
+  fixture.locations.push({ id: 6, name: 'Old', locationGroupId: 1, active: false });
+});
+
+describe('Item locations', () => {
+  const fishbowl = useSimulator(fixture, mockLogger);
+
+  test('should resolve location groups by name or ID, falling back to the upload\'s group', async () => {
+    const results = await validateItemLocations(fishbowl.serverUrl, fishbowl.token, [
+      { fgLocation: 'Main-FinishedGoods', locationGroup: '' },
+      { fgLocation: 'Overflow-Bin', locationGroup: 'overflow' },
+      { fgLocation: 'Overflow-Bin', locationGroup: '2' }
+    ], 1);
+
+    expect(results.map(result => [result.locationGroupId, result.locationGroupName, result.error])).toEqual([
+      [1, 'Main', null],
+      [2, 'Overflow', null],
+      [2, 'Overflow', null]
+    ]);
+  });
+
+  test('should report unknown, unusable and mismatched locations', async () => {
+    const results = await validateItemLocations(fishbowl.serverUrl, fishbowl.token, [
+      { fgLocation: 'Main-Nowhere', locationGroup: '' },
+      { fgLocation: 'Shelf A', locationGroup: '' },
+      { fgLocation: 'Main-Old', locationGroup: '' },
+      { fgLocation: 'Main-Shelf1', locationGroup: 'Overflow' },
+      { fgLocation: 'Main-Shelf1', locationGroup: 'Nope' },
+      { fgLocation: '', locationGroup: 'Main' }
+    ], 1);
+
+    expect(results.map(result => result.error)).toEqual([
+      'FG location Main-Nowhere not found',
+      'FG location Shelf A not found',
+      'FG location Main-Old is not an active receivable location',
+      'FG location Main-Shelf1 is not in location group Overflow',
+      'Location group Nope not found',
+      'No FG location'
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Pick Location Integration Tests
+ * Runs processWorkOrder and planWorkOrder against the Fishbowl simulator
+ * with the default PICK_LOCATION_RULES (available, mo_group, fifo)
+ */
+
+const { createMockLogger, sandboxFixture, useSimulator } = require('../helpers/simulator');
+const { processWorkOrder, planWorkOrder } = require('../../src/services/workOrderService');
+const { runFishbowlQuery } = require('../../src/db/fishbowlQueries');
+const { QUEUE_EVENTS } = require('../../src/config/constants');
+const { ERROR_CATEGORIES } = require('../../src/utils/retryPolicy');
+
+const mockLogger = createMockLogger();
+
+// Sandbox plus screws at a quarantine bin, a bin of another location group and
+// an older tag on Shelf1; a board serial sits in quarantine
+const fixture = sandboxFixture(fixture => {
+  fixture.locationGroups.push({ id: 2, name: 'Overflow' });
+  fixture.locations.push({ id: 5, name: 'Quarantine', locationGroupId: 1, pickable: false });
+  fixture.locations.push({ id: 6, name: 'Bin', locationGroupId: 2 });
+  fixture.inventory = fixture.inventory.map(entry => (entry.partId === 202 ? { ...entry, dateCreated: '2026-03-01T00:00:00.000Z' } : entry));
+  fixture.inventory.push(
+    { partId: 202, locationId: 2, quantity: 50, dateCreated: '2026-02-01T00:00:00.000Z' },
+    { partId: 202, locationId: 5, quantity: 100, dateCreated: '2026-01-01T00:00:00.000Z' },
+    { partId: 202, locationId: 6, quantity: 100, dateCreated: '2025-12-01T00:00:00.000Z' },
+    { partId: 201, locationId: 5, serials: ['SN-5001'] }
+  );
+});
+
+describe('Pick locations', () => {
+  const fishbowl = useSimulator(fixture, mockLogger);
+
+  // HUB-300 consumes a board (part 201), a battery (part 203) and two screws
+  const issueHubWorkOrder = moNumber => fishbowl.issueWorkOrder(moNumber, 2);
+
+  const screwsAt = location => fishbowl.quantityOf('SCREW-M3', location);
+
+  test('should take untracked raw goods from the oldest allowed tag and record it', async () => {
+    const woNum = issueHubWorkOrder('MO-LOC-1');
+    const recordEvent = jest.fn(async () => {});
+
+    await processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'HUB-0001', [
+      { partId: 201, serials: ['SN-1001'] },
+      { partId: 203, serials: ['BAT-4001'] }
+    ], {}, 'Main-FinishedGoods', 'HUB-300', mockLogger, recordEvent);
+
+    expect(screwsAt('Shelf1')).toBe(48);
+    expect(screwsAt('Quarantine')).toBe(100);
+    expect(screwsAt('Bin')).toBe(100);
+
+    const [, split] = recordEvent.mock.calls.find(([type]) => type === QUEUE_EVENTS.PICK_SPLIT);
+    expect(split.details.rules).toEqual(['available', 'mo_group', 'fifo']);
+    expect(split.details.locations).toContainEqual({ partId: 202, location: 'Main-Shelf1', tagNum: expect.any(String), quantity: 2 });
+  });
+
+  test('should split untracked raw goods across allowed tags when no single tag holds the quantity', async () => {
+    // Leave one screw free on Shelf1, the oldest allowed tag
+    fishbowl.simulator.tagFor(202, 2).qtyCommitted = 49;
+    const woNum = issueHubWorkOrder('MO-LOC-SPLIT');
+    const recordEvent = jest.fn(async () => {});
+
+    await processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'HUB-0004', [
+      { partId: 201, serials: ['SN-1001'] },
+      { partId: 203, serials: ['BAT-4001'] }
+    ], {}, 'Main-FinishedGoods', 'HUB-300', mockLogger, recordEvent);
+
+    expect(screwsAt('Shelf1')).toBe(49);
+    expect(screwsAt('Stock')).toBe(999);
+    expect(fishbowl.simulator.findWO(woNum).items.find(item => item.partId === 202).qtyUsed).toBe(2);
+
+    const [, split] = recordEvent.mock.calls.find(([type]) => type === QUEUE_EVENTS.PICK_SPLIT);
+    expect(split.details.locations.filter(location => location.partId === 202).map(location => [location.location, location.quantity]))
+      .toEqual([['Main-Shelf1', 1], ['Main-Stock', 1]]);
+  });
+
+  test('should plan untracked raw goods across allowed tags in a dry run', async () => {
+    fishbowl.simulator.tagFor(202, 2).qtyCommitted = 49;
+
+    const plan = await planWorkOrder(fishbowl.serverUrl, fishbowl.token, null, 'HUB-0005', [
+      { partId: 201, serials: ['SN-1003'] },
+      { partId: 203, serials: ['BAT-3001'] }
+    ], {}, 'Main-FinishedGoods', 'HUB-300', mockLogger, 1);
+
+    expect(plan.pickSplit.filter(item => item.partId === 202).map(item => [item.location, item.quantity])).toEqual([
+      ['Main-Shelf1', 1],
+      ['Main-Stock', 1]
+    ]);
+  });
+
+  test('should not pick a serial that is only in quarantine', async () => {
+    const woNum = issueHubWorkOrder('MO-LOC-2');
+
+    await expect(processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'HUB-0002', [
+      { partId: 201, serials: ['SN-5001'] },
+      { partId: 203, serials: ['BAT-4001'] }
+    ], {}, 'Main-FinishedGoods', 'HUB-300', mockLogger)).rejects.toMatchObject({
+      message: expect.stringMatching(/No pick location allowed by PICK_LOCATION_RULES for serial\(s\): SN-5001 \(at Main-Quarantine\)/),
+      category: ERROR_CATEGORIES.PERMANENT
+    });
+
+    expect(await runFishbowlQuery(fishbowl.serverUrl, fishbowl.token, 'existingSerials', { serials: ['SN-5001', 'BAT-4001'] })).toHaveLength(2);
+  });
+
+  test('should plan the pick location of untracked raw goods in a dry run', async () => {
+    const plan = await planWorkOrder(fishbowl.serverUrl, fishbowl.token, null, 'HUB-0003', [
+      { partId: 201, serials: ['SN-1003'] },
+      { partId: 203, serials: ['BAT-3001'] }
+    ], {}, 'Main-FinishedGoods', 'HUB-300', mockLogger, 1);
+
+    expect(plan.pickSplit.map(item => [item.partId, item.location, item.quantity])).toEqual([
+      [201, 'Main-Stock', 1],
+      [203, 'Main-Stock', 1],
+      [202, 'Main-Shelf1', 2]
+    ]);
+  });
+});
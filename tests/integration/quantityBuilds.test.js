@@ -0,0 +1,101 @@
+/**
+ * Quantity Build Integration Tests
+ * Runs quantity builds of a finished good without barcode tracking against
+ * the Fishbowl simulator
+ */
+
+const { createMockLogger, sandboxFixture, useSimulator } = require('../helpers/simulator');
+const { processWorkOrder, planWorkOrder } = require('../../src/services/workOrderService');
+const { checkBatchInventory } = require('../../src/services/inventoryPreflightService');
+
+const mockLogger = createMockLogger();
+
+// Fixture part tracking ID
+const LOT_NUMBER = 6;
+
+// Sandbox plus a lot-tracked bracket sub-assembly (no barcode) made from four screws
+const fixture = sandboxFixture(fixture => {
+  fixture.parts.push({ id: 104, num: 'BRKT-600', description: 'Mounting bracket sub-assembly', uomId: 1, tracking: [LOT_NUMBER] });
+  fixture.boms.push({
+    id: 4,
+    num: 'BRKT-600',
+    description: 'Mounting bracket sub-assembly',
+    items: [{ partId: 104, typeId: 10, quantity: 1 }, { partId: 202, typeId: 20, quantity: 4 }]
+  });
+  fixture.defaultLocations.push({ partId: 104, locationGroupId: 1, locationId: 3 });
+});
+
+describe('Quantity builds', () => {
+  const fishbowl = useSimulator(fixture, mockLogger);
+  const { simulator, issueWorkOrder, quantityOf } = fishbowl;
+
+  test('should build the whole run in one work order and pick components to match', async () => {
+    const woNum = issueWorkOrder('MO-BRKT-1', 4, 50);
+
+    await processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'RUN-0001', [], {
+      104: { [LOT_NUMBER]: 'BRKT-LOT-1' }
+    }, 'Main-FinishedGoods', 'BRKT-600', mockLogger, undefined, 50);
+
+    const fgItem = simulator.findWO(woNum).items.find(item => item.partId === 104);
+
+    expect(simulator.findWO(woNum).statusId).toBe(50);
+    expect(fgItem.qtyUsed).toBe(50);
+    expect(fgItem.units).toEqual([]);
+    expect(fgItem.values).toEqual({ [LOT_NUMBER]: 'BRKT-LOT-1' });
+    expect(quantityOf('BRKT-600', 'FinishedGoods')).toBe(50);
+    expect(quantityOf('SCREW-M3', 'Stock')).toBe(800);
+  });
+
+  test('should finish the pick when retried after it was only opened', async () => {
+    const woNum = issueWorkOrder('MO-BRKT-2', 4, 50);
+
+    // A previous attempt opened the pick and failed before finishing it
+    const { Pick: pick } = simulator.handleLegacy('GetPickRq', { GetPickRq: { WoNum: woNum } }).FbiJson.FbiMsgsRs.GetPickRs;
+    simulator.handleLegacy('SavePickRq', { SavePickRq: { Pick: pick } });
+
+    await processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'RUN-0006', [], {
+      104: { [LOT_NUMBER]: 'BRKT-LOT-6' }
+    }, 'Main-FinishedGoods', 'BRKT-600', mockLogger, undefined, 50);
+
+    expect(simulator.findWO(woNum).statusId).toBe(50);
+    expect(quantityOf('BRKT-600', 'FinishedGoods')).toBe(50);
+    expect(quantityOf('SCREW-M3', 'Stock')).toBe(800);
+  });
+
+  test('should refuse a quantity build of a barcode-tracked finished good before picking', async () => {
+    const woNum = issueWorkOrder('MO-CTRL-1', 1, 2);
+
+    await expect(processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'RUN-0002', [
+      { partId: 201, serials: ['SN-1001', 'SN-1002'] }
+    ], {}, 'Main-FinishedGoods', 'CTRL-100', mockLogger, undefined, 2)).rejects.toThrow(
+      'Quantity build not allowed: part CTRL-100 is barcode-tracked and needs one barcode per unit'
+    );
+
+    expect(simulator.findWO(woNum).statusId).toBeLessThan(50);
+    expect(quantityOf('SCREW-M3', 'Stock')).toBe(1000);
+  });
+
+  test('should plan the scaled pick and FG quantity in a dry run', async () => {
+    const plan = await planWorkOrder(fishbowl.serverUrl, fishbowl.token, null, 'RUN-0003', [], {
+      104: { [LOT_NUMBER]: 'BRKT-LOT-3' }
+    }, 'Main-FinishedGoods', 'BRKT-600', mockLogger, 1, 50);
+
+    expect(plan.buildQuantity).toBe(50);
+    expect(plan.pickSplit.map(item => [item.partId, item.location, item.quantity])).toEqual([[202, 'Main-Stock', 200]]);
+
+    const complete = plan.writes.find(write => write.endpoint === 'SaveWorkOrderRq').payload;
+    expect(complete.qtyUsed).toBe(50);
+    expect(complete.barcode).toBeNull();
+  });
+
+  test('should count each quantity build as its quantity in the pre-flight', async () => {
+    const report = await checkBatchInventory(fishbowl.serverUrl, fishbowl.token, [
+      { id: 1, barcode: 'RUN-0004', operation_type: 'build', components: null, serial_numbers: null, build_quantity: 200 },
+      { id: 2, barcode: 'RUN-0005', operation_type: 'build', components: null, serial_numbers: null, build_quantity: 100 }
+    ], 'BRKT-600', 1);
+
+    expect(report.builds).toBe(300);
+    expect(report.quantityShortfalls).toEqual([{ partId: 202, partNum: 'SCREW-M3', required: 1200, available: 1000 }]);
+    expect(report.passed).toBe(false);
+  });
+});
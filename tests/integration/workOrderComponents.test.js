@@ -0,0 +1,69 @@
+/**
+ * Multi-Component Work Order Integration Tests
+ * Runs processWorkOrder against the Fishbowl simulator
+ */
+
+const { createMockLogger, sandboxFixture, useSimulator } = require('../helpers/simulator');
+const { processWorkOrder, planWorkOrder } = require('../../src/services/workOrderService');
+const { runFishbowlQuery } = require('../../src/db/fishbowlQueries');
+const { QUEUE_EVENTS } = require('../../src/config/constants');
+
+const mockLogger = createMockLogger();
+
+describe('Multi-component work orders', () => {
+  const fishbowl = useSimulator(sandboxFixture(), mockLogger);
+
+  // HUB-300 consumes a board (part 201), a battery (part 203) and screws
+  const issueHubWorkOrder = moNumber => fishbowl.issueWorkOrder(moNumber, 2);
+
+  test('should split and track the pick item of each serialized component', async () => {
+    const woNum = issueHubWorkOrder('MO-HUB-1');
+    const recordEvent = jest.fn(async () => {});
+    const components = [
+      { partId: 201, serials: ['SN-1001'] },
+      { partId: 203, serials: ['BAT-4001'] }
+    ];
+
+    await processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'HUB-0001', components, {}, 'Main-FinishedGoods', 'HUB-300', mockLogger, recordEvent);
+
+    const structure = await runFishbowlQuery(fishbowl.serverUrl, fishbowl.token, 'workOrderStructure', { woNumber: woNum });
+    expect(structure).toEqual(expect.arrayContaining([
+      { woitem_type: 'Finished Good', partid: 102, woitem_qty: 1, serial_numbers: 'HUB-0001' },
+      { woitem_type: 'Raw Good', partid: 201, woitem_qty: 1, serial_numbers: 'SN-1001' },
+      { woitem_type: 'Raw Good', partid: 203, woitem_qty: 1, serial_numbers: 'BAT-4001' }
+    ]));
+
+    const [, split] = recordEvent.mock.calls.find(([type]) => type === QUEUE_EVENTS.PICK_SPLIT);
+    expect(split.details.locations).toEqual([
+      { partId: 201, location: 'Main-Stock', tagNum: '1001', serials: 1 },
+      { partId: 203, location: 'Main-Shelf1', tagNum: '1004', serials: 1 },
+      { partId: 202, location: 'Main-Stock', tagNum: '1005', quantity: 2 }
+    ]);
+  });
+
+  test('should fail without consuming anything when a component is not on the BOM', async () => {
+    const woNum = issueHubWorkOrder('MO-HUB-2');
+
+    await expect(processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'HUB-0002', [
+      { partId: 201, serials: ['SN-1002'] },
+      { partId: 202, serials: ['SCREW-1'] }
+    ], {}, 'Main-FinishedGoods', 'HUB-300', mockLogger)).rejects.toThrow('No serial locations found');
+
+    expect(await runFishbowlQuery(fishbowl.serverUrl, fishbowl.token, 'existingSerials', { serials: ['SN-1002'] })).toEqual([{ serial: 'SN-1002' }]);
+  });
+
+  test('should plan one pick item per component and location in a dry run', async () => {
+    const plan = await planWorkOrder(fishbowl.serverUrl, fishbowl.token, null, 'HUB-0003', [
+      { partId: 201, serials: ['SN-1003', 'SN-2001'] },
+      { partId: 203, serials: ['BAT-3001', 'BAT-9999'] }
+    ], {}, 'Main-FinishedGoods', 'HUB-300', mockLogger);
+
+    expect(plan.pickSplit.map(item => [item.partId, item.location, item.serials])).toEqual([
+      [201, 'Main-Stock', ['SN-1003']],
+      [201, 'Main-Shelf1', ['SN-2001']],
+      [203, 'Main-Stock', ['BAT-3001']]
+    ]);
+    expect(plan.missingSerials).toEqual(['BAT-9999']);
+    expect(plan.components).toEqual([{ partId: 201, serials: 2 }, { partId: 203, serials: 2 }]);
+  });
+});
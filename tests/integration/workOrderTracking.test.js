@@ -0,0 +1,79 @@
+/**
+ * Lot and Date Tracking Work Order Integration Tests
+ * Runs processWorkOrder against the Fishbowl simulator
+ */
+
+const { createMockLogger, sandboxFixture, useSimulator } = require('../helpers/simulator');
+const { processWorkOrder, planWorkOrder } = require('../../src/services/workOrderService');
+const { ERROR_CATEGORIES } = require('../../src/utils/retryPolicy');
+
+const mockLogger = createMockLogger();
+
+// Fixture part tracking IDs
+const LOT_NUMBER = 6;
+const EXPIRATION_DATE = 7;
+const REVISION_LEVEL = 8;
+
+describe('Lot and date tracked work orders', () => {
+  const fishbowl = useSimulator(sandboxFixture(), mockLogger);
+  const { simulator } = fishbowl;
+
+  // SENSOR-500 (lot and revision tracked) consumes a board (part 201) and lot-tracked adhesive (part 204)
+  const issueSensorWorkOrder = moNumber => fishbowl.issueWorkOrder(moNumber, 3);
+
+  const trackingValues = {
+    103: { [LOT_NUMBER]: 'FG-LOT-1', [REVISION_LEVEL]: 'B' },
+    204: { [LOT_NUMBER]: 'ADH-2207', [EXPIRATION_DATE]: '12/31/2027' }
+  };
+
+  test('should set lot and date tracking on consumed components and the finished good', async () => {
+    const woNum = issueSensorWorkOrder('MO-SENSOR-1');
+
+    await processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'SENSOR-0001', [{ partId: 201, serials: ['SN-1001'] }], trackingValues, 'Main-FinishedGoods', 'SENSOR-500', mockLogger);
+
+    const wo = simulator.findWO(woNum);
+    const valuesOf = partId => wo.items.find(item => item.partId === partId).values;
+
+    expect(wo.statusId).toBe(50);
+    expect(valuesOf(204)).toEqual({ [LOT_NUMBER]: 'ADH-2207', [EXPIRATION_DATE]: '2027-12-31T00:00:00' });
+    expect(valuesOf(103)).toEqual({ [LOT_NUMBER]: 'FG-LOT-1', [REVISION_LEVEL]: 'B' });
+    expect(valuesOf(201)).toEqual({});
+  });
+
+  test('should fail before writing anything when tracking values are missing', async () => {
+    const woNum = issueSensorWorkOrder('MO-SENSOR-2');
+
+    await expect(processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'SENSOR-0002', [{ partId: 201, serials: ['SN-1002'] }], {
+      204: { [LOT_NUMBER]: 'ADH-2207' }
+    }, 'Main-FinishedGoods', 'SENSOR-500', mockLogger)).rejects.toThrow(
+      'Missing tracking values: SENSOR-500 Lot Number, SENSOR-500 Revision Level, ADH-400 Expiration Date'
+    );
+
+    const wo = simulator.findWO(woNum);
+    expect(simulator.picks.get(wo.pickId).status).toBe(10);
+  });
+
+  test('should reject a date that does not fit the tracking type', async () => {
+    const woNum = issueSensorWorkOrder('MO-SENSOR-3');
+
+    await expect(processWorkOrder(fishbowl.serverUrl, fishbowl.token, null, null, woNum, 'SENSOR-0003', [{ partId: 201, serials: ['SN-1003'] }], {
+      ...trackingValues,
+      204: { [LOT_NUMBER]: 'ADH-2207', [EXPIRATION_DATE]: 'soon' }
+    }, 'Main-FinishedGoods', 'SENSOR-500', mockLogger)).rejects.toMatchObject({
+      message: expect.stringContaining('ADH-400 Expiration Date: Invalid tracking value "soon"'),
+      category: ERROR_CATEGORIES.PERMANENT
+    });
+  });
+
+  test('should report the tracking it would set in a dry run', async () => {
+    const plan = await planWorkOrder(fishbowl.serverUrl, fishbowl.token, null, 'SENSOR-0004', [{ partId: 201, serials: ['SN-1004'] }], {
+      204: trackingValues[204]
+    }, 'Main-FinishedGoods', 'SENSOR-500', mockLogger);
+
+    expect(plan.tracking).toEqual([
+      { partId: 204, partNum: 'ADH-400', finishedGood: false, tracking: 'Lot Number', value: 'ADH-2207' },
+      { partId: 204, partNum: 'ADH-400', finishedGood: false, tracking: 'Expiration Date', value: '2027-12-31T00:00:00' }
+    ]);
+    expect(plan.missingTracking).toEqual(['SENSOR-500 Lot Number', 'SENSOR-500 Revision Level']);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Job Run Unit Tests
+ * Checks the SQL issued against a mocked connection
+ */
+
+const {
+  createJobRun,
+  finishJobRun,
+  markJobRunsInterrupted,
+  getJobRuns
+} = require('../../../src/db/jobRuns');
+
+describe('jobRuns', () => {
+  let connection;
+
+  beforeEach(() => {
+    connection = { query: jest.fn() };
+  });
+
+  describe('createJobRun', () => {
+    test('should record a running job with its trigger and instance', async () => {
+      connection.query.mockResolvedValue([{ insertId: 12 }]);
+
+      const id = await createJobRun(connection, { triggeredBy: 'scheduler', startTime: '2026-10-19T06:00:00.000Z', totalItems: 40 }, 'host-a:100');
+
+      expect(id).toBe(12);
+      expect(connection.query.mock.calls[0][1]).toEqual(['scheduler', 'host-a:100', new Date('2026-10-19T06:00:00.000Z'), 40]);
+    });
+
+    test('should default the trigger to the UI', async () => {
+      connection.query.mockResolvedValue([{ insertId: 13 }]);
+
+      await createJobRun(connection, { totalItems: 1 }, 'host-a:100');
+
+      expect(connection.query.mock.calls[0][1][0]).toBe('ui');
+    });
+  });
+
+  describe('finishJobRun', () => {
+    test('should store the final counts and created MOs', async () => {
+      connection.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+      await finishJobRun(connection, 12, {
+        status: 'completed',
+        endTime: '2026-10-19T06:30:00.000Z',
+        totalItems: 40,
+        processedItems: 40,
+        successItems: 39,
+        failedItems: 1,
+        mosCreated: ['CTRL-100|20261019|1'],
+        error: null
+      });
+
+      expect(connection.query.mock.calls[0][1]).toEqual([
+        'completed', new Date('2026-10-19T06:30:00.000Z'), 40, 40, 39, 1, '["CTRL-100|20261019|1"]', null, 12
+      ]);
+    });
+  });
+
+  describe('markJobRunsInterrupted', () => {
+    test('should not touch the database without IDs', async () => {
+      expect(await markJobRunsInterrupted(connection, [])).toBe(0);
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    test('should only close runs still recorded as running', async () => {
+      connection.query.mockResolvedValue([{ affectedRows: 2 }]);
+
+      expect(await markJobRunsInterrupted(connection, [3, 4])).toBe(2);
+
+      const [sql, params] = connection.query.mock.calls[0];
+      expect(sql).toContain(`SET status = 'interrupted', ended_at = NOW()`);
+      expect(sql).toContain(`WHERE status = 'running' AND id IN (?)`);
+      expect(params).toEqual([[3, 4]]);
+    });
+  });
+
+  describe('getJobRuns', () => {
+    test('should parse the created MOs of each run', async () => {
+      connection.query.mockResolvedValue([[
+        { id: 2, mos_created: '["MO-1","MO-2"]' },
+        { id: 1, mos_created: null },
+        { id: 0, mos_created: 'not json' }
+      ]]);
+
+      const runs = await getJobRuns(connection, 10);
+
+      expect(connection.query.mock.calls[0][1]).toEqual([10]);
+      expect(runs.map(run => run.mos_created)).toEqual([['MO-1', 'MO-2'], [], []]);
+    });
+  });
+});
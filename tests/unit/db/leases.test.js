@@ -0,0 +1,124 @@
+/**
+ * Lease Unit Tests
+ * Runs the lease statements against an in-memory stand-in for orchestrator_leases
+ */
+
+const { acquireLease, releaseLease } = require('../../../src/db/leases');
+
+/**
+ * Mocked connection holding one lease table
+ * Applies the statements the way MySQL does, including single-table UPDATE
+ * assignments taking effect left to right
+ */
+function createLeaseConnection() {
+  const rows = new Map();
+  const clock = { now: 1000 };
+
+  const query = jest.fn(async (sql, params) => {
+    if (sql.startsWith('INSERT IGNORE INTO orchestrator_leases')) {
+      const [leaseName, holder, ttlSeconds] = params;
+      if (rows.has(leaseName)) {
+        return [{ affectedRows: 0 }];
+      }
+      rows.set(leaseName, { holder, acquired_at: clock.now, renewed_at: clock.now, expires_at: clock.now + ttlSeconds });
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.trim().startsWith('UPDATE orchestrator_leases')) {
+      const [ifHolder, holder, ttlSeconds, leaseName, whereHolder] = params;
+      const row = rows.get(leaseName);
+      if (!row || !(row.holder === whereHolder || row.expires_at <= clock.now)) {
+        return [{ affectedRows: 0 }];
+      }
+
+      const keepsAcquiredAt = holderBeforeUpdate => holderBeforeUpdate === ifHolder;
+      if (sql.indexOf('acquired_at = IF') < sql.indexOf('holder = ?,')) {
+        row.acquired_at = keepsAcquiredAt(row.holder) ? row.acquired_at : clock.now;
+        row.holder = holder;
+      } else {
+        row.holder = holder;
+        row.acquired_at = keepsAcquiredAt(row.holder) ? row.acquired_at : clock.now;
+      }
+      row.renewed_at = clock.now;
+      row.expires_at = clock.now + ttlSeconds;
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.startsWith('DELETE FROM orchestrator_leases')) {
+      const [leaseName, holder] = params;
+      if (rows.get(leaseName)?.holder !== holder) {
+        return [{ affectedRows: 0 }];
+      }
+      rows.delete(leaseName);
+      return [{ affectedRows: 1 }];
+    }
+
+    throw new Error(`Unexpected statement: ${sql}`);
+  });
+
+  return { query, rows, clock };
+}
+
+describe('leases', () => {
+  const LEASE = 'queue-processor';
+  let connection;
+
+  beforeEach(() => {
+    connection = createLeaseConnection();
+  });
+
+  describe('acquireLease', () => {
+    test('should take a free lease', async () => {
+      expect(await acquireLease(connection, LEASE, 'host-a:1', 30)).toBe(true);
+      expect(connection.rows.get(LEASE)).toEqual({ holder: 'host-a:1', acquired_at: 1000, renewed_at: 1000, expires_at: 1030 });
+      expect(connection.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should renew a held lease and keep its acquired time', async () => {
+      await acquireLease(connection, LEASE, 'host-a:1', 30);
+      connection.clock.now = 1020;
+
+      expect(await acquireLease(connection, LEASE, 'host-a:1', 30)).toBe(true);
+      expect(connection.rows.get(LEASE)).toEqual({ holder: 'host-a:1', acquired_at: 1000, renewed_at: 1020, expires_at: 1050 });
+    });
+
+    test('should refuse a lease another holder still holds', async () => {
+      await acquireLease(connection, LEASE, 'host-a:1', 30);
+      connection.clock.now = 1029;
+
+      expect(await acquireLease(connection, LEASE, 'host-b:1', 30)).toBe(false);
+      expect(connection.rows.get(LEASE).holder).toBe('host-a:1');
+    });
+
+    test('should take over an expired lease with a new acquired time', async () => {
+      await acquireLease(connection, LEASE, 'host-a:1', 30);
+      connection.clock.now = 1030;
+
+      expect(await acquireLease(connection, LEASE, 'host-b:1', 30)).toBe(true);
+      expect(connection.rows.get(LEASE)).toEqual({ holder: 'host-b:1', acquired_at: 1030, renewed_at: 1030, expires_at: 1060 });
+    });
+
+    test('should let only one of two instances racing for an expired lease win', async () => {
+      await acquireLease(connection, LEASE, 'host-a:1', 30);
+      connection.clock.now = 1100;
+
+      const results = [
+        await acquireLease(connection, LEASE, 'host-b:1', 30),
+        await acquireLease(connection, LEASE, 'host-c:1', 30)
+      ];
+
+      expect(results).toEqual([true, false]);
+      expect(connection.rows.get(LEASE).holder).toBe('host-b:1');
+    });
+  });
+
+  describe('releaseLease', () => {
+    test('should only release a lease this holder owns', async () => {
+      await acquireLease(connection, LEASE, 'host-a:1', 30);
+
+      expect(await releaseLease(connection, LEASE, 'host-b:1')).toBe(false);
+      expect(await releaseLease(connection, LEASE, 'host-a:1')).toBe(true);
+      expect(await acquireLease(connection, LEASE, 'host-b:1', 30)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Queue Query Unit Tests
+ * Checks the SQL issued against a mocked connection
+ */
+
+const { requeueFailedJobs } = require('../../../src/db/queries');
+
+describe('queries', () => {
+  describe('requeueFailedJobs', () => {
+    let connection;
+
+    beforeEach(() => {
+      connection = { query: jest.fn().mockResolvedValue([{ affectedRows: 2 }]) };
+    });
+
+    const assignmentsOf = sql => sql.match(/SET (.*) WHERE/s)[1].split(/, (?=\w+ = )/);
+
+    test('should not touch the database without IDs', async () => {
+      expect(await requeueFailedJobs(connection, [], {}, 'admin')).toBe(0);
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    test('should reset failed items to pending and return the affected count', async () => {
+      expect(await requeueFailedJobs(connection, [4, 5], {}, 'admin')).toBe(2);
+
+      const [sql, params] = connection.query.mock.calls[0];
+      expect(sql).toContain(`WHERE status IN ('Failed', 'DeadLetter', 'Review') AND id IN (?)`);
+      expect(assignmentsOf(sql)).toEqual(expect.arrayContaining([
+        `status = 'Pending'`, 'error_message = NULL', 'retry_count = 0', 'requeued_by = ?'
+      ]));
+      expect(params).toEqual(['admin', [4, 5]]);
+    });
+
+    test('should clear MO and WO numbers of MO creation failures before clearing the error', async () => {
+      await requeueFailedJobs(connection, [4], {}, 'admin');
+
+      const assignments = assignmentsOf(connection.query.mock.calls[0][0]);
+      const clearMO = assignments.indexOf(`mo_number = IF(error_message LIKE 'MO creation failed%', NULL, mo_number)`);
+      const clearWO = assignments.indexOf(`wo_number = IF(error_message LIKE 'MO creation failed%', NULL, wo_number)`);
+
+      expect(clearMO).toBeGreaterThanOrEqual(0);
+      expect(clearWO).toBeGreaterThanOrEqual(0);
+      expect(Math.max(clearMO, clearWO)).toBeLessThan(assignments.indexOf('error_message = NULL'));
+    });
+
+    test('should clear components when a single component is corrected', async () => {
+      await requeueFailedJobs(connection, [4], { serialNumbers: '["SN-1"]', fgLocation: 'Main-FinishedGoods' }, 'admin');
+
+      const [sql, params] = connection.query.mock.calls[0];
+      expect(assignmentsOf(sql)).toEqual(expect.arrayContaining(['serial_numbers = ?', 'fg_location = ?', 'components = NULL']));
+      expect(params).toEqual(['admin', '["SN-1"]', 'Main-FinishedGoods', [4]]);
+    });
+
+    test('should replace components and tracking values when given', async () => {
+      await requeueFailedJobs(connection, [4], { components: '[]', trackingValues: null }, 'admin');
+
+      const [sql, params] = connection.query.mock.calls[0];
+      expect(assignmentsOf(sql)).toEqual(expect.arrayContaining(['components = ?', 'tracking_values = ?']));
+      expect(assignmentsOf(sql)).not.toContain('components = NULL');
+      expect(params).toEqual(['admin', '[]', null, [4]]);
+    });
+  });
+});
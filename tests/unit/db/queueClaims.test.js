@@ -0,0 +1,65 @@
+/**
+ * Queue Claim Unit Tests
+ * Checks the SQL issued against a mocked connection
+ */
+
+const { claimQueueItems, releaseClaims, settleClaim } = require('../../../src/db/queueClaims');
+const { QUEUE_STATUS } = require('../../../src/config/constants');
+
+describe('queueClaims', () => {
+  let connection;
+
+  beforeEach(() => {
+    connection = { query: jest.fn() };
+  });
+
+  describe('claimQueueItems', () => {
+    test('should not touch the database without IDs', async () => {
+      expect(await claimQueueItems(connection, [], 'host:1')).toEqual([]);
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    test('should claim only pending rows and return the ones this owner holds', async () => {
+      connection.query
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([[{ id: 2 }]]);
+
+      expect(await claimQueueItems(connection, [1, 2], 'host:1')).toEqual([2]);
+
+      const [claimSql, claimParams] = connection.query.mock.calls[0];
+      expect(claimSql).toContain('WHERE status = ? AND id IN (?)');
+      expect(claimParams).toEqual([QUEUE_STATUS.PROCESSING, 'host:1', QUEUE_STATUS.PENDING, [1, 2]]);
+      expect(connection.query.mock.calls[1][1]).toEqual([QUEUE_STATUS.PROCESSING, 'host:1', [1, 2]]);
+    });
+  });
+
+  describe('releaseClaims', () => {
+    test('should return only this owner\'s processing rows to pending', async () => {
+      connection.query.mockResolvedValue([{ affectedRows: 3 }]);
+
+      expect(await releaseClaims(connection, 'host:1')).toBe(3);
+      expect(connection.query.mock.calls[0][0]).not.toContain('mo_number');
+      expect(connection.query.mock.calls[0][1]).toEqual([QUEUE_STATUS.PENDING, QUEUE_STATUS.PROCESSING, 'host:1']);
+    });
+  });
+
+  describe('settleClaim', () => {
+    beforeEach(() => {
+      connection.query.mockResolvedValue([{ affectedRows: 1 }]);
+    });
+
+    test('should keep the MO number unless asked to clear it', async () => {
+      await settleClaim(connection, 7, QUEUE_STATUS.PENDING);
+      await settleClaim(connection, 8, QUEUE_STATUS.PENDING, { clearMONumber: true });
+
+      expect(connection.query.mock.calls[0][0]).not.toContain('mo_number = NULL');
+      expect(connection.query.mock.calls[1][0]).toContain('mo_number = NULL');
+    });
+
+    test('should only settle rows still in processing', async () => {
+      await settleClaim(connection, 7, QUEUE_STATUS.REVIEW, { errorMessage: 'WO missing' });
+
+      expect(connection.query.mock.calls[0][1]).toEqual([QUEUE_STATUS.REVIEW, 'WO missing', 7, QUEUE_STATUS.PROCESSING]);
+    });
+  });
+});
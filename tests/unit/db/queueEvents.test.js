@@ -0,0 +1,78 @@
+/**
+ * Queue Event Unit Tests
+ * Checks the SQL issued against a mocked connection
+ */
+
+const { recordQueueEvents, createEventRecorder, getQueueEventsByBarcode } = require('../../../src/db/queueEvents');
+const { QUEUE_EVENTS } = require('../../../src/config/constants');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('queueEvents', () => {
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connection = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+  });
+
+  describe('recordQueueEvents', () => {
+    test('should not touch the database without items', async () => {
+      await recordQueueEvents(connection, [], QUEUE_EVENTS.FAILED);
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    test('should insert one row per item with the item\'s MO and WO numbers', async () => {
+      await recordQueueEvents(connection, [
+        { id: 1, barcode: 'FG-1', mo_number: 'MO-1', wo_number: 'MO-1:1' },
+        { id: 2, barcode: 'FG-2' }
+      ], QUEUE_EVENTS.FAILED, { message: 'Pick failed', statusCode: 1500, details: { attempt: 1 } });
+
+      const [sql, [values]] = connection.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO mo_queue_events');
+      expect(values).toEqual([
+        [1, 'FG-1', 'MO-1', 'MO-1:1', QUEUE_EVENTS.FAILED, 1500, 'Pick failed', '{"attempt":1}'],
+        [2, 'FG-2', null, null, QUEUE_EVENTS.FAILED, 1500, 'Pick failed', '{"attempt":1}']
+      ]);
+    });
+
+    test('should store a missing status code, message and details as NULL', async () => {
+      await recordQueueEvents(connection, [{ id: 1, barcode: 'FG-1' }], QUEUE_EVENTS.FAILED);
+
+      expect(connection.query.mock.calls[0][1][0]).toEqual([[1, 'FG-1', null, null, QUEUE_EVENTS.FAILED, null, null, null]]);
+    });
+  });
+
+  describe('createEventRecorder', () => {
+    test('should log instead of throwing when an event cannot be recorded', async () => {
+      connection.query.mockRejectedValue(new Error('Lost connection'));
+      const recordEvent = createEventRecorder(connection, { id: 5, barcode: 'FG-5' }, mockLogger);
+
+      await expect(recordEvent(QUEUE_EVENTS.FAILED, { message: 'Pick failed' })).resolves.toBeUndefined();
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        `EVENTS - Could not record ${QUEUE_EVENTS.FAILED} for queue item 5`,
+        { error: 'Lost connection' }
+      );
+    });
+  });
+
+  describe('getQueueEventsByBarcode', () => {
+    test('should parse stored details and keep unparseable ones as text', async () => {
+      connection.query.mockResolvedValue([[
+        { id: 1, event_type: QUEUE_EVENTS.FAILED, details: '{"attempt":1}' },
+        { id: 2, event_type: QUEUE_EVENTS.FAILED, details: 'not json' },
+        { id: 3, event_type: QUEUE_EVENTS.FAILED, details: null }
+      ]]);
+
+      const events = await getQueueEventsByBarcode(connection, 'FG-1');
+
+      expect(connection.query.mock.calls[0][1]).toEqual(['FG-1']);
+      expect(events.map(event => event.details)).toEqual([{ attempt: 1 }, 'not json', null]);
+    });
+  });
+});
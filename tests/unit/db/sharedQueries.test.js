@@ -0,0 +1,50 @@
+/**
+ * Shared Query Unit Tests
+ */
+
+jest.mock('../../../src/db/fishbowlQueries');
+
+const { getPartDetails } = require('../../../src/db/sharedQueries');
+const { runFishbowlQuery } = require('../../../src/db/fishbowlQueries');
+const { invalidateReferenceCache } = require('../../../src/services/referenceCache');
+
+const serverUrl = 'http://fishbowl.test';
+
+describe('sharedQueries', () => {
+  describe('getPartDetails', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      invalidateReferenceCache();
+      runFishbowlQuery.mockImplementation(async (url, token, name, { partIds }) =>
+        partIds.map(id => ({ part_id: id, part_num: `P${id}`, part_description: `Part ${id}`, uom_id: 1 }))
+      );
+    });
+
+    test('should only query parts that are not cached', async () => {
+      await getPartDetails([101, 102], serverUrl, 'token');
+      const rows = await getPartDetails([102, '103', 103], serverUrl, 'token');
+
+      expect(runFishbowlQuery.mock.calls.map(call => call[3])).toEqual([{ partIds: [101, 102] }, { partIds: [103] }]);
+      expect(rows.map(row => row.part_num)).toEqual(['P102', 'P103']);
+    });
+
+    test('should not query when every part is cached', async () => {
+      await getPartDetails([101, 102], serverUrl, 'token');
+      const rows = await getPartDetails([102, 101], serverUrl, 'token');
+
+      expect(runFishbowlQuery).toHaveBeenCalledTimes(1);
+      expect(rows.map(row => row.part_num)).toEqual(['P102', 'P101']);
+    });
+
+    test('should not let callers change the cached rows', async () => {
+      const [loaded] = await getPartDetails([101], serverUrl, 'token');
+      loaded.part_num = 'changed after loading';
+      const [cached] = await getPartDetails([101], serverUrl, 'token');
+      cached.part_num = 'changed after a cache hit';
+
+      const [row] = await getPartDetails([101], serverUrl, 'token');
+
+      expect(row.part_num).toBe('P101');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Dry Run Report Unit Tests
+ */
+
+const DryRunReport = require('../../../src/models/dryRunReport');
+
+describe('DryRunReport', () => {
+  let report;
+
+  beforeEach(() => {
+    report = new DryRunReport();
+  });
+
+  test('should number captured writes in call order with their context', () => {
+    report.captureWrite('manufacture-orders', 'POST', { number: 'MO-1' }, { moNum: 'MO-1' });
+    report.captureWrite('SavePickRq', 'LEGACY', null, { moNum: 'MO-1', woNum: 'MO-1:1', barcode: 'FG-1' });
+
+    expect(report.writes).toEqual([
+      { sequence: 1, endpoint: 'manufacture-orders', method: 'POST', moNum: 'MO-1', woNum: null, barcode: null, payload: { number: 'MO-1' } },
+      { sequence: 2, endpoint: 'SavePickRq', method: 'LEGACY', moNum: 'MO-1', woNum: 'MO-1:1', barcode: 'FG-1', payload: null }
+    ]);
+  });
+
+  test('should summarize plans, writes and pre-flight holds as counts', () => {
+    report.addMO({ moNum: 'MO-1', itemCount: 3 });
+    report.captureWrite('manufacture-orders', 'POST', {}, { moNum: 'MO-1' });
+    report.captureWrite('manufacture-orders/{id}/issue', 'POST', null, { moNum: 'MO-1' });
+    report.addPreflight({ moNum: 'MO-1', heldItems: 1 });
+    report.addWorkOrder({ barcode: 'FG-1', status: 'planned', missingSerials: ['SN-1', 'SN-2'] });
+    report.addWorkOrder({ barcode: 'FG-2', status: 'skipped' });
+    report.addWorkOrder({ barcode: 'FG-3', status: 'failed', missingTracking: [{ partId: 104 }] });
+
+    expect(report.getSummary()).toEqual({
+      mos: 1,
+      workOrders: 3,
+      planned: 1,
+      skipped: 1,
+      failed: 1,
+      writes: 2,
+      preflight: 1,
+      missingSerials: 2,
+      missingTracking: 1,
+      preflightHeld: 1
+    });
+  });
+
+  test('should include the summary and every section in the full report', () => {
+    report.addMO({ moNum: 'MO-1' });
+    report.captureWrite('manufacture-orders', 'POST', {}, { moNum: 'MO-1' });
+
+    const json = report.toJSON();
+
+    expect(json.createdAt).toBe(report.createdAt);
+    expect(json.summary.writes).toBe(1);
+    expect(json.mos).toEqual([{ moNum: 'MO-1' }]);
+    expect(json.writes).toHaveLength(1);
+    expect(json.workOrders).toEqual([]);
+    expect(json.preflight).toEqual([]);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Claim Recovery Unit Tests
+ */
+
+// The recovery service loads the auth service, which needs an encryption key
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../../../src/db/queueClaims');
+jest.mock('../../../src/db/queueEvents');
+jest.mock('../../../src/db/fishbowlQueries');
+jest.mock('../../../src/db/jobRuns');
+
+const { isStaleClaim, interruptStaleJobRuns, recoverStaleClaims } = require('../../../src/services/claimRecoveryService');
+const { getForeignClaims, settleClaim } = require('../../../src/db/queueClaims');
+const { getRunningJobRuns, markJobRunsInterrupted } = require('../../../src/db/jobRuns');
+const { runFishbowlQuery } = require('../../../src/db/fishbowlQueries');
+const { INSTANCE_ID } = require('../../../src/config');
+const { CLAIM_STALE_AFTER_MS, QUEUE_STATUS } = require('../../../src/config/constants');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// Past the highest PID Linux hands out, so never a running process
+const DEAD_PID = 4194305;
+
+describe('claimRecoveryService', () => {
+  const [ownHost] = INSTANCE_ID.split(':');
+  const freshAge = Math.floor(CLAIM_STALE_AFTER_MS / 1000) - 1;
+
+  describe('isStaleClaim', () => {
+    test('should treat claims without an owner or heartbeat as stale', () => {
+      expect(isStaleClaim({ claimed_by: null, heartbeat_age_seconds: 0 })).toBe(true);
+      expect(isStaleClaim({ claimed_by: 'other-host:100', heartbeat_age_seconds: null })).toBe(true);
+    });
+
+    test('should treat a heartbeat older than the threshold as stale', () => {
+      expect(isStaleClaim({ claimed_by: 'other-host:100', heartbeat_age_seconds: CLAIM_STALE_AFTER_MS / 1000 })).toBe(true);
+    });
+
+    test('should keep a fresh claim of another host', () => {
+      expect(isStaleClaim({ claimed_by: 'other-host:100', heartbeat_age_seconds: freshAge })).toBe(false);
+    });
+
+    test('should treat a fresh claim of a dead process on this host as stale', () => {
+      expect(isStaleClaim({ claimed_by: `${ownHost}:${DEAD_PID}`, heartbeat_age_seconds: 0 })).toBe(true);
+    });
+
+    test('should keep a fresh claim of a running process on this host', () => {
+      expect(isStaleClaim({ claimed_by: `${ownHost}:${process.pid}`, heartbeat_age_seconds: 0 })).toBe(false);
+      expect(isStaleClaim({ claimed_by: `${ownHost}:service`, heartbeat_age_seconds: 0 })).toBe(false);
+    });
+  });
+
+  describe('interruptStaleJobRuns', () => {
+    const connection = {};
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      markJobRunsInterrupted.mockImplementation(async (conn, ids) => ids.length);
+    });
+
+    test('should interrupt runs of this instance ID and of dead processes on this host', async () => {
+      getRunningJobRuns.mockResolvedValue([
+        { id: 1, instance_id: INSTANCE_ID },
+        { id: 2, instance_id: `${ownHost}:${DEAD_PID}` },
+        { id: 3, instance_id: `${ownHost}:${process.pid === 1 ? 2 : 1}` },
+        { id: 4, instance_id: 'other-host:100' },
+        { id: 5, instance_id: null }
+      ]);
+
+      expect(await interruptStaleJobRuns(connection, mockLogger)).toBe(2);
+      expect(markJobRunsInterrupted).toHaveBeenCalledWith(connection, [1, 2]);
+    });
+
+    test('should not touch the database when no run is stale', async () => {
+      getRunningJobRuns.mockResolvedValue([{ id: 4, instance_id: 'other-host:100' }]);
+
+      expect(await interruptStaleJobRuns(connection, mockLogger)).toBe(0);
+      expect(markJobRunsInterrupted).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverStaleClaims', () => {
+    const connection = {};
+    const staleClaim = (id, fields) => ({
+      id,
+      barcode: `FG-${id}`,
+      mo_number: null,
+      wo_number: null,
+      claimed_by: 'other-host:100',
+      heartbeat_age_seconds: CLAIM_STALE_AFTER_MS / 1000,
+      ...fields
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      runFishbowlQuery.mockImplementation(async (serverUrl, token, name) => {
+        if (name === 'workOrderStatuses') {
+          return [{ num: 'MO-1:1', statusid: 50 }, { num: 'MO-1:2', statusid: 20 }];
+        }
+        return [{ num: 'MO-2' }];
+      });
+    });
+
+    test('should settle each stale claim from its WO or MO state in Fishbowl', async () => {
+      getForeignClaims.mockResolvedValue([
+        staleClaim(1, { mo_number: 'MO-1', wo_number: 'MO-1:1' }),
+        staleClaim(2, { mo_number: 'MO-1', wo_number: 'MO-1:2' }),
+        staleClaim(3, { mo_number: 'MO-1', wo_number: 'MO-1:9' }),
+        staleClaim(4, { mo_number: 'MO-2' }),
+        staleClaim(5, { mo_number: 'MO-3' }),
+        staleClaim(6, { heartbeat_age_seconds: freshAge })
+      ]);
+
+      const summary = await recoverStaleClaims('http://fishbowl.test', 'token', connection, mockLogger);
+
+      expect(summary).toEqual({ resumed: 3, completed: 1, review: 1 });
+      expect(settleClaim.mock.calls).toEqual([
+        [connection, 1, QUEUE_STATUS.COMPLETED, { errorMessage: null, clearMONumber: false }],
+        [connection, 2, QUEUE_STATUS.PENDING, { errorMessage: null, clearMONumber: false }],
+        [connection, 3, QUEUE_STATUS.REVIEW, { errorMessage: 'Interrupted while processing; WO MO-1:9 not found in Fishbowl', clearMONumber: false }],
+        [connection, 4, QUEUE_STATUS.PENDING, { errorMessage: null, clearMONumber: false }],
+        [connection, 5, QUEUE_STATUS.PENDING, { errorMessage: null, clearMONumber: true }]
+      ]);
+    });
+
+    test('should leave stale claims alone when Fishbowl cannot be reached', async () => {
+      getForeignClaims.mockResolvedValue([staleClaim(1, { mo_number: 'MO-1', wo_number: 'MO-1:1' })]);
+      runFishbowlQuery.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const summary = await recoverStaleClaims('http://fishbowl.test', 'token', connection, mockLogger);
+
+      expect(summary).toEqual({ resumed: 0, completed: 0, review: 0 });
+      expect(settleClaim).not.toHaveBeenCalled();
+    });
+  });
+});
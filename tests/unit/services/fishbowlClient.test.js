@@ -0,0 +1,175 @@
+/**
+ * Fishbowl Client Unit Tests
+ */
+
+const { FishbowlClient, FishbowlHttpError, getFishbowlClient, dropFishbowlClient } = require('../../../src/services/fishbowlClient');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('fishbowlClient', () => {
+  describe('withSession', () => {
+    let client;
+
+    beforeEach(() => {
+      client = new FishbowlClient({ serverUrl: 'http://fishbowl.test:2456', token: 'expired-token', logger: mockLogger });
+    });
+
+    // Call that Fishbowl rejects until it is sent with a token other than the expired one
+    const sessionCall = () => jest.fn(async () => {
+      if (client.token === 'expired-token') {
+        throw new FishbowlHttpError(401, 'Session expired');
+      }
+      return client.token;
+    });
+
+    test('should log in once for calls rejected together and repeat each of them', async () => {
+      const reauthenticator = jest.fn(async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        return 'renewed-token';
+      });
+      client.setReauthenticator(reauthenticator);
+      const calls = [sessionCall(), sessionCall(), sessionCall()];
+
+      const results = await Promise.all(calls.map(call => client.withSession(call)));
+
+      expect(results).toEqual(['renewed-token', 'renewed-token', 'renewed-token']);
+      expect(reauthenticator).toHaveBeenCalledTimes(1);
+      expect(reauthenticator).toHaveBeenCalledWith('expired-token');
+      expect(client.reauthentications).toBe(1);
+      calls.forEach(call => expect(call).toHaveBeenCalledTimes(2));
+    });
+
+    test('should not log in again for a call rejected after another call renewed the session', async () => {
+      const reauthenticator = jest.fn(async () => 'renewed-token');
+      client.setReauthenticator(reauthenticator);
+
+      let rejectLateCall;
+      const lateCall = jest.fn()
+        .mockImplementationOnce(() => new Promise((resolve, reject) => { rejectLateCall = reject; }))
+        .mockImplementation(async () => client.token);
+
+      const late = client.withSession(lateCall);
+      await client.withSession(sessionCall());
+      rejectLateCall(new FishbowlHttpError(401, 'Session expired'));
+
+      expect(await late).toBe('renewed-token');
+      expect(reauthenticator).toHaveBeenCalledTimes(1);
+    });
+
+    test('should pass other errors through without logging in', async () => {
+      const reauthenticator = jest.fn(async () => 'renewed-token');
+      client.setReauthenticator(reauthenticator);
+
+      await expect(client.withSession(async () => { throw new FishbowlHttpError(500, 'Server error'); })).rejects.toThrow('HTTP 500: Server error');
+      expect(reauthenticator).not.toHaveBeenCalled();
+    });
+
+    test('should throw the rejection without a reauthenticator or when the login fails', async () => {
+      await expect(client.withSession(sessionCall())).rejects.toThrow('HTTP 401: Session expired');
+
+      client.setReauthenticator(async () => { throw new Error('Invalid credentials'); });
+      await expect(client.withSession(sessionCall())).rejects.toThrow('HTTP 401: Session expired');
+      expect(client.token).toBe('expired-token');
+    });
+  });
+
+  describe('client cache', () => {
+    const serverUrl = 'http://fishbowl.test:2456';
+    const MAX_CACHED_CLIENTS = 20;
+
+    afterEach(() => {
+      for (let i = 0; i <= MAX_CACHED_CLIENTS + 1; i++) {
+        dropFishbowlClient(serverUrl, `token-${i}`);
+      }
+      dropFishbowlClient(serverUrl, 'job-token');
+      dropFishbowlClient(serverUrl, 'renewed-token');
+    });
+
+    const fillCache = (count, first = 0) => {
+      for (let i = first; i < first + count; i++) {
+        getFishbowlClient(serverUrl, `token-${i}`);
+      }
+    };
+
+    test('should share one client per server URL and token', () => {
+      expect(getFishbowlClient(`${serverUrl}/`, 'token-0')).toBe(getFishbowlClient(serverUrl, 'token-0'));
+      expect(getFishbowlClient(serverUrl, 'token-1')).not.toBe(getFishbowlClient(serverUrl, 'token-0'));
+    });
+
+    test('should drop the least recently used client when full', () => {
+      const first = getFishbowlClient(serverUrl, 'token-0');
+      const second = getFishbowlClient(serverUrl, 'token-1');
+      fillCache(MAX_CACHED_CLIENTS - 2, 2);
+
+      // Using the first client again leaves the second as the least recently used
+      getFishbowlClient(serverUrl, 'token-0');
+      getFishbowlClient(serverUrl, `token-${MAX_CACHED_CLIENTS}`);
+
+      expect(getFishbowlClient(serverUrl, 'token-0')).toBe(first);
+      expect(getFishbowlClient(serverUrl, 'token-1')).not.toBe(second);
+    });
+
+    test('should keep the client of a running job however many sessions follow', () => {
+      const jobClient = getFishbowlClient(serverUrl, 'job-token');
+      jobClient.setReauthenticator(async () => 'renewed-token');
+
+      fillCache(MAX_CACHED_CLIENTS + 2);
+
+      expect(getFishbowlClient(serverUrl, 'job-token')).toBe(jobClient);
+    });
+
+    test('should drop a client on logout of its original or renewed token', () => {
+      const jobClient = getFishbowlClient(serverUrl, 'job-token');
+      jobClient.token = 'renewed-token';
+
+      dropFishbowlClient(serverUrl, 'renewed-token');
+
+      expect(getFishbowlClient(serverUrl, 'job-token')).not.toBe(jobClient);
+    });
+  });
+
+  describe('simulator mode', () => {
+    const loadWithSimulator = enabled => {
+      const previous = { flag: process.env.FISHBOWL_SIMULATOR, port: process.env.FISHBOWL_SIMULATOR_PORT };
+      process.env.FISHBOWL_SIMULATOR = enabled ? 'true' : 'false';
+      process.env.FISHBOWL_SIMULATOR_PORT = '2457';
+
+      let fishbowlClient;
+      jest.isolateModules(() => {
+        fishbowlClient = require('../../../src/services/fishbowlClient');
+      });
+
+      for (const [name, value] of [['FISHBOWL_SIMULATOR', previous.flag], ['FISHBOWL_SIMULATOR_PORT', previous.port]]) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+      return fishbowlClient;
+    };
+
+    test('should only accept the local simulator while the flag is on', () => {
+      const { assertSimulatorServer, getFishbowlClient: getClient } = loadWithSimulator(true);
+
+      expect(() => assertSimulatorServer('http://localhost:2457/')).not.toThrow();
+      expect(() => assertSimulatorServer('http://127.0.0.1:2457')).not.toThrow();
+      expect(() => assertSimulatorServer('https://fishbowl.example.com:2456')).toThrow(
+        'Fishbowl simulator mode is on: set the Fishbowl server URL to http://localhost:2457 (got https://fishbowl.example.com:2456)'
+      );
+      expect(() => assertSimulatorServer('http://localhost:2456')).toThrow('Fishbowl simulator mode is on');
+      expect(() => getClient('https://fishbowl.example.com:2456', 'token')).toThrow('Fishbowl simulator mode is on');
+    });
+
+    test('should accept any server while the flag is off', () => {
+      const { assertSimulatorServer } = loadWithSimulator(false);
+
+      expect(() => assertSimulatorServer('https://fishbowl.example.com:2456')).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Queue Service Unit Tests
+ */
+
+// The queue service loads the auth service, which needs an encryption key
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const { groupPendingItems } = require('../../../src/services/queueService');
+
+describe('queueService', () => {
+  describe('groupPendingItems', () => {
+    test('should group items by BOM and location group in order of their first item', () => {
+      const items = [
+        { id: 1, bom_num: 'CTRL-100', bom_id: 1, location_group_id: 1 },
+        { id: 2, bom_num: 'BRKT-600', bom_id: 4, location_group_id: 1 },
+        { id: 3, bom_num: 'CTRL-100', bom_id: 1, location_group_id: 2 },
+        { id: 4, bom_num: 'CTRL-100', bom_id: 1, location_group_id: 1 }
+      ];
+
+      const groups = groupPendingItems(items);
+
+      expect(groups.map(group => [group.bom, group.bomId, group.locationGroup, group.items.map(item => item.id)])).toEqual([
+        ['CTRL-100', 1, 1, [1, 4]],
+        ['BRKT-600', 4, 1, [2]],
+        ['CTRL-100', 1, 2, [3]]
+      ]);
+    });
+
+    test('should fall back to the job values for rows queued without BOM details', () => {
+      const items = [
+        { id: 1, bom_num: null, bom_id: null, location_group_id: null },
+        { id: 2, bom_num: 'CTRL-100', bom_id: 1, location_group_id: null },
+        { id: 3, bom_num: 'BRKT-600', bom_id: 4, location_group_id: 1 }
+      ];
+
+      const groups = groupPendingItems(items, { bom: 'CTRL-100', bomId: 1, locationGroup: 1 });
+
+      expect(groups.map(group => [group.key, group.items.map(item => item.id)])).toEqual([
+        ['CTRL-100|1|1', [1, 2]],
+        ['BRKT-600|4|1', [3]]
+      ]);
+    });
+
+    test('should return no groups without pending items', () => {
+      expect(groupPendingItems([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Adaptive Concurrency Unit Tests
+ */
+
+const { AdaptiveConcurrencyLimiter } = require('../../../src/utils/adaptiveConcurrency');
+
+describe('adaptiveConcurrency', () => {
+  const recordSamples = (limiter, latencyMs, count) => {
+    for (let i = 0; i < count; i++) limiter.recordLatency(latencyMs);
+  };
+
+  test('should start at the maximum limit', () => {
+    const limiter = new AdaptiveConcurrencyLimiter({ maxLimit: 4, targetLatencyMs: 1000, sampleSize: 5 });
+    expect(limiter.limit).toBe(4);
+  });
+
+  test('should halve the limit when average latency is above target', () => {
+    const limiter = new AdaptiveConcurrencyLimiter({ maxLimit: 8, targetLatencyMs: 1000, sampleSize: 5 });
+    recordSamples(limiter, 3000, 5);
+    expect(limiter.limit).toBe(4);
+    recordSamples(limiter, 3000, 5);
+    expect(limiter.limit).toBe(2);
+  });
+
+  test('should not drop below the minimum limit', () => {
+    const limiter = new AdaptiveConcurrencyLimiter({ maxLimit: 2, targetLatencyMs: 1000, sampleSize: 5 });
+    recordSamples(limiter, 3000, 15);
+    expect(limiter.limit).toBe(1);
+  });
+
+  test('should grow back one step at a time up to the maximum', () => {
+    const limiter = new AdaptiveConcurrencyLimiter({ maxLimit: 3, targetLatencyMs: 1000, sampleSize: 5 });
+    limiter.recordOutage();
+    expect(limiter.limit).toBe(1);
+
+    recordSamples(limiter, 200, 5);
+    expect(limiter.limit).toBe(2);
+    recordSamples(limiter, 200, 10);
+    expect(limiter.limit).toBe(3);
+  });
+
+  test('should run no more tasks at once than the limit', async () => {
+    const limiter = new AdaptiveConcurrencyLimiter({ maxLimit: 2, targetLatencyMs: 1000 });
+    let running = 0;
+    let peak = 0;
+
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+    };
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => limiter.run(task)));
+
+    expect(peak).toBe(2);
+    expect(limiter.getStatus().active).toBe(0);
+  });
+
+  test('should release the slot when a task throws', async () => {
+    const limiter = new AdaptiveConcurrencyLimiter({ maxLimit: 1, targetLatencyMs: 1000 });
+
+    await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(limiter.run(async () => 'ok')).resolves.toBe('ok');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Audit Log Unit Tests
+ */
+
+const fs = require('fs').promises;
+const { recordAuditEvent } = require('../../../src/utils/auditLog');
+const { AUDIT_LOG_FILE } = require('../../../src/config');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('auditLog', () => {
+  const req = { ip: '10.0.0.5', originalUrl: '/api/data-query', get: () => 'jest' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should append one JSON line per event', async () => {
+    const appendFile = jest.spyOn(fs, 'appendFile').mockResolvedValue();
+
+    await recordAuditEvent('sql_rejected', req, { reason: 'Write statement' }, mockLogger);
+
+    const [file, line] = appendFile.mock.calls[0];
+    expect(file).toBe(AUDIT_LOG_FILE);
+    expect(line.endsWith('\n')).toBe(true);
+    expect(JSON.parse(line)).toMatchObject({
+      event: 'sql_rejected',
+      ip: '10.0.0.5',
+      userAgent: 'jest',
+      path: '/api/data-query',
+      reason: 'Write statement'
+    });
+  });
+
+  test('should log instead of throwing when the audit log cannot be written', async () => {
+    jest.spyOn(fs, 'appendFile').mockRejectedValue(new Error('EACCES'));
+
+    await expect(recordAuditEvent('sql_rejected', req, {}, mockLogger)).resolves.toBeUndefined();
+    expect(mockLogger.error).toHaveBeenCalledWith('AUDIT - Error writing audit log', { error: 'EACCES' });
+  });
+});
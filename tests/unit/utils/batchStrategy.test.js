@@ -0,0 +1,74 @@
+/**
+ * Batch Strategy Unit Tests
+ */
+
+const {
+  BATCH_STRATEGIES,
+  isValidBatchStrategy,
+  getBatchKey,
+  buildBatches
+} = require('../../../src/utils/batchStrategy');
+
+describe('batchStrategy', () => {
+  const item = (id, fields = {}) => ({ id, priority: 50, operation_type: 'build', ...fields });
+  const ids = (batches) => batches.map(batch => batch.map(i => i.id));
+
+  describe('isValidBatchStrategy', () => {
+    test('should accept every known strategy', () => {
+      Object.values(BATCH_STRATEGIES).forEach(strategy => {
+        expect(isValidBatchStrategy(strategy)).toBe(true);
+      });
+    });
+
+    test('should reject unknown strategies', () => {
+      expect(isValidBatchStrategy('weekly')).toBe(false);
+    });
+  });
+
+  describe('getBatchKey', () => {
+    test('should key unscheduled items together for the slot strategy', () => {
+      expect(getBatchKey(item(1), BATCH_STRATEGIES.SLOT)).toBe('unscheduled');
+    });
+
+    test('should key items by the local day they were queued', () => {
+      const queued = new Date(2026, 9, 18, 23, 30);
+      expect(getBatchKey(item(1, { datetime: queued }), BATCH_STRATEGIES.DAY)).toBe('day:2026-10-18');
+    });
+  });
+
+  describe('buildBatches', () => {
+    test('should cut fixed batches at the batch size', () => {
+      const items = [1, 2, 3].map(id => item(id));
+      expect(ids(buildBatches(items, BATCH_STRATEGIES.FIXED, 2))).toEqual([[1, 2], [3]]);
+    });
+
+    test('should give each upload its own batches', () => {
+      const items = [
+        item(1, { upload_id: 'a' }),
+        item(2, { upload_id: 'b' }),
+        item(3, { upload_id: 'a' })
+      ];
+      expect(ids(buildBatches(items, BATCH_STRATEGIES.UPLOAD, 100))).toEqual([[1, 3], [2]]);
+    });
+
+    test('should still cap strategy groups at the batch size', () => {
+      const items = [1, 2, 3].map(id => item(id, { fg_location: 'Main-A1' }));
+      expect(ids(buildBatches(items, BATCH_STRATEGIES.FG_LOCATION, 2))).toEqual([[1, 2], [3]]);
+    });
+
+    test('should never mix build and disassembly items', () => {
+      const items = [item(1), item(2, { operation_type: 'disassemble' }), item(3)];
+      expect(ids(buildBatches(items, BATCH_STRATEGIES.FIXED, 100))).toEqual([[1, 3], [2]]);
+    });
+
+    test('should keep priorities apart and in order', () => {
+      const items = [item(1, { priority: 100 }), item(2), item(3)];
+      expect(ids(buildBatches(items, BATCH_STRATEGIES.FIXED, 100))).toEqual([[1], [2, 3]]);
+    });
+
+    test('should fall back to fixed for an unknown strategy', () => {
+      const items = [item(1, { upload_id: 'a' }), item(2, { upload_id: 'b' })];
+      expect(ids(buildBatches(items, 'weekly', 100))).toEqual([[1, 2]]);
+    });
+  });
+});
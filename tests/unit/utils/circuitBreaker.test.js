@@ -0,0 +1,82 @@
+/**
+ * Circuit Breaker Unit Tests
+ */
+
+const { CIRCUIT_STATES, CircuitBreaker } = require('../../../src/utils/circuitBreaker');
+
+describe('circuitBreaker', () => {
+  let clock;
+  let breaker;
+
+  beforeEach(() => {
+    clock = 1000000;
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 10000, now: () => clock });
+  });
+
+  test('should stay closed below the failure threshold', () => {
+    breaker.recordFailure('HTTP 503');
+    breaker.recordFailure('HTTP 503');
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('should reset the failure count after a success', () => {
+    breaker.recordFailure('HTTP 503');
+    breaker.recordFailure('HTTP 503');
+    breaker.recordSuccess();
+    breaker.recordFailure('HTTP 503');
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('should open after consecutive failures and refuse calls', () => {
+    breaker.recordFailure('Timeout');
+    breaker.recordFailure('Timeout');
+    expect(breaker.recordFailure('Timeout')).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.isBlocking()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getRetryAfterMs()).toBe(10000);
+  });
+
+  test('should let a single probe through after the reset timeout', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure('HTTP 502');
+    clock += 10000;
+
+    expect(breaker.isBlocking()).toBe(false);
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.isBlocking()).toBe(true);
+  });
+
+  test('should close when the probe succeeds', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure('HTTP 502');
+    clock += 10000;
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.consecutiveFailures).toBe(0);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('should open again when the probe fails', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure('HTTP 502');
+    clock += 10000;
+    breaker.tryAcquire();
+    breaker.recordFailure('HTTP 502');
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.getRetryAfterMs()).toBe(10000);
+    expect(breaker.getStatus().timesOpened).toBe(2);
+  });
+
+  test('should free the probe slot when the probe is cancelled', () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure('HTTP 502');
+    clock += 10000;
+    breaker.tryAcquire();
+    breaker.recordIgnored();
+
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Inventory Pre-flight Unit Tests
+ */
+
+const {
+  PREFLIGHT_MODES,
+  SHORTFALL_REASONS,
+  isValidPreflightMode,
+  findSerialShortfalls,
+  findQuantityShortfalls,
+  describeShortfall,
+  preflightHolds
+} = require('../../../src/utils/inventoryPreflight');
+
+const locationRow = (serial, overrides = {}) => ({
+  serial,
+  location_name: 'Stock',
+  locationgroup_name: 'Main',
+  location_active: 1,
+  location_pickable: 1,
+  location_counted_as_available: 1,
+  serial_committed: 0,
+  ...overrides
+});
+
+describe('inventoryPreflight', () => {
+  describe('isValidPreflightMode', () => {
+    test('should accept the known modes only', () => {
+      expect(isValidPreflightMode('review')).toBe(true);
+      expect(isValidPreflightMode('block')).toBe(true);
+      expect(isValidPreflightMode('off')).toBe(true);
+      expect(isValidPreflightMode('warn')).toBe(false);
+    });
+  });
+
+  describe('findSerialShortfalls', () => {
+    const items = [
+      { queueItemId: 1, barcode: 'BC-1', components: [{ partId: 201, serials: ['SN-1', 'SN-2'] }] },
+      { queueItemId: 2, barcode: 'BC-2', components: [{ partId: 201, serials: ['SN-3'] }, { partId: 203, serials: ['BAT-1'] }] }
+    ];
+
+    test('should pass serials on hand at an available location', () => {
+      const rowsByPart = new Map([
+        [201, [locationRow('SN-1'), locationRow('SN-2'), locationRow('SN-3')]],
+        [203, [locationRow('BAT-1')]]
+      ]);
+
+      expect(findSerialShortfalls(items, rowsByPart)).toEqual([]);
+    });
+
+    test('should report missing, unavailable and committed serials per item', () => {
+      const rowsByPart = new Map([
+        [201, [locationRow('SN-1', { location_name: 'Quarantine', location_pickable: 0 }), locationRow('SN-3', { serial_committed: 1 })]],
+        [203, [locationRow('BAT-1', { location_counted_as_available: false })]]
+      ]);
+
+      expect(findSerialShortfalls(items, rowsByPart)).toEqual([
+        { queueItemId: 1, barcode: 'BC-1', partId: 201, serial: 'SN-1', reason: SHORTFALL_REASONS.NOT_AVAILABLE, location: 'Main-Quarantine' },
+        { queueItemId: 1, barcode: 'BC-1', partId: 201, serial: 'SN-2', reason: SHORTFALL_REASONS.NOT_ON_HAND, location: null },
+        { queueItemId: 2, barcode: 'BC-2', partId: 201, serial: 'SN-3', reason: SHORTFALL_REASONS.COMMITTED, location: 'Main-Stock' },
+        { queueItemId: 2, barcode: 'BC-2', partId: 203, serial: 'BAT-1', reason: SHORTFALL_REASONS.NOT_AVAILABLE, location: 'Main-Stock' }
+      ]);
+    });
+
+    test('should accept a serial on several tags when one of them can be picked', () => {
+      const rowsByPart = new Map([
+        [201, [
+          locationRow('SN-1', { location_name: 'Quarantine', location_pickable: 0 }),
+          locationRow('SN-1'),
+          locationRow('SN-2'),
+          locationRow('SN-3')
+        ]],
+        [203, [locationRow('BAT-1')]]
+      ]);
+
+      expect(findSerialShortfalls(items, rowsByPart)).toEqual([]);
+    });
+  });
+
+  describe('findQuantityShortfalls', () => {
+    test('should compare the batch requirement with the available quantity', () => {
+      const rows = [
+        { part_id: 202, part_num: 'SCREW-M3', qty_per_build: '4', qty_available: '10' },
+        { part_id: 204, part_num: 'ADH-400', qty_per_build: 1, qty_available: 200 }
+      ];
+
+      expect(findQuantityShortfalls(rows, 2)).toEqual([]);
+      expect(findQuantityShortfalls(rows, 3)).toEqual([{ partId: 202, partNum: 'SCREW-M3', required: 12, available: 10 }]);
+    });
+  });
+
+  describe('describeShortfall', () => {
+    test('should describe serial and quantity shortfalls', () => {
+      expect(describeShortfall({ serial: 'SN-2', reason: SHORTFALL_REASONS.NOT_ON_HAND })).toBe('serial SN-2 is not on hand');
+      expect(describeShortfall({ serial: 'SN-3', reason: SHORTFALL_REASONS.COMMITTED })).toBe('serial SN-3 is committed to another pick');
+      expect(describeShortfall({ partNum: 'SCREW-M3', required: 12, available: 10 })).toBe('SCREW-M3: 12 needed, 10 available');
+    });
+  });
+
+  describe('preflightHolds', () => {
+    const batch = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    const serialShortfall = { queueItemId: 2, serial: 'SN-3', reason: SHORTFALL_REASONS.COMMITTED };
+    const quantityShortfall = { partId: 202, partNum: 'SCREW-M3', required: 12, available: 10 };
+
+    test('should hold nothing when the batch passed or the check is off', () => {
+      expect(preflightHolds(batch, { serialShortfalls: [], quantityShortfalls: [] }, PREFLIGHT_MODES.REVIEW).size).toBe(0);
+      expect(preflightHolds(batch, { serialShortfalls: [serialShortfall], quantityShortfalls: [] }, PREFLIGHT_MODES.OFF).size).toBe(0);
+    });
+
+    test('should hold only the short items for review', () => {
+      const holds = preflightHolds(batch, { serialShortfalls: [serialShortfall], quantityShortfalls: [] }, PREFLIGHT_MODES.REVIEW);
+
+      expect([...holds.entries()]).toEqual([[2, 'Inventory pre-flight: serial SN-3 is committed to another pick']]);
+    });
+
+    test('should hold every item when quantity falls short', () => {
+      const holds = preflightHolds(batch, { serialShortfalls: [serialShortfall], quantityShortfalls: [quantityShortfall] }, PREFLIGHT_MODES.REVIEW);
+
+      expect(holds.size).toBe(3);
+      expect(holds.get(1)).toBe('Inventory pre-flight: SCREW-M3: 12 needed, 10 available');
+      expect(holds.get(2)).toBe('Inventory pre-flight: serial SN-3 is committed to another pick; SCREW-M3: 12 needed, 10 available');
+    });
+
+    test('should hold the whole batch when blocking', () => {
+      const holds = preflightHolds(batch, { serialShortfalls: [serialShortfall], quantityShortfalls: [] }, PREFLIGHT_MODES.BLOCK);
+
+      expect(holds.size).toBe(3);
+      expect(holds.get(1)).toBe('Inventory pre-flight: batch held for 1 shortfall(s) on other items');
+      expect(holds.get(2)).toBe('Inventory pre-flight: serial SN-3 is committed to another pick');
+    });
+  });
+});
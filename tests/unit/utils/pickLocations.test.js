@@ -0,0 +1,145 @@
+/**
+ * Pick Locations Unit Tests
+ */
+
+const {
+  LOCATION_RULES,
+  isValidLocationRule,
+  describeLocation,
+  rankLocations,
+  selectSerialLocations,
+  selectQuantityLocations
+} = require('../../../src/utils/pickLocations');
+
+const locationRow = (locationId, overrides = {}) => ({
+  location_id: locationId,
+  location_name: `Loc${locationId}`,
+  locationgroup_id: 1,
+  locationgroup_name: 'Main',
+  location_active: 1,
+  location_pickable: 1,
+  location_counted_as_available: 1,
+  tag_id: 100 + locationId,
+  tag_num: String(1000 + locationId),
+  tag_date_created: '2026-01-01 00:00:00',
+  ...overrides
+});
+
+const ids = rows => rows.map(row => row.location_id);
+
+describe('pickLocations', () => {
+  describe('isValidLocationRule', () => {
+    test('should accept the known rules only', () => {
+      Object.values(LOCATION_RULES).forEach(rule => expect(isValidLocationRule(rule)).toBe(true));
+      expect(isValidLocationRule('lifo')).toBe(false);
+    });
+  });
+
+  describe('rankLocations', () => {
+    test('should keep location ID order without rules', () => {
+      const rows = [locationRow(1), locationRow(2, { location_pickable: 0 })];
+      expect(ids(rankLocations(rows, { rules: [] }))).toEqual([1, 2]);
+    });
+
+    test('should skip inactive, non-pickable and unavailable locations', () => {
+      const rows = [
+        locationRow(1, { location_active: 0 }),
+        locationRow(2, { location_pickable: false }),
+        locationRow(3, { location_counted_as_available: '0' }),
+        locationRow(4)
+      ];
+      expect(ids(rankLocations(rows, { rules: ['available'] }))).toEqual([4]);
+    });
+
+    test('should keep to the MO location group when it is known', () => {
+      const rows = [locationRow(1, { locationgroup_id: 2 }), locationRow(2)];
+      expect(ids(rankLocations(rows, { rules: ['mo_group'], moLocationGroupId: 1 }))).toEqual([2]);
+      expect(ids(rankLocations(rows, { rules: ['mo_group'], moLocationGroupId: null }))).toEqual([1, 2]);
+    });
+
+    test('should put the preferred location group first', () => {
+      const rows = [locationRow(1), locationRow(2, { locationgroup_id: 3 })];
+      expect(ids(rankLocations(rows, { rules: ['preferred_group'], preferredLocationGroupId: 3 }))).toEqual([2, 1]);
+    });
+
+    test('should order by tag date with fifo, undated tags last', () => {
+      const rows = [
+        locationRow(1, { tag_date_created: null }),
+        locationRow(2, { tag_date_created: '2026-03-01 00:00:00' }),
+        locationRow(3, { tag_date_created: '2025-12-01 00:00:00' })
+      ];
+      expect(ids(rankLocations(rows, { rules: ['fifo'] }))).toEqual([3, 2, 1]);
+    });
+
+    test('should apply fifo within the preferred location group', () => {
+      const rows = [
+        locationRow(1, { tag_date_created: '2025-01-01 00:00:00' }),
+        locationRow(2, { locationgroup_id: 3, tag_date_created: '2026-03-01 00:00:00' }),
+        locationRow(3, { locationgroup_id: 3, tag_date_created: '2026-02-01 00:00:00' })
+      ];
+      expect(ids(rankLocations(rows, { rules: ['preferred_group', 'fifo'], preferredLocationGroupId: 3 }))).toEqual([3, 2, 1]);
+    });
+  });
+
+  describe('selectSerialLocations', () => {
+    test('should take each serial from its best tag and group serials by tag', () => {
+      const rows = [
+        { ...locationRow(1, { location_pickable: 0 }), serial: 'SN-1' },
+        { ...locationRow(2), serial: 'SN-1' },
+        { ...locationRow(2), serial: 'SN-2' },
+        { ...locationRow(3), serial: 'SN-3' }
+      ];
+
+      const { locationGroups, excluded } = selectSerialLocations(rows, { rules: ['available'] });
+
+      expect(excluded).toEqual([]);
+      expect([...locationGroups.values()].map(group => [group.locationInfo.locationId, group.serials])).toEqual([
+        [2, ['SN-1', 'SN-2']],
+        [3, ['SN-3']]
+      ]);
+    });
+
+    test('should report serials that are only at excluded locations', () => {
+      const rows = [{ ...locationRow(5, { location_name: 'Quarantine', location_pickable: 0 }), serial: 'SN-9' }];
+
+      const { locationGroups, excluded } = selectSerialLocations(rows, { rules: ['available'] });
+
+      expect(locationGroups.size).toBe(0);
+      expect(excluded).toEqual([{ serial: 'SN-9', locations: ['Main-Quarantine'] }]);
+    });
+  });
+
+  describe('selectQuantityLocations', () => {
+    test('should take the whole quantity from the first allowed tag that has it', () => {
+      const rows = [
+        locationRow(1, { qty_available: 10, location_pickable: 0 }),
+        locationRow(3, { qty_available: 5 })
+      ];
+
+      const [allocation, ...rest] = selectQuantityLocations(rows, 2, { rules: ['available'] });
+
+      expect(rest).toEqual([]);
+      expect(allocation.quantity).toBe(2);
+      expect(allocation.locationInfo.tagNum).toBe('1003');
+      expect(describeLocation(allocation.locationInfo)).toBe('Main-Loc3');
+    });
+
+    test('should split the quantity across allowed tags in rule order', () => {
+      const rows = [
+        locationRow(1, { qty_available: 10, location_pickable: 0 }),
+        locationRow(2, { qty_available: 1 }),
+        locationRow(3, { qty_available: 5 })
+      ];
+
+      const allocations = selectQuantityLocations(rows, 4, { rules: ['available'] });
+
+      expect(allocations.map(allocation => [allocation.locationInfo.locationId, allocation.quantity])).toEqual([[2, 1], [3, 3]]);
+    });
+
+    test('should return null when the allowed tags together hold too little', () => {
+      const rows = [locationRow(1, { qty_available: 1 }), locationRow(2, { qty_available: 5, location_active: 0 })];
+
+      expect(selectQuantityLocations(rows, 2, { rules: ['available'] })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Query Builder Unit Tests
+ */
+
+const { PARAM_TYPES, defineQuery, buildQuery, runQuery } = require('../../../src/utils/queryBuilder');
+
+describe('queryBuilder', () => {
+  describe('defineQuery', () => {
+    test('should accept constant string literals in the template', () => {
+      expect(() => defineQuery('fg', "SELECT CONCAT(lg.name, '-', l.name) FROM location l WHERE l.id = :id", { id: PARAM_TYPES.INT })).not.toThrow();
+    });
+
+    test('should reject undeclared and unused parameters', () => {
+      expect(() => defineQuery('q', 'SELECT id FROM mo WHERE num = :num')).toThrow(/undeclared/);
+      expect(() => defineQuery('q', 'SELECT id FROM mo', { num: PARAM_TYPES.STRING })).toThrow(/not used/);
+    });
+
+    test('should reject placeholders inside string literals', () => {
+      expect(() => defineQuery('q', "SELECT id FROM mo WHERE num = ':num'", { num: PARAM_TYPES.STRING })).toThrow(/inside a string literal/);
+    });
+
+    test('should reject comments, stacked statements and unknown types', () => {
+      expect(() => defineQuery('q', 'SELECT id FROM mo -- x')).toThrow(/comments/);
+      expect(() => defineQuery('q', 'SELECT id FROM mo; DROP TABLE mo')).toThrow(/comments/);
+      expect(() => defineQuery('q', 'SELECT id FROM mo WHERE id = :id', { id: 'float' })).toThrow(/unknown type/);
+    });
+
+    test('should allow only one list parameter', () => {
+      expect(() => defineQuery('q', 'SELECT id FROM mo WHERE num IN (:a) AND id IN (:b)', {
+        a: PARAM_TYPES.LIST,
+        b: PARAM_TYPES.INT_LIST
+      })).toThrow(/one list parameter/);
+    });
+  });
+
+  describe('buildQuery', () => {
+    const byNumber = defineQuery('byNumber', 'SELECT id FROM mo WHERE num = :num AND id > :minId', {
+      num: PARAM_TYPES.STRING,
+      minId: PARAM_TYPES.INT
+    });
+    const byParts = defineQuery('byParts', 'SELECT num FROM part WHERE id IN (:ids)', { ids: PARAM_TYPES.INT_LIST });
+    const bySerials = defineQuery('bySerials', 'SELECT id FROM serialnum WHERE serialnum IN (:serials)', { serials: PARAM_TYPES.SERIAL_LIST });
+
+    test('should escape string values', () => {
+      expect(buildQuery(byNumber, { num: "BOM'1", minId: 3 })).toEqual(["SELECT id FROM mo WHERE num = 'BOM''1' AND id > 3"]);
+    });
+
+    test('should keep backslashes from ending a string or list literal', () => {
+      const byNums = defineQuery('byNums', 'SELECT id FROM bom WHERE num IN (:nums)', { nums: PARAM_TYPES.LIST });
+
+      expect(buildQuery(byNumber, { num: "x\\' UNION SELECT 1 #", minId: 3 })).toEqual(["SELECT id FROM mo WHERE num = 'x\\\\'' UNION SELECT 1 #' AND id > 3"]);
+      expect(buildQuery(byNums, { nums: ['a\\', "b'"] })).toEqual(["SELECT id FROM bom WHERE num IN ('a\\\\', 'b''')"]);
+    });
+
+    test('should not substitute placeholder-like text inside values', () => {
+      expect(buildQuery(byNumber, { num: ':minId', minId: 3 })[0]).toContain("num = ':minId'");
+    });
+
+    test('should accept numeric strings for integers and reject anything else', () => {
+      expect(buildQuery(byNumber, { num: 'A', minId: '7' })[0]).toContain('id > 7');
+      expect(() => buildQuery(byNumber, { num: 'A', minId: '7 OR 1=1' })).toThrow(/integer/);
+      expect(() => buildQuery(byNumber, { num: 'A', minId: 1.5 })).toThrow(/integer/);
+    });
+
+    test('should reject missing and unknown parameters', () => {
+      expect(() => buildQuery(byNumber, { num: 'A' })).toThrow(/missing value for :minId/);
+      expect(() => buildQuery(byNumber, { num: 'A', minId: 1, extra: 2 })).toThrow(/unknown parameter/);
+    });
+
+    test('should reject raw SQL instead of a defined query', () => {
+      expect(() => buildQuery('SELECT 1')).toThrow(/defineQuery/);
+      expect(() => buildQuery({ ...byNumber }, { num: 'A', minId: 1 })).toThrow(/defineQuery/);
+    });
+
+    test('should split long lists into chunks', () => {
+      const statements = buildQuery(byParts, { ids: [1, 2, 3, 4, 5] }, { chunkSize: 2 });
+      expect(statements).toEqual([
+        'SELECT num FROM part WHERE id IN (1, 2)',
+        'SELECT num FROM part WHERE id IN (3, 4)',
+        'SELECT num FROM part WHERE id IN (5)'
+      ]);
+    });
+
+    test('should return no statements for an empty list', () => {
+      expect(buildQuery(byParts, { ids: [] })).toEqual([]);
+    });
+
+    test('should validate serial lists', () => {
+      expect(buildQuery(bySerials, { serials: ['SN-1', 'SN_2'] })).toEqual(["SELECT id FROM serialnum WHERE serialnum IN ('SN-1', 'SN_2')"]);
+      expect(() => buildQuery(bySerials, { serials: ["SN'1"] })).toThrow(/Invalid serial number/);
+    });
+  });
+
+  describe('runQuery', () => {
+    const byParts = defineQuery('byParts', 'SELECT num FROM part WHERE id IN (:ids)', { ids: PARAM_TYPES.INT_LIST });
+
+    test('should run each chunk and concatenate the rows', async () => {
+      const client = { query: jest.fn(async sql => [{ sql }]) };
+
+      const rows = await runQuery(client, byParts, { ids: [1, 2, 3] }, { chunkSize: 2, timeoutMs: 500 });
+
+      expect(rows).toHaveLength(2);
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(client.query).toHaveBeenCalledWith('SELECT num FROM part WHERE id IN (1, 2)', { timeoutMs: 500 });
+    });
+
+    test('should not call the client for an empty list', async () => {
+      const client = { query: jest.fn() };
+
+      expect(await runQuery(client, byParts, { ids: [] })).toEqual([]);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Queue Components Unit Tests
+ */
+
+const {
+  normalizeComponents,
+  getQueueItemComponents,
+  componentColumns,
+  normalizeBuildQuantity,
+  getQueueItemBuildQuantity
+} = require('../../../src/utils/queueComponents');
+
+describe('queueComponents', () => {
+  describe('normalizeComponents', () => {
+    test('should accept components as an array or JSON', () => {
+      const components = [{ partId: 201, serials: ['SN-1'] }, { partId: '203', serials: [' BAT-1 ', ''] }];
+      const expected = [{ partId: 201, serials: ['SN-1'] }, { partId: 203, serials: ['BAT-1'] }];
+
+      expect(normalizeComponents(components)).toEqual(expected);
+      expect(normalizeComponents(JSON.stringify(components))).toEqual(expected);
+    });
+
+    test('should reject empty or malformed components', () => {
+      expect(() => normalizeComponents([])).toThrow('non-empty array');
+      expect(() => normalizeComponents('{not json')).toThrow('valid JSON');
+      expect(() => normalizeComponents([{ serials: ['SN-1'] }])).toThrow('numeric partId');
+      expect(() => normalizeComponents([{ partId: 201, serials: [] }])).toThrow('no serial numbers');
+    });
+
+    test('should reject a part listed twice', () => {
+      expect(() => normalizeComponents([
+        { partId: 201, serials: ['SN-1'] },
+        { partId: 201, serials: ['SN-2'] }
+      ])).toThrow('more than one component');
+    });
+  });
+
+  describe('getQueueItemComponents', () => {
+    test('should read the components column', () => {
+      const queueItem = {
+        components: JSON.stringify([{ partId: 201, serials: ['SN-1'] }, { partId: 203, serials: ['BAT-1'] }]),
+        raw_goods_part_id: 201,
+        serial_numbers: JSON.stringify(['SN-1', 'BAT-1'])
+      };
+      expect(getQueueItemComponents(queueItem)).toEqual([{ partId: 201, serials: ['SN-1'] }, { partId: 203, serials: ['BAT-1'] }]);
+    });
+
+    test('should read single-component rows from raw_goods_part_id and serial_numbers', () => {
+      const queueItem = { components: null, raw_goods_part_id: 201, serial_numbers: JSON.stringify(['SN-1', 'SN-2']) };
+      expect(getQueueItemComponents(queueItem)).toEqual([{ partId: 201, serials: ['SN-1', 'SN-2'] }]);
+    });
+
+    test('should read quantity builds without serials as having no components', () => {
+      const queueItem = { components: null, raw_goods_part_id: null, serial_numbers: null, build_quantity: 50 };
+      expect(getQueueItemComponents(queueItem)).toEqual([]);
+    });
+  });
+
+  describe('componentColumns', () => {
+    test('should keep every serial and the first part in the single-component columns', () => {
+      expect(componentColumns([{ partId: 201, serials: ['SN-1'] }, { partId: 203, serials: ['BAT-1'] }])).toEqual({
+        components: '[{"partId":201,"serials":["SN-1"]},{"partId":203,"serials":["BAT-1"]}]',
+        serialNumbers: '["SN-1","BAT-1"]',
+        rawGoodsPartId: 201
+      });
+    });
+  });
+
+  describe('normalizeBuildQuantity', () => {
+    test('should return null when no quantity is given', () => {
+      expect(normalizeBuildQuantity(undefined)).toBeNull();
+      expect(normalizeBuildQuantity('')).toBeNull();
+    });
+
+    test('should accept positive whole numbers only', () => {
+      expect(normalizeBuildQuantity('50')).toBe(50);
+      expect(() => normalizeBuildQuantity(0)).toThrow('positive whole number');
+      expect(() => normalizeBuildQuantity(2.5)).toThrow('positive whole number');
+      expect(() => normalizeBuildQuantity('lots')).toThrow('positive whole number');
+    });
+  });
+
+  describe('getQueueItemBuildQuantity', () => {
+    test('should make one finished good unless the row is a quantity build', () => {
+      expect(getQueueItemBuildQuantity({ build_quantity: null })).toBe(1);
+      expect(getQueueItemBuildQuantity({ build_quantity: 50 })).toBe(50);
+    });
+  });
+});
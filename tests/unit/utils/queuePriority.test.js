@@ -0,0 +1,72 @@
+/**
+ * Queue Priority Unit Tests
+ */
+
+const {
+  normalizePriority,
+  normalizeDueDate,
+  splitIntoPriorityBatches
+} = require('../../../src/utils/queuePriority');
+const { QUEUE_PRIORITY } = require('../../../src/config/constants');
+
+describe('queuePriority', () => {
+  describe('normalizePriority', () => {
+    test('should default to normal when not given', () => {
+      expect(normalizePriority(undefined)).toBe(QUEUE_PRIORITY.NORMAL);
+      expect(normalizePriority(null)).toBe(QUEUE_PRIORITY.NORMAL);
+      expect(normalizePriority('')).toBe(QUEUE_PRIORITY.NORMAL);
+    });
+
+    test('should accept level names in any case', () => {
+      expect(normalizePriority('rush')).toBe(QUEUE_PRIORITY.RUSH);
+      expect(normalizePriority('High')).toBe(QUEUE_PRIORITY.HIGH);
+    });
+
+    test('should accept whole numbers in range', () => {
+      expect(normalizePriority(90)).toBe(90);
+      expect(normalizePriority('10')).toBe(10);
+    });
+
+    test('should reject out of range or fractional values', () => {
+      expect(() => normalizePriority(101)).toThrow('Priority must be');
+      expect(() => normalizePriority(-1)).toThrow('Priority must be');
+      expect(() => normalizePriority(12.5)).toThrow('Priority must be');
+      expect(() => normalizePriority('urgent')).toThrow('Priority must be');
+    });
+  });
+
+  describe('normalizeDueDate', () => {
+    test('should return null when not given', () => {
+      expect(normalizeDueDate(undefined)).toBeNull();
+      expect(normalizeDueDate('')).toBeNull();
+    });
+
+    test('should accept dates and drop the time part', () => {
+      expect(normalizeDueDate('2026-10-20')).toBe('2026-10-20');
+      expect(normalizeDueDate('2026-10-20T15:30:00Z')).toBe('2026-10-20');
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => normalizeDueDate('20/10/2026')).toThrow('YYYY-MM-DD');
+      expect(() => normalizeDueDate('2026-02-30')).toThrow('not a valid date');
+    });
+  });
+
+  describe('splitIntoPriorityBatches', () => {
+    const item = (id, priority) => ({ id, priority });
+
+    test('should cut batches at the batch size', () => {
+      const items = [1, 2, 3, 4, 5].map(id => item(id, 50));
+      expect(splitIntoPriorityBatches(items, 2).map(batch => batch.map(i => i.id))).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    test('should start a new batch when the priority changes', () => {
+      const items = [item(1, 100), item(2, 100), item(3, 50), item(4, 50)];
+      expect(splitIntoPriorityBatches(items, 100).map(batch => batch.map(i => i.id))).toEqual([[1, 2], [3, 4]]);
+    });
+
+    test('should return no batches for no items', () => {
+      expect(splitIntoPriorityBatches([], 100)).toEqual([]);
+    });
+  });
+});
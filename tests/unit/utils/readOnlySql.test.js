@@ -0,0 +1,91 @@
+/**
+ * Read-only SQL Validation Unit Tests
+ */
+
+const { validateReadOnlySql } = require('../../../src/utils/readOnlySql');
+
+describe('readOnlySql', () => {
+  describe('validateReadOnlySql', () => {
+    test('should accept the queries the UI sends', () => {
+      const queries = [
+        'SELECT 1 as test',
+        'SELECT DATABASE() as current_db',
+        'SELECT locationgroup.name AS locationgroupnamelistvalue, locationgroup.id AS locgid FROM locationgroup WHERE locationgroup.activeflag = 1 ORDER BY 1',
+        'SELECT bom.id AS bomid FROM bom JOIN bomitem ON bomitem.bomid = bom.id AND bomitem.typeid = 10 LEFT JOIN defaultlocation df ON df.partId = bomitem.partid LEFT JOIN location ON location.id = df.locationid WHERE bom.activeflag = 1',
+        "SELECT DISTINCT tisn.serialnum AS serial FROM serialnum tisn JOIN serial s ON s.id = tisn.serialid JOIN tag t ON t.id = s.tagid WHERE tisn.parttrackingid = 4 AND tisn.serialnum IN ('SN1','SN2')",
+        'SELECT status, COUNT(*) as count FROM mo_queue GROUP BY status'
+      ];
+
+      queries.forEach(sql => expect(validateReadOnlySql(sql)).toMatchObject({ valid: true }));
+    });
+
+    test('should report the tables read', () => {
+      expect(validateReadOnlySql('SELECT * FROM part p, tag AS t WHERE t.partid = p.id').tables).toEqual(['part', 'tag']);
+    });
+
+    test('should allow anything inside string literals', () => {
+      const sql = "SELECT serialnum FROM serialnum WHERE serialnum IN ('A;DROP TABLE part', 'B--x', 'it''s /* fine */', 'DELETE')";
+      expect(validateReadOnlySql(sql).valid).toBe(true);
+    });
+
+    test('should allow a single trailing semicolon', () => {
+      expect(validateReadOnlySql('SELECT num FROM mo;').valid).toBe(true);
+    });
+
+    test('should reject empty and non-string input', () => {
+      expect(validateReadOnlySql('').valid).toBe(false);
+      expect(validateReadOnlySql(undefined).valid).toBe(false);
+    });
+
+    test('should reject statements other than SELECT', () => {
+      expect(validateReadOnlySql("UPDATE part SET num = 'x'").reason).toBe('Only SELECT statements are allowed');
+      expect(validateReadOnlySql('DELETE FROM mo_queue').valid).toBe(false);
+    });
+
+    test('should reject stacked statements', () => {
+      expect(validateReadOnlySql('SELECT 1; DELETE FROM mo_queue').reason).toBe('Multiple statements are not allowed');
+    });
+
+    test('should reject comments', () => {
+      expect(validateReadOnlySql('SELECT num FROM part -- hidden').reason).toBe('Comments are not allowed');
+      expect(validateReadOnlySql('SELECT num FROM part /* hidden */').reason).toBe('Comments are not allowed');
+      expect(validateReadOnlySql('SELECT num FROM part # hidden').reason).toBe('Comments are not allowed');
+    });
+
+    test('should reject writes hidden in a SELECT', () => {
+      expect(validateReadOnlySql("SELECT * FROM part INTO OUTFILE '/tmp/x'").valid).toBe(false);
+      expect(validateReadOnlySql('SELECT SLEEP(100)').valid).toBe(false);
+    });
+
+    test('should reject tables outside the allowlist', () => {
+      const result = validateReadOnlySql('SELECT * FROM sysuser');
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Table not allowed: sysuser');
+    });
+
+    test('should check tables inside subqueries and joins', () => {
+      expect(validateReadOnlySql('SELECT * FROM part WHERE id IN (SELECT partid FROM sysuser)').valid).toBe(false);
+      expect(validateReadOnlySql('SELECT * FROM part JOIN `sysuser` ON 1 = 1').valid).toBe(false);
+    });
+
+    test('should check parenthesized tables and comma joins after a join condition', () => {
+      expect(validateReadOnlySql('SELECT * FROM (sysuser)').reason).toBe('Table not allowed: sysuser');
+      expect(validateReadOnlySql('SELECT * FROM part p JOIN (sysuser) ON 1=1').reason).toBe('Table not allowed: sysuser');
+      expect(validateReadOnlySql('SELECT * FROM part p JOIN bom b ON p.id=b.id, sysuser s').reason).toBe('Table not allowed: sysuser');
+    });
+
+    test('should read every table of a nested join', () => {
+      const result = validateReadOnlySql('SELECT * FROM (part p JOIN (bom b, bomitem bi) ON bi.bomid = b.id) LEFT JOIN uom u USING (id), (SELECT 1 FROM tag) t WHERE p.id IN (1, 2)');
+      expect(result.valid).toBe(true);
+      expect(result.tables).toEqual(['part', 'bom', 'bomitem', 'uom', 'tag']);
+    });
+
+    test('should reject schema-qualified tables', () => {
+      expect(validateReadOnlySql('SELECT * FROM information_schema.tables').reason).toBe('Schema-qualified table names are not allowed');
+    });
+
+    test('should reject unterminated strings', () => {
+      expect(validateReadOnlySql("SELECT * FROM part WHERE num = 'abc").reason).toBe('Unterminated string literal');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Retry Policy Unit Tests
+ */
+
+const {
+  ERROR_CATEGORIES,
+  permanentError,
+  classifyError,
+  getRetryDelay,
+  executeWithRetry
+} = require('../../../src/utils/retryPolicy');
+
+describe('retryPolicy', () => {
+  describe('classifyError', () => {
+    test('should treat socket resets as transient', () => {
+      const error = new Error('socket hang up');
+      error.code = 'ECONNRESET';
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.TRANSIENT);
+    });
+
+    test('should treat fetch failures with a network cause as transient', () => {
+      const error = new Error('fetch failed');
+      error.cause = { code: 'UND_ERR_SOCKET' };
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.TRANSIENT);
+    });
+
+    test('should treat HTTP 5xx as transient', () => {
+      expect(classifyError(new Error('HTTP 503: Service Unavailable')).category).toBe(ERROR_CATEGORIES.TRANSIENT);
+    });
+
+    test('should treat HTTP 401 as auth', () => {
+      const error = new Error('Unauthorized');
+      error.httpStatus = 401;
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.AUTH);
+    });
+
+    test('should treat Fishbowl busy status codes as transient', () => {
+      const error = new Error('SavePickRq failed');
+      error.statusCode = 1004;
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.TRANSIENT);
+    });
+
+    test('should treat Fishbowl session status codes as auth', () => {
+      const error = new Error('GetPickRq failed');
+      error.statusCode = 1130;
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.AUTH);
+    });
+
+    test('should treat missing serial locations as permanent', () => {
+      const error = new Error('No serial locations found for: SN1, SN2');
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.PERMANENT);
+    });
+
+    test('should treat missing pick items as permanent', () => {
+      const error = new Error('Could not find pick item for part 123');
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.PERMANENT);
+    });
+
+    test('should treat request timeouts as transient', () => {
+      const error = new Error('Fishbowl request timed out after 30000ms');
+      error.code = 'ETIMEDOUT';
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.TRANSIENT);
+    });
+
+    test('should treat an open circuit as unavailable', () => {
+      const error = new Error('Fishbowl unavailable (circuit open, next attempt in 30s)');
+      error.code = 'CIRCUIT_OPEN';
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.UNAVAILABLE);
+    });
+
+    test('should treat cancelled requests as permanent', () => {
+      const error = new Error('Fishbowl request cancelled');
+      error.code = 'ABORT_ERR';
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.PERMANENT);
+    });
+
+    test('should take the category an error carries over its message', () => {
+      expect(classifyError(permanentError('Reworded: the data needs fixing'))).toEqual({
+        category: ERROR_CATEGORIES.PERMANENT,
+        reason: 'Reworded: the data needs fixing'
+      });
+
+      const error = new Error('No serial locations found');
+      error.category = ERROR_CATEGORIES.TRANSIENT;
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.TRANSIENT);
+    });
+
+    test('should ignore a category that is not a known one', () => {
+      const error = new Error('socket hang up');
+      error.category = 'validation';
+      expect(classifyError(error).category).toBe(ERROR_CATEGORIES.TRANSIENT);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('should double the delay on each attempt', () => {
+      expect(getRetryDelay(1, 1000, 60000)).toBe(1000);
+      expect(getRetryDelay(2, 1000, 60000)).toBe(2000);
+      expect(getRetryDelay(3, 1000, 60000)).toBe(4000);
+    });
+
+    test('should cap the delay at the maximum', () => {
+      expect(getRetryDelay(10, 1000, 5000)).toBe(5000);
+    });
+  });
+
+  describe('executeWithRetry', () => {
+    const sleep = jest.fn().mockResolvedValue();
+
+    beforeEach(() => {
+      sleep.mockClear();
+    });
+
+    test('should return the result without retrying on success', async () => {
+      const operation = jest.fn().mockResolvedValue('ok');
+
+      const outcome = await executeWithRetry(operation, { maxRetries: 3, sleep });
+
+      expect(outcome).toEqual({ result: 'ok', retries: 0 });
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should retry transient errors with backoff until success', async () => {
+      const transient = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      const operation = jest.fn()
+        .mockRejectedValueOnce(transient)
+        .mockRejectedValueOnce(transient)
+        .mockResolvedValue('ok');
+      const onRetry = jest.fn();
+
+      const outcome = await executeWithRetry(operation, { maxRetries: 3, baseDelayMs: 100, maxDelayMs: 1000, onRetry, sleep });
+
+      expect(outcome).toEqual({ result: 'ok', retries: 2 });
+      expect(sleep.mock.calls.map(call => call[0])).toEqual([100, 200]);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry permanent errors', async () => {
+      const operation = jest.fn().mockRejectedValue(new Error('No serial locations found for: SN1'));
+
+      await expect(executeWithRetry(operation, { maxRetries: 3, sleep })).rejects.toMatchObject({
+        classification: { category: ERROR_CATEGORIES.PERMANENT },
+        retries: 0
+      });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop after the retry limit', async () => {
+      const operation = jest.fn().mockRejectedValue(new Error('HTTP 502: Bad Gateway'));
+
+      await expect(executeWithRetry(operation, { maxRetries: 2, sleep })).rejects.toMatchObject({
+        classification: { category: ERROR_CATEGORIES.TRANSIENT },
+        retries: 2
+      });
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+  });
+});
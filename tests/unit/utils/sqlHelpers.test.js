@@ -19,6 +19,11 @@ describe('sqlHelpers', () => {
       expect(escapeSqlString("It's")).toBe("It''s");
     });
 
+    test('should escape backslashes and NUL', () => {
+      expect(escapeSqlString("x\\' UNION SELECT 1 #")).toBe("x\\\\'' UNION SELECT 1 #");
+      expect(escapeSqlString('a\0b')).toBe('a\\0b');
+    });
+
     test('should handle strings without quotes', () => {
       expect(escapeSqlString("Hello World")).toBe("Hello World");
     });
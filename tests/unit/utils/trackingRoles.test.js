@@ -0,0 +1,84 @@
+/**
+ * Tracking Roles Unit Tests
+ */
+
+jest.mock('../../../src/utils/secureConfig', () => ({
+  isSetupComplete: jest.fn(),
+  loadConfig: jest.fn()
+}));
+
+const { isSetupComplete, loadConfig } = require('../../../src/utils/secureConfig');
+const {
+  normalizeTrackingRoles,
+  getTrackingRoles,
+  withTrackingRoles,
+  findPartTracking
+} = require('../../../src/utils/trackingRoles');
+const { FISHBOWL_QUERIES } = require('../../../src/db/fishbowlQueries');
+
+describe('trackingRoles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isSetupComplete.mockResolvedValue(true);
+    loadConfig.mockResolvedValue({ fishbowl: {}, mysql: {}, tracking: { componentSerial: 12, fgIdentifier: 15 } });
+  });
+
+  describe('normalizeTrackingRoles', () => {
+    test('should accept part tracking IDs as numbers or strings', () => {
+      expect(normalizeTrackingRoles({ componentSerial: '12', fgIdentifier: 15 })).toEqual({ componentSerial: 12, fgIdentifier: 15 });
+    });
+
+    test('should reject missing or shared trackings', () => {
+      expect(() => normalizeTrackingRoles({ componentSerial: 12 })).toThrow('FG identifier tracking must be a part tracking ID');
+      expect(() => normalizeTrackingRoles({ componentSerial: 'serial', fgIdentifier: 5 })).toThrow('Component serial tracking must be a part tracking ID');
+      expect(() => normalizeTrackingRoles({ componentSerial: 5, fgIdentifier: 5 })).toThrow('must be different part trackings');
+    });
+  });
+
+  describe('getTrackingRoles', () => {
+    test('should use the configured roles', async () => {
+      expect(await getTrackingRoles()).toEqual({ componentSerial: 12, fgIdentifier: 15 });
+    });
+
+    test('should fall back to the stock Fishbowl IDs', async () => {
+      isSetupComplete.mockResolvedValue(false);
+      expect(await getTrackingRoles()).toEqual({ componentSerial: 4, fgIdentifier: 5 });
+
+      isSetupComplete.mockResolvedValue(true);
+      loadConfig.mockResolvedValue({ fishbowl: {}, mysql: {}, tracking: {} });
+      expect(await getTrackingRoles()).toEqual({ componentSerial: 4, fgIdentifier: 5 });
+    });
+  });
+
+  describe('withTrackingRoles', () => {
+    test('should fill the tracking ID parameters a query declares', async () => {
+      expect(await withTrackingRoles(FISHBOWL_QUERIES.existingSerials, { serials: ['SN-1'] }))
+        .toEqual({ serials: ['SN-1'], serialTrackingId: 12 });
+      expect(await withTrackingRoles(FISHBOWL_QUERIES.finishedGoodsOnHand, { partId: 101 }))
+        .toEqual({ partId: 101, barcodeTrackingId: 15 });
+    });
+
+    test('should not let the caller pick another tracking', async () => {
+      expect(await withTrackingRoles(FISHBOWL_QUERIES.existingBarcodes, { barcodes: ['BC-1'], barcodeTrackingId: 4 }))
+        .toEqual({ barcodes: ['BC-1'], barcodeTrackingId: 15 });
+    });
+
+    test('should leave other queries alone', async () => {
+      const values = { bomNum: 'CTRL-100' };
+      expect(await withTrackingRoles(FISHBOWL_QUERIES.valueTrackingForBom, values)).toBe(values);
+      expect(loadConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findPartTracking', () => {
+    test('should find the tracking by ID in a single or listed PartTracking', () => {
+      const serial = { PartTrackingID: 12, Name: 'Serial Number' };
+      const barcode = { PartTrackingID: '15', Name: 'Unit ID' };
+
+      expect(findPartTracking({ PartTrackingList: { PartTracking: [serial, barcode] } }, 15)).toBe(barcode);
+      expect(findPartTracking({ PartTrackingList: { PartTracking: serial } }, 12)).toBe(serial);
+      expect(findPartTracking({ PartTrackingList: { PartTracking: serial } }, 15)).toBeNull();
+      expect(findPartTracking({}, 12)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tracking Values Unit Tests
+ */
+
+const {
+  normalizeTrackingValues,
+  getQueueItemTrackingValues,
+  trackingValuesColumn,
+  formatTrackingValue
+} = require('../../../src/utils/trackingValues');
+const { PART_TRACKING_TYPES } = require('../../../src/config/constants');
+
+describe('trackingValues', () => {
+  describe('normalizeTrackingValues', () => {
+    test('should accept values as an object or JSON, trimming and dropping blanks', () => {
+      const values = { 204: { 6: ' L-2207 ', 7: '' }, '103': { 8: 'B' }, 205: { 6: null } };
+      const expected = { 204: { 6: 'L-2207' }, 103: { 8: 'B' } };
+
+      expect(normalizeTrackingValues(values)).toEqual(expected);
+      expect(normalizeTrackingValues(JSON.stringify(values))).toEqual(expected);
+    });
+
+    test('should treat missing values as none', () => {
+      expect(normalizeTrackingValues(undefined)).toEqual({});
+      expect(normalizeTrackingValues(null)).toEqual({});
+      expect(normalizeTrackingValues('')).toEqual({});
+    });
+
+    test('should reject malformed values', () => {
+      expect(() => normalizeTrackingValues('{not json')).toThrow('valid JSON');
+      expect(() => normalizeTrackingValues([])).toThrow('must be an object');
+      expect(() => normalizeTrackingValues({ abc: { 6: 'L1' } })).toThrow('part ID abc must be a number');
+      expect(() => normalizeTrackingValues({ 204: 'L1' })).toThrow('Tracking values of part 204');
+      expect(() => normalizeTrackingValues({ 204: { lot: 'L1' } })).toThrow('part tracking ID lot must be a number');
+    });
+  });
+
+  describe('getQueueItemTrackingValues', () => {
+    test('should read the tracking_values column', () => {
+      expect(getQueueItemTrackingValues({ tracking_values: '{"204":{"6":"L-1"}}' })).toEqual({ 204: { 6: 'L-1' } });
+      expect(getQueueItemTrackingValues({ tracking_values: null })).toEqual({});
+    });
+  });
+
+  describe('trackingValuesColumn', () => {
+    test('should store JSON, or null when there are no values', () => {
+      expect(trackingValuesColumn({ 204: { 6: 'L-1' } })).toBe('{"204":{"6":"L-1"}}');
+      expect(trackingValuesColumn({})).toBeNull();
+    });
+  });
+
+  describe('formatTrackingValue', () => {
+    test('should format dates for Fishbowl', () => {
+      expect(formatTrackingValue(PART_TRACKING_TYPES.EXPIRATION_DATE, '2027-12-31')).toBe('2027-12-31T00:00:00');
+      expect(formatTrackingValue(PART_TRACKING_TYPES.DATE, '3/7/2027')).toBe('2027-03-07T00:00:00');
+      expect(formatTrackingValue(PART_TRACKING_TYPES.DATE, '2027-03-07T15:30:00')).toBe('2027-03-07T00:00:00');
+    });
+
+    test('should reject dates that do not exist or cannot be read', () => {
+      expect(() => formatTrackingValue(PART_TRACKING_TYPES.EXPIRATION_DATE, '2027-02-30')).toThrow('Invalid tracking value');
+      expect(() => formatTrackingValue(PART_TRACKING_TYPES.EXPIRATION_DATE, 'next year')).toThrow('expected a date');
+      expect(() => formatTrackingValue(PART_TRACKING_TYPES.EXPIRATION_DATE, '31/12/2027')).toThrow('expected a date');
+    });
+
+    test('should normalize checkboxes and check numbers', () => {
+      expect(formatTrackingValue(PART_TRACKING_TYPES.CHECKBOX, 'Yes')).toBe('true');
+      expect(formatTrackingValue(PART_TRACKING_TYPES.CHECKBOX, '0')).toBe('false');
+      expect(() => formatTrackingValue(PART_TRACKING_TYPES.CHECKBOX, 'maybe')).toThrow('expected true or false');
+
+      expect(formatTrackingValue(PART_TRACKING_TYPES.COUNT, '12')).toBe('12');
+      expect(() => formatTrackingValue(PART_TRACKING_TYPES.COUNT, '1.5')).toThrow('whole number');
+      expect(formatTrackingValue(PART_TRACKING_TYPES.MONEY, '4.25')).toBe('4.25');
+      expect(() => formatTrackingValue(PART_TRACKING_TYPES.QUANTITY, 'ten')).toThrow('expected a number');
+    });
+
+    test('should keep text as given', () => {
+      expect(formatTrackingValue(PART_TRACKING_TYPES.TEXT, ' L-2207 ')).toBe('L-2207');
+      expect(() => formatTrackingValue(PART_TRACKING_TYPES.TEXT, '  ')).toThrow('value is empty');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Traffic Capture Unit Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TrafficCapture,
+  redact,
+  runWithCapture,
+  runForQueueItem,
+  runAsReplay,
+  isCaptureActive,
+  captureCallRecorder
+} = require('../../../src/utils/trafficCapture');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('trafficCapture', () => {
+  let dir;
+
+  const readEntries = capture => fs.readFileSync(capture.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('redact', () => {
+    test('should blank sensitive fields at any depth', () => {
+      expect(redact({ username: 'admin', password: 'secret', nested: [{ Token: 'abc', value: 1 }] })).toEqual({
+        username: 'admin',
+        password: '[REDACTED]',
+        nested: [{ Token: '[REDACTED]', value: 1 }]
+      });
+    });
+
+    test('should blank known secrets inside strings', () => {
+      expect(redact('Bearer 0123456789abcdef expired', ['0123456789abcdef'])).toBe('Bearer [REDACTED] expired');
+    });
+
+    test('should ignore short secrets', () => {
+      expect(redact('abc', ['ab'])).toBe('abc');
+    });
+  });
+
+  describe('TrafficCapture', () => {
+    test('should reject IDs that are not safe file names', () => {
+      expect(() => new TrafficCapture({ id: '../etc/passwd', dir, logger: mockLogger })).toThrow('Invalid capture ID');
+    });
+
+    test('should record calls with bodies decoded and the session token removed', async () => {
+      const capture = new TrafficCapture({ id: 'job-1', dir, logger: mockLogger });
+
+      capture.recordCall({
+        method: 'GET',
+        path: '/api/data-query',
+        requestBody: 'SELECT 1',
+        status: 200,
+        responseText: '[{"id":1}]',
+        durationMs: 12,
+        token: 'session-token-123'
+      });
+      capture.recordCall({
+        method: 'POST',
+        path: '/api/login',
+        requestBody: '{"username":"admin","password":"pw"}',
+        status: null,
+        error: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }),
+        token: 'session-token-123'
+      });
+      await capture.flush();
+
+      const [query, login] = readEntries(capture);
+      expect(query).toMatchObject({ sequence: 1, type: 'call', request: 'SELECT 1', requestType: 'text', response: [{ id: 1 }], responseType: 'json' });
+      expect(login.request).toEqual({ username: 'admin', password: '[REDACTED]' });
+      expect(login.error).toEqual({ name: 'Error', message: 'connect ECONNREFUSED', code: 'ECONNREFUSED' });
+      expect(capture.calls).toBe(2);
+    });
+
+    test('should log archive write failures and keep recording', async () => {
+      const capture = new TrafficCapture({ id: 'job-3', dir, logger: mockLogger });
+      fs.rmSync(dir, { recursive: true, force: true });
+
+      capture.write({ type: 'summary' });
+      await capture.flush();
+
+      expect(mockLogger.error).toHaveBeenCalledWith('CAPTURE - Error writing capture archive', expect.objectContaining({ file: capture.file }));
+
+      fs.mkdirSync(dir);
+      capture.write({ type: 'summary' });
+      await capture.flush();
+      expect(readEntries(capture)).toMatchObject([{ sequence: 2, type: 'summary' }]);
+    });
+  });
+
+  describe('capture context', () => {
+    test('should be inactive outside a job', () => {
+      expect(isCaptureActive()).toBe(false);
+      expect(captureCallRecorder()).toBeNull();
+    });
+
+    test('should key calls by the queue item being processed', async () => {
+      const capture = new TrafficCapture({ id: 'job-2', dir, logger: mockLogger });
+      const call = { method: 'GET', path: '/api/data-query', requestBody: 'SELECT 1', status: 200, responseText: '[]' };
+
+      await runWithCapture(capture, async () => {
+        captureCallRecorder()(call);
+        await Promise.all([11, 12].map(queueItemId =>
+          runForQueueItem(queueItemId, { woNum: `WO-${queueItemId}` }, async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            captureCallRecorder()(call);
+          })
+        ));
+      });
+      await capture.flush();
+
+      const entries = readEntries(capture);
+      expect(entries.filter(entry => entry.type === 'queue_item').map(entry => [entry.queueItemId, entry.woNum]))
+        .toEqual([[11, 'WO-11'], [12, 'WO-12']]);
+      expect(entries.filter(entry => entry.type === 'call').map(entry => entry.queueItemId)).toEqual([null, 11, 12]);
+    });
+
+    test('should run the queue item without recording when capture is off', async () => {
+      await expect(runForQueueItem(1, {}, async () => captureCallRecorder())).resolves.toBeNull();
+    });
+
+    test('should mark a replay active without recording', async () => {
+      await runAsReplay(async () => {
+        expect(isCaptureActive()).toBe(true);
+        expect(captureCallRecorder()).toBeNull();
+      });
+    });
+  });
+});
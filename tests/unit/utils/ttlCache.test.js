@@ -0,0 +1,86 @@
+/**
+ * TTL Cache Unit Tests
+ */
+
+const { TtlCache } = require('../../../src/utils/ttlCache');
+
+describe('ttlCache', () => {
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = 1000000;
+    cache = new TtlCache({ ttlMs: 5000, now: () => clock });
+  });
+
+  test('should return stored values until they expire', () => {
+    cache.set('part|1', { num: 'P1' });
+
+    clock += 4999;
+    expect(cache.get('part|1')).toEqual({ num: 'P1' });
+
+    clock += 1;
+    expect(cache.get('part|1')).toBeUndefined();
+    expect(cache.getStatus().size).toBe(0);
+  });
+
+  test('should count hits and misses', () => {
+    cache.set('a', 1);
+    cache.get('a');
+    cache.get('a');
+    cache.get('b');
+
+    expect(cache.getStatus()).toMatchObject({ hits: 2, misses: 1, hitRate: 0.667 });
+  });
+
+  test('should load a missing value once and reuse it', async () => {
+    const loader = jest.fn().mockResolvedValue([{ id: 1 }]);
+
+    const [first, second] = await Promise.all([
+      cache.getOrLoad('locations', loader),
+      cache.getOrLoad('locations', loader)
+    ]);
+    const third = await cache.getOrLoad('locations', loader);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(third).toBe(first);
+  });
+
+  test('should not cache a failed load', async () => {
+    const loader = jest.fn()
+      .mockRejectedValueOnce(new Error('HTTP 503'))
+      .mockResolvedValue('ok');
+
+    await expect(cache.getOrLoad('k', loader)).rejects.toThrow('HTTP 503');
+    await expect(cache.getOrLoad('k', loader)).resolves.toBe('ok');
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('should hand out copies when given a clone function', async () => {
+    cache = new TtlCache({ ttlMs: 5000, now: () => clock, clone: structuredClone });
+    const row = { num: 'P1' };
+
+    cache.set('part|1', row);
+    row.num = 'changed by the caller';
+    cache.get('part|1').num = 'changed by a reader';
+    (await cache.getOrLoad('part|1', jest.fn())).num = 'changed by a loader caller';
+    (await cache.getOrLoad('part|2', async () => ({ num: 'P2' }))).num = 'changed after loading';
+
+    expect(cache.get('part|1')).toEqual({ num: 'P1' });
+    expect(cache.get('part|2')).toEqual({ num: 'P2' });
+  });
+
+  test('should prune expired entries and clear everything on request', () => {
+    cache.set('old', 1);
+    clock += 3000;
+    cache.set('new', 2);
+    clock += 2000;
+
+    expect(cache.prune()).toBe(1);
+    expect(cache.getStatus().size).toBe(1);
+
+    expect(cache.clear()).toBe(1);
+    expect(cache.getStatus()).toMatchObject({ size: 0, lastClearedAt: new Date(clock).toISOString() });
+  });
+});